@@ -0,0 +1,512 @@
+require('dotenv').config();
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const { PositionMonitor } = require('./monitor');
+const { RebalanceHysteresis } = require('./hysteresis');
+const {
+  tickToSqrtPrice,
+  sqrtPriceX96ToSqrtPrice,
+  getAmountsForLiquidity,
+  getLiquidityForAmounts,
+} = require('./liquidityMath');
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Fee tiers are in pips (hundredths of a basis point)
+const FEE_DENOMINATOR = 1e6;
+
+// Stands in for a token ID in the hysteresis timers
+const BACKTEST_POSITION_ID = 'backtest';
+
+const USAGE = `Usage: npm run backtest -- <history.jsonl> [options]
+
+Options:
+  --capital <n>             Starting capital in token1 units (default 1000)
+  --range-multiplier <list> RANGE_MULTIPLIER value(s), comma-separated (default: configured)
+  --threshold <list>        REBALANCE_THRESHOLD value(s) in %, comma-separated (default: configured)
+  --emissions-apr <n>       Model a staked position earning gauge emissions at this APR (%)
+                            while in range, instead of trading fees
+  --gas-cost <n>            Gas per rebalance, in token1 units (default 0)
+  --swap-impact-bps <n>     Price impact of the rebalance swap on top of the pool fee (default 5)
+  --tick-spacing <n>, --fee <pips>, --decimals1 <n>
+                            Pool parameters missing from the file's meta record
+  --verbose                 Log every check and rebalance`;
+
+/**
+ * Read a tick history file: JSON lines, one record per line.
+ *
+ * A record with "type": "meta" describes the pool (pool, gauge, symbol0,
+ * symbol1, decimals0, decimals1, tickSpacing, fee); later meta records are
+ * merged over earlier ones. Every other record is a sample:
+ *   { timestamp, block?, tick, sqrtPriceX96?, liquidity?, volume0?, volume1? }
+ * with timestamp in Unix seconds, liquidity the pool's active liquidity and
+ * volume0/volume1 the raw amounts swapped into the pool since the previous
+ * sample (trading fees are charged on the input side).
+ * @param {string} filePath - Path to the history file
+ * @returns {Object} - { meta, samples } with samples sorted by time
+ */
+function loadHistory(filePath) {
+  const meta = {};
+  const samples = [];
+
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${index + 1}: ${error.message}`);
+    }
+
+    if (record.type === 'meta') {
+      Object.assign(meta, record);
+      return;
+    }
+
+    const tick = Number(record.tick);
+    const timestamp = Number(record.timestamp);
+    if (!Number.isInteger(tick) || !Number.isFinite(timestamp)) {
+      throw new Error(`${filePath}:${index + 1}: a sample needs an integer tick and a timestamp`);
+    }
+
+    samples.push({
+      timestamp,
+      block: record.block ?? null,
+      tick,
+      sqrtPrice: record.sqrtPriceX96 ? sqrtPriceX96ToSqrtPrice(record.sqrtPriceX96) : tickToSqrtPrice(tick),
+      liquidity: record.liquidity != null ? Number(record.liquidity) : null,
+      volume0: Number(record.volume0 || 0),
+      volume1: Number(record.volume1 || 0),
+    });
+  });
+
+  samples.sort((a, b) => a.timestamp - b.timestamp);
+  if (samples.length < 2) {
+    throw new Error(`${filePath}: at least two samples are needed`);
+  }
+
+  return { meta, samples };
+}
+
+/**
+ * TWAPs from the recorded ticks, in place of the pool oracle, for
+ * RANGE_PLACEMENT=trend. Passed to PositionMonitor as its web3 manager.
+ */
+class HistoryTwapSource {
+  constructor(samples) {
+    this.samples = samples;
+    this.index = 0;
+  }
+
+  async getTwapTicks(poolAddress, windows) {
+    return windows.map(seconds => this.twap(seconds));
+  }
+
+  /**
+   * Time-weighted average tick over the `seconds` before the current sample;
+   * each tick holds until the next sample
+   */
+  twap(seconds) {
+    const end = this.samples[this.index].timestamp;
+    const start = end - seconds;
+    if (start < this.samples[0].timestamp) {
+      throw new Error('history does not cover the TWAP window');
+    }
+
+    let weighted = 0;
+    for (let i = this.index; i > 0 && this.samples[i].timestamp > start; i--) {
+      const from = Math.max(this.samples[i - 1].timestamp, start);
+      weighted += this.samples[i - 1].tick * (this.samples[i].timestamp - from);
+    }
+    return weighted / seconds;
+  }
+}
+
+/**
+ * Replays a tick history through the bot's range logic for one set of
+ * strategy parameters.
+ *
+ * Every CHECK_INTERVAL of history the position goes through
+ * PositionMonitor.checkPositionStatus, the rebalance threshold, the
+ * confirmation and cooldown timers (RebalanceHysteresis on simulated time)
+ * and PositionMonitor.getNewRange, as in a live check cycle. A rebalance
+ * withdraws the position with its uncollected fees, swaps to the new range's
+ * ratio (pool fee plus price impact) and mints with the rest. Values are in
+ * token1 units.
+ */
+class Backtester {
+  /**
+   * @param {Object} history - Result of loadHistory
+   * @param {Object} options - { capital, rangeMultiplier, rebalanceThreshold, emissionsApr, gasCost, swapImpactBps, tickSpacing, fee, decimals1 }
+   */
+  constructor(history, options) {
+    this.samples = history.samples;
+    this.meta = history.meta;
+    this.options = options;
+
+    this.poolAddress = this.meta.pool || 'backtest';
+    this.tickSpacing = Number(options.tickSpacing ?? this.meta.tickSpacing);
+    this.feeRate = Number(options.fee ?? this.meta.fee) / FEE_DENOMINATOR;
+    this.decimals1 = Number(options.decimals1 ?? this.meta.decimals1);
+    this.staked = options.emissionsApr > 0;
+
+    if (!Number.isInteger(this.tickSpacing) || this.tickSpacing <= 0) {
+      throw new Error('Tick spacing unknown: add tickSpacing to the meta record or pass --tick-spacing');
+    }
+    if (!Number.isFinite(this.feeRate)) {
+      throw new Error('Pool fee unknown: add fee to the meta record or pass --fee');
+    }
+    if (!Number.isInteger(this.decimals1)) {
+      throw new Error('Token1 decimals unknown: add decimals1 to the meta record or pass --decimals1');
+    }
+
+    this.time = this.samples[0].timestamp * 1000;
+    this.twapSource = new HistoryTwapSource(this.samples);
+    this.monitor = new PositionMonitor(this.twapSource);
+    this.hysteresis = new RebalanceHysteresis(null, { now: () => this.time });
+  }
+
+  /**
+   * Run the backtest
+   * @returns {Object} - Result summary, see summarize()
+   */
+  async run() {
+    const first = this.samples[0];
+    this.position = { tokenId: BACKTEST_POSITION_ID, tickLower: 0, tickUpper: 0, liquidity: 0 };
+    this.fees = { amount0: 0, amount1: 0 };
+    this.earned = { amount0: 0, amount1: 0, emissions: 0 };
+    this.costs = { swap: 0, gas: 0 };
+    this.rebalances = [];
+    this.checks = 0;
+    this.secondsInRange = 0;
+
+    // Starting capital split into the first range's ratio; HODL keeps these amounts
+    const range = await this.monitor.getNewRange(this.poolAddress, first.tick, this.tickSpacing, this.options.rangeMultiplier);
+    const capitalRaw = this.options.capital * 10 ** this.decimals1;
+    const amounts = this.splitForRange(capitalRaw, first.sqrtPrice, range);
+    this.mint(range, amounts, first.sqrtPrice);
+    this.hodl = amounts;
+
+    let nextCheckAt = this.time;
+    for (let i = 0; i < this.samples.length; i++) {
+      const sample = this.samples[i];
+      if (i > 0) this.accrue(this.samples[i - 1], sample);
+
+      this.time = sample.timestamp * 1000;
+      this.twapSource.index = i;
+
+      if (this.time >= nextCheckAt) {
+        await this.check(sample);
+        nextCheckAt = this.time + config.checkInterval;
+      }
+    }
+
+    return this.summarize();
+  }
+
+  /**
+   * Fees and emissions earned over the interval from `previous` to `sample`.
+   * Swaps in the interval are attributed to the range at the interval start.
+   */
+  accrue(previous, sample) {
+    const seconds = sample.timestamp - previous.timestamp;
+    const status = this.monitor.checkPositionStatus(this.position, previous.tick);
+    if (!status.isInRange) return;
+
+    this.secondsInRange += seconds;
+    const liquidity = this.position.liquidity;
+
+    if (this.staked) {
+      // Gauge emissions go to in-range staked liquidity; the trading fees go to voters
+      const value = this.valueOf(this.amountsAt(previous.sqrtPrice), previous.sqrtPrice);
+      this.earned.emissions += value * (this.options.emissionsApr / 100) * (seconds / SECONDS_PER_YEAR);
+      return;
+    }
+
+    // Our share of the active liquidity, the recorded pool liquidity not including us
+    if (!(sample.liquidity > 0)) return;
+    const share = liquidity / (sample.liquidity + liquidity);
+    const fee0 = sample.volume0 * this.feeRate * share;
+    const fee1 = sample.volume1 * this.feeRate * share;
+
+    this.fees.amount0 += fee0;
+    this.fees.amount1 += fee1;
+    this.earned.amount0 += fee0;
+    this.earned.amount1 += fee1;
+  }
+
+  /**
+   * One check cycle: status, threshold, confirmation and cooldown, then rebalance
+   */
+  async check(sample) {
+    this.checks += 1;
+    const status = this.monitor.checkPositionStatus(this.position, sample.tick);
+    const candidates = this.monitor.isRebalanceCandidate(status, this.options.rebalanceThreshold)
+      ? [this.position]
+      : [];
+
+    this.hysteresis.observe(this.poolAddress, candidates);
+    if (candidates.length === 0) return;
+
+    const cooldownMs = this.hysteresis.getCooldownRemaining(this.poolAddress);
+    if (cooldownMs > 0) {
+      logger.debug(`Backtest: cooldown active at tick ${sample.tick} (${(cooldownMs / 60000).toFixed(1)} min remaining)`);
+      return;
+    }
+    if (!this.hysteresis.getStatus(this.position.tokenId).confirmed) {
+      logger.debug(`Backtest: tick ${sample.tick} past threshold; waiting for confirmation`);
+      return;
+    }
+
+    await this.rebalance(sample, status);
+  }
+
+  /**
+   * Withdraw with fees, swap to the new range's ratio and mint
+   */
+  async rebalance(sample, status) {
+    const { sqrtPrice } = sample;
+    const price = sqrtPrice * sqrtPrice;
+
+    const range = await this.monitor.getNewRange(
+      this.poolAddress, sample.tick, this.tickSpacing, this.options.rangeMultiplier,
+      this.position.tickLower, this.position.tickUpper
+    );
+
+    const withdrawn = this.amountsAt(sqrtPrice);
+    const amount0 = withdrawn.amount0 + this.fees.amount0;
+    const amount1 = withdrawn.amount1 + this.fees.amount1;
+    this.fees = { amount0: 0, amount1: 0 };
+
+    const value = amount0 * price + amount1;
+    const target = this.splitForRange(value, sqrtPrice, range);
+    const swapValue = Math.abs(amount0 - target.amount0) * price;
+    const swapCost = swapValue * (this.feeRate + this.options.swapImpactBps / 10000);
+    const gasCost = this.options.gasCost * 10 ** this.decimals1;
+
+    this.mint(range, this.splitForRange(value - swapCost, sqrtPrice, range), sqrtPrice);
+    this.costs.swap += swapCost;
+    this.costs.gas += gasCost;
+    this.hysteresis.recordRebalance(this.poolAddress, this.position.tokenId);
+
+    this.rebalances.push({
+      timestamp: sample.timestamp,
+      tick: sample.tick,
+      from: `${status.tickLower} - ${status.tickUpper}`,
+      to: `${range.tickLower} - ${range.tickUpper}`,
+      swapCost: swapCost / 10 ** this.decimals1,
+    });
+    logger.debug(
+      `Backtest: rebalanced at tick ${sample.tick} (${status.percentOutOfRange}% out): ` +
+      `${status.tickLower} - ${status.tickUpper} → ${range.tickLower} - ${range.tickUpper}, ` +
+      `swap cost ${(swapCost / 10 ** this.decimals1).toFixed(4)}`
+    );
+  }
+
+  /**
+   * Token amounts (raw) worth `value` (raw token1) in the ratio `range` needs at `sqrtPrice`
+   */
+  splitForRange(value, sqrtPrice, range) {
+    const price = sqrtPrice * sqrtPrice;
+    const unit = getAmountsForLiquidity(sqrtPrice, range.tickLower, range.tickUpper, 1e18);
+    const share0 = (unit.amount0 * price) / (unit.amount0 * price + unit.amount1);
+    return { amount0: (value * share0) / price, amount1: value * (1 - share0) };
+  }
+
+  mint(range, amounts, sqrtPrice) {
+    this.position.tickLower = range.tickLower;
+    this.position.tickUpper = range.tickUpper;
+    this.position.liquidity = getLiquidityForAmounts(sqrtPrice, range.tickLower, range.tickUpper, amounts.amount0, amounts.amount1);
+  }
+
+  amountsAt(sqrtPrice) {
+    return getAmountsForLiquidity(sqrtPrice, this.position.tickLower, this.position.tickUpper, this.position.liquidity);
+  }
+
+  valueOf(amounts, sqrtPrice) {
+    return amounts.amount0 * sqrtPrice * sqrtPrice + amounts.amount1;
+  }
+
+  summarize() {
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const unit = 10 ** this.decimals1;
+    const toUnits = raw => raw / unit;
+
+    const positionValue = toUnits(this.valueOf(this.amountsAt(last.sqrtPrice), last.sqrtPrice));
+    const uncollectedFees = toUnits(this.valueOf(this.fees, last.sqrtPrice));
+    const emissions = toUnits(this.earned.emissions);
+    const gasCost = toUnits(this.costs.gas);
+    const finalValue = positionValue + uncollectedFees + emissions - gasCost;
+    const hodlValue = toUnits(this.valueOf(this.hodl, last.sqrtPrice));
+    const seconds = last.timestamp - first.timestamp;
+
+    return {
+      rangeMultiplier: this.options.rangeMultiplier,
+      rebalanceThreshold: this.options.rebalanceThreshold,
+      from: new Date(first.timestamp * 1000).toISOString(),
+      to: new Date(last.timestamp * 1000).toISOString(),
+      days: seconds / 86400,
+      samples: this.samples.length,
+      checks: this.checks,
+      initialValue: this.options.capital,
+      finalValue,
+      positionValue,
+      feesEarned: toUnits(this.valueOf(this.earned, last.sqrtPrice)),
+      emissions,
+      swapCost: toUnits(this.costs.swap),
+      gasCost,
+      rebalances: this.rebalances.length,
+      rebalanceLog: this.rebalances,
+      timeInRangePct: seconds > 0 ? (this.secondsInRange / seconds) * 100 : 0,
+      hodlValue,
+      vsHodl: finalValue - hodlValue,
+      vsHodlPct: ((finalValue - hodlValue) / hodlValue) * 100,
+      feesModelled: this.staked || this.samples.some(s => s.liquidity > 0 && (s.volume0 > 0 || s.volume1 > 0)),
+    };
+  }
+}
+
+/**
+ * Parse command-line arguments into { file, options, multipliers, thresholds }
+ */
+function parseArgs(argv) {
+  const args = { file: null, verbose: false };
+  const numberOptions = {
+    '--capital': 'capital',
+    '--emissions-apr': 'emissionsApr',
+    '--gas-cost': 'gasCost',
+    '--swap-impact-bps': 'swapImpactBps',
+    '--tick-spacing': 'tickSpacing',
+    '--fee': 'fee',
+    '--decimals1': 'decimals1',
+  };
+  const listOptions = { '--range-multiplier': 'multipliers', '--threshold': 'thresholds' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (numberOptions[arg] || listOptions[arg]) {
+      const value = argv[++i];
+      const numbers = (value || '').split(',').map(v => Number(v.trim()));
+      if (!value || numbers.some(n => !Number.isFinite(n) || n < 0)) {
+        throw new Error(`${arg} needs a non-negative number${listOptions[arg] ? ' or comma-separated list' : ''}`);
+      }
+      if (numberOptions[arg]) args[numberOptions[arg]] = numbers[0];
+      else args[listOptions[arg]] = numbers;
+    } else if (!arg.startsWith('--') && !args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function formatAmount(value) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function printReport(result, symbol1) {
+  const sign = result.vsHodl >= 0 ? '+' : '';
+  console.log('\n=== BACKTEST RESULT ===');
+  console.log(`Period: ${result.from} → ${result.to} (${result.days.toFixed(1)} days, ${result.samples} samples, ${result.checks} checks)`);
+  console.log(`Strategy: range multiplier ${result.rangeMultiplier}, threshold ${result.rebalanceThreshold}%`);
+  console.log(`Initial value:  ${formatAmount(result.initialValue)} ${symbol1}`);
+  console.log(`Final value:    ${formatAmount(result.finalValue)} ${symbol1}`);
+  console.log(`  Position:     ${formatAmount(result.positionValue)}`);
+  console.log(`  Fees earned:  ${formatAmount(result.feesEarned)}`);
+  console.log(`  Emissions:    ${formatAmount(result.emissions)}`);
+  console.log(`  Swap costs:   ${formatAmount(result.swapCost)} (already out of the position)`);
+  console.log(`  Gas:          ${formatAmount(result.gasCost)}`);
+  console.log(`Rebalances:     ${result.rebalances}`);
+  console.log(`Time in range:  ${result.timeInRangePct.toFixed(1)}%`);
+  console.log(`HODL value:     ${formatAmount(result.hodlValue)} ${symbol1}`);
+  console.log(`vs HODL:        ${sign}${formatAmount(result.vsHodl)} (${sign}${result.vsHodlPct.toFixed(2)}%)`);
+}
+
+function printComparison(results, symbol1) {
+  console.log(`\n=== BACKTEST RESULTS (values in ${symbol1}, best first) ===`);
+  console.log('multiplier  threshold  rebalances  in range     fees  emissions    costs      final  vs HODL');
+  for (const r of [...results].sort((a, b) => b.finalValue - a.finalValue)) {
+    console.log([
+      String(r.rangeMultiplier).padStart(10),
+      `${r.rebalanceThreshold}%`.padStart(10),
+      String(r.rebalances).padStart(11),
+      `${r.timeInRangePct.toFixed(1)}%`.padStart(9),
+      formatAmount(r.feesEarned).padStart(8),
+      formatAmount(r.emissions).padStart(10),
+      formatAmount(r.swapCost + r.gasCost).padStart(8),
+      formatAmount(r.finalValue).padStart(10),
+      `${r.vsHodlPct >= 0 ? '+' : ''}${r.vsHodlPct.toFixed(2)}%`.padStart(8),
+    ].join(' '));
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  logger.level = args.verbose ? 'debug' : 'warn';
+
+  if (config.rangeMode === 'adaptive') {
+    // Volatility comes from the pool oracle, which a recorded history cannot replay
+    console.log('RANGE_MODE=adaptive is not backtested; using fixed ranges (RANGE_MULTIPLIER)');
+    config.rangeMode = 'fixed';
+  }
+
+  const history = loadHistory(args.file);
+  const strategy = config.pools.find(p => history.meta.gauge && p.gaugeAddress.toLowerCase() === history.meta.gauge.toLowerCase()) || config;
+  const multipliers = args.multipliers || [strategy.rangeMultiplier];
+  const thresholds = args.thresholds || [strategy.rebalanceThreshold];
+
+  const results = [];
+  for (const rangeMultiplier of multipliers) {
+    for (const rebalanceThreshold of thresholds) {
+      const backtester = new Backtester(history, {
+        capital: args.capital ?? 1000,
+        emissionsApr: args.emissionsApr ?? 0,
+        gasCost: args.gasCost ?? 0,
+        swapImpactBps: args.swapImpactBps ?? 5,
+        tickSpacing: args.tickSpacing,
+        fee: args.fee,
+        decimals1: args.decimals1,
+        rangeMultiplier,
+        rebalanceThreshold,
+      });
+      results.push(await backtester.run());
+    }
+  }
+
+  const symbol1 = history.meta.symbol1 || 'token1';
+  if (results.length === 1) printReport(results[0], symbol1);
+  else printComparison(results, symbol1);
+
+  if (!results[0].feesModelled) {
+    console.log('\nNote: the history has no pool liquidity/volume, so trading fees are not modelled.');
+  }
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Backtest failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { Backtester, HistoryTwapSource, loadHistory };
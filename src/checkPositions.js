@@ -1,11 +1,13 @@
 require('dotenv').config();
 const { Web3Manager } = require('./web3');
 const { PositionMonitor } = require('./monitor');
+const { getSignerConfigError } = require('./signer');
 const logger = require('./logger');
 
 async function checkPositions() {
-  if (!process.env.PRIVATE_KEY) {
-    logger.error('PRIVATE_KEY not configured in .env');
+  const signerConfigError = getSignerConfigError();
+  if (signerConfigError) {
+    logger.error(signerConfigError);
     process.exit(1);
   }
 
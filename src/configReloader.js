@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const config = require('./config');
+const logger = require('./logger');
+const { loadConfig, formatSettingValue } = require('./configSchema');
+
+// How often the watched files are stat'ed
+const WATCH_INTERVAL_MS = 2000;
+
+// Settings applied without a restart, and the config key each one sets
+const RELOADABLE = {
+  CHECK_INTERVAL: 'checkInterval',
+  AUTO_REBALANCE: 'autoRebalance',
+  SLIPPAGE_BPS: 'slippageBps',
+  MIN_SWAP_VALUE_USDC: 'minSwapValueUsdc',
+  RANGE_MULTIPLIER: 'rangeMultiplier',
+  RANGE_MODE: 'rangeMode',
+  VOLATILITY_WINDOW_SECONDS: 'volatilityWindowSeconds',
+  VOLATILITY_SAMPLES: 'volatilitySamples',
+  TARGET_TIME_IN_RANGE_HOURS: 'targetTimeInRangeHours',
+  MIN_RANGE_HALF_WIDTH_TICKS: 'minRangeHalfWidthTicks',
+  MAX_RANGE_HALF_WIDTH_TICKS: 'maxRangeHalfWidthTicks',
+  RANGE_PLACEMENT: 'rangePlacement',
+  RANGE_SKEW: 'rangeSkew',
+  TWAP_SHORT_SECONDS: 'twapShortSeconds',
+  TWAP_LONG_SECONDS: 'twapLongSeconds',
+  TREND_FULL_SKEW_TICKS: 'trendFullSkewTicks',
+  KEEP_RANGE_WIDTH: 'keepRangeWidth',
+  TWAP_GUARD_MODE: 'twapGuardMode',
+  TWAP_GUARD_SECONDS: 'twapGuardSeconds',
+  MAX_TWAP_DEVIATION_TICKS: 'maxTwapDeviationTicks',
+  REBALANCE_THRESHOLD: 'rebalanceThreshold',
+  REBALANCE_CONFIRM_MINUTES: 'rebalanceConfirmMinutes',
+  REBALANCE_CONFIRM_CHECKS: 'rebalanceConfirmChecks',
+  REBALANCE_COOLDOWN_MINUTES: 'rebalanceCooldownMinutes',
+  COST_AWARE_REBALANCE: 'costAwareRebalance',
+  REBALANCE_HORIZON_HOURS: 'rebalanceHorizonHours',
+  REBALANCE_MIN_GAIN_RATIO: 'rebalanceMinGainRatio',
+  AUTO_TOP_UP: 'autoTopUp',
+  TOP_UP_MIN_VALUE_USDC: 'topUpMinValueUsdc',
+  RANGE_ORDER_WIDTH: 'rangeOrderWidth',
+  RANGE_ORDER_OFFSET: 'rangeOrderOffset',
+  RANGE_ORDER_SIZE_PERCENT: 'rangeOrderSizePercent',
+  RANGE_ORDER_RUNGS: 'rangeOrderRungs',
+  RANGE_ORDER_MIN_VALUE_USDC: 'rangeOrderMinValueUsdc',
+  POOL_STRATEGIES: 'pools',
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Hot reload of strategy settings.
+ *
+ * Watches `.env` and CONFIG_FILE. A change only marks the config dirty; the
+ * bot calls reload() at a check-cycle boundary when no rebalance is running
+ * or pending, so a rebalance never sees its parameters change halfway.
+ * Reloadable settings (RELOADABLE) are written into the live config object,
+ * which every module reads at use time; other changed settings are logged
+ * as needing a restart. An invalid new config is rejected as a whole.
+ */
+class ConfigReloader {
+  constructor() {
+    this.dotenvPath = path.resolve(process.cwd(), '.env');
+    this.watchedPaths = [this.dotenvPath];
+    if (process.env.CONFIG_FILE) {
+      this.watchedPaths.push(path.resolve(process.env.CONFIG_FILE));
+    }
+
+    // Variables set outside .env keep precedence over it, as at startup
+    const dotenvValues = this.readDotenv();
+    this.dotenvKeys = new Set(Object.keys(dotenvValues).filter(k => process.env[k] === dotenvValues[k]));
+    this.externalKeys = new Set(Object.keys(process.env).filter(k => !this.dotenvKeys.has(k)));
+
+    this.settings = loadConfig().settings;
+    this.changed = false;
+    this.lastReload = null;
+    this.listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs && !this.changed) {
+        this.changed = true;
+        logger.info('Config change detected; it is applied at the next check cycle with no rebalance in progress');
+      }
+    };
+  }
+
+  start() {
+    for (const file of this.watchedPaths) {
+      fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, this.listener);
+    }
+    logger.info(`Watching ${this.watchedPaths.join(', ')} for strategy changes`);
+  }
+
+  stop() {
+    for (const file of this.watchedPaths) {
+      fs.unwatchFile(file, this.listener);
+    }
+  }
+
+  hasChanges() {
+    return this.changed;
+  }
+
+  readDotenv() {
+    try {
+      return dotenv.parse(fs.readFileSync(this.dotenvPath));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Environment as it would be on a fresh start: current .env over the
+   * inherited environment
+   */
+  readEnv() {
+    const env = { ...process.env };
+    for (const key of this.dotenvKeys) delete env[key];
+    for (const [key, value] of Object.entries(this.readDotenv())) {
+      if (!this.externalKeys.has(key)) env[key] = value;
+    }
+    return env;
+  }
+
+  /**
+   * Re-read the config and apply the reloadable settings that changed
+   * @returns {Object} - { applied: [{ name, from, to }], restartRequired: [name], errors }
+   */
+  reload() {
+    this.changed = false;
+    const loaded = loadConfig({ env: this.readEnv() });
+    const result = { at: new Date().toISOString(), applied: [], restartRequired: [], errors: loaded.errors };
+
+    if (loaded.errors.length > 0) {
+      logger.error('Config reload rejected; keeping the current settings:');
+      loaded.errors.forEach(error => logger.error(`  - ${error}`));
+      this.lastReload = result;
+      return result;
+    }
+
+    for (const [name, setting] of loaded.settings) {
+      const current = this.settings.get(name);
+      if (current && sameValue(current.value, setting.value)) continue;
+
+      const from = current ? formatSettingValue(current) : '(unset)';
+      const to = formatSettingValue(setting);
+
+      if (!RELOADABLE[name] || !this.apply(name, setting.value)) {
+        result.restartRequired.push(name);
+        logger.warn(`Config reload: ${name} changed (${from} → ${to}) but only takes effect after a restart`);
+        continue;
+      }
+
+      this.settings.set(name, setting);
+      result.applied.push({ name, from, to });
+      logger.info(`Config reload: ${name} ${from} → ${to}`);
+    }
+
+    if (result.applied.length === 0 && result.restartRequired.length === 0) {
+      logger.info('Config reload: no setting changed');
+    }
+    loaded.warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+
+    this.lastReload = result;
+    return result;
+  }
+
+  /**
+   * Write one setting into the live config. Pool strategies are updated in
+   * place (pools hold references to them); adding or removing a gauge needs
+   * a restart.
+   * @returns {boolean} - Whether the value was applied
+   */
+  apply(name, value) {
+    const key = RELOADABLE[name];
+    if (key !== 'pools') {
+      config[key] = value;
+      return true;
+    }
+
+    const gauges = config.pools.map(p => p.gaugeAddress.toLowerCase()).sort();
+    if (!sameValue(gauges, value.map(p => p.gaugeAddress.toLowerCase()).sort())) {
+      return false;
+    }
+    for (const strategy of value) {
+      const current = config.pools.find(p => p.gaugeAddress.toLowerCase() === strategy.gaugeAddress.toLowerCase());
+      Object.assign(current, strategy);
+    }
+    return true;
+  }
+
+  getStatus() {
+    return {
+      watching: this.watchedPaths,
+      changePending: this.changed,
+      lastReload: this.lastReload,
+    };
+  }
+}
+
+module.exports = { ConfigReloader, RELOADABLE };
@@ -0,0 +1,788 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Gauge used when POOL_STRATEGIES is not set
+const DEFAULT_GAUGE = '0xC6e211fF1D04A1728ab011406AD42EF529Cb3886';
+
+// Settings whose values never leave the process
+const SECRET_KEY_PATTERN = /privateKey|token|password|secret|apiKey|clientId/i;
+const SECRET_SETTING_PATTERN = /PRIVATE_KEY|_TOKEN$|PASSWORD$|SECRET|API_KEY/;
+
+/**
+ * Strip credentials from an RPC/API URL: keep the origin, hide path and query
+ * (providers such as Alchemy put the API key in the path)
+ */
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.pathname === '/' && !url.search ? url.origin : `${url.origin}/…`;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Effective config with secrets removed
+ */
+function redactConfig(value, key = '') {
+  if (Array.isArray(value)) return value.map(item => redactConfig(item, key));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactConfig(v, k)]));
+  }
+  if (SECRET_KEY_PATTERN.test(key)) return value ? '[redacted]' : value;
+  if (typeof value === 'string' && /^(https?|wss?):\/\//.test(value)) return redactUrl(value);
+  return value;
+}
+
+/**
+ * Parse a flat YAML mapping: `NAME: value` lines, `#` comments, quoted
+ * strings, `[a, b]` and `- item` lists. Scalars stay strings, like env vars.
+ * Other YAML (nested mappings, block scalars, anchors and aliases, tags,
+ * flow mappings, indented settings) is rejected rather than misread.
+ */
+function parseYaml(text) {
+  const result = {};
+  let listName = null;
+
+  const scalar = (value, lineNumber) => {
+    const v = value.trim();
+    if (/^(['"]).*\1$/.test(v)) return v.slice(1, -1);
+
+    const fail = (reason) => { throw new Error(`line ${lineNumber}: ${reason}`); };
+    if (/^['"]/.test(v)) fail('unterminated quoted string');
+    if (/^[|>]/.test(v)) fail(`block scalars (${v[0]}) are not supported; write the value on one line`);
+    if (/^[&*]/.test(v)) fail('anchors and aliases are not supported');
+    if (v.startsWith('!')) fail('tags are not supported');
+    if (v.startsWith('{')) fail('flow mappings ({...}) are not supported');
+    if (v.startsWith('[')) fail('lists in [...] must be closed on the same line and cannot be nested');
+    if (/:\s/.test(v) || /^[A-Za-z_][A-Za-z0-9_]*:$/.test(v)) fail('nested mappings are not supported');
+    return v;
+  };
+  const stripComment = (line) => {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quote) {
+        if (c === quote) quote = null;
+      } else if (c === '"' || c === '\'') {
+        quote = c;
+      } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.slice(0, i);
+      }
+    }
+    return line;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = stripComment(rawLine).replace(/\s+$/, '');
+    if (line.trim() === '' || line.trim() === '---') return;
+    if (/^\s*\t/.test(line)) throw new Error(`line ${lineNumber}: tabs are not allowed for indentation`);
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item) {
+      if (!listName) throw new Error(`line ${lineNumber}: list item without a setting`);
+      result[listName].push(scalar(item[1], lineNumber));
+      return;
+    }
+
+    if (/^\s/.test(line)) {
+      throw new Error(`line ${lineNumber}: unexpected indentation; settings are not nested`);
+    }
+    const entry = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*:(?:\s+(.*))?$/);
+    if (!entry) throw new Error(`line ${lineNumber}: expected "NAME: value"`);
+    const [, name, value = ''] = entry;
+
+    if (value === '') {
+      result[name] = [];
+      listName = name;
+    } else if (/^\[[^[\]]*\]$/.test(value)) {
+      result[name] = value.slice(1, -1).split(',').map(v => v.trim()).filter(v => v !== '').map(v => scalar(v, lineNumber));
+      listName = null;
+    } else {
+      result[name] = scalar(value, lineNumber);
+      listName = null;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Read CONFIG_FILE (.json, or .yaml / .yml): a flat object keyed by setting
+ * (env var) name
+ */
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const values = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('must contain an object of settings');
+  }
+  return values;
+}
+
+/**
+ * Typed access to settings. A setting comes from its env var when that is
+ * non-empty, else from the config file, else the default. Invalid values
+ * are collected as problems (and the default used) so every mistake is
+ * reported at once.
+ */
+class ConfigSource {
+  constructor({ env = process.env, file = null, filePath = '' } = {}) {
+    this.env = env;
+    this.file = file || {};
+    this.filePath = filePath;
+    this.problems = [];
+    this.settings = new Map(); // name -> { value, source, secret }
+  }
+
+  raw(name) {
+    const envValue = this.env[name];
+    if (envValue !== undefined && String(envValue).trim() !== '') {
+      return { value: String(envValue).trim(), source: 'env' };
+    }
+    const fileValue = this.file[name];
+    if (fileValue !== undefined && fileValue !== null && fileValue !== '') {
+      return { value: fileValue, source: 'file' };
+    }
+    return null;
+  }
+
+  /**
+   * Read a setting through `parse`, which throws an Error describing a bad value
+   */
+  read(name, defaultValue, parse, { secret = SECRET_SETTING_PATTERN.test(name) } = {}) {
+    const raw = this.raw(name);
+    let value = defaultValue;
+    let source = 'default';
+
+    if (raw) {
+      try {
+        value = parse(raw.value);
+        source = raw.source;
+      } catch (error) {
+        this.problem(name, `${error.message} (got ${secret ? 'a hidden value' : JSON.stringify(raw.value)} from ${raw.source === 'env' ? 'the environment' : this.filePath})`);
+      }
+    }
+
+    this.settings.set(name, { value, source, secret });
+    return value;
+  }
+
+  problem(name, message) {
+    this.problems.push(`${name}: ${message}`);
+  }
+
+  string(name, defaultValue = '', options = {}) {
+    return this.read(name, defaultValue, value => String(value), options);
+  }
+
+  oneOf(name, defaultValue, allowed) {
+    return this.read(name, defaultValue, (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (!allowed.includes(v)) throw new Error(`must be one of ${allowed.join(', ')}`);
+      return v;
+    });
+  }
+
+  int(name, defaultValue, range = {}) {
+    return this.read(name, defaultValue, (value) => {
+      if (!/^-?\d+$/.test(String(value).trim())) throw new Error('must be a whole number');
+      return checkRange(parseInt(value, 10), range);
+    });
+  }
+
+  number(name, defaultValue, range = {}) {
+    return this.read(name, defaultValue, (value) => {
+      if (!/^-?(\d+\.?\d*|\.\d+)(e-?\d+)?$/i.test(String(value).trim())) throw new Error('must be a number');
+      return checkRange(parseFloat(value), range);
+    });
+  }
+
+  bool(name, defaultValue = false) {
+    return this.read(name, defaultValue, (value) => {
+      const v = String(value).trim().toLowerCase();
+      if (v !== 'true' && v !== 'false') throw new Error('must be true or false');
+      return v === 'true';
+    });
+  }
+
+  address(name, defaultValue = '') {
+    return this.read(name, defaultValue, parseAddress);
+  }
+
+  url(name, defaultValue = '') {
+    return this.read(name, defaultValue, parseUrl);
+  }
+
+  /**
+   * Comma-separated list (or array in the config file), each item through `parseItem`
+   */
+  list(name, defaultValue = [], parseItem = item => item) {
+    return this.read(name, defaultValue, value => toList(value).map(parseItem));
+  }
+}
+
+function checkRange(value, { min, max, above }) {
+  if (min !== undefined && value < min) throw new Error(`must be at least ${min}`);
+  if (above !== undefined && value <= above) throw new Error(`must be greater than ${above}`);
+  if (max !== undefined && value > max) throw new Error(`must be at most ${max}`);
+  return value;
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(item => item !== '');
+}
+
+/**
+ * Checksummed address. All-lowercase input is accepted; mixed case must
+ * carry a valid EIP-55 checksum.
+ */
+function parseAddress(value) {
+  try {
+    return ethers.getAddress(String(value).trim());
+  } catch (error) {
+    throw new Error(/checksum/i.test(error.message) ? 'address has a bad checksum' : 'must be a 0x-prefixed 20-byte address');
+  }
+}
+
+function parseUrl(value) {
+  const v = String(value).trim();
+  let url;
+  try {
+    url = new URL(v);
+  } catch (error) {
+    throw new Error('must be a URL');
+  }
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+    throw new Error('must be an http(s) or ws(s) URL');
+  }
+  return v;
+}
+
+function parseNumberField(value, label, range = {}) {
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(value)) throw new Error(`${label} "${value}" is not a number`);
+  try {
+    return checkRange(parseFloat(value), range);
+  } catch (error) {
+    throw new Error(`${label} "${value}" ${error.message}`);
+  }
+}
+
+// Bounds shared by the global settings and their per-pool overrides
+const STRATEGY_BOUNDS = {
+  rangeMultiplier: { above: 0 },
+  rebalanceThreshold: { min: 0 },
+  minSwapValueUsdc: { min: 0 },
+};
+
+/**
+ * Parse per-pool strategies.
+ * Format: gauge[:rangeMultiplier[:rebalanceThreshold[:minSwapValueUsdc]]], comma-separated.
+ * Empty fields fall back to the global settings.
+ */
+function parsePoolStrategies(value, defaults) {
+  return toList(value).map((entry) => {
+    const [gauge, rangeMultiplier, rebalanceThreshold, minSwapValueUsdc] = entry.split(':').map(f => f.trim());
+    let gaugeAddress;
+    try {
+      gaugeAddress = parseAddress(gauge);
+    } catch (error) {
+      throw new Error(`gauge "${gauge}": ${error.message}`);
+    }
+    return {
+      gaugeAddress,
+      rangeMultiplier: rangeMultiplier ? parseNumberField(rangeMultiplier, 'range multiplier', STRATEGY_BOUNDS.rangeMultiplier) : defaults.rangeMultiplier,
+      rebalanceThreshold: rebalanceThreshold ? parseNumberField(rebalanceThreshold, 'rebalance threshold', STRATEGY_BOUNDS.rebalanceThreshold) : defaults.rebalanceThreshold,
+      minSwapValueUsdc: minSwapValueUsdc ? parseNumberField(minSwapValueUsdc, 'min swap value', STRATEGY_BOUNDS.minSwapValueUsdc) : defaults.minSwapValueUsdc,
+    };
+  });
+}
+
+/**
+ * Parse one range-order pool.
+ * Format: gauge:mode, mode take_profit (sell token0 above price) or
+ * accumulate (buy token0 below price).
+ */
+function parseRangeOrder(entry) {
+  const [gauge, mode] = entry.split(':').map(f => (f || '').trim());
+  let gaugeAddress;
+  try {
+    gaugeAddress = parseAddress(gauge);
+  } catch (error) {
+    throw new Error(`gauge "${gauge}": ${error.message}`);
+  }
+  if (!['take_profit', 'accumulate'].includes(mode.toLowerCase())) {
+    throw new Error(`"${entry}": mode must be take_profit or accumulate`);
+  }
+  return { gaugeAddress, mode: mode.toLowerCase() };
+}
+
+/**
+ * Parse per-event notification severities.
+ * Format: event:severity, comma-separated; severity is info, warning, critical or off.
+ */
+function parseEventSeverities(value) {
+  return Object.fromEntries(toList(value).map((entry) => {
+    const [event, severity] = entry.split(':').map(f => (f || '').trim().toLowerCase());
+    if (!['info', 'warning', 'critical', 'off'].includes(severity)) {
+      throw new Error(`"${entry}": severity must be info, warning, critical or off`);
+    }
+    return [event, severity];
+  }));
+}
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNEL_SEVERITIES = ['', ...SEVERITIES];
+const port = { min: 1, max: 65535 };
+
+/**
+ * Build the config from a ConfigSource
+ */
+function buildConfig(env) {
+  const baseRpcUrl = env.url('BASE_RPC_URL', 'https://mainnet.base.org');
+
+  const config = {
+    // Wallet configuration
+    // key (PRIVATE_KEY), keystore (encrypted JSON keystore) or external (Clef-style JSON-RPC signer)
+    signerType: env.oneOf('SIGNER_TYPE', 'key', ['key', 'keystore', 'external']),
+    privateKey: env.string('PRIVATE_KEY'),
+    keystorePath: env.string('KEYSTORE_PATH'),
+    // Password file for the keystore; without one the password is prompted on the terminal
+    keystorePasswordFile: env.string('KEYSTORE_PASSWORD_FILE'),
+    externalSigner: {
+      url: env.url('EXTERNAL_SIGNER_URL', 'http://127.0.0.1:8550'),
+      // Account to sign with; defaults to the signer's first account
+      address: env.address('EXTERNAL_SIGNER_ADDRESS'),
+      // Clef waits for manual approval unless rules auto-approve, so allow time
+      timeoutMs: env.int('EXTERNAL_SIGNER_TIMEOUT_MS', 120000, { min: 1000 }),
+    },
+    // Local stand-in for an external signer (npm run stub-signer), for testing only
+    stubSigner: {
+      port: env.int('STUB_SIGNER_PORT', 8550, { min: 0, max: 65535 }),
+      privateKey: env.string('STUB_SIGNER_PRIVATE_KEY'),
+    },
+
+    // Network configuration
+    baseRpcUrl,
+    // Failover list, primary first (defaults to BASE_RPC_URL alone)
+    baseRpcUrls: env.list('BASE_RPC_URLS', [baseRpcUrl], parseUrl),
+    // Endpoints that must agree on slot0/positions/balance reads (1 = off)
+    rpcQuorum: env.int('RPC_QUORUM', 1, { min: 1 }),
+    rpcEndpointTimeoutMs: env.int('RPC_ENDPOINT_TIMEOUT_MS', 8000, { min: 100 }),
+    rpcCooldownMs: env.int('RPC_COOLDOWN_MS', 10000, { min: 0 }),
+
+    // Bot settings
+    checkInterval: env.int('CHECK_INTERVAL', 30000, { min: 1000 }),
+    slippageBps: env.int('SLIPPAGE_BPS', 300, { min: 0, max: 10000 }),
+    minSwapValueUsdc: env.number('MIN_SWAP_VALUE_USDC', 20, STRATEGY_BOUNDS.minSwapValueUsdc),
+    // In-range swap sizing: stop once post-swap balances are within this fraction
+    // of the post-swap optimal ratio, or after this many Quoter calls
+    swapSolverTolerance: env.number('SWAP_SOLVER_TOLERANCE', 0.001, { above: 0, max: 1 }),
+    swapSolverMaxIterations: env.int('SWAP_SOLVER_MAX_ITERATIONS', 8, { min: 1, max: 50 }),
+    gasStrategy: env.oneOf('GAS_STRATEGY', 'auto', ['auto', 'eip1559', 'legacy']),
+    maxGasPrice: env.number('MAX_GAS_PRICE', 100, { above: 0 }),
+    priorityFeeGwei: env.number('PRIORITY_FEE_GWEI', 0.001, { min: 0 }),
+    rpcCallTimeoutMs: env.int('RPC_CALL_TIMEOUT_MS', 30000, { min: 1000 }),
+    txWaitTimeoutMs: env.int('TX_WAIT_TIMEOUT_MS', 180000, { min: 1000 }),
+    // Stuck-transaction supervisor: speed up (same nonce, bumped fees) and
+    // optionally cancel transactions that stay pending
+    txSupervisorIntervalMs: env.int('TX_SUPERVISOR_INTERVAL_MS', 15000, { min: 1000 }),
+    txStuckAfterMs: env.int('TX_STUCK_AFTER_MS', 60000, { min: 1000 }),
+    txFeeBumpPercent: env.int('TX_FEE_BUMP_PERCENT', 25, { min: 1, max: 1000 }),
+    txMaxSpeedUps: env.int('TX_MAX_SPEED_UPS', 3, { min: 0, max: 20 }),
+    txAutoCancel: env.bool('TX_AUTO_CANCEL'),
+    autoRebalance: env.bool('AUTO_REBALANCE'),
+
+    // Dry-run mode: walk the full rebalance decision path but only simulate
+    // transactions (eth_call / staticCall) and log the resulting plan.
+    dryRun: env.bool('DRY_RUN'),
+
+    // Outbound notifications; a channel is enabled once its URL / credentials are set
+    notify: {
+      // info | warning | critical: lowest severity sent (per-channel overrides below)
+      minSeverity: env.oneOf('NOTIFY_MIN_SEVERITY', 'info', SEVERITIES),
+      eventSeverity: env.read('NOTIFY_EVENT_SEVERITY', {}, parseEventSeverities),
+      // Same event for the same position/wallet is sent at most once per window
+      dedupeMinutes: env.number('NOTIFY_DEDUPE_MINUTES', 30, { min: 0 }),
+      maxPerHour: env.int('NOTIFY_MAX_PER_HOUR', 20, { min: 1 }),
+      timeoutMs: env.int('NOTIFY_TIMEOUT_MS', 10000, { min: 100 }),
+      // Retries of a failed delivery (network error, HTTP 429 or 5xx); the delay doubles each time
+      retries: env.int('NOTIFY_RETRIES', 2, { min: 0, max: 10 }),
+      retryDelayMs: env.int('NOTIFY_RETRY_DELAY_MS', 1000, { min: 0 }),
+      webhook: {
+        url: env.url('NOTIFY_WEBHOOK_URL'),
+        minSeverity: env.oneOf('NOTIFY_WEBHOOK_MIN_SEVERITY', '', CHANNEL_SEVERITIES),
+      },
+      telegram: {
+        botToken: env.string('NOTIFY_TELEGRAM_BOT_TOKEN'),
+        chatId: env.string('NOTIFY_TELEGRAM_CHAT_ID'),
+        apiBaseUrl: env.url('NOTIFY_TELEGRAM_API_BASE_URL', 'https://api.telegram.org'),
+        minSeverity: env.oneOf('NOTIFY_TELEGRAM_MIN_SEVERITY', '', CHANNEL_SEVERITIES),
+      },
+      discord: {
+        webhookUrl: env.url('NOTIFY_DISCORD_WEBHOOK_URL'),
+        minSeverity: env.oneOf('NOTIFY_DISCORD_MIN_SEVERITY', '', CHANNEL_SEVERITIES),
+      },
+    },
+    // Warn (and notify) when the wallet's ETH falls below this
+    minGasBalanceEth: env.number('MIN_GAS_BALANCE_ETH', 0.002, { min: 0 }),
+
+    // Prometheus /metrics endpoint
+    metrics: {
+      enabled: env.bool('METRICS_ENABLED'),
+      host: env.string('METRICS_HOST', '127.0.0.1'),
+      port: env.int('METRICS_PORT', 9464, port),
+    },
+
+    // Authenticated HTTP control API (status, pause/resume, check-now, force-rebalance)
+    controlApi: {
+      enabled: env.bool('CONTROL_API_ENABLED'),
+      host: env.string('CONTROL_API_HOST', '127.0.0.1'),
+      port: env.int('CONTROL_API_PORT', 3002, port),
+      token: env.string('CONTROL_API_TOKEN'),
+    },
+
+    // Logging: console plus an optional JSON-lines file rotated daily and by size
+    log: {
+      level: env.oneOf('LOG_LEVEL', 'info', ['error', 'warn', 'info', 'debug']),
+      // text (colourised) or json
+      consoleFormat: env.oneOf('LOG_CONSOLE_FORMAT', 'text', ['text', 'json']),
+      // e.g. logs/bot.log -> logs/bot-YYYY-MM-DD.log; unset = no file
+      file: env.string('LOG_FILE'),
+      maxSizeMb: env.number('LOG_MAX_SIZE_MB', 20, { above: 0 }),
+      maxFiles: env.int('LOG_MAX_FILES', 14, { min: 1 }),
+    },
+
+    // Apply changed strategy settings from .env / CONFIG_FILE at the next check cycle
+    configHotReload: env.bool('CONFIG_HOT_RELOAD'),
+
+    // Per-cycle pool state (tick, sqrtPriceX96, liquidity, swap volume), one JSON-lines file per pool
+    priceHistory: {
+      enabled: env.bool('PRICE_HISTORY'),
+      dir: env.string('PRICE_HISTORY_DIR', path.join(__dirname, '..', 'data', 'price-history')),
+    },
+
+    // Journal file for in-flight rebalances (resumed on startup after a crash)
+    rebalanceJournalPath: env.string('REBALANCE_JOURNAL_PATH', path.join(__dirname, '..', 'data', 'rebalance-journal.json')),
+
+    // Range multiplier for rebalancing (0.5 = 15 ticks each side, 1 = 30 ticks each side)
+    rangeMultiplier: env.number('RANGE_MULTIPLIER', 2.6, STRATEGY_BOUNDS.rangeMultiplier),
+
+    // Range sizing: 'fixed' (RANGE_MULTIPLIER) or 'adaptive' (from realized volatility)
+    rangeMode: env.oneOf('RANGE_MODE', 'fixed', ['fixed', 'adaptive']),
+    volatilityWindowSeconds: env.int('VOLATILITY_WINDOW_SECONDS', 3600, { min: 60 }),
+    volatilitySamples: env.int('VOLATILITY_SAMPLES', 12, { min: 2 }),
+    targetTimeInRangeHours: env.number('TARGET_TIME_IN_RANGE_HOURS', 24, { above: 0 }),
+    minRangeHalfWidthTicks: env.int('MIN_RANGE_HALF_WIDTH_TICKS', 20, { min: 1 }),
+    maxRangeHalfWidthTicks: env.int('MAX_RANGE_HALF_WIDTH_TICKS', 2000, { min: 1 }),
+
+    // Range placement: 'centered', 'exit_bias' (toward the exit side) or 'trend' (short vs long TWAP)
+    rangePlacement: env.oneOf('RANGE_PLACEMENT', 'centered', ['centered', 'exit_bias', 'trend']),
+    // Fraction of the half-width the range centre is shifted by (0 - 0.9)
+    rangeSkew: env.number('RANGE_SKEW', 0.3, { min: 0, max: 0.9 }),
+    twapShortSeconds: env.int('TWAP_SHORT_SECONDS', 300, { min: 1 }),
+    twapLongSeconds: env.int('TWAP_LONG_SECONDS', 3600, { min: 1 }),
+    // TWAP trend (ticks) at which the full RANGE_SKEW is applied
+    trendFullSkewTicks: env.number('TREND_FULL_SKEW_TICKS', 60, { above: 0 }),
+    // Reuse the existing position's width on rebalance instead of RANGE_MULTIPLIER
+    keepRangeWidth: env.bool('KEEP_RANGE_WIDTH'),
+
+    // TWAP guard: 'off', 'refuse' (no withdraw/swap while spot is far from the TWAP)
+    // or 'recenter' (place the new range around the TWAP instead of spot)
+    twapGuardMode: env.oneOf('TWAP_GUARD_MODE', 'off', ['off', 'refuse', 'recenter']),
+    twapGuardSeconds: env.int('TWAP_GUARD_SECONDS', 600, { min: 1 }),
+    maxTwapDeviationTicks: env.int('MAX_TWAP_DEVIATION_TICKS', 50, { min: 0 }),
+
+    // Out-of-range threshold percentage to trigger rebalance
+    rebalanceThreshold: env.number('REBALANCE_THRESHOLD', 20, STRATEGY_BOUNDS.rebalanceThreshold),
+
+    // Hysteresis: a position must stay past the threshold for this many minutes
+    // and consecutive checks before it is rebalanced
+    rebalanceConfirmMinutes: env.number('REBALANCE_CONFIRM_MINUTES', 0, { min: 0 }),
+    rebalanceConfirmChecks: env.int('REBALANCE_CONFIRM_CHECKS', 1, { min: 1 }),
+    // Minimum time between rebalances in the same pool
+    rebalanceCooldownMinutes: env.number('REBALANCE_COOLDOWN_MINUTES', 0, { min: 0 }),
+    // Out-of-range timers and last-rebalance times (kept across restarts)
+    rebalanceStatePath: env.string('REBALANCE_STATE_PATH', path.join(__dirname, '..', 'data', 'rebalance-state.json')),
+
+    // Cost gate: only rebalance when projected emissions/fees over the horizon
+    // cover gas + swap loss times REBALANCE_MIN_GAIN_RATIO
+    costAwareRebalance: env.bool('COST_AWARE_REBALANCE'),
+    rebalanceHorizonHours: env.number('REBALANCE_HORIZON_HOURS', 24, { above: 0 }),
+    rebalanceMinGainRatio: env.number('REBALANCE_MIN_GAIN_RATIO', 1, { min: 0 }),
+
+    // Gauge reward (AERO) claiming and compounding
+    autoClaimRewards: env.bool('AUTO_CLAIM_REWARDS'),
+    claimInterval: env.int('CLAIM_INTERVAL', 21600000, { min: 60000 }),
+    minClaimValueUsd: env.number('MIN_CLAIM_VALUE_USD', 5, { min: 0 }),
+    autoCompound: env.bool('AUTO_COMPOUND'),
+    // Tick spacing of the Slipstream pools used to value and swap rewards (e.g. AERO/USDC)
+    rewardSwapTickSpacing: env.int('REWARD_SWAP_TICK_SPACING', 200, { min: 1 }),
+
+    // Add wallet balances of a pool's tokens to its in-range position with
+    // increaseLiquidity once they are worth TOP_UP_MIN_VALUE_USDC (token1 units)
+    autoTopUp: env.bool('AUTO_TOP_UP'),
+    topUpMinValueUsdc: env.number('TOP_UP_MIN_VALUE_USDC', 20, { min: 0 }),
+
+    // Range orders: pools (gauge:mode) whose positions are single-sided limit
+    // orders placed next to the current tick instead of ranges around it
+    rangeOrders: env.list('RANGE_ORDERS', [], parseRangeOrder),
+    // Order width and distance from the current tick, in tick spacings
+    rangeOrderWidth: env.int('RANGE_ORDER_WIDTH', 1, { min: 1 }),
+    rangeOrderOffset: env.int('RANGE_ORDER_OFFSET', 0, { min: 0 }),
+    // Share of the wallet's balance of the token being sold put into each order
+    rangeOrderSizePercent: env.number('RANGE_ORDER_SIZE_PERCENT', 100, { above: 0, max: 100 }),
+    // Orders placed per pool before the bot stops (0 = keep placing the next rung)
+    rangeOrderRungs: env.int('RANGE_ORDER_RUNGS', 1, { min: 0 }),
+    rangeOrderMinValueUsdc: env.number('RANGE_ORDER_MIN_VALUE_USDC', 20, { min: 0 }),
+    // Open orders and rungs placed per pool (kept across restarts)
+    rangeOrderStatePath: env.string('RANGE_ORDER_STATE_PATH', path.join(__dirname, '..', 'data', 'range-orders.json')),
+
+    // Swap routers quoted for every swap (best output net of gas wins):
+    // aerodrome (direct Slipstream pool), odos, kyber
+    swapRouters: env.list('SWAP_ROUTERS', ['aerodrome'], (router) => {
+      const r = router.toLowerCase();
+      if (!['aerodrome', 'odos', 'kyber'].includes(r)) {
+        throw new Error(`unknown router "${router}" (aerodrome, odos or kyber)`);
+      }
+      return r;
+    }),
+    swapQuoteTimeoutMs: env.int('SWAP_QUOTE_TIMEOUT_MS', 10000, { min: 100 }),
+
+    odos: {
+      apiBaseUrl: env.url('ODOS_API_BASE_URL', 'https://api.odos.xyz'),
+      // Routers the assembled transaction may target (Odos v2 router on Base)
+      allowedRouters: env.list('ODOS_ALLOWED_ROUTERS', ['0x19ceead7105607cd444f5ad10dd51356436095a1'],
+        a => parseAddress(a).toLowerCase()),
+    },
+
+    kyber: {
+      apiBaseUrl: env.url('KYBER_API_BASE_URL', 'https://aggregator-api.kyberswap.com'),
+      chain: env.string('KYBER_CHAIN', 'base'),
+      clientId: env.string('KYBER_CLIENT_ID', 'lp_rebalancer'),
+      source: env.string('KYBER_SOURCE', 'lp_rebalancer'),
+      includedSources: env.string('KYBER_INCLUDED_SOURCES'),
+      // Routers the built transaction may target (MetaAggregationRouterV2 on Base)
+      allowedRouters: env.list('KYBER_ALLOWED_ROUTERS', ['0x6131b5fae19ea4f9d964eac0408e4408b66337b5'],
+        a => parseAddress(a).toLowerCase()),
+    },
+
+    // Monitored positions (format: poolAddress:token0:token1:feeTier)
+    monitoredPositions: env.list('MONITORED_POSITIONS'),
+
+    // ============================================================
+    // AERODROME CONTRACTS - Base Mainnet
+    //
+    // IMPORTANT: Verify these addresses at:
+    // https://docs.aerodrome.finance/contracts
+    //
+    // These can be overridden via environment variables:
+    // - AERODROME_POSITION_MANAGER
+    // - AERODROME_UNIVERSAL_ROUTER
+    // - AERODROME_FACTORY
+    // - AERODROME_QUOTER
+    // ============================================================
+    aerodrome: {
+      // NonfungiblePositionManager - handles V3 LP positions (VERIFIED)
+      positionManager: env.address('AERODROME_POSITION_MANAGER', '0x827922686190790b37229fd06084350E74485b72'),
+
+      // Alternative PositionManager for specific pools (USER SPECIFIED)
+      altPositionManager: env.address('AERODROME_ALT_POSITION_MANAGER', '0xa990C6a764b73BF43cee5Bb40339c3322FB9D55F'),
+
+      // Universal Router - used for all token swaps (VERIFIED on Base)
+      // Supports CL (V3-style) and V2 AMM pools via execute(commands, inputs, deadline)
+      universalRouter: env.address('AERODROME_UNIVERSAL_ROUTER', '0x6Df1c91424F79E40E33B1A48F0687B666bE71075'),
+
+      // SlipStream Quoter - used to get on-chain price quotes before swapping (VERIFIED on Base)
+      quoter: env.address('AERODROME_QUOTER', '0x3d4C22254F86f64B7eC90ab8F7aeC1FBFD271c6C'),
+
+      // Factory - for finding pools (USER SPECIFIED)
+      factory: env.address('AERODROME_FACTORY', '0xaDe65c38CD4849aDBA595a4323a8C7DdfE89716a'),
+    },
+
+    // ============================================================
+    // COMMON TOKEN ADDRESSES - Base Mainnet
+    //
+    // Verify at: https://docs.base.org/tokens
+    // ============================================================
+    tokens: {
+      // WETH (Canonical on Base)
+      WETH: env.address('TOKEN_WETH', '0x4200000000000000000000000000000000000006'),
+
+      // USDC (Canonical on Base)
+      USDC: env.address('TOKEN_USDC', '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'),
+
+      // cbBTC (Coinbase Wrapped BTC on Base)
+      cbBTC: env.address('TOKEN_CBBTC', '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf'),
+
+      // DAI
+      DAI: env.address('TOKEN_DAI', '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb'),
+
+      // AERO (Aerodrome governance/rewards token)
+      AERO: env.address('TOKEN_AERO', '0x940181a94A35A4569e4529d1eD8d740276BD0900'),
+
+      // SOL
+      SOL: env.address('TOKEN_SOL', '0x311935cd80b76769bf2ecc9d8ab7635b2139cf82'),
+    },
+
+    // Staking gauge factories (used to find gauges for pools)
+    gaugeFactories: env.list('GAUGE_FACTORIES',
+      ['0x35f35cA5B132CaDf2916BaB57639128eAC5bbcb5', '0xD30677bd8dd15132F251Cb54CbDA552d2A05Fb08'], parseAddress),
+  };
+
+  // Managed pools, one strategy per gauge (the gauge determines the pool)
+  config.pools = env.read('POOL_STRATEGIES', parsePoolStrategies(DEFAULT_GAUGE, config),
+    value => parsePoolStrategies(value, config));
+
+  // Staking gauge addresses of the managed pools
+  config.gauges = config.pools.map(p => p.gaugeAddress);
+
+  return config;
+}
+
+/**
+ * Checks across settings. Returns { errors, warnings }.
+ */
+function checkConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  if (config.priorityFeeGwei > config.maxGasPrice) {
+    errors.push(`PRIORITY_FEE_GWEI (${config.priorityFeeGwei}) must not exceed MAX_GAS_PRICE (${config.maxGasPrice})`);
+  }
+  if (config.minRangeHalfWidthTicks > config.maxRangeHalfWidthTicks) {
+    errors.push(`MIN_RANGE_HALF_WIDTH_TICKS (${config.minRangeHalfWidthTicks}) must not exceed MAX_RANGE_HALF_WIDTH_TICKS (${config.maxRangeHalfWidthTicks})`);
+  }
+  if (config.rangePlacement === 'trend' && config.twapShortSeconds >= config.twapLongSeconds) {
+    errors.push(`TWAP_SHORT_SECONDS (${config.twapShortSeconds}) must be shorter than TWAP_LONG_SECONDS (${config.twapLongSeconds}) for RANGE_PLACEMENT=trend`);
+  }
+  if (config.rpcQuorum > config.baseRpcUrls.length) {
+    errors.push(`RPC_QUORUM (${config.rpcQuorum}) is more than the ${config.baseRpcUrls.length} endpoint(s) in BASE_RPC_URLS`);
+  }
+  if (config.swapRouters.length === 0) {
+    errors.push('SWAP_ROUTERS must name at least one router');
+  }
+  if (config.pools.length === 0) {
+    errors.push('POOL_STRATEGIES must name at least one gauge');
+  }
+  const gauges = config.gauges.map(g => g.toLowerCase());
+  const duplicate = gauges.find((g, i) => gauges.indexOf(g) !== i);
+  if (duplicate) {
+    errors.push(`POOL_STRATEGIES lists gauge ${config.gauges[gauges.indexOf(duplicate)]} more than once`);
+  }
+  const rangeOrderGauges = config.rangeOrders.map(o => o.gaugeAddress.toLowerCase());
+  const unmanaged = config.rangeOrders.find(o => !gauges.includes(o.gaugeAddress.toLowerCase()));
+  if (unmanaged) {
+    errors.push(`RANGE_ORDERS gauge ${unmanaged.gaugeAddress} is not in POOL_STRATEGIES`);
+  }
+  const duplicateOrder = rangeOrderGauges.find((g, i) => rangeOrderGauges.indexOf(g) !== i);
+  if (duplicateOrder) {
+    errors.push(`RANGE_ORDERS lists gauge ${config.rangeOrders[rangeOrderGauges.indexOf(duplicateOrder)].gaugeAddress} more than once`);
+  }
+  if (config.controlApi.enabled && !config.controlApi.token) {
+    errors.push('CONTROL_API_ENABLED=true requires CONTROL_API_TOKEN');
+  }
+  if (config.controlApi.enabled && config.metrics.enabled
+    && config.controlApi.port === config.metrics.port && config.controlApi.host === config.metrics.host) {
+    errors.push(`CONTROL_API_PORT and METRICS_PORT are both ${config.metrics.port} on ${config.metrics.host}`);
+  }
+  if (Boolean(config.notify.telegram.botToken) !== Boolean(config.notify.telegram.chatId)) {
+    errors.push('NOTIFY_TELEGRAM_BOT_TOKEN and NOTIFY_TELEGRAM_CHAT_ID must be set together');
+  }
+
+  if (config.autoCompound && !config.autoClaimRewards) {
+    warnings.push('AUTO_COMPOUND=true has no effect without AUTO_CLAIM_REWARDS=true');
+  }
+  if (config.rangeOrders.length > 0 && config.autoTopUp) {
+    warnings.push('AUTO_TOP_UP=true does not apply to RANGE_ORDERS pools; their wallet balances fund the next order');
+  }
+  if (config.txStuckAfterMs >= config.txWaitTimeoutMs) {
+    warnings.push(`TX_STUCK_AFTER_MS (${config.txStuckAfterMs}) is not below TX_WAIT_TIMEOUT_MS (${config.txWaitTimeoutMs}); stuck transactions fail their step before they are sped up`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Load the config from the environment and CONFIG_FILE.
+ * @returns {Object} - { config, errors, warnings, settings, filePath }
+ */
+function loadConfig({ env = process.env } = {}) {
+  const filePath = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : '';
+  let file = null;
+  const fileErrors = [];
+
+  if (filePath) {
+    try {
+      file = readConfigFile(filePath);
+    } catch (error) {
+      fileErrors.push(`CONFIG_FILE ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+
+  const source = new ConfigSource({ env, file, filePath });
+  const config = buildConfig(source);
+  const { errors, warnings } = checkConfig(config);
+
+  // Unknown names in the file are typos, not other programs' variables
+  for (const name of Object.keys(file || {})) {
+    if (!source.settings.has(name)) {
+      fileErrors.push(`${name}: unknown setting in ${filePath}`);
+    }
+  }
+
+  return {
+    config,
+    errors: [...fileErrors, ...source.problems, ...errors],
+    warnings,
+    settings: source.settings,
+    filePath,
+  };
+}
+
+function formatConfigErrors(errors) {
+  return `Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`;
+}
+
+function formatSettingValue({ value, secret }) {
+  if (secret) return value ? '[redacted]' : '(unset)';
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'object' ? Object.values(v).join(':') : formatSettingValue({ value: v }))).join(', ') || '(none)';
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([k, v]) => `${k}:${v}`).join(', ') || '(none)';
+  }
+  if (value === '') return '(unset)';
+  if (typeof value === 'string' && /^(https?|wss?):\/\//.test(value)) return redactUrl(value);
+  return String(value);
+}
+
+/**
+ * Effective settings as report lines: NAME  value  [source]; secrets redacted
+ */
+function formatConfigReport({ settings, filePath }) {
+  const entries = [...settings.entries()];
+  const width = Math.max(...entries.map(([name]) => name.length));
+  const counts = { env: 0, file: 0, default: 0 };
+  entries.forEach(([, s]) => { counts[s.source] += 1; });
+
+  return [
+    `Effective configuration: ${counts.env} from environment, ${counts.file} from ${filePath || 'config file (none)'}, ${counts.default} defaults`,
+    ...entries.map(([name, setting]) => `  ${name.padEnd(width)}  ${formatSettingValue(setting)}${setting.source === 'default' ? '' : `  [${setting.source}]`}`),
+  ];
+}
+
+module.exports = {
+  ConfigSource,
+  loadConfig,
+  checkConfig,
+  formatConfigErrors,
+  formatConfigReport,
+  formatSettingValue,
+  parseYaml,
+  redactConfig,
+  redactUrl,
+};
@@ -0,0 +1,225 @@
+const http = require('http');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const { redactConfig } = require('./configSchema');
+
+// Largest request body accepted (JSON commands are tiny)
+const MAX_BODY_BYTES = 16 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Authenticated HTTP control API for the running bot.
+ *
+ * Every request needs `Authorization: Bearer <CONTROL_API_TOKEN>`. Commands
+ * that start work (check-now, force-rebalance, top-up, decrease-liquidity)
+ * answer 202 and run in the background; their outcome shows up in GET /status.
+ *
+ *   GET  /status           positions, last cycle, pending rebalance, in-flight txs
+ *   GET  /config           effective config, secrets redacted
+ *   POST /pause            skip scheduled check cycles
+ *   POST /resume           resume scheduled check cycles
+ *   POST /check-now        run a check cycle immediately
+ *   POST /force-rebalance  { "tokenId": "123" } rebalance one position now
+ *   POST /top-up           { "tokenId": "123" } add wallet balances to the position
+ *   POST /decrease-liquidity { "tokenId": "123", "percent": 25 } withdraw part, keep the NFT
+ */
+class ControlApi {
+  constructor(bot) {
+    this.bot = bot;
+    this.server = null;
+    this.routes = {
+      'GET /status': () => this.bot.getStatus(),
+      'GET /config': () => redactConfig(config),
+      'POST /pause': () => this.pause(),
+      'POST /resume': () => this.resume(),
+      'POST /check-now': () => this.checkNow(),
+      'POST /force-rebalance': (body) => this.forceRebalance(body),
+      'POST /top-up': (body) => this.topUp(body),
+      'POST /decrease-liquidity': (body) => this.decreaseLiquidity(body),
+    };
+  }
+
+  start() {
+    if (!config.controlApi.token) {
+      throw new Error('CONTROL_API_ENABLED=true requires CONTROL_API_TOKEN');
+    }
+    this.tokenHash = sha256(config.controlApi.token);
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        logger.error(`Control API error: ${error.message}`);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(config.controlApi.port, config.controlApi.host, () => {
+        const { address, port } = this.server.address();
+        logger.info(`Control API listening on http://${address}:${port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  async handle(req, res) {
+    let status = 200;
+    let payload;
+
+    try {
+      if (!this.isAuthorized(req)) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const route = this.routes[`${req.method} ${pathname.replace(/\/+$/, '') || '/'}`];
+      if (!route) {
+        const known = Object.keys(this.routes).some(r => r.endsWith(` ${pathname}`));
+        throw new HttpError(known ? 405 : 404, known ? 'Method not allowed' : 'Not found');
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : null;
+      const result = await route(body);
+      status = result?.accepted ? 202 : 200;
+      payload = result;
+
+      if (req.method === 'POST') {
+        logger.info(`Control API: ${req.method} ${pathname} from ${req.socket.remoteAddress}`);
+      }
+    } catch (error) {
+      status = error.status || 500;
+      payload = { error: error.message };
+      if (status >= 500) {
+        logger.error(`Control API ${req.method} ${req.url} failed: ${error.message}`);
+      }
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (status === 413) {
+      // The rest of the oversize body is not worth reading on a kept-alive connection
+      headers.Connection = 'close';
+    }
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(payload, (k, v) => (typeof v === 'bigint' ? v.toString() : v), 2));
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    // Compare digests so the comparison time does not depend on the token
+    return crypto.timingSafeEqual(sha256(match[1].trim()), this.tokenHash);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          // Discard the rest instead of destroying the socket, so the 413 still reaches the client
+          req.removeAllListeners('data');
+          req.resume();
+          reject(new HttpError(413, 'Request body too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        if (!body.trim()) return resolve({});
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new HttpError(400, 'Request body is not valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  pause() {
+    this.bot.pause();
+    return { paused: true };
+  }
+
+  resume() {
+    this.bot.resume();
+    return { paused: false };
+  }
+
+  checkNow() {
+    if (this.bot.isPaused) {
+      throw new HttpError(409, 'Bot is paused; resume it first');
+    }
+    if (this.bot.isCheckInProgress) {
+      throw new HttpError(409, 'A check cycle is already running');
+    }
+    this.bot.checkNow();
+    return { accepted: true };
+  }
+
+  /**
+   * Token ID from a command body, once no cycle, rebalance or pending rebalance
+   * is in the way and the position is not a range order
+   */
+  positionCommand(body, usage = '{ "tokenId": "<position id>" }') {
+    const tokenId = body?.tokenId != null ? String(body.tokenId) : '';
+    if (!/^\d+$/.test(tokenId)) {
+      throw new HttpError(400, `Body must be ${usage}`);
+    }
+    if (this.bot.isCheckInProgress) {
+      throw new HttpError(409, 'A check cycle or rebalance is already running; retry when it finishes');
+    }
+    if (this.bot.rebalancer.hasPendingRebalance()) {
+      throw new HttpError(409, 'An interrupted rebalance is pending; it is resumed on the next check cycle');
+    }
+    if (this.bot.rangeOrders?.isOrder(tokenId)) {
+      throw new HttpError(409, `Position #${tokenId} is an open range order; it is withdrawn automatically once filled`);
+    }
+    return tokenId;
+  }
+
+  forceRebalance(body) {
+    const tokenId = this.positionCommand(body);
+    this.bot.startForcedRebalance(tokenId);
+    return { accepted: true, tokenId };
+  }
+
+  topUp(body) {
+    const tokenId = this.positionCommand(body);
+    this.bot.startLiquidityChange(tokenId, { action: 'top_up' });
+    return { accepted: true, tokenId };
+  }
+
+  decreaseLiquidity(body) {
+    const usage = '{ "tokenId": "<position id>", "percent": <0-100> }';
+    const percent = Number(body?.percent);
+    if (!(percent > 0 && percent <= 100)) {
+      throw new HttpError(400, `Body must be ${usage}`);
+    }
+    const tokenId = this.positionCommand(body, usage);
+    this.bot.startLiquidityChange(tokenId, { action: 'decrease', percent });
+    return { accepted: true, tokenId, percent };
+  }
+}
+
+module.exports = { ControlApi };
@@ -0,0 +1,291 @@
+const { ethers, Contract } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+const {
+  sqrtPriceX96ToSqrtPrice,
+  getAmountsForLiquidity,
+  toRawBigInt,
+} = require('./liquidityMath');
+
+// Typical L2 execution gas per rebalance step on Base, for the steps that
+// cannot be estimated before the earlier ones have run
+const STEP_GAS = {
+  unstake: 180000n,
+  withdraw: 260000n,
+  approvals: 120000n,
+  mint: 500000n,
+  stake: 260000n,
+};
+// Universal Router + Permit2 overhead on top of the Quoter's pool gas estimate
+const SWAP_ROUTER_GAS = 80000n;
+
+// Liquidity unit used to derive the new range's token split
+const UNIT_LIQUIDITY = 1e18;
+
+const POOL_COST_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, bool)',
+  'function stakedLiquidity() view returns (uint128)',
+  'function feeGrowthGlobal0X128() view returns (uint256)',
+  'function feeGrowthGlobal1X128() view returns (uint256)',
+];
+
+const GAUGE_UNSTAKE_ABI = ['function withdraw(uint256)'];
+
+const GAUGE_EMISSIONS_ABI = [
+  'function rewardRate() view returns (uint256)',
+  'function rewardToken() view returns (address)',
+];
+
+/**
+ * Rebalance cost model.
+ *
+ * Estimates what a rebalance costs (gas for every step plus the swap's loss
+ * against the mid price, from a Quoter dry quote) and what the new position
+ * is projected to earn over REBALANCE_HORIZON_HOURS: gauge emissions for
+ * staked positions, trading fees for unstaked ones. All values are in USD.
+ */
+class RebalanceCostModel {
+  constructor(web3Manager, rebalancer, rewards) {
+    this.web3 = web3Manager;
+    this.rebalancer = rebalancer;
+    this.rewards = rewards;
+    this.feeGrowthSamples = new Map(); // pool -> { first, latest }, each { at, growth0, growth1 }
+  }
+
+  /**
+   * Estimate cost and projected earnings of rebalancing a position into newRange
+   * @param {Object} position - Position from PositionMonitor.checkAllPositions
+   * @param {Object} newRange - { tickLower, tickUpper }
+   * @param {Object} strategy - Pool strategy (minSwapValueUsdc)
+   * @returns {Object} - { worthIt, costUsd, gainUsd, gasCostUsd, swapLossUsd, priceImpactBps, ... }
+   */
+  async evaluate(position, newRange, strategy = {}) {
+    const { poolAddress, token0, token1 } = position;
+    const pool = new Contract(poolAddress, POOL_COST_ABI, this.web3.wallet);
+
+    const [slot0, stakedLiquidity, token0Info, token1Info] = await Promise.all([
+      pool.slot0(),
+      pool.stakedLiquidity().catch(() => 0n),
+      this.web3.getToken(token0),
+      this.web3.getToken(token1)
+    ]);
+    const decimals0 = Number(token0Info.decimals);
+    const decimals1 = Number(token1Info.decimals);
+
+    const sqrtPrice = sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96);
+    const price = sqrtPrice * sqrtPrice; // token1 per token0, raw units
+    const prices = await this.getPoolUsdPrices(token0, token1, price, decimals0, decimals1);
+
+    // What the withdraw returns (uncollected fees ignored)
+    const withdrawn = getAmountsForLiquidity(
+      sqrtPrice, Number(position.tickLower), Number(position.tickUpper), position.liquidity
+    );
+    const totalValue1 = withdrawn.amount0 * price + withdrawn.amount1;
+
+    // Token split of the new range, per unit of liquidity
+    const unit = getAmountsForLiquidity(sqrtPrice, newRange.tickLower, newRange.tickUpper, UNIT_LIQUIDITY);
+    const unitValue1 = unit.amount0 * price + unit.amount1;
+    const newLiquidity = unitValue1 > 0 ? (totalValue1 / unitValue1) * UNIT_LIQUIDITY : 0;
+
+    const swap = await this.estimateSwap(position, withdrawn, {
+      price, totalValue1, unit, unitValue1, prices, decimals0, decimals1
+    }, strategy);
+
+    // Gas for every step of the rebalance
+    const staked = Boolean(position.gaugeAddress);
+    const stepGas = await this.estimateStepGas(position);
+    let gasUnits = stepGas.withdraw + stepGas.approvals + stepGas.mint + swap.gasUnits;
+    if (position.isStaked) gasUnits += stepGas.unstake;
+    if (staked) gasUnits += stepGas.stake;
+
+    const feeData = await this.web3.provider.getFeeData();
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const ethUsd = await this.getUsdPrice(config.tokens.WETH);
+    const gasCostUsd = Number(ethers.formatEther(gasUnits * gasPrice)) * ethUsd;
+
+    // Projected earnings over the horizon
+    const horizonSeconds = config.rebalanceHorizonHours * 3600;
+    const gainUsd = staked
+      ? await this.projectEmissionsUsd(position.gaugeAddress, newLiquidity, stakedLiquidity, horizonSeconds)
+      : this.projectFeesUsd(poolAddress, this.getFeeGrowthRate(poolAddress), newLiquidity, horizonSeconds, prices, decimals0, decimals1);
+
+    const costUsd = gasCostUsd + swap.lossUsd;
+
+    return {
+      // Unknown earnings defer the rebalance until the fee rate has been measured
+      worthIt: gainUsd !== null && gainUsd >= costUsd * config.rebalanceMinGainRatio,
+      costUsd,
+      gainUsd,
+      gasUnits,
+      gasEstimated: stepGas.estimated,
+      gasCostUsd,
+      swapLossUsd: swap.lossUsd,
+      priceImpactBps: swap.priceImpactBps,
+      positionValueUsd: (totalValue1 / 10 ** decimals1) * prices.usd1,
+      source: staked ? 'emissions' : 'fees'
+    };
+  }
+
+  /**
+   * Quote the swap the rebalance would make to reach the new range's ratio.
+   * Loss is the quoted output's shortfall against the mid price (fee + impact).
+   */
+  async estimateSwap(position, withdrawn, market, strategy) {
+    const { token0, token1 } = position;
+    const { price, totalValue1, unit, unitValue1, prices, decimals0, decimals1 } = market;
+
+    const target0Value1 = unitValue1 > 0 ? totalValue1 * (unit.amount0 * price) / unitValue1 : 0;
+    const excess0Value1 = withdrawn.amount0 * price - target0Value1;
+
+    // Same threshold the rebalance itself uses to skip small swaps
+    const minSwapValueUsdc = Number(strategy.minSwapValueUsdc ?? config.minSwapValueUsdc);
+    if (Math.abs(excess0Value1) / 10 ** decimals1 <= minSwapValueUsdc) {
+      return { gasUnits: 0n, lossUsd: 0, priceImpactBps: 0 };
+    }
+
+    const zeroForOne = excess0Value1 > 0;
+    const amountIn = zeroForOne ? excess0Value1 / price : -excess0Value1;
+    const quote = await this.rebalancer.quoteSwap(
+      zeroForOne ? token0 : token1,
+      zeroForOne ? token1 : token0,
+      toRawBigInt(amountIn),
+      Number(position.tickSpacing)
+    );
+
+    const midOut = zeroForOne ? amountIn * price : amountIn / price;
+    const lossRaw = Math.max(0, midOut - Number(quote.amountOut));
+    const lossUsd = zeroForOne
+      ? (lossRaw / 10 ** decimals1) * prices.usd1
+      : (lossRaw / 10 ** decimals0) * prices.usd0;
+
+    const sqrtPriceAfter = sqrtPriceX96ToSqrtPrice(quote.sqrtPriceX96After);
+    const priceImpactBps = Math.abs((sqrtPriceAfter * sqrtPriceAfter) / price - 1) * 10000;
+
+    return { gasUnits: BigInt(quote.gasEstimate) + SWAP_ROUTER_GAS, lossUsd, priceImpactBps };
+  }
+
+  /**
+   * Gas of each rebalance step. The first transaction the rebalance sends
+   * (unstake for a staked position, otherwise the withdraw multicall) is
+   * estimated against the chain; the rest depend on it and use STEP_GAS.
+   * @returns {Object} - STEP_GAS keys plus `estimated` (the step that was estimated, or null)
+   */
+  async estimateStepGas(position) {
+    const { tokenId, gaugeAddress, isStaked, liquidity } = position;
+    const steps = { ...STEP_GAS, estimated: null };
+
+    try {
+      if (isStaked && gaugeAddress) {
+        const gauge = new Contract(gaugeAddress, GAUGE_UNSTAKE_ABI, this.web3.wallet);
+        steps.unstake = await gauge.withdraw.estimateGas(tokenId);
+        steps.estimated = 'unstake';
+      } else {
+        const { pm, calls } = this.rebalancer.buildWithdrawCalls(tokenId, liquidity);
+        steps.withdraw = await pm.multicall.estimateGas(calls);
+        steps.estimated = 'withdraw';
+      }
+    } catch (error) {
+      logger.debug(`Gas estimate for position #${tokenId} failed (${error.message}); using typical step gas`);
+    }
+    return steps;
+  }
+
+  /**
+   * Gauge emissions the new position would earn, pro rata to staked liquidity
+   */
+  async projectEmissionsUsd(gaugeAddress, newLiquidity, stakedLiquidity, horizonSeconds) {
+    const gauge = new Contract(gaugeAddress, GAUGE_EMISSIONS_ABI, this.web3.wallet);
+    const [rewardRate, rewardToken] = await Promise.all([
+      gauge.rewardRate(),
+      gauge.rewardToken().catch(() => config.tokens.AERO)
+    ]);
+
+    const share = newLiquidity / (Number(stakedLiquidity) + newLiquidity);
+    const rewards = toRawBigInt(Number(rewardRate) * horizonSeconds * share);
+    if (rewards === 0n) return 0;
+
+    return this.rewards.quoteRewardValueUsd(rewardToken, rewards);
+  }
+
+  /**
+   * Trading fees the new position would earn at the pool's observed fee growth
+   * rate, or null until the pool has been sampled on two checks.
+   */
+  projectFeesUsd(poolAddress, rate, newLiquidity, horizonSeconds, prices, decimals0, decimals1) {
+    if (!rate) {
+      logger.info(`Fee rate for pool ${poolAddress} not sampled yet; projected fees unknown`);
+      return null;
+    }
+
+    const fees0 = newLiquidity * rate.perSecond0 * horizonSeconds;
+    const fees1 = newLiquidity * rate.perSecond1 * horizonSeconds;
+    return (fees0 / 10 ** decimals0) * prices.usd0 + (fees1 / 10 ** decimals1) * prices.usd1;
+  }
+
+  /**
+   * Record the pool's fee growth. Called on every check, so the rate is known
+   * by the time a position of the pool needs rebalancing. The measuring
+   * window restarts from the latest sample once it spans the horizon.
+   */
+  async sampleFeeGrowth(poolAddress) {
+    const pool = new Contract(poolAddress, POOL_COST_ABI, this.web3.wallet);
+    const [growth0, growth1] = await Promise.all([pool.feeGrowthGlobal0X128(), pool.feeGrowthGlobal1X128()]);
+    const sample = { at: Date.now(), growth0, growth1 };
+
+    const key = poolAddress.toLowerCase();
+    const window = this.feeGrowthSamples.get(key);
+    if (!window) {
+      this.feeGrowthSamples.set(key, { first: sample, latest: sample });
+    } else if (sample.at - window.first.at > config.rebalanceHorizonHours * 3600000) {
+      this.feeGrowthSamples.set(key, { first: window.latest, latest: sample });
+    } else {
+      window.latest = sample;
+    }
+  }
+
+  /**
+   * Fee growth per unit of liquidity per second over the sampled window,
+   * or null until the pool has two samples
+   */
+  getFeeGrowthRate(poolAddress) {
+    const window = this.feeGrowthSamples.get(poolAddress.toLowerCase());
+    if (!window || window.latest.at === window.first.at) return null;
+
+    const seconds = (window.latest.at - window.first.at) / 1000;
+    const q128 = 2 ** 128;
+    return {
+      perSecond0: Number(window.latest.growth0 - window.first.growth0) / q128 / seconds,
+      perSecond1: Number(window.latest.growth1 - window.first.growth1) / q128 / seconds
+    };
+  }
+
+  /**
+   * USD prices of one whole token0 and token1, using the pool price so at
+   * most one token needs an external quote
+   */
+  async getPoolUsdPrices(token0, token1, price, decimals0, decimals1) {
+    const humanPrice = price * 10 ** (decimals0 - decimals1); // token1 per token0
+
+    if (token0.toLowerCase() === config.tokens.USDC.toLowerCase()) {
+      return { usd0: 1, usd1: 1 / humanPrice };
+    }
+
+    const usd1 = await this.getUsdPrice(token1);
+    return { usd0: usd1 * humanPrice, usd1 };
+  }
+
+  /**
+   * USD price of one whole token, quoted against USDC in the deepest
+   * Slipstream pool found on the factory
+   */
+  async getUsdPrice(token) {
+    const usdc = config.tokens.USDC;
+    if (token.toLowerCase() === usdc.toLowerCase()) return 1;
+
+    const { decimals } = await this.web3.getToken(token);
+    const quote = await this.rebalancer.quoteViaDeepestPool(token, usdc, 10n ** BigInt(decimals));
+    return Number(ethers.formatUnits(quote.amountOut, 6));
+  }
+}
+
+module.exports = { RebalanceCostModel };
@@ -0,0 +1,118 @@
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { readJsonFile, writeJsonAtomic } = require('./journal');
+
+/**
+ * Rebalance hysteresis.
+ *
+ * Tracks how long each position has met the rebalance threshold (wall-clock
+ * time and consecutive checks) and when each pool last rebalanced, so a
+ * brief wick does not trigger a burn/swap/mint cycle. State is written to
+ * disk after every change so timers survive restarts.
+ *
+ * Without a file path the timers live in memory only; `now` replaces the
+ * wall clock (the backtester runs them on simulated time).
+ */
+class RebalanceHysteresis {
+  constructor(filePath, { now = Date.now } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.now = now;
+    this.positions = {};
+    this.lastRebalanceAt = {};
+  }
+
+  /**
+   * Restore timers from disk
+   */
+  load() {
+    if (!this.filePath) return;
+    const state = readJsonFile(this.filePath, 'Rebalance state');
+    if (!state) return;
+
+    this.positions = state.positions || {};
+    this.lastRebalanceAt = state.lastRebalanceAt || {};
+
+    const tracked = Object.keys(this.positions).length;
+    if (tracked > 0) {
+      logger.info(`Restored out-of-range timers for ${tracked} position(s)`);
+    }
+  }
+
+  save() {
+    // Dry-run never rebalances for real, so its timers must not leak into a live run
+    if (config.dryRun || !this.filePath) return;
+
+    try {
+      writeJsonAtomic(this.filePath, { positions: this.positions, lastRebalanceAt: this.lastRebalanceAt });
+    } catch (error) {
+      logger.error(`Failed to persist rebalance state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update timers from one check of a pool. Candidates (positions meeting the
+   * threshold) start or extend their timer; every other position of the pool
+   * is reset, including positions that no longer exist.
+   * @param {string} poolAddress - Pool address
+   * @param {Array} candidates - Positions meeting the rebalance threshold this check
+   */
+  observe(poolAddress, candidates) {
+    const pool = poolAddress.toLowerCase();
+    const now = this.now();
+    const candidateIds = new Set(candidates.map(p => p.tokenId.toString()));
+
+    for (const [tokenId, entry] of Object.entries(this.positions)) {
+      if (entry.pool === pool && !candidateIds.has(tokenId)) {
+        delete this.positions[tokenId];
+      }
+    }
+
+    for (const tokenId of candidateIds) {
+      const entry = this.positions[tokenId];
+      if (entry) {
+        entry.checks += 1;
+      } else {
+        this.positions[tokenId] = { pool, since: now, checks: 1 };
+      }
+    }
+
+    this.save();
+  }
+
+  /**
+   * Whether a position has been past the threshold long enough.
+   * Both REBALANCE_CONFIRM_MINUTES and REBALANCE_CONFIRM_CHECKS must hold when set.
+   * @returns {Object} - { confirmed, minutes, checks }
+   */
+  getStatus(tokenId) {
+    const entry = this.positions[tokenId.toString()];
+    if (!entry) return { confirmed: false, minutes: 0, checks: 0 };
+
+    const minutes = (this.now() - entry.since) / 60000;
+    const confirmed = minutes >= config.rebalanceConfirmMinutes && entry.checks >= config.rebalanceConfirmChecks;
+
+    return { confirmed, minutes, checks: entry.checks };
+  }
+
+  /**
+   * Milliseconds left of the pool's post-rebalance cooldown (0 when none)
+   */
+  getCooldownRemaining(poolAddress) {
+    const last = this.lastRebalanceAt[poolAddress.toLowerCase()];
+    if (!last) return 0;
+
+    return Math.max(0, last + config.rebalanceCooldownMinutes * 60000 - this.now());
+  }
+
+  /**
+   * Start the pool's cooldown and drop the rebalanced position's timer
+   */
+  recordRebalance(poolAddress, tokenId) {
+    this.lastRebalanceAt[poolAddress.toLowerCase()] = this.now();
+    delete this.positions[tokenId.toString()];
+    this.save();
+  }
+}
+
+module.exports = { RebalanceHysteresis };
@@ -1,9 +1,21 @@
 const { ethers, Contract } = require('ethers');
 const config = require('./config');
 const logger = require('./logger');
+const { newCorrelationId, withLogContext } = logger;
 const { Web3Manager } = require('./web3');
 const { PositionMonitor } = require('./monitor');
 const { Rebalancer } = require('./rebalancer');
+const { RewardManager } = require('./rewards');
+const { RebalanceHysteresis } = require('./hysteresis');
+const { RebalanceCostModel } = require('./costModel');
+const { PriceHistoryRecorder, PriceHistoryStore } = require('./priceHistory');
+const { RangeOrderManager } = require('./rangeOrders');
+const { getSignerConfigError } = require('./signer');
+const { loadConfig, formatConfigReport } = require('./configSchema');
+const { ConfigReloader } = require('./configReloader');
+const { ControlApi } = require('./controlApi');
+const { notifier } = require('./notifier');
+const metrics = require('./metrics');
 
 // Delay helper
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -13,10 +25,23 @@ class AerodromeAutoBalancer {
     this.web3 = null;
     this.monitor = null;
     this.rebalancer = null;
+    this.rewards = null;
+    this.hysteresis = null;
+    this.costModel = null;
+    this.priceHistory = null;
+    this.rangeOrders = null;
     this.isRunning = false;
     this.checkInterval = null;
     this.isCheckInProgress = false;
-    this.poolInfo = null; // Store pool info for the configured gauge
+    this.isPaused = false;
+    this.pools = []; // Pool info + strategy for each configured gauge
+    this.controlApi = null;
+    this.metricsServer = null;
+    this.configReloader = null;
+    this.lastCycle = null; // Outcome of the latest check cycle (control API status)
+    this.lastPositions = null; // { at, positions } from the latest check
+    this.lastForcedRebalance = null;
+    this.lastLiquidityChange = null;
   }
 
   getPriceFromTickAdjusted(currentTick, decimals0, decimals1) {
@@ -30,9 +55,15 @@ class AerodromeAutoBalancer {
     logger.info('Aerodrome Auto-Balancer Starting...');
     logger.info('='.repeat(50));
     
+    // config.js already refused to load on errors; report what it loaded
+    const loaded = loadConfig();
+    formatConfigReport(loaded).forEach(line => logger.info(line));
+    loaded.warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+    
     // Validate configuration
-    if (!config.privateKey) {
-      logger.error('PRIVATE_KEY not configured. Please copy .env.example to .env and add your private key.');
+    const signerConfigError = getSignerConfigError();
+    if (signerConfigError) {
+      logger.error(signerConfigError);
       process.exit(1);
     }
     
@@ -44,32 +75,77 @@ class AerodromeAutoBalancer {
       // Initialize components
       this.monitor = new PositionMonitor(this.web3);
       this.rebalancer = new Rebalancer(this.web3);
+      this.rewards = new RewardManager(this.web3, this.rebalancer);
+      this.hysteresis = new RebalanceHysteresis(config.rebalanceStatePath);
+      this.hysteresis.load();
+      this.rangeOrders = new RangeOrderManager(this.web3, this.rebalancer, config.rangeOrderStatePath);
+      this.rangeOrders.load();
+      this.costModel = new RebalanceCostModel(this.web3, this.rebalancer, this.rewards);
       
       const walletAddress = this.web3.wallet.address;
       logger.info(`Monitoring wallet: ${walletAddress}`);
       
-      // Get pool info from configured gauge
-      await this.initializePoolInfo();
+      // Get pool info for every configured gauge
+      await this.initializePools();
+      if (config.priceHistory.enabled) {
+        this.priceHistory = new PriceHistoryRecorder(this.web3.provider, new PriceHistoryStore(config.priceHistory.dir));
+        logger.info(`Recording pool price history to ${config.priceHistory.dir}`);
+      }
+      
+      // Finish any rebalance interrupted by a crash or restart
+      if (this.rebalancer.loadPendingRebalance()) {
+        await this.resumePendingRebalance();
+      }
+      
+      // Track range orders minted just before a crash or restart
+      await this.rangeOrders.resumePending(pool => this.getPoolLabel(pool));
       
       // Check initial positions
       logger.info('Checking initial positions...');
       const positions = await this.monitor.checkAllPositions(walletAddress);
       
-      if (positions.length === 0) {
-        logger.info('No LP positions found.');
-        
-        // Check if we have tokens in wallet that need to be deposited
-        if (this.poolInfo) {
-          await this.checkAndCreatePositionFromWallet();
+      logger.info(`Found ${positions.length} LP position(s)`);
+      
+      // Check if we have tokens in wallet that need to be deposited into empty pools
+      for (const poolInfo of this.pools) {
+        const hasPosition = positions.some(p => p.poolAddress.toLowerCase() === poolInfo.address.toLowerCase());
+        if (!hasPosition) {
+          logger.info(`[${poolInfo.label}] No LP positions found.`);
+          // Range-order pools get single-sided orders from the check cycle, never a two-sided position
+          if (this.rangeOrders.getMode(poolInfo)) {
+            logger.info(`[${poolInfo.label}] Range-order pool; the first order is placed on the next check cycle.`);
+            continue;
+          }
+          await this.checkAndCreatePositionFromWallet(poolInfo);
         }
-      } else {
-        logger.info(`Found ${positions.length} LP position(s)`);
       }
       
       // Start monitoring loop (single-flight: next cycle is scheduled only after current cycle completes)
       this.isRunning = true;
       logger.info(`Bot started. Checking positions every ${config.checkInterval / 1000} seconds.`);
       logger.info(`Auto-rebalancing: ${config.autoRebalance ? 'ENABLED' : 'DISABLED'}`);
+      logger.info(`Cost-aware rebalancing: ${config.costAwareRebalance ? `ENABLED (${config.rebalanceHorizonHours}h horizon, ${config.rebalanceMinGainRatio}x cost)` : 'DISABLED'}`);
+      if (config.twapGuardMode !== 'off') {
+        logger.info(`TWAP guard: ${config.twapGuardMode} (max ${config.maxTwapDeviationTicks} ticks from ${config.twapGuardSeconds}s TWAP)`);
+      }
+      logger.info(`Rebalance confirmation: ${config.rebalanceConfirmChecks} check(s) / ${config.rebalanceConfirmMinutes} min, cooldown ${config.rebalanceCooldownMinutes} min`);
+      logger.info(`Reward claiming: ${config.autoClaimRewards ? `ENABLED (compounding ${config.autoCompound ? 'on' : 'off'})` : 'DISABLED'}`);
+      if (config.dryRun) {
+        logger.warn('DRY RUN mode: rebalances are simulated and logged as plans; no transactions are broadcast.');
+      }
+      
+      if (config.metrics.enabled) {
+        this.metricsServer = new metrics.MetricsServer();
+        await this.metricsServer.start();
+      }
+      if (config.controlApi.enabled) {
+        this.controlApi = new ControlApi(this);
+        await this.controlApi.start();
+      }
+      if (config.configHotReload) {
+        this.configReloader = new ConfigReloader();
+        this.configReloader.start();
+      }
       
       // Initial check cycle
       await this.runCheckCycle();
@@ -82,157 +158,266 @@ class AerodromeAutoBalancer {
   }
 
   /**
-   * Initialize pool info from configured gauge
+   * Initialize pool info for every configured pool strategy.
+   * A gauge that fails to load is skipped so the other pools keep running.
    */
-  async initializePoolInfo() {
-    try {
-      const gaugeAddress = config.gauges[0];
-      if (!gaugeAddress) {
-        logger.warn('No gauge configured, cannot determine pool');
-        return;
+  async initializePools() {
+    if (config.pools.length === 0) {
+      logger.warn('No gauge configured, cannot determine pool');
+      return;
+    }
+    
+    for (const strategy of config.pools) {
+      try {
+        const poolInfo = await this.loadPoolInfo(strategy);
+        this.pools.push(poolInfo);
+      } catch (error) {
+        logger.error(`Failed to initialize pool info for gauge ${strategy.gaugeAddress}: ${error.message}`);
       }
+    }
+    
+    logger.info(`Managing ${this.pools.length} pool(s): ${this.pools.map(p => p.label).join(', ')}`);
+  }
+
+  /**
+   * Load pool info for one pool strategy (the gauge determines the pool)
+   */
+  async loadPoolInfo(strategy) {
+    const { gaugeAddress } = strategy;
+    
+    const gauge = new Contract(
+      gaugeAddress,
+      ['function pool() view returns (address)'],
+      this.web3.wallet
+    );
+    
+    const poolAddress = await gauge.pool();
+    logger.info(`Pool address from gauge ${gaugeAddress}: ${poolAddress}`);
+    
+    const pool = new Contract(
+      poolAddress,
+      [
+        'function token0() view returns (address)',
+        'function token1() view returns (address)',
+        'function fee() view returns (uint24)',
+        'function tickSpacing() view returns (int24)',
+        'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)'
+      ],
+      this.web3.wallet
+    );
+    
+    const [token0, token1, fee, tickSpacing, slot0] = await Promise.all([
+      pool.token0(),
+      pool.token1(),
+      pool.fee(),
+      pool.tickSpacing(),
+      pool.slot0()
+    ]);
+    
+    // Get token info
+    const token0Contract = new Contract(
+      token0,
+      ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'],
+      this.web3.wallet
+    );
+    const token1Contract = new Contract(
+      token1,
+      ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'],
+      this.web3.wallet
+    );
+    
+    const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
+      token0Contract.symbol(),
+      token1Contract.symbol(),
+      token0Contract.decimals(),
+      token1Contract.decimals()
+    ]);
+    
+    const label = `${symbol0}/${symbol1}`;
+    
+    logger.info(`[${label}] Pool initialized: ${symbol0}/${symbol1}`);
+    logger.info(`[${label}]   Token0: ${token0} (${symbol0})`);
+    logger.info(`[${label}]   Token1: ${token1} (${symbol1})`);
+    logger.info(`[${label}]   Fee: ${fee}`);
+    logger.info(`[${label}]   TickSpacing: ${tickSpacing}`);
+    logger.info(`[${label}]   Current tick: ${slot0.tick}`);
+    logger.info(`[${label}]   Strategy: range multiplier ${strategy.rangeMultiplier}, threshold ${strategy.rebalanceThreshold}%, min swap ${strategy.minSwapValueUsdc}`);
+    
+    return {
+      address: poolAddress,
+      token0,
+      token1,
+      symbol0,
+      symbol1,
+      decimals0,
+      decimals1,
+      fee,
+      tickSpacing: Number(tickSpacing),
+      gaugeAddress,
+      currentTick: Number(slot0.tick),
+      label,
+      strategy
+    };
+  }
+
+  /**
+   * Number of managed pools (range-order pools included) holding each of a
+   * pool's tokens, which split the wallet's balance of it between them
+   * @returns {Object} - { token0, token1 }
+   */
+  getTokenSharing(poolInfo) {
+    const countPools = (token) => this.pools.filter(p =>
+      [p.token0.toLowerCase(), p.token1.toLowerCase()].includes(token.toLowerCase())
+    ).length;
+    return { token0: countPools(poolInfo.token0), token1: countPools(poolInfo.token1) };
+  }
+
+  getPoolLabel(poolAddress) {
+    const poolInfo = this.pools.find(p => p.address.toLowerCase() === String(poolAddress).toLowerCase());
+    return poolInfo ? poolInfo.label : poolAddress;
+  }
+
+  /**
+   * Strategy for a pool; unmanaged pools fall back to the global settings
+   */
+  getPoolStrategy(poolAddress) {
+    const poolInfo = this.pools.find(p => p.address.toLowerCase() === String(poolAddress).toLowerCase());
+    if (poolInfo) return poolInfo.strategy;
+    
+    return {
+      gaugeAddress: null,
+      rangeMultiplier: config.rangeMultiplier,
+      rebalanceThreshold: config.rebalanceThreshold,
+      minSwapValueUsdc: config.minSwapValueUsdc
+    };
+  }
+
+  /**
+   * Resume the rebalance recorded in the journal. If price has left the
+   * journaled range, roll forward into a fresh range around the current tick.
+   * Logs under the rebalance's journaled correlation ID.
+   */
+  resumePendingRebalance() {
+    const pending = this.rebalancer.getPendingRebalance();
+    const context = {
+      rebalanceId: pending.rebalanceId || newCorrelationId(),
+      tokenId: pending.tokenId.toString(),
+      stage: pending.stage
+    };
+    return withLogContext(context, () => this.runResume(pending));
+  }
+
+  async runResume(pending) {
+    logger.warn(`Found unfinished rebalance of position #${pending.tokenId} (stage: ${pending.stage})`);
+    
+    try {
+      const slot0 = await this.web3.getCurrentPrice(pending.poolAddress);
+      const currentTick = Number(slot0.tick);
       
-      const gauge = new Contract(
-        gaugeAddress,
-        ['function pool() view returns (address)'],
-        this.web3.wallet
-      );
-      
-      const poolAddress = await gauge.pool();
-      logger.info(`Pool address from gauge: ${poolAddress}`);
-      
-      const pool = new Contract(
-        poolAddress,
-        [
-          'function token0() view returns (address)',
-          'function token1() view returns (address)',
-          'function fee() view returns (uint24)',
-          'function tickSpacing() view returns (int24)',
-          'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)'
-        ],
-        this.web3.wallet
-      );
-      
-      const [token0, token1, fee, tickSpacing, slot0] = await Promise.all([
-        pool.token0(),
-        pool.token1(),
-        pool.fee(),
-        pool.tickSpacing(),
-        pool.slot0()
-      ]);
-      
-      // Get token info
-      const token0Contract = new Contract(
-        token0,
-        ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'],
-        this.web3.wallet
-      );
-      const token1Contract = new Contract(
-        token1,
-        ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'],
-        this.web3.wallet
-      );
-      
-      const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
-        token0Contract.symbol(),
-        token1Contract.symbol(),
-        token0Contract.decimals(),
-        token1Contract.decimals()
-      ]);
-      
-      this.poolInfo = {
-        address: poolAddress,
-        token0,
-        token1,
-        symbol0,
-        symbol1,
-        decimals0,
-        decimals1,
-        fee,
-        tickSpacing: Number(tickSpacing),
-        gaugeAddress,
-        currentTick: Number(slot0.tick)
-      };
-      
-      logger.info(`Pool initialized: ${symbol0}/${symbol1}`);
-      logger.info(`  Token0: ${token0} (${symbol0})`);
-      logger.info(`  Token1: ${token1} (${symbol1})`);
-      logger.info(`  Fee: ${fee}`);
-      logger.info(`  TickSpacing: ${tickSpacing}`);
-      logger.info(`  Current tick: ${slot0.tick}`);
+      let newRange = null;
+      if (currentTick < Number(pending.tickLower) || currentTick > Number(pending.tickUpper)) {
+        const tickSpacing = pending.tickSpacing || Number((await this.web3.getPool(pending.poolAddress)).tickSpacing);
+        newRange = await this.monitor.getNewRange(
+          pending.poolAddress,
+          await this.getRangeCenterTick(`#${pending.tokenId}`, pending.poolAddress, currentTick),
+          tickSpacing,
+          this.getPoolStrategy(pending.poolAddress).rangeMultiplier,
+          Number(pending.tickLower),
+          Number(pending.tickUpper)
+        );
+        logger.info(`Current tick ${currentTick} is outside journaled range ${pending.tickLower} - ${pending.tickUpper}`);
+      }
       
+      const result = await this.rebalancer.resumeRebalance(newRange);
+      if (result) {
+        logger.info(`✅ Resumed rebalance of position #${pending.tokenId} → new position #${result.newTokenId}`);
+        this.hysteresis.recordRebalance(pending.poolAddress, pending.tokenId);
+        metrics.recordRebalance(this.getPoolLabel(pending.poolAddress), 'resumed');
+        notifier.notify('rebalance_succeeded', {
+          message: `Resumed rebalance of position #${pending.tokenId} finished with new position #${result.newTokenId}`,
+          fields: { position: `#${pending.tokenId}`, newPosition: `#${result.newTokenId}` },
+          key: pending.tokenId.toString()
+        });
+      }
     } catch (error) {
-      logger.error(`Failed to initialize pool info: ${error.message}`);
+      logger.error(`❌ Failed to resume rebalance of position #${pending.tokenId}: ${error.message}`);
+      logger.warn('Journal kept; the resume will be retried on the next check cycle.');
+      metrics.recordRebalance(this.getPoolLabel(pending.poolAddress), 'resume_failed');
+      notifier.notify('rebalance_failed', {
+        message: `Resuming the rebalance of position #${pending.tokenId} (stage ${pending.stage}) failed: ${error.message}. It is retried every check cycle.`,
+        fields: { position: `#${pending.tokenId}`, stage: pending.stage },
+        key: pending.tokenId.toString()
+      });
     }
   }
 
   /**
-   * Check wallet balances and create position if we have tokens
+   * Check wallet balances and create position in a pool if we have its tokens.
+   * Only the pool's share of tokens other managed pools hold too is used
+   * (see Rebalancer.getDepositBalance).
+   * @param {Object} poolInfo - Managed pool (from initializePools)
    */
-  async checkAndCreatePositionFromWallet() {
-    if (!this.poolInfo) {
+  async checkAndCreatePositionFromWallet(poolInfo) {
+    if (!poolInfo) {
       logger.warn('No pool info available, cannot create position from wallet');
       return;
     }
     
-    logger.info('Checking wallet balances for tokens...');
+    logger.info(`[${poolInfo.label}] Checking wallet balances for tokens...`);
     
     try {
-      const { token0, token1, symbol0, symbol1, decimals0, decimals1 } = this.poolInfo;
+      const { token0, token1, symbol0, symbol1, decimals0, decimals1 } = poolInfo;
       
-      const token0Contract = new Contract(
-        token0,
-        ['function balanceOf(address) view returns (uint256)'],
-        this.web3.wallet
-      );
-      const token1Contract = new Contract(
-        token1,
-        ['function balanceOf(address) view returns (uint256)'],
-        this.web3.wallet
-      );
+      if (config.dryRun) {
+        this.rebalancer.beginDryRunPlan('create_position_from_wallet', { poolAddress: poolInfo.address });
+      }
       
+      const sharedBy = this.getTokenSharing(poolInfo);
       const [balance0, balance1] = await Promise.all([
-        token0Contract.balanceOf(this.web3.wallet.address),
-        token1Contract.balanceOf(this.web3.wallet.address)
+        this.rebalancer.getDepositBalance(token0, sharedBy.token0),
+        this.rebalancer.getDepositBalance(token1, sharedBy.token1)
       ]);
       
       const formatted0 = ethers.formatUnits(balance0, decimals0);
       const formatted1 = ethers.formatUnits(balance1, decimals1);
       
-      logger.info(`${symbol0} balance: ${formatted0}`);
-      logger.info(`${symbol1} balance: ${formatted1}`);
+      logger.info(`[${poolInfo.label}] ${symbol0} balance: ${formatted0}`);
+      logger.info(`[${poolInfo.label}] ${symbol1} balance: ${formatted1}`);
       
       // Check if we have meaningful amounts
       const hasBalance0 = parseFloat(formatted0) > 0.001;
       const hasBalance1 = parseFloat(formatted1) > 0.001;
       
       if (!hasBalance0 && !hasBalance1) {
-        logger.info('No significant token balances in wallet. Nothing to deposit.');
+        logger.info(`[${poolInfo.label}] No significant token balances in wallet. Nothing to deposit.`);
         return;
       }
       
-      logger.info('Found tokens in wallet. Creating new LP position...');
+      logger.info(`[${poolInfo.label}] Found tokens in wallet. Creating new LP position...`);
       
       // Calculate new range around current price
       const slot0 = await new Contract(
-        this.poolInfo.address,
+        poolInfo.address,
         ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, bool)'],
         this.web3.wallet
       ).slot0();
       
       const currentTick = Number(slot0.tick);
-      const tickSpacing = this.poolInfo.tickSpacing;
+      const tickSpacing = poolInfo.tickSpacing;
       
-      // Calculate range: ±30 ticks around current price (or use rangeMultiplier)
-      const rangeWidth = tickSpacing * Math.floor(30 / tickSpacing) * config.rangeMultiplier;
-      const tickLower = Math.floor((currentTick - rangeWidth) / tickSpacing) * tickSpacing;
-      const tickUpper = Math.floor((currentTick + rangeWidth) / tickSpacing) * tickSpacing;
+      // Calculate range: ±30 ticks * rangeMultiplier around current price (or adaptive width)
+      const { tickLower, tickUpper } = await this.monitor.getNewRange(
+        poolInfo.address,
+        currentTick,
+        tickSpacing,
+        poolInfo.strategy.rangeMultiplier
+      );
       
-      logger.info(`Creating position with range ${tickLower} - ${tickUpper}`);
+      logger.info(`[${poolInfo.label}] Creating position with range ${tickLower} - ${tickUpper}`);
       
       // Calculate optimal ratio for the tick range
-      const ratio = await this.rebalancer.calculateOptimalRatio(this.poolInfo.address, tickLower, tickUpper);
-      logger.info(`Optimal ratio - ${symbol0}: ${ratio.token0Ratio.toFixed(4)}, ${symbol1}: ${ratio.token1Ratio.toFixed(4)}`);
+      const ratio = await this.rebalancer.calculateOptimalRatio(poolInfo.address, tickLower, tickUpper);
+      logger.info(`[${poolInfo.label}] Optimal ratio - ${symbol0}: ${ratio.token0Ratio.toFixed(4)}, ${symbol1}: ${ratio.token1Ratio.toFixed(4)}`);
       
       // Calculate current value in token1 terms using tick-based price math.
       const price0InToken1 = this.getPriceFromTickAdjusted(currentTick, decimals0, decimals1);
@@ -241,195 +426,542 @@ class AerodromeAutoBalancer {
       const amount1InToken1 = parseFloat(formatted1);
       const totalInToken1 = amount0InToken1 + amount1InToken1;
       
-      logger.info(`Total value in ${symbol1} terms: ${totalInToken1.toFixed(2)}`);
+      logger.info(`[${poolInfo.label}] Total value in ${symbol1} terms: ${totalInToken1.toFixed(2)}`);
       
       // Calculate target values
       const targetValue0 = totalInToken1 * ratio.token0Ratio;
       const targetValue1 = totalInToken1 * ratio.token1Ratio;
       
-      logger.info(`Target ${symbol0} value in ${symbol1}: ${targetValue0.toFixed(2)}`);
-      logger.info(`Target ${symbol1} value: ${targetValue1.toFixed(2)}`);
+      logger.info(`[${poolInfo.label}] Target ${symbol0} value in ${symbol1}: ${targetValue0.toFixed(2)}`);
+      logger.info(`[${poolInfo.label}] Target ${symbol1} value: ${targetValue1.toFixed(2)}`);
       
       // Determine swap needed
       const diff = amount0InToken1 - targetValue0;
       let amount0ToAdd = balance0;
       let amount1ToAdd = balance1;
-      const minSwapValueUsdc = Number(config.minSwapValueUsdc);
+      const minSwapValueUsdc = Number(poolInfo.strategy.minSwapValueUsdc);
       
       if (Math.abs(diff) > minSwapValueUsdc) {
         if (diff > 0) {
           // Too much token0, swap some to token1
           const amount0ToSwapValue = diff;
           const amount0ToSwap = amount0ToSwapValue / price0InToken1;
-          const amount0ToSwapWei = ethers.parseUnits(amount0ToSwap.toFixed(Number(decimals0)), decimals0);
+          const amount0ToSwapWei = await this.rebalancer.solveSwapAmount({
+            poolAddress: poolInfo.address, token0, token1, tickLower, tickUpper,
+            amount0: balance0, amount1: balance1,
+            zeroForOne: true,
+            initialAmountIn: ethers.parseUnits(amount0ToSwap.toFixed(Number(decimals0)), decimals0)
+          });
           
-          logger.info(`Swapping ${amount0ToSwap.toFixed(6)} ${symbol0} to ${symbol1}...`);
-          const swapResult = await this.rebalancer.swapTokens(token0, token1, amount0ToSwapWei.toString(), this.poolInfo.address);
+          logger.info(`[${poolInfo.label}] Swapping ${ethers.formatUnits(amount0ToSwapWei, decimals0)} ${symbol0} to ${symbol1}...`);
+          const swapped = await this.swapShare(poolInfo, token0, token1, amount0ToSwapWei, balance0, balance1);
           
-          if (swapResult) {
-            logger.info('Swap completed, waiting 5 seconds...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            // Get new balances
-            const [newBalance0, newBalance1] = await Promise.all([
-              token0Contract.balanceOf(this.web3.wallet.address),
-              token1Contract.balanceOf(this.web3.wallet.address)
-            ]);
-            amount0ToAdd = newBalance0;
-            amount1ToAdd = newBalance1;
-            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newBalance0, decimals0)}`);
-            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newBalance1, decimals1)}`);
+          if (swapped) {
+            ({ amount0: amount0ToAdd, amount1: amount1ToAdd } = swapped);
           } else {
-            logger.error(`Swap ${symbol0} -> ${symbol1} failed. Aborting position creation for this cycle.`);
+            logger.error(`[${poolInfo.label}] Swap ${symbol0} -> ${symbol1} failed. Aborting position creation for this cycle.`);
             return null;
           }
         } else {
           // Too much token1, swap some to token0
           const amount1ToSwapValue = -diff;
-          const amount1ToSwapWei = ethers.parseUnits(amount1ToSwapValue.toFixed(Number(decimals1)), decimals1);
+          const amount1ToSwapWei = await this.rebalancer.solveSwapAmount({
+            poolAddress: poolInfo.address, token0, token1, tickLower, tickUpper,
+            amount0: balance0, amount1: balance1,
+            zeroForOne: false,
+            initialAmountIn: ethers.parseUnits(amount1ToSwapValue.toFixed(Number(decimals1)), decimals1)
+          });
           
-          logger.info(`Swapping ${amount1ToSwapValue.toFixed(6)} ${symbol1} to ${symbol0}...`);
-          const swapResult = await this.rebalancer.swapTokens(token1, token0, amount1ToSwapWei.toString(), this.poolInfo.address);
+          logger.info(`[${poolInfo.label}] Swapping ${ethers.formatUnits(amount1ToSwapWei, decimals1)} ${symbol1} to ${symbol0}...`);
+          const swapped = await this.swapShare(poolInfo, token1, token0, amount1ToSwapWei, balance0, balance1);
           
-          if (swapResult) {
-            logger.info('Swap completed, waiting 5 seconds...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            // Get new balances
-            const [newBalance0, newBalance1] = await Promise.all([
-              token0Contract.balanceOf(this.web3.wallet.address),
-              token1Contract.balanceOf(this.web3.wallet.address)
-            ]);
-            amount0ToAdd = newBalance0;
-            amount1ToAdd = newBalance1;
-            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newBalance0, decimals0)}`);
-            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newBalance1, decimals1)}`);
+          if (swapped) {
+            ({ amount0: amount0ToAdd, amount1: amount1ToAdd } = swapped);
           } else {
-            logger.error(`Swap ${symbol1} -> ${symbol0} failed. Aborting position creation for this cycle.`);
+            logger.error(`[${poolInfo.label}] Swap ${symbol1} -> ${symbol0} failed. Aborting position creation for this cycle.`);
             return null;
           }
         }
       } else {
         logger.info(
-          `Token ratio imbalance (${Math.abs(diff).toFixed(2)} ${symbol1}) is below MIN_SWAP_VALUE_USDC (${minSwapValueUsdc}). Skipping swap.`
+          `[${poolInfo.label}] Token ratio imbalance (${Math.abs(diff).toFixed(2)} ${symbol1}) is below MIN_SWAP_VALUE_USDC (${minSwapValueUsdc}). Skipping swap.`
         );
       }
       
       // Create position with balanced amounts
       const result = await this.rebalancer.createPosition(
-        token0, token1, this.poolInfo.address,
+        token0, token1, poolInfo.address,
         tickLower, tickUpper,
         amount0ToAdd.toString(), amount1ToAdd.toString(),
         decimals0, decimals1
       );
       
       if (result) {
-        logger.info(`Position created successfully! Token ID: ${result}`);
+        logger.info(`[${poolInfo.label}] Position created successfully! Token ID: ${result}`);
         
         // Stake the position to the gauge
-        const gaugeAddress = this.poolInfo.gaugeAddress;
+        const gaugeAddress = poolInfo.gaugeAddress;
         if (gaugeAddress) {
-          logger.info(`Staking position #${result} to gauge ${gaugeAddress}...`);
+          logger.info(`[${poolInfo.label}] Staking position #${result} to gauge ${gaugeAddress}...`);
           try {
             await this.rebalancer.stakeToGauge(result, gaugeAddress);
-            logger.info(`Position #${result} staked successfully!`);
+            logger.info(`[${poolInfo.label}] Position #${result} staked successfully!`);
           } catch (e) {
-            logger.error(`Staking error: ${e.message}`);
-            logger.warn('Position created but not staked. You may need to stake manually.');
+            logger.error(`[${poolInfo.label}] Staking error: ${e.message}`);
+            logger.warn(`[${poolInfo.label}] Position created but not staked. You may need to stake manually.`);
           }
         }
       } else {
-        logger.warn('Position creation returned no result');
+        logger.warn(`[${poolInfo.label}] Position creation returned no result`);
       }
       
       return result;
     } catch (error) {
-      logger.error(`Error creating position from wallet: ${error.message}`);
-      logger.error(`Stack: ${error.stack}`);
+      logger.error(`[${poolInfo.label}] Error creating position from wallet: ${error.message}`);
+      logger.error(`[${poolInfo.label}] Stack: ${error.stack}`);
+    } finally {
+      if (config.dryRun) {
+        this.rebalancer.finishDryRunPlan();
+      }
+    }
+  }
+
+  /**
+   * Swap part of a pool's wallet share and return the share afterwards: the
+   * swap's effect on the wallet is added to it, other pools' funds are untouched
+   * @returns {Object|null} - { amount0, amount1 }, or null when the swap failed
+   */
+  async swapShare(poolInfo, tokenIn, tokenOut, amountIn, share0, share1) {
+    const { token0, token1, symbol0, symbol1, decimals0, decimals1 } = poolInfo;
+    const [before0, before1] = await Promise.all([
+      this.rebalancer.getWalletBalance(token0),
+      this.rebalancer.getWalletBalance(token1)
+    ]);
+    
+    const swapResult = await this.rebalancer.swapTokens(tokenIn, tokenOut, amountIn.toString(), poolInfo.address);
+    if (!swapResult) return null;
+    
+    if (!config.dryRun) {
+      logger.info(`[${poolInfo.label}] Swap completed, waiting 5 seconds...`);
+      await delay(5000);
+    }
+    const [after0, after1] = await Promise.all([
+      this.rebalancer.getWalletBalance(token0),
+      this.rebalancer.getWalletBalance(token1)
+    ]);
+    const amount0 = share0 + after0 - before0;
+    const amount1 = share1 + after1 - before1;
+    const result = { amount0: amount0 > 0n ? amount0 : 0n, amount1: amount1 > 0n ? amount1 : 0n };
+    logger.info(`[${poolInfo.label}] ${symbol0} to deposit: ${ethers.formatUnits(result.amount0, decimals0)}`);
+    logger.info(`[${poolInfo.label}] ${symbol1} to deposit: ${ethers.formatUnits(result.amount1, decimals1)}`);
+    return result;
+  }
+
+  /**
+   * Append this cycle's tick, price, liquidity and swap volume of every
+   * managed pool to the price history. A failed read only skips a sample.
+   */
+  async recordPriceHistory() {
+    if (!this.priceHistory) return;
+    
+    for (const poolInfo of this.pools) {
+      try {
+        await this.priceHistory.record(poolInfo);
+      } catch (error) {
+        logger.warn(`[${poolInfo.label}] Price history sample skipped: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Sample every managed pool's fee growth for the cost gate, so an unstaked
+   * position's fee rate is already measured when it first needs a rebalance
+   */
+  async sampleFeeGrowth() {
+    if (!config.costAwareRebalance) return;
+    
+    for (const poolInfo of this.pools) {
+      try {
+        await this.costModel.sampleFeeGrowth(poolInfo.address);
+      } catch (error) {
+        logger.warn(`[${poolInfo.label}] Fee growth sample skipped: ${error.message}`);
+      }
     }
   }
 
   async checkAndRebalance() {
     if (!this.isRunning) return;
     
+    // Transactions the supervisor is still speeding up or cancelling
+    for (const tx of this.web3.txSupervisor.getStatus()) {
+      logger.warn(`In-flight tx: nonce ${tx.nonce} ${tx.status} for ${tx.ageSeconds}s (${tx.speedUps} speed-up(s), ${tx.maxFeePerGasGwei} gwei) ${tx.hash}`);
+    }
+
+    // RPC endpoints sitting out after failures (multi-endpoint setups only)
+    if (this.web3.provider.getStatus) {
+      for (const endpoint of this.web3.provider.getStatus().filter(e => !e.healthy)) {
+        logger.warn(`RPC ${endpoint.url} ${endpoint.disabled ? 'disabled' : `cooling down ${endpoint.cooldownSeconds}s`}: ${endpoint.lastError}`);
+      }
+    }
+
+    await this.checkGasBalance();
+    await this.recordPriceHistory();
+    await this.sampleFeeGrowth();
+    
+    // A rebalance that failed part-way has priority over new decisions this cycle
+    if (this.rebalancer.hasPendingRebalance()) {
+      await this.resumePendingRebalance();
+      return { result: 'resumed-pending' };
+    }
+    
+    const summary = { result: 'ok', positions: 0, rebalancedPools: [], poolErrors: [] };
     try {
       const walletAddress = this.web3.wallet.address;
       const positions = await this.monitor.checkAllPositions(walletAddress);
+      this.lastPositions = { at: new Date().toISOString(), positions };
+      metrics.recordPositions(positions);
+      summary.positions = positions.length;
+      const rebalancedPools = new Set();
       
-      // Find out-of-range positions
-      const outOfRangePositions = positions.filter(p => !p.isInRange);
-      const threshold = Number(config.rebalanceThreshold);
-      const rebalanceCandidates = outOfRangePositions.filter((p) => {
-        const percentOut = Number(p.percentOutOfRange || 0);
-        return percentOut >= threshold;
-      });
+      // Each pool is managed independently; an error in one never stops the others
+      for (const { poolInfo, poolPositions } of this.groupPositionsByPool(positions)) {
+        try {
+          const rebalanced = await this.checkPool(poolInfo, poolPositions);
+          if (rebalanced) rebalancedPools.add(poolInfo.address.toLowerCase());
+        } catch (error) {
+          logger.error(`[${poolInfo.label}] Error during pool check: ${error.message}`);
+          logger.error(`[${poolInfo.label}] Stack: ${error.stack}`);
+          summary.poolErrors.push({ pool: poolInfo.label, error: error.message });
+        }
+      }
+      summary.rebalancedPools = this.pools
+        .filter(p => rebalancedPools.has(p.address.toLowerCase()))
+        .map(p => p.label);
       
-      // Find unstaked positions that are in range (for auto-staking)
-      const unstakedInRangePositions = positions.filter(p => p.isInRange && !p.isStaked && p.gaugeAddress);
+      // Scheduled reward claim. Pools that rebalanced this cycle are left out:
+      // their position list is stale and unstaking already paid out rewards.
+      if (this.rewards.isClaimDue()) {
+        try {
+          await this.rewards.claimAndCompound(
+            positions.filter(p => !rebalancedPools.has(p.poolAddress.toLowerCase()))
+          );
+        } catch (error) {
+          logger.error(`❌ Reward claim failed: ${error.message}`);
+        }
+      }
       
-      // Auto-stake unstaked positions that are in range
-      if (unstakedInRangePositions.length > 0) {
-        logger.info(`Found ${unstakedInRangePositions.length} unstaked position(s) in range`);
-        
-        for (const position of unstakedInRangePositions) {
-          logger.info(`Auto-staking position #${position.tokenId}...`);
-          try {
-            await this.rebalancer.stakeToGauge(position.tokenId, position.gaugeAddress);
-            logger.info(`✅ Position #${position.tokenId} staked successfully`);
-          } catch (error) {
-            logger.error(`❌ Failed to stake position #${position.tokenId}: ${error.message}`);
-          }
+    } catch (error) {
+      logger.error(`Error during check: ${error.message}`);
+      logger.error(`Stack: ${error.stack}`);
+      return { ...summary, result: 'error', error: error.message };
+    }
+    
+    return summary;
+  }
+
+  /**
+   * Warn when the wallet's ETH may not cover the next rebalance's gas
+   */
+  async checkGasBalance() {
+    try {
+      const address = this.web3.wallet.address;
+      const balance = await this.web3.provider.getBalance(address);
+      const balanceEth = Number(ethers.formatEther(balance));
+      metrics.recordWalletBalance(balanceEth);
+      if (balanceEth >= config.minGasBalanceEth) return;
+      
+      logger.warn(`⛽ Low gas balance: ${balanceEth.toFixed(6)} ETH (minimum ${config.minGasBalanceEth} ETH)`);
+      notifier.notify('low_gas_balance', {
+        message: `Wallet ${address} has ${balanceEth.toFixed(6)} ETH, below MIN_GAS_BALANCE_ETH (${config.minGasBalanceEth}). Top it up before the next rebalance.`,
+        fields: { wallet: address, balance: `${balanceEth.toFixed(6)} ETH` },
+        key: address.toLowerCase()
+      });
+    } catch (error) {
+      logger.warn(`Could not check gas balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Group positions by pool. Every managed pool gets a group (possibly empty);
+   * positions in other pools are grouped under the global strategy.
+   */
+  groupPositionsByPool(positions) {
+    const groups = new Map();
+    
+    for (const poolInfo of this.pools) {
+      groups.set(poolInfo.address.toLowerCase(), { poolInfo: { ...poolInfo, managed: true }, poolPositions: [] });
+    }
+    
+    for (const position of positions) {
+      const key = position.poolAddress.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, {
+          poolInfo: {
+            address: position.poolAddress,
+            label: `${position.token0Symbol}/${position.token1Symbol}`,
+            strategy: this.getPoolStrategy(position.poolAddress),
+            managed: false
+          },
+          poolPositions: []
+        });
+      }
+      groups.get(key).poolPositions.push(position);
+    }
+    
+    return [...groups.values()];
+  }
+
+  /**
+   * Check one pool's positions: auto-stake, rebalance per the pool's strategy,
+   * or deposit wallet funds when the pool has no position. RANGE_ORDERS pools
+   * are handed to the range-order manager instead.
+   * @returns {boolean} - Whether a rebalance was attempted
+   */
+  async checkPool(poolInfo, positions) {
+    const { label, strategy } = poolInfo;
+    
+    // RANGE_ORDERS pools hold single-sided orders instead of ranges around the price
+    const rangeOrderMode = this.rangeOrders.getMode(poolInfo);
+    if (rangeOrderMode) {
+      await this.rangeOrders.checkPool(poolInfo, positions, rangeOrderMode, this.getTokenSharing(poolInfo));
+      return false;
+    }
+    
+    let rebalanced = false;
+    
+    // Find out-of-range positions
+    const outOfRangePositions = positions.filter(p => !p.isInRange);
+    const threshold = Number(strategy.rebalanceThreshold);
+    const rebalanceCandidates = outOfRangePositions.filter(p => this.monitor.isRebalanceCandidate(p, threshold));
+    
+    // Out-of-range timers run on every check, whether or not rebalancing is enabled
+    this.hysteresis.observe(poolInfo.address, rebalanceCandidates);
+    
+    // Find unstaked positions that are in range (for auto-staking)
+    const unstakedInRangePositions = positions.filter(p => p.isInRange && !p.isStaked && p.gaugeAddress);
+    
+    // Auto-stake unstaked positions that are in range
+    if (unstakedInRangePositions.length > 0) {
+      logger.info(`[${label}] Found ${unstakedInRangePositions.length} unstaked position(s) in range`);
+      
+      for (const position of unstakedInRangePositions) {
+        logger.info(`[${label}] Auto-staking position #${position.tokenId}...`);
+        try {
+          await this.rebalancer.stakeToGauge(position.tokenId, position.gaugeAddress);
+          logger.info(`[${label}] ✅ Position #${position.tokenId} staked successfully`);
+        } catch (error) {
+          logger.error(`[${label}] ❌ Failed to stake position #${position.tokenId}: ${error.message}`);
         }
       }
+    }
+    
+    for (const position of outOfRangePositions) {
+      notifier.notify('out_of_range', {
+        message: `[${label}] Position #${position.tokenId} is ${position.isBelowRange ? 'below' : 'above'} its range (${position.percentOutOfRange}% out) at tick ${position.currentTick}`,
+        fields: { pool: label, position: `#${position.tokenId}`, range: `${position.tickLower} - ${position.tickUpper}`, tick: position.currentTick },
+        key: position.tokenId.toString()
+      });
+    }
+    
+    if (outOfRangePositions.length > 0) {
+      logger.info(`[${label}] Found ${outOfRangePositions.length} out-of-range position(s)`);
+      logger.info(`[${label}] Rebalance threshold: ${threshold}%`);
+      logger.info(`[${label}] Positions meeting threshold: ${rebalanceCandidates.length}`);
       
-      if (outOfRangePositions.length > 0) {
-        logger.info(`Found ${outOfRangePositions.length} out-of-range position(s)`);
-        logger.info(`Rebalance threshold: ${threshold}%`);
-        logger.info(`Positions meeting threshold: ${rebalanceCandidates.length}`);
-        
-        if (config.autoRebalance && rebalanceCandidates.length > 0) {
-          for (const position of rebalanceCandidates) {
-            // Convert BigInt to number for calculation
-            const tickLower = Number(position.tickLower);
-            const tickUpper = Number(position.tickUpper);
-            const currentTick = Number(position.currentTick);
-            const tickSpacing = Number(position.tickSpacing);
-            
-            // Calculate new range - pass existing ticks to keep same width
-            const newRange = this.monitor.calculateNewRange(
-              currentTick,
-              tickSpacing,
-              config.rangeMultiplier,
-              tickLower,
-              tickUpper
-            );
-            
-            logger.info(`Rebalancing position #${position.tokenId}...`);
-            logger.info(`  isStaked: ${position.isStaked}, gaugeAddress: ${position.gaugeAddress}`);
-            logger.info(`  Current range: ${tickLower} - ${tickUpper}`);
-            logger.info(`  New range: ${newRange.tickLower} - ${newRange.tickUpper}`);
-            
-            try {
-              await this.rebalancer.rebalance(position, newRange);
-              logger.info(`✅ Position #${position.tokenId} rebalanced successfully`);
-            } catch (error) {
-              logger.error(`❌ Failed to rebalance position #${position.tokenId}: ${error.message}`);
-            }
+      // Dry-run walks the full rebalance path without broadcasting, so it runs even with AUTO_REBALANCE off
+      const shouldRebalance = config.autoRebalance || config.dryRun;
+      
+      if (shouldRebalance && rebalanceCandidates.length > 0) {
+        for (const position of rebalanceCandidates) {
+          // Cooldown starts after each rebalance in this pool, including one made earlier in this loop
+          const cooldownMs = this.hysteresis.getCooldownRemaining(poolInfo.address);
+          if (cooldownMs > 0) {
+            logger.info(`[${label}] Rebalance cooldown active: ${(cooldownMs / 60000).toFixed(1)} min remaining. Skipping rebalance cycle.`);
+            break;
           }
-        } else if (config.autoRebalance && rebalanceCandidates.length === 0) {
-          logger.info('No out-of-range positions exceed the rebalance threshold. Skipping rebalance cycle.');
-        } else {
-          logger.info('Auto-rebalancing is disabled. Run with AUTO_REBALANCE=true to enable.');
+          
+          // Require the position to stay past the threshold before acting on it
+          const status = this.hysteresis.getStatus(position.tokenId);
+          if (!status.confirmed) {
+            logger.info(`[${label}] Position #${position.tokenId} past threshold for ${status.checks} check(s) / ${status.minutes.toFixed(1)} min; waiting for confirmation.`);
+            continue;
+          }
+          
+          const outcome = await this.rebalancePosition(poolInfo, position);
+          if (outcome.status === 'deferred') break;
+          if (outcome.status !== 'skipped') rebalanced = true;
         }
-      } else if (positions.length === 0) {
-        // No positions found - check if we have tokens in wallet
-        logger.info('No positions found. Checking wallet for tokens to deposit...');
-        await this.checkAndCreatePositionFromWallet();
+      } else if (shouldRebalance && rebalanceCandidates.length === 0) {
+        logger.info(`[${label}] No out-of-range positions exceed the rebalance threshold. Skipping rebalance cycle.`);
       } else {
-        logger.info('All positions are in range ✅');
+        logger.info(`[${label}] Auto-rebalancing is disabled. Run with AUTO_REBALANCE=true to enable.`);
+      }
+    } else if (positions.length === 0) {
+      // No positions found - check if we have tokens in wallet
+      if (poolInfo.managed) {
+        logger.info(`[${label}] No positions found. Checking wallet for tokens to deposit...`);
+        await this.checkAndCreatePositionFromWallet(poolInfo);
+      }
+    } else {
+      logger.info(`[${label}] All positions are in range ✅`);
+    }
+    
+    if (config.autoTopUp && !rebalanced) {
+      await this.topUpPool(poolInfo, positions);
+    }
+    
+    return rebalanced;
+  }
+
+  /**
+   * AUTO_TOP_UP: add wallet balances of the pool's tokens to an in-range
+   * position with increaseLiquidity, keeping its NFT and gauge stake.
+   * Positions staked earlier in this cycle still read as unstaked here, so
+   * they are topped up from the next cycle on.
+   */
+  async topUpPool(poolInfo, positions) {
+    const position = positions.find(p =>
+      p.isInRange && (p.isStaked || !p.gaugeAddress) && !this.rangeOrders.isOrder(p.tokenId)
+    );
+    if (!position) return;
+    
+    const result = await this.rebalancer.topUpPosition(position, poolInfo.strategy, this.getTokenSharing(poolInfo));
+    if (result && !result.dryRun) {
+      logger.info(`[${poolInfo.label}] ✅ Topped up position #${position.tokenId}`);
+    }
+  }
+
+  /**
+   * Compute a position's new range and rebalance it. `force` (control API)
+   * skips the cost gate; the TWAP guard still applies.
+   * Everything it logs carries a new rebalanceId (kept in the journal).
+   * @returns {Object} - { status: deferred|skipped|rebalanced|simulated|failed, newRange, newTokenId, error }
+   */
+  rebalancePosition(poolInfo, position, options = {}) {
+    const context = { rebalanceId: newCorrelationId(), tokenId: position.tokenId.toString() };
+    return withLogContext(context, () => this.runRebalance(poolInfo, position, options));
+  }
+
+  async runRebalance(poolInfo, position, { force = false } = {}) {
+    const { label, strategy } = poolInfo;
+    
+    // Convert BigInt to number for calculation
+    const tickLower = Number(position.tickLower);
+    const tickUpper = Number(position.tickUpper);
+    const currentTick = Number(position.currentTick);
+    const tickSpacing = Number(position.tickSpacing);
+    
+    // Calculate new range - pass existing ticks to keep same width
+    const newRange = await this.monitor.getNewRange(
+      position.poolAddress,
+      await this.getRangeCenterTick(label, position.poolAddress, currentTick),
+      tickSpacing,
+      strategy.rangeMultiplier,
+      tickLower,
+      tickUpper
+    );
+    
+    // A failed rebalance keeps its journal until resumed; never start another on top of it
+    if (this.rebalancer.hasPendingRebalance()) {
+      logger.warn(`[${label}] Another rebalance is pending; deferring position #${position.tokenId} to a later cycle.`);
+      metrics.recordRebalance(label, 'deferred');
+      return { status: 'deferred', newRange };
+    }
+    
+    if (!force && config.costAwareRebalance && !(await this.isRebalanceWorthIt(poolInfo, position, newRange))) {
+      metrics.recordRebalance(label, 'skipped_cost');
+      return { status: 'skipped', newRange };
+    }
+    
+    logger.info(`[${label}] Rebalancing position #${position.tokenId}${force ? ' (forced)' : ''}...`);
+    logger.info(`[${label}]   isStaked: ${position.isStaked}, gaugeAddress: ${position.gaugeAddress}`);
+    logger.info(`[${label}]   Current range: ${tickLower} - ${tickUpper}`);
+    logger.info(`[${label}]   New range: ${newRange.tickLower} - ${newRange.tickUpper}`);
+    
+    const fields = {
+      pool: label,
+      position: `#${position.tokenId}`,
+      from: `${tickLower} - ${tickUpper}`,
+      to: `${newRange.tickLower} - ${newRange.tickUpper}`
+    };
+    const key = position.tokenId.toString();
+    notifier.notify('rebalance_started', {
+      message: `[${label}] Rebalancing position #${position.tokenId}${force ? ' (forced)' : ''}`,
+      fields,
+      key
+    });
+    
+    try {
+      const result = await this.rebalancer.rebalance(position, newRange, strategy);
+      if (result.dryRun) {
+        logger.info(`[${label}] 📝 Position #${position.tokenId} rebalance simulated (dry run)`);
+        metrics.recordRebalance(label, 'simulated');
+        return { status: 'simulated', newRange };
       }
+      logger.info(`[${label}] ✅ Position #${position.tokenId} rebalanced successfully`);
+      this.hysteresis.recordRebalance(poolInfo.address, position.tokenId);
+      metrics.recordRebalance(label, 'success');
+      notifier.notify('rebalance_succeeded', {
+        message: `[${label}] Position #${position.tokenId} rebalanced into new position #${result.newTokenId}`,
+        fields: { ...fields, newPosition: `#${result.newTokenId}` },
+        key
+      });
+      return { status: 'rebalanced', newRange, newTokenId: result.newTokenId };
+    } catch (error) {
+      logger.error(`[${label}] ❌ Failed to rebalance position #${position.tokenId}: ${error.message}`);
+      metrics.recordRebalance(label, 'failed');
+      notifier.notify('rebalance_failed', {
+        message: `[${label}] Rebalance of position #${position.tokenId} failed: ${error.message}`,
+        fields,
+        key
+      });
+      return { status: 'failed', newRange, error: error.message };
+    }
+  }
+
+  /**
+   * Tick to centre a new range on. With TWAP_GUARD_MODE=recenter this is the
+   * pool TWAP whenever spot deviates from it by more than MAX_TWAP_DEVIATION_TICKS.
+   */
+  async getRangeCenterTick(label, poolAddress, currentTick) {
+    if (config.twapGuardMode !== 'recenter') return currentTick;
+    
+    try {
+      const check = await this.rebalancer.checkTwapDeviation(poolAddress);
+      if (!check.exceeded) return currentTick;
       
+      logger.warn(`[${label}] ⚠️ Spot tick ${check.spotTick} is ${check.deviation} ticks from the ${config.twapGuardSeconds}s TWAP ${check.twapTick}; centring new range on the TWAP`);
+      return check.twapTick;
     } catch (error) {
-      logger.error(`Error during check: ${error.message}`);
-      logger.error(`Stack: ${error.stack}`);
+      logger.warn(`[${label}] TWAP unavailable (${error.message}); centring new range on spot`);
+      return currentTick;
+    }
+  }
+
+  /**
+   * Cost gate: compare gas + swap loss with projected emissions/fees over
+   * REBALANCE_HORIZON_HOURS. Unknown fees defer the rebalance to a later
+   * check; an estimate that fails does not block it.
+   */
+  async isRebalanceWorthIt(poolInfo, position, newRange) {
+    const { label, strategy } = poolInfo;
+    
+    try {
+      const estimate = await this.costModel.evaluate(position, newRange, strategy);
+      const gain = estimate.gainUsd === null ? 'unknown' : `$${estimate.gainUsd.toFixed(2)}`;
+      
+      logger.info(`[${label}] Rebalance cost for #${position.tokenId}: $${estimate.costUsd.toFixed(2)} (gas ${estimate.gasUnits} units${estimate.gasEstimated ? ` with ${estimate.gasEstimated} estimated` : ''} ≈ $${estimate.gasCostUsd.toFixed(2)}, swap loss $${estimate.swapLossUsd.toFixed(2)}, impact ${estimate.priceImpactBps.toFixed(1)} bps)`);
+      logger.info(`[${label}] Projected ${estimate.source} over ${config.rebalanceHorizonHours}h: ${gain} on ~$${estimate.positionValueUsd.toFixed(2)}`);
+      
+      if (estimate.gainUsd === null) {
+        logger.info(`[${label}] Deferring rebalance of #${position.tokenId}: pool fee rate not measured yet; deciding on the next check.`);
+      } else if (!estimate.worthIt) {
+        logger.info(`[${label}] Skipping rebalance of #${position.tokenId}: projected ${estimate.source} below ${config.rebalanceMinGainRatio}x cost.`);
+      }
+      return estimate.worthIt;
+    } catch (error) {
+      logger.warn(`[${label}] Could not estimate rebalance cost (${error.message}); rebalancing anyway.`);
+      return true;
     }
   }
 
@@ -450,6 +982,12 @@ class AerodromeAutoBalancer {
   async runCheckCycle() {
     if (!this.isRunning) return;
 
+    if (this.isPaused) {
+      logger.info('Bot is paused; skipping check cycle.');
+      this.scheduleNextCheck();
+      return;
+    }
+
     if (this.isCheckInProgress) {
       logger.warn('Previous check cycle is still running; skipping overlapping cycle.');
       this.scheduleNextCheck();
@@ -457,14 +995,227 @@ class AerodromeAutoBalancer {
     }
 
     this.isCheckInProgress = true;
+    const startedAt = Date.now();
+    const cycleId = newCorrelationId();
+    this.lastCycle = { cycleId, startedAt: new Date(startedAt).toISOString(), result: 'running' };
     try {
-      await this.checkAndRebalance();
+      const summary = await withLogContext({ cycleId }, () => {
+        this.applyConfigChanges();
+        return this.checkAndRebalance();
+      });
+      this.lastCycle = { ...this.lastCycle, ...summary };
+    } catch (error) {
+      this.lastCycle = { ...this.lastCycle, result: 'error', error: error.message };
+      throw error;
     } finally {
+      this.lastCycle.finishedAt = new Date().toISOString();
+      this.lastCycle.durationMs = Date.now() - startedAt;
+      metrics.recordCheckCycle(this.lastCycle.result, this.lastCycle.durationMs);
       this.isCheckInProgress = false;
       this.scheduleNextCheck();
     }
   }
 
+  /**
+   * Apply changed strategy settings at the start of a cycle. A rebalance left
+   * pending by a failure keeps the parameters it started with, so the reload
+   * waits until it has been resumed.
+   */
+  applyConfigChanges() {
+    if (!this.configReloader?.hasChanges()) return;
+    
+    if (this.rebalancer.hasPendingRebalance()) {
+      logger.info('Config change waits until the pending rebalance has finished');
+      return;
+    }
+    this.configReloader.reload();
+  }
+
+  /**
+   * Stop scheduled check cycles until resumed. A cycle already running finishes.
+   */
+  pause() {
+    if (!this.isPaused) {
+      this.isPaused = true;
+      logger.warn('⏸️ Bot paused: scheduled check cycles are skipped until resumed.');
+    }
+  }
+
+  resume() {
+    if (this.isPaused) {
+      this.isPaused = false;
+      logger.info('▶️ Bot resumed.');
+    }
+  }
+
+  /**
+   * Run a check cycle now instead of waiting for the next scheduled one
+   */
+  checkNow() {
+    if (this.checkInterval) {
+      clearTimeout(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.runCheckCycle().catch((error) => {
+      logger.error(`Check cycle failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Rebalance one position in the background, even while paused. It holds the
+   * check-cycle lock so it never overlaps a cycle; the outcome is kept in
+   * lastForcedRebalance.
+   */
+  startForcedRebalance(tokenId) {
+    this.assertNotRangeOrder(tokenId);
+    this.isCheckInProgress = true;
+    this.lastForcedRebalance = { tokenId, status: 'running', startedAt: new Date().toISOString() };
+    
+    this.forceRebalance(tokenId)
+      .then((outcome) => {
+        this.lastForcedRebalance = { ...this.lastForcedRebalance, ...outcome };
+      })
+      .catch((error) => {
+        logger.error(`❌ Forced rebalance of position #${tokenId} failed: ${error.message}`);
+        this.lastForcedRebalance = { ...this.lastForcedRebalance, status: 'failed', error: error.message };
+      })
+      .finally(() => {
+        this.lastForcedRebalance.finishedAt = new Date().toISOString();
+        this.isCheckInProgress = false;
+      });
+  }
+
+  async forceRebalance(tokenId) {
+    const { poolInfo, position } = await this.findPosition(tokenId);
+    logger.warn(`[${poolInfo.label}] Forced rebalance of position #${tokenId} requested (${position.isInRange ? 'in range' : `${position.percentOutOfRange}% out of range`})`);
+    
+    return this.rebalancePosition(poolInfo, position, { force: true });
+  }
+
+  /**
+   * Range orders are only ever filled and withdrawn by RangeOrderManager: a
+   * rebalance or liquidity change would leave its order state stale
+   */
+  assertNotRangeOrder(tokenId) {
+    if (this.rangeOrders?.isOrder(tokenId)) {
+      throw new Error(`Position #${tokenId} is an open range order; it is withdrawn automatically once filled`);
+    }
+  }
+
+  /**
+   * Current state of one of the wallet's positions, with its pool
+   * @returns {Object} - { poolInfo, position }
+   */
+  async findPosition(tokenId) {
+    const positions = await this.monitor.checkAllPositions(this.web3.wallet.address);
+    const position = positions.find(p => p.tokenId.toString() === String(tokenId));
+    if (!position) {
+      throw new Error(`Position #${tokenId} not found in wallet or gauges`);
+    }
+    
+    const poolInfo = this.groupPositionsByPool([position])
+      .find(group => group.poolPositions.length > 0).poolInfo;
+    return { poolInfo, position };
+  }
+
+  /**
+   * Top up or partly withdraw one position in the background (control API),
+   * without burning it. Holds the check-cycle lock like a forced rebalance;
+   * the outcome is kept in lastLiquidityChange.
+   * @param {string} tokenId - Position to change
+   * @param {Object} change - { action: 'top_up' } or { action: 'decrease', percent }
+   */
+  startLiquidityChange(tokenId, change) {
+    this.assertNotRangeOrder(tokenId);
+    this.isCheckInProgress = true;
+    this.lastLiquidityChange = { tokenId, ...change, status: 'running', startedAt: new Date().toISOString() };
+    
+    this.changeLiquidity(tokenId, change)
+      .then((outcome) => {
+        this.lastLiquidityChange = { ...this.lastLiquidityChange, ...outcome };
+      })
+      .catch((error) => {
+        logger.error(`❌ Liquidity change of position #${tokenId} failed: ${error.message}`);
+        this.lastLiquidityChange = { ...this.lastLiquidityChange, status: 'failed', error: error.message };
+      })
+      .finally(() => {
+        this.lastLiquidityChange.finishedAt = new Date().toISOString();
+        this.isCheckInProgress = false;
+      });
+  }
+
+  async changeLiquidity(tokenId, { action, percent }) {
+    const { poolInfo, position } = await this.findPosition(tokenId);
+    
+    let result;
+    if (action === 'top_up') {
+      logger.warn(`[${poolInfo.label}] Top-up of position #${tokenId} requested`);
+      result = await this.rebalancer.topUpPosition(position, poolInfo.strategy, this.getTokenSharing(poolInfo));
+      if (!result) return { status: 'skipped' };
+    } else {
+      // Basis points of the position's liquidity, so fractional percents work
+      const liquidity = (BigInt(position.liquidity) * BigInt(Math.round(percent * 100))) / 10000n;
+      logger.warn(`[${poolInfo.label}] Removing ${percent}% of position #${tokenId}'s liquidity (${liquidity})`);
+      if (config.dryRun) {
+        this.rebalancer.beginDryRunPlan('decrease_liquidity', { tokenId, poolAddress: poolInfo.address, percent });
+      }
+      result = await this.rebalancer.decreaseLiquidity(position, liquidity);
+      if (config.dryRun) {
+        this.rebalancer.finishDryRunPlan({ outcome: result ? 'completed' : 'failed' });
+      }
+      if (!result) throw new Error('decreaseLiquidity failed; see the log');
+    }
+    
+    return {
+      status: result.dryRun ? 'simulated' : 'done',
+      txHash: result.hash || null,
+      amount0: result.amount0 != null ? result.amount0.toString() : null,
+      amount1: result.amount1 != null ? result.amount1.toString() : null
+    };
+  }
+
+  /**
+   * Snapshot for the control API status endpoint
+   */
+  getStatus() {
+    const pending = this.rebalancer?.getPendingRebalance();
+    
+    return {
+      running: this.isRunning,
+      paused: this.isPaused,
+      checkInProgress: this.isCheckInProgress,
+      dryRun: config.dryRun,
+      autoRebalance: config.autoRebalance,
+      wallet: this.web3?.wallet?.address || null,
+      pools: this.pools.map(p => ({ label: p.label, address: p.address, gauge: p.strategy.gaugeAddress })),
+      lastCycle: this.lastCycle,
+      positionsCheckedAt: this.lastPositions?.at || null,
+      positions: (this.lastPositions?.positions || []).map(p => ({
+        tokenId: p.tokenId.toString(),
+        pool: `${p.token0Symbol}/${p.token1Symbol}`,
+        poolAddress: p.poolAddress,
+        tickLower: Number(p.tickLower),
+        tickUpper: Number(p.tickUpper),
+        currentTick: Number(p.currentTick),
+        isInRange: p.isInRange,
+        percentOutOfRange: Number(p.percentOutOfRange || 0),
+        isStaked: p.isStaked,
+        liquidity: p.liquidity,
+        rebalanceTimer: this.hysteresis?.getStatus(p.tokenId) || null
+      })),
+      pendingRebalance: pending
+        ? { tokenId: pending.tokenId, stage: pending.stage, poolAddress: pending.poolAddress, newTokenId: pending.newTokenId || null }
+        : null,
+      lastForcedRebalance: this.lastForcedRebalance,
+      lastLiquidityChange: this.lastLiquidityChange,
+      rangeOrders: this.rangeOrders?.getStatus() || null,
+      lastTwapRefusal: this.rebalancer?.lastTwapRefusal || null,
+      configReload: this.configReloader?.getStatus() || null,
+      inFlightTransactions: this.web3?.txSupervisor?.getStatus() || [],
+      rpcEndpoints: this.web3?.provider?.getStatus ? this.web3.provider.getStatus() : null
+    };
+  }
+
   async stop() {
     logger.info('Stopping bot...');
     this.isRunning = false;
@@ -474,22 +1225,45 @@ class AerodromeAutoBalancer {
       this.checkInterval = null;
     }
     
+    if (this.web3?.txSupervisor) {
+      const inFlight = this.web3.txSupervisor.getStatus();
+      if (inFlight.length > 0) {
+        logger.warn(`Stopping with ${inFlight.length} transaction(s) in flight: ${inFlight.map(t => `nonce ${t.nonce} ${t.hash}`).join(', ')}`);
+      }
+      this.web3.txSupervisor.stop();
+    }
+    
+    if (this.controlApi) {
+      this.controlApi.stop();
+    }
+    if (this.metricsServer) {
+      this.metricsServer.stop();
+    }
+    if (this.configReloader) {
+      this.configReloader.stop();
+    }
+    
     logger.info('Bot stopped.');
     process.exit(0);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down...');
-  await bot.stop();
-});
-
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down...');
-  await bot.stop();
-});
+if (require.main === module) {
+  const bot = new AerodromeAutoBalancer();
+  
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, shutting down...');
+    await bot.stop();
+  });
+  
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, shutting down...');
+    await bot.stop();
+  });
+  
+  // Start the bot
+  bot.start();
+}
 
-// Start the bot
-const bot = new AerodromeAutoBalancer();
-bot.start();
+module.exports = { AerodromeAutoBalancer };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// JSON.stringify replacer for BigInt values
+const bigintReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Read a JSON state file, or null if it does not exist.
+ * An unreadable file is moved aside for inspection instead of silently dropped.
+ */
+function readJsonFile(filePath, label) {
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    logger.error(`${label} is unreadable (${error.message}); moved to ${corruptPath}`);
+    return null;
+  }
+}
+
+/**
+ * Atomically replace a JSON state file: write a temp file, fsync, rename
+ */
+function writeJsonAtomic(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(value, bigintReplacer, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * On-disk journal for an in-flight rebalance.
+ *
+ * Holds a single JSON entry (stage, amounts, tx hashes) that is rewritten
+ * after every step. Writes go to a temp file that is fsynced and renamed
+ * over the journal, so a crash never leaves a half-written entry behind.
+ */
+class RebalanceJournal {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Read the journaled rebalance, or null if there is none
+   */
+  load() {
+    return readJsonFile(this.filePath, 'Rebalance journal');
+  }
+
+  /**
+   * Atomically replace the journaled rebalance
+   */
+  save(entry) {
+    writeJsonAtomic(this.filePath, entry);
+  }
+
+  /**
+   * Remove the journal once a rebalance is finished
+   */
+  clear() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+module.exports = { RebalanceJournal, readJsonFile, writeJsonAtomic };
@@ -0,0 +1,85 @@
+// Concentrated-liquidity helpers (Uniswap V3 / Slipstream math).
+//
+// These work in floating point on raw token units. They are used for
+// estimates (dry-run plans, sizing) — never for values sent on-chain
+// without a slippage margin.
+
+const Q96 = 2 ** 96;
+
+/**
+ * sqrt(price) for a tick, where price = token1/token0 in raw units
+ */
+function tickToSqrtPrice(tick) {
+  return Math.pow(1.0001, tick / 2);
+}
+
+/**
+ * Convert an on-chain sqrtPriceX96 to a float sqrt(price)
+ */
+function sqrtPriceX96ToSqrtPrice(sqrtPriceX96) {
+  return Number(BigInt(sqrtPriceX96.toString())) / Q96;
+}
+
+/**
+ * Token amounts (raw units) held by `liquidity` in [tickLower, tickUpper]
+ * at the given sqrt price.
+ * @param {number} sqrtPrice - Current sqrt(price) as a float
+ * @param {number} tickLower - Lower tick of the range
+ * @param {number} tickUpper - Upper tick of the range
+ * @param {bigint|string|number} liquidity - Position liquidity
+ * @returns {Object} - { amount0, amount1 } as floats
+ */
+function getAmountsForLiquidity(sqrtPrice, tickLower, tickUpper, liquidity) {
+  const L = Number(liquidity.toString());
+  const sqrtLower = tickToSqrtPrice(tickLower);
+  const sqrtUpper = tickToSqrtPrice(tickUpper);
+
+  if (sqrtPrice <= sqrtLower) {
+    return { amount0: L * (1 / sqrtLower - 1 / sqrtUpper), amount1: 0 };
+  }
+  if (sqrtPrice >= sqrtUpper) {
+    return { amount0: 0, amount1: L * (sqrtUpper - sqrtLower) };
+  }
+  return {
+    amount0: L * (1 / sqrtPrice - 1 / sqrtUpper),
+    amount1: L * (sqrtPrice - sqrtLower)
+  };
+}
+
+/**
+ * Largest liquidity that amount0/amount1 (raw units) can mint in
+ * [tickLower, tickUpper] at the given sqrt price.
+ */
+function getLiquidityForAmounts(sqrtPrice, tickLower, tickUpper, amount0, amount1) {
+  const sqrtLower = tickToSqrtPrice(tickLower);
+  const sqrtUpper = tickToSqrtPrice(tickUpper);
+  const a0 = Number(amount0.toString());
+  const a1 = Number(amount1.toString());
+
+  if (sqrtPrice <= sqrtLower) {
+    return a0 / (1 / sqrtLower - 1 / sqrtUpper);
+  }
+  if (sqrtPrice >= sqrtUpper) {
+    return a1 / (sqrtUpper - sqrtLower);
+  }
+  const liquidity0 = a0 / (1 / sqrtPrice - 1 / sqrtUpper);
+  const liquidity1 = a1 / (sqrtPrice - sqrtLower);
+  return Math.min(liquidity0, liquidity1);
+}
+
+/**
+ * Convert a float amount in raw units to a BigInt (rounded down)
+ */
+function toRawBigInt(amount) {
+  if (!Number.isFinite(amount) || amount <= 0) return 0n;
+  return BigInt(Math.floor(amount).toLocaleString('fullwide', { useGrouping: false }));
+}
+
+module.exports = {
+  Q96,
+  tickToSqrtPrice,
+  sqrtPriceX96ToSqrtPrice,
+  getAmountsForLiquidity,
+  getLiquidityForAmounts,
+  toRawBigInt,
+};
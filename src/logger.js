@@ -1,24 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
+const config = require('./config');
+
+// Formatted line of a log entry (triple-beam's MESSAGE)
+const MESSAGE = Symbol.for('message');
+
+// Entry keys that are not structured fields
+const BASE_KEYS = new Set(['level', 'message', 'timestamp', 'stack']);
+
+/**
+ * Correlation context: fields (cycleId, rebalanceId, tokenId, stage) added to
+ * every entry logged while a check cycle or rebalance runs, including from
+ * the modules it calls.
+ */
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Short random ID for a check cycle or rebalance
+ */
+function newCorrelationId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Run `fn` with `fields` added to the current context (nested contexts inherit)
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Change fields of the current context in place, e.g. the stage of a running rebalance
+ */
+function setLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Context fields, under fields given explicitly; BigInts as strings so entries stay JSON
+const addContext = winston.format((info) => {
+  for (const [key, value] of Object.entries(getLogContext())) {
+    if (info[key] === undefined) info[key] = value;
+  }
+  for (const [key, value] of Object.entries(info)) {
+    if (typeof value === 'bigint') info[key] = value.toString();
+  }
+  return info;
+});
+
+function fieldsOf(info) {
+  return Object.entries(info).filter(([key, value]) => !BASE_KEYS.has(key) && value !== undefined);
+}
+
+const textFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf((info) => {
+    const fields = fieldsOf(info).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    return `${info.timestamp} ${info.level}: ${info.stack || info.message}${fields.length > 0 ? ` [${fields.join(' ')}]` : ''}`;
+  })
+);
+
+const jsonFormat = winston.format.json();
+
+/**
+ * Appends JSON lines to a file that rolls over daily and by size.
+ *
+ * LOG_FILE=logs/bot.log writes to logs/bot-YYYY-MM-DD.log (UTC date). Once a
+ * file reaches LOG_MAX_SIZE_MB it is renamed to bot-YYYY-MM-DD.N.log and a
+ * new one started; only the newest LOG_MAX_FILES files are kept. Writes are
+ * synchronous so the lines leading up to a crash are on disk.
+ */
+class RotatingFileTransport extends winston.Transport {
+  constructor({ filename, maxSizeBytes, maxFiles, ...options }) {
+    super(options);
+    this.dir = path.dirname(filename);
+    this.ext = path.extname(filename) || '.log';
+    this.base = path.basename(filename, path.extname(filename));
+    this.maxSizeBytes = maxSizeBytes;
+    this.maxFiles = maxFiles;
+    this.date = null;
+    this.size = 0;
+    this.failed = false;
+
+    const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    this.filePattern = new RegExp(`^${escape(this.base)}-\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?${escape(this.ext)}$`);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(date, index = 0) {
+    return path.join(this.dir, `${this.base}-${date}${index > 0 ? `.${index}` : ''}${this.ext}`);
+  }
+
+  log(info, callback) {
+    try {
+      this.append(`${info[MESSAGE]}\n`);
+      this.failed = false;
+    } catch (error) {
+      // Report once per outage; the console transport keeps logging
+      if (!this.failed) {
+        process.stderr.write(`Log file write failed: ${error.message}\n`);
+        this.failed = true;
+      }
+    }
+    this.emit('logged', info);
+    callback();
+  }
+
+  append(line) {
+    const date = new Date().toISOString().slice(0, 10);
+    if (date !== this.date) {
+      this.date = date;
+      this.size = fs.existsSync(this.fileFor(date)) ? fs.statSync(this.fileFor(date)).size : 0;
+      this.prune();
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSizeBytes) {
+      this.rollOver();
+    }
+
+    fs.appendFileSync(this.fileFor(this.date), line);
+    this.size += bytes;
+  }
+
+  rollOver() {
+    let index = 1;
+    while (fs.existsSync(this.fileFor(this.date, index))) index += 1;
+    fs.renameSync(this.fileFor(this.date), this.fileFor(this.date, index));
+    this.size = 0;
+    this.prune();
+  }
+
+  /**
+   * Delete old log files so that, with the active one, maxFiles remain
+   */
+  prune() {
+    const active = path.basename(this.fileFor(this.date));
+    const files = fs.readdirSync(this.dir)
+      .filter(name => name !== active && this.filePattern.test(name))
+      .map(name => ({ name, mtimeMs: fs.statSync(path.join(this.dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    for (const file of files.slice(Math.max(this.maxFiles - 1, 0))) {
+      fs.unlinkSync(path.join(this.dir, file.name));
+    }
+  }
+}
+
+const transports = [
+  new winston.transports.Console({
+    format: config.log.consoleFormat === 'json' ? jsonFormat : textFormat
+  })
+];
+
+if (config.log.file) {
+  transports.push(new RotatingFileTransport({
+    filename: config.log.file,
+    maxSizeBytes: config.log.maxSizeMb * 1024 * 1024,
+    maxFiles: config.log.maxFiles,
+    format: jsonFormat
+  }));
+}
 
 const logger = winston.createLogger({
-  level: 'info',
+  level: config.log.level,
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
-    winston.format.printf(({ timestamp, level, message, stack }) => {
-      return `${timestamp} [${level.toUpperCase()}]: ${stack || message}`;
-    })
+    addContext()
   ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message, stack }) => {
-          return `${timestamp} ${level}: ${stack || message}`;
-        })
-      )
-    })
-  ]
+  transports
 });
 
 module.exports = logger;
+module.exports.newCorrelationId = newCorrelationId;
+module.exports.withLogContext = withLogContext;
+module.exports.setLogContext = setLogContext;
+module.exports.getLogContext = getLogContext;
+module.exports.RotatingFileTransport = RotatingFileTransport;
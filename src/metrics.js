@@ -0,0 +1,313 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Minimal Prometheus registry (text exposition format 0.0.4): counters,
+ * gauges and histograms with labels, enough for the bot's own series.
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // labelKey -> { labels, value }
+  }
+
+  getSeries(labels) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+      this.series.set(key, { labels: picked, value: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    if (!series.counts) {
+      series.counts = this.buckets.map(() => 0);
+      series.sum = 0;
+      series.count = 0;
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  renderSeries() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+const checkCycleDuration = new Histogram(
+  'lp_bot_check_cycle_duration_seconds', 'Duration of check cycles', ['result'],
+  [1, 2, 5, 10, 30, 60, 120, 300, 600]
+);
+const lastCheckCycle = new Gauge(
+  'lp_bot_last_check_cycle_timestamp_seconds', 'Unix time the last check cycle finished', []
+);
+const positions = new Gauge(
+  'lp_bot_positions', 'Positions by pool and range state', ['pool', 'state']
+);
+const positionOutOfRange = new Gauge(
+  'lp_bot_position_out_of_range_percent', 'How far each position is out of range (0 when in range)', ['token_id', 'pool']
+);
+const rebalances = new Counter(
+  'lp_bot_rebalances_total', 'Rebalance attempts by outcome', ['pool', 'outcome']
+);
+const swapSlippage = new Histogram(
+  'lp_bot_swap_slippage_bps', 'Executed swap output below the quote, in basis points (negative = better than quoted)', ['router'],
+  [0, 1, 5, 10, 25, 50, 100, 200, 300, 500]
+);
+const gasUsed = new Counter(
+  'lp_bot_gas_used_total', 'Gas used by confirmed transactions', ['tx_type']
+);
+const gasSpent = new Counter(
+  'lp_bot_gas_spent_eth_total', 'L2 execution fees paid by confirmed transactions, in ETH', ['tx_type']
+);
+const transactions = new Counter(
+  'lp_bot_transactions_total', 'Confirmed transactions by type and status', ['tx_type', 'status']
+);
+const rpcDuration = new Histogram(
+  'lp_bot_rpc_request_duration_seconds', 'RPC request latency per endpoint', ['endpoint', 'method'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10]
+);
+const rpcErrors = new Counter(
+  'lp_bot_rpc_errors_total', 'Failed RPC requests per endpoint (timeouts and transport errors)', ['endpoint', 'method']
+);
+const walletEthBalance = new Gauge(
+  'lp_bot_wallet_eth_balance', 'Wallet ETH balance available for gas', []
+);
+
+const ALL_METRICS = [
+  checkCycleDuration, lastCheckCycle, positions, positionOutOfRange, rebalances, swapSlippage,
+  gasUsed, gasSpent, transactions, rpcDuration, rpcErrors, walletEthBalance,
+];
+
+// Transaction type from the called function
+const TX_TYPES = new Map([
+  ['approve(address,uint256)', 'approve'],
+  ['approve(address,address,uint160,uint48)', 'approve'],
+  ['multicall(bytes[])', 'withdraw'],
+  ['decreaseLiquidity((uint256,uint128,uint256,uint256,uint256))', 'withdraw'],
+  ['collect((uint256,address,uint128,uint128))', 'collect'],
+  ['mint((address,address,int24,int24,int24,uint256,uint256,uint256,uint256,address,uint256))', 'mint'],
+  ['mint((address,address,int24,int24,int24,uint256,uint256,uint256,uint256,address,uint256,uint160))', 'mint'],
+  ['increaseLiquidity((uint256,uint256,uint256,uint256,uint256,uint256))', 'increase_liquidity'],
+  ['increaseStakedLiquidity(uint256,uint256,uint256,uint256,uint256,uint256)', 'increase_liquidity'],
+  ['decreaseStakedLiquidity(uint256,uint128,uint256,uint256,uint256)', 'decrease_liquidity'],
+  ['deposit(uint256)', 'stake'],
+  ['withdraw(uint256)', 'unstake'],
+  ['getReward(uint256)', 'claim'],
+  ['execute(bytes,bytes[],uint256)', 'swap'],
+].map(([signature, type]) => [ethers.id(signature).slice(0, 10), type]));
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+/**
+ * Transaction type label: the called function, or `swap` for aggregator routers
+ */
+function txTypeOf(tx) {
+  const type = TX_TYPES.get((tx.data || '').slice(0, 10).toLowerCase());
+  if (type) return type;
+
+  const to = (tx.to || '').toLowerCase();
+  if ([...config.odos.allowedRouters, ...config.kyber.allowedRouters].includes(to)) return 'swap';
+  return 'other';
+}
+
+/**
+ * Record a finished check cycle
+ */
+function recordCheckCycle(result, durationMs) {
+  checkCycleDuration.observe({ result }, durationMs / 1000);
+  lastCheckCycle.set({}, Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Replace the position series with one check's positions (closed positions drop out)
+ */
+function recordPositions(positionList) {
+  positions.reset();
+  positionOutOfRange.reset();
+
+  for (const p of positionList) {
+    const pool = `${p.token0Symbol}/${p.token1Symbol}`;
+    positions.inc({ pool, state: p.isInRange ? 'in_range' : 'out_of_range' });
+    positionOutOfRange.set({ token_id: p.tokenId.toString(), pool }, p.isInRange ? 0 : Number(p.percentOutOfRange || 0));
+  }
+}
+
+function recordRebalance(pool, outcome) {
+  rebalances.inc({ pool, outcome });
+}
+
+/**
+ * Slippage of an executed swap: the tokenOut the receipt transferred to
+ * `recipient` against the quoted amount
+ */
+function recordSwapSlippage(router, receipt, tokenOut, recipient, quotedOut) {
+  if (!receipt?.logs || !quotedOut) return;
+
+  const recipientTopic = ethers.zeroPadValue(recipient, 32).toLowerCase();
+  const received = receipt.logs
+    .filter(log => log.address.toLowerCase() === tokenOut.toLowerCase()
+      && log.topics[0] === TRANSFER_TOPIC
+      && (log.topics[2] || '').toLowerCase() === recipientTopic)
+    .reduce((sum, log) => sum + BigInt(log.data), 0n);
+  if (received === 0n) return;
+
+  const bps = Number(((BigInt(quotedOut) - received) * 1000000n) / BigInt(quotedOut)) / 100;
+  swapSlippage.observe({ router }, bps);
+}
+
+/**
+ * Record gas of a confirmed transaction
+ */
+function recordTransaction(tx, receipt) {
+  if (!receipt) return;
+
+  const txType = txTypeOf(tx);
+  const price = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  gasUsed.inc({ tx_type: txType }, Number(receipt.gasUsed));
+  gasSpent.inc({ tx_type: txType }, Number(ethers.formatEther(receipt.gasUsed * price)));
+  transactions.inc({ tx_type: txType, status: receipt.status === 1 ? 'success' : 'reverted' });
+}
+
+function recordRpc(endpoint, method, durationMs, ok) {
+  rpcDuration.observe({ endpoint, method }, durationMs / 1000);
+  if (!ok) rpcErrors.inc({ endpoint, method });
+}
+
+function recordWalletBalance(balanceEth) {
+  walletEthBalance.set({}, balanceEth);
+}
+
+function render() {
+  return `${ALL_METRICS.map(m => m.render()).join('\n')}\n`;
+}
+
+/**
+ * Serves GET /metrics for Prometheus (METRICS_HOST:METRICS_PORT)
+ */
+class MetricsServer {
+  constructor() {
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(render());
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(config.metrics.port, config.metrics.host, () => {
+        const { address, port } = this.server.address();
+        logger.info(`Prometheus metrics on http://${address}:${port}/metrics`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = {
+  MetricsServer,
+  Counter,
+  Gauge,
+  Histogram,
+  txTypeOf,
+  recordCheckCycle,
+  recordPositions,
+  recordRebalance,
+  recordSwapSlippage,
+  recordTransaction,
+  recordRpc,
+  recordWalletBalance,
+  render,
+};
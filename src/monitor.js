@@ -1,6 +1,9 @@
 const config = require('./config');
 const logger = require('./logger');
 
+// Largest placement skew: keeps at least 5% of the range on the far side of the current tick
+const MAX_SKEW = 0.9;
+
 class PositionMonitor {
   constructor(web3Manager) {
     this.web3 = web3Manager;
@@ -45,6 +48,16 @@ class PositionMonitor {
     };
   }
 
+  /**
+   * Whether a position status meets the rebalance threshold
+   * @param {Object} status - Result of checkPositionStatus
+   * @param {number} thresholdPercent - REBALANCE_THRESHOLD: how far out of range, as % of the range width
+   * @returns {boolean}
+   */
+  isRebalanceCandidate(status, thresholdPercent) {
+    return !status.isInRange && Number(status.percentOutOfRange || 0) >= Number(thresholdPercent);
+  }
+
   /**
    * Calculate new tick range for rebalancing
    * @param {number} currentTick - Current pool tick
@@ -52,20 +65,192 @@ class PositionMonitor {
    * @param {number} rangeMultiplier - How wide the new range should be (e.g., 2 = 2x current range)
    * @param {number} existingTickLower - Existing position's lower tick (optional, for keeping same width)
    * @param {number} existingTickUpper - Existing position's upper tick (optional, for keeping same width)
+   * @param {number} skew - Placement bias in [-1, 1]: positive places more of the range above the current tick
    * @returns {Object} - New tickLower and tickUpper
    */
-  calculateNewRange(currentTick, tickSpacing, rangeMultiplier = 1, existingTickLower = null, existingTickUpper = null) {
+  calculateNewRange(currentTick, tickSpacing, rangeMultiplier = 1, existingTickLower = null, existingTickUpper = null, skew = 0) {
     // Use rangeMultiplier to calculate range width (same as wallet position creation)
     // Base is 30 ticks, multiplied by rangeMultiplier
     const rangeWidth = tickSpacing * Math.floor(30 / tickSpacing) * rangeMultiplier;
     
-    // Round to nearest tick spacing
-    const tickLower = Math.floor((currentTick - rangeWidth) / tickSpacing) * tickSpacing;
-    const tickUpper = Math.ceil((currentTick + rangeWidth) / tickSpacing) * tickSpacing;
+    // KEEP_RANGE_WIDTH reuses the existing position's width instead of the multiplier
+    const keepWidth = config.keepRangeWidth && existingTickLower !== null && existingTickUpper !== null;
+    
+    if (!keepWidth && skew === 0) {
+      return this.rangeAroundTick(currentTick, tickSpacing, rangeWidth);
+    }
+    
+    const width = keepWidth ? Number(existingTickUpper) - Number(existingTickLower) : 2 * rangeWidth;
+    return this.placeRange(currentTick, tickSpacing, width, skew);
+  }
+
+  /**
+   * Place a range of an exact width (rounded up to tick spacing) with its
+   * centre shifted by skew * half-width. The current tick always stays inside.
+   */
+  placeRange(currentTick, tickSpacing, width, skew = 0) {
+    const widthTicks = Math.max(tickSpacing, Math.ceil(width / tickSpacing) * tickSpacing);
+    const boundedSkew = Math.max(-MAX_SKEW, Math.min(MAX_SKEW, skew));
+    
+    const centre = currentTick + boundedSkew * widthTicks / 2;
+    let tickLower = Math.round((centre - widthTicks / 2) / tickSpacing) * tickSpacing;
+    
+    while (tickLower > currentTick) tickLower -= tickSpacing;
+    while (tickLower + widthTicks <= currentTick) tickLower += tickSpacing;
+    
+    return { tickLower, tickUpper: tickLower + widthTicks };
+  }
+
+  /**
+   * Placement skew for a new range from RANGE_PLACEMENT:
+   * - 'exit_bias': +/-RANGE_SKEW toward the side the old position exited
+   * - 'trend': RANGE_SKEW scaled by the short-vs-long TWAP trend
+   * - 'centered' (default): 0
+   */
+  async calculateSkew(poolAddress, currentTick, existingTickLower = null, existingTickUpper = null) {
+    const maxSkew = Math.min(Math.max(config.rangeSkew, 0), MAX_SKEW);
+    
+    if (config.rangePlacement === 'exit_bias') {
+      if (existingTickUpper !== null && currentTick > Number(existingTickUpper)) return maxSkew;
+      if (existingTickLower !== null && currentTick < Number(existingTickLower)) return -maxSkew;
+      return 0;
+    }
+    
+    if (config.rangePlacement === 'trend') {
+      try {
+        const [shortTwap, longTwap] = await this.web3.getTwapTicks(poolAddress, [config.twapShortSeconds, config.twapLongSeconds]);
+        const trend = shortTwap - longTwap;
+        const strength = Math.max(-1, Math.min(1, trend / config.trendFullSkewTicks));
+        logger.info(`TWAP trend: short ${shortTwap.toFixed(1)} vs long ${longTwap.toFixed(1)} (${trend.toFixed(1)} ticks) → skew ${(strength * maxSkew).toFixed(2)}`);
+        return strength * maxSkew;
+      } catch (error) {
+        logger.warn(`TWAP trend unavailable for pool ${poolAddress} (${error.message}); centring range`);
+        return 0;
+      }
+    }
+    
+    return 0;
+  }
+
+  /**
+   * Range of +/- halfWidth ticks around a tick, rounded outward to tick spacing
+   */
+  rangeAroundTick(currentTick, tickSpacing, halfWidth) {
+    const tickLower = Math.floor((currentTick - halfWidth) / tickSpacing) * tickSpacing;
+    const tickUpper = Math.ceil((currentTick + halfWidth) / tickSpacing) * tickSpacing;
     
     return { tickLower, tickUpper };
   }
 
+  /**
+   * New range for a pool using the configured RANGE_MODE.
+   * 'adaptive' sizes the range from realized volatility and falls back to the
+   * fixed width when the pool's observations cannot be read.
+   * @param {string} poolAddress - Pool to read observations from
+   * @param {number} currentTick - Current pool tick
+   * @param {number} tickSpacing - Pool tick spacing
+   * @param {number} rangeMultiplier - Fixed-mode width multiplier
+   * @param {number} existingTickLower - Existing position's lower tick (optional)
+   * @param {number} existingTickUpper - Existing position's upper tick (optional)
+   * @returns {Object} - New tickLower and tickUpper
+   */
+  async getNewRange(poolAddress, currentTick, tickSpacing, rangeMultiplier = 1, existingTickLower = null, existingTickUpper = null) {
+    const skew = await this.calculateSkew(poolAddress, currentTick, existingTickLower, existingTickUpper);
+    
+    if (config.rangeMode === 'adaptive') {
+      try {
+        return await this.calculateAdaptiveRange(poolAddress, currentTick, tickSpacing, skew);
+      } catch (error) {
+        logger.warn(`Adaptive range unavailable for pool ${poolAddress} (${error.message}); using fixed width`);
+      }
+    }
+    
+    return this.calculateNewRange(currentTick, tickSpacing, rangeMultiplier, existingTickLower, existingTickUpper, skew);
+  }
+
+  /**
+   * Realized volatility from the pool's oracle observations.
+   * The window is split into equal intervals; the change in average tick
+   * between consecutive intervals is the log-price move (1 tick ~ 1 bp).
+   * @param {string} poolAddress - Pool address
+   * @param {number} windowSeconds - Lookback window
+   * @param {number} samples - Number of intervals in the window
+   * @returns {Object} - { ticksPerSqrtSecond, intervalSeconds, moves }
+   */
+  async estimateVolatility(poolAddress, windowSeconds, samples) {
+    const pool = new ethers.Contract(
+      poolAddress,
+      ['function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)'],
+      this.web3.wallet
+    );
+    
+    const intervalSeconds = Math.floor(windowSeconds / samples);
+    if (samples < 3 || intervalSeconds < 1) {
+      throw new Error('VOLATILITY_SAMPLES must be at least 3 and the window at least 1s per sample');
+    }
+    
+    const secondsAgos = [];
+    for (let i = samples; i >= 0; i--) {
+      secondsAgos.push(i * intervalSeconds);
+    }
+    
+    // Reverts (e.g. 'OLD') when the observation history does not cover the window
+    const [tickCumulatives] = await pool.observe(secondsAgos);
+    
+    const averageTicks = [];
+    for (let i = 1; i < tickCumulatives.length; i++) {
+      averageTicks.push(Number(tickCumulatives[i] - tickCumulatives[i - 1]) / intervalSeconds);
+    }
+    
+    const moves = [];
+    for (let i = 1; i < averageTicks.length; i++) {
+      moves.push(averageTicks[i] - averageTicks[i - 1]);
+    }
+    
+    // Root-mean-square move: treats drift as volatility, which keeps ranges conservative
+    const rms = Math.sqrt(moves.reduce((sum, m) => sum + m * m, 0) / moves.length);
+    
+    // Consecutive interval averages of a random walk differ with variance
+    // (2/3) * sigma^2 * interval, so undo the smoothing from averaging
+    return {
+      ticksPerSqrtSecond: rms / Math.sqrt(intervalSeconds * 2 / 3),
+      intervalSeconds,
+      moves: moves.length
+    };
+  }
+
+  /**
+   * Volatility-adaptive range: for a random walk with volatility sigma the
+   * expected time to leave +/- h ticks is h^2 / sigma^2, so the half-width for
+   * a target time-in-range T is sigma * sqrt(T), clamped to the configured bounds.
+   */
+  async calculateAdaptiveRange(poolAddress, currentTick, tickSpacing, skew = 0) {
+    const { ticksPerSqrtSecond } = await this.estimateVolatility(
+      poolAddress,
+      config.volatilityWindowSeconds,
+      config.volatilitySamples
+    );
+    
+    const targetSeconds = config.targetTimeInRangeHours * 3600;
+    const rawHalfWidth = ticksPerSqrtSecond * Math.sqrt(targetSeconds);
+    const halfWidth = Math.min(
+      Math.max(rawHalfWidth, config.minRangeHalfWidthTicks),
+      config.maxRangeHalfWidthTicks
+    );
+    
+    const range = skew === 0
+      ? this.rangeAroundTick(currentTick, tickSpacing, halfWidth)
+      : this.placeRange(currentTick, tickSpacing, 2 * halfWidth, skew);
+    
+    logger.info(
+      `Adaptive range: volatility ${(ticksPerSqrtSecond * Math.sqrt(3600)).toFixed(2)} ticks/√h, ` +
+      `half-width ${rawHalfWidth.toFixed(1)} → ${halfWidth.toFixed(1)} ticks ` +
+      `(target ${config.targetTimeInRangeHours}h in range) → ${range.tickLower} - ${range.tickUpper}`
+    );
+    
+    return range;
+  }
+
   /**
    * Get all user positions and check their status
    * @param {string} userAddress - User's wallet address
@@ -79,7 +264,7 @@ class PositionMonitor {
     
     for (const position of positions) {
       try {
-        console.log('Position tokenId:', position.tokenId, 'token0:', position.token0, 'token1:', position.token1);
+        logger.debug(`Checking position #${position.tokenId}`, { tokenId: position.tokenId, token0: position.token0, token1: position.token1 });
         
         // Get pool address - use existing poolAddress if available (for staked positions)
         let poolAddress = position.poolAddress;
@@ -160,7 +345,7 @@ class PositionMonitor {
    * Also tries both Aerodrome factories (V3 and Stable)
    */
   async findPool(token0, token1) {
-    console.log('findPool called with:', token0, token1);
+    logger.debug(`Looking up pool for ${token0}/${token1}`);
     // Common fee tiers in basis points (including Aerodrome specific ones)
     const feeTiers = [10, 20, 35, 40, 100, 500, 3000, 10000]; // Including 0.035% (35), 0.2% (200), etc
     
@@ -184,7 +369,7 @@ class PositionMonitor {
           try {
             const poolAddress = await factory.getPool(token0, token1, fee);
             if (poolAddress !== ethers.ZeroAddress) {
-              console.log(`Found pool for ${token0}/${token1} with fee ${fee}: ${poolAddress}`);
+              logger.debug(`Found pool for ${token0}/${token1} with fee ${fee}: ${poolAddress}`);
               return poolAddress;
             }
           } catch (e) {
@@ -0,0 +1,236 @@
+const config = require('./config');
+const logger = require('./logger');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Events the bot reports, with their default severity
+const EVENTS = {
+  out_of_range: { severity: 'warning', title: 'Position out of range' },
+  rebalance_started: { severity: 'info', title: 'Rebalance started' },
+  rebalance_succeeded: { severity: 'info', title: 'Rebalance succeeded' },
+  rebalance_failed: { severity: 'critical', title: 'Rebalance failed' },
+  swap_failed: { severity: 'critical', title: 'Swap failed' },
+  position_not_staked: { severity: 'warning', title: 'Position created but not staked' },
+  range_order_placed: { severity: 'info', title: 'Range order placed' },
+  range_order_filled: { severity: 'info', title: 'Range order filled' },
+  low_gas_balance: { severity: 'critical', title: 'Low gas balance' },
+};
+
+const SEVERITY_EMOJI = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+const DISCORD_COLORS = { info: 0x3498db, warning: 0xf1c40f, critical: 0xe74c3c };
+
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, (k, v) => (typeof v === 'bigint' ? v.toString() : v)),
+    signal: AbortSignal.timeout(config.notify.timeoutMs),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    const error = new Error(`HTTP ${res.status}: ${text.substring(0, 200)}`);
+    // Other 4xx answers (bad token, unknown chat) fail the same way on every try
+    error.retryable = res.status === 429 || res.status >= 500;
+    throw error;
+  }
+}
+
+function formatText(event) {
+  const lines = [`${SEVERITY_EMOJI[event.severity]} ${event.title}`, event.message];
+  for (const [name, value] of Object.entries(event.fields)) {
+    lines.push(`${name}: ${value}`);
+  }
+  if (event.suppressed > 0) {
+    lines.push(`(${event.suppressed} earlier notification(s) suppressed by rate limit)`);
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Notification channels share one interface:
+ *   send(event) -> resolves once delivered, throws on failure
+ * event = { type, severity, title, message, fields, at, suppressed }
+ */
+
+/**
+ * Generic JSON webhook: the event is POSTed as-is
+ */
+class WebhookChannel {
+  constructor({ url, minSeverity }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.minSeverity = minSeverity;
+  }
+
+  async send(event) {
+    await postJson(this.url, { source: 'aerodrome-autobalancer', ...event });
+  }
+}
+
+/**
+ * Telegram Bot API sendMessage
+ */
+class TelegramChannel {
+  constructor({ botToken, chatId, apiBaseUrl, minSeverity }) {
+    this.name = 'telegram';
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.apiBaseUrl = apiBaseUrl;
+    this.minSeverity = minSeverity;
+  }
+
+  async send(event) {
+    await postJson(`${this.apiBaseUrl}/bot${this.botToken}/sendMessage`, {
+      chat_id: this.chatId,
+      text: formatText(event),
+      disable_web_page_preview: true,
+      // Only critical events make a sound
+      disable_notification: event.severity !== 'critical',
+    });
+  }
+}
+
+/**
+ * Discord webhook with one embed per event
+ */
+class DiscordChannel {
+  constructor({ webhookUrl, minSeverity }) {
+    this.name = 'discord';
+    this.webhookUrl = webhookUrl;
+    this.minSeverity = minSeverity;
+  }
+
+  async send(event) {
+    const fields = Object.entries(event.fields).map(([name, value]) => ({ name, value: String(value).substring(0, 1024), inline: true }));
+    await postJson(this.webhookUrl, {
+      username: 'Aerodrome LP Bot',
+      embeds: [{
+        title: `${SEVERITY_EMOJI[event.severity]} ${event.title}`,
+        description: event.message.substring(0, 4000),
+        color: DISCORD_COLORS[event.severity],
+        fields,
+        footer: event.suppressed > 0 ? { text: `${event.suppressed} earlier notification(s) suppressed by rate limit` } : undefined,
+        timestamp: event.at,
+      }],
+    });
+  }
+}
+
+/**
+ * Sends bot events to every configured channel.
+ *
+ * An event goes to a channel when its severity (the default from EVENTS, or
+ * NOTIFY_EVENT_SEVERITY) reaches the channel's minimum. Rate limiting is
+ * two-fold: the same event for the same subject (e.g. one position) is sent
+ * at most once per NOTIFY_DEDUPE_MINUTES, and each channel sends at most
+ * NOTIFY_MAX_PER_HOUR messages; the suppressed count rides on the next one.
+ * A failed delivery is retried NOTIFY_RETRIES times with a doubling delay.
+ * Delivery never throws into the caller.
+ */
+class Notifier {
+  constructor(channels = null) {
+    this.channels = channels || Notifier.channelsFromConfig();
+    this.lastSentAt = new Map(); // `${type}:${key}` -> ms
+    this.channelState = new Map(this.channels.map(c => [c, { sentAt: [], suppressed: 0 }]));
+  }
+
+  static channelsFromConfig() {
+    const { webhook, telegram, discord } = config.notify;
+    const channels = [];
+    if (webhook.url) channels.push(new WebhookChannel(webhook));
+    if (telegram.botToken && telegram.chatId) channels.push(new TelegramChannel(telegram));
+    if (discord.webhookUrl) channels.push(new DiscordChannel(discord));
+    return channels;
+  }
+
+  /**
+   * Effective severity of an event type, or null when it is switched off
+   */
+  getSeverity(type) {
+    const override = config.notify.eventSeverity[type];
+    if (override === 'off') return null;
+    return override || EVENTS[type].severity;
+  }
+
+  /**
+   * Report an event.
+   * @param {string} type - Key of EVENTS
+   * @param {Object} details - { message, fields, key } where key identifies the subject for de-duplication
+   * @returns {Promise} - Resolves when every channel has been tried
+   */
+  notify(type, { message = '', fields = {}, key = '' } = {}) {
+    if (!EVENTS[type]) {
+      logger.warn(`Unknown notification event "${type}"`);
+      return Promise.resolve();
+    }
+    if (this.channels.length === 0) return Promise.resolve();
+
+    const severity = this.getSeverity(type);
+    if (!severity) return Promise.resolve();
+
+    const dedupeKey = `${type}:${key}`;
+    const now = Date.now();
+    const last = this.lastSentAt.get(dedupeKey);
+    if (last && now - last < config.notify.dedupeMinutes * 60000) {
+      return Promise.resolve();
+    }
+    this.lastSentAt.set(dedupeKey, now);
+
+    const event = {
+      type,
+      severity,
+      title: `${config.dryRun ? '[DRY RUN] ' : ''}${EVENTS[type].title}`,
+      message,
+      fields,
+      at: new Date(now).toISOString(),
+    };
+
+    return Promise.all(this.channels.map(channel => this.deliver(channel, event, now)));
+  }
+
+  async deliver(channel, event, now) {
+    const minSeverity = channel.minSeverity || config.notify.minSeverity;
+    if (severityRank(event.severity) < severityRank(minSeverity)) return;
+
+    const state = this.channelState.get(channel);
+    state.sentAt = state.sentAt.filter(t => now - t < 3600000);
+    if (state.sentAt.length >= config.notify.maxPerHour) {
+      state.suppressed += 1;
+      return;
+    }
+    state.sentAt.push(now);
+
+    const suppressed = state.suppressed;
+    state.suppressed = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await channel.send({ ...event, suppressed });
+        return;
+      } catch (error) {
+        if (error.retryable === false || attempt >= config.notify.retries) {
+          logger.warn(`${channel.name} notification (${event.type}) failed: ${error.message}`);
+          return;
+        }
+        const delayMs = config.notify.retryDelayMs * 2 ** attempt;
+        logger.debug(`${channel.name} notification (${event.type}) failed: ${error.message}; retrying in ${delayMs} ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
+module.exports = {
+  notifier: new Notifier(),
+  Notifier,
+  WebhookChannel,
+  TelegramChannel,
+  DiscordChannel,
+  EVENTS,
+  SEVERITIES,
+};
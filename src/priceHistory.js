@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const { Contract } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+const { createProvider } = require('./web3');
+
+const POOL_HISTORY_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)',
+  'function liquidity() view returns (uint128)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function tickSpacing() view returns (int24)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+];
+
+const TOKEN_META_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+];
+
+// Blocks per eth_getLogs request when backfilling (many RPCs cap the range)
+const DEFAULT_CHUNK_BLOCKS = 2000;
+
+/**
+ * Pool price history on disk: one JSON-lines file per pool,
+ * <dir>/<pool address>.jsonl, in the format the backtester reads
+ * (see backtest.js). A new file starts with a meta record describing the
+ * pool; every other line is a sample.
+ */
+class PriceHistoryStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  fileFor(poolAddress) {
+    return path.join(this.dir, `${poolAddress.toLowerCase()}.jsonl`);
+  }
+
+  /**
+   * Append samples for a pool, writing the meta record first for a new file
+   * @param {Object} meta - Pool description (pool, gauge, tokens, symbols, decimals, tickSpacing, fee)
+   * @param {Array} samples - Sample records
+   */
+  append(meta, samples) {
+    if (samples.length === 0) return;
+
+    const file = this.fileFor(meta.pool);
+    let lines = '';
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      lines += `${JSON.stringify({ type: 'meta', ...meta })}\n`;
+    }
+    lines += samples.map(sample => `${JSON.stringify(sample)}\n`).join('');
+    fs.appendFileSync(file, lines);
+  }
+
+  /**
+   * First and last recorded block of a pool, or null without samples
+   */
+  getBlockRange(poolAddress) {
+    const file = this.fileFor(poolAddress);
+    if (!fs.existsSync(file)) return null;
+
+    let range = null;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (record.type === 'meta' || !Number.isInteger(record.block)) continue;
+      range = range
+        ? { first: Math.min(range.first, record.block), last: Math.max(range.last, record.block) }
+        : { first: record.block, last: record.block };
+    }
+    return range;
+  }
+}
+
+/**
+ * Token amounts swapped into the pool (fees are charged on the input side)
+ */
+function addSwapVolume(totals, amount0, amount1) {
+  if (amount0 > 0n) totals.volume0 += amount0;
+  if (amount1 > 0n) totals.volume1 += amount1;
+}
+
+/**
+ * Price history recorder.
+ *
+ * record() takes one sample of a pool per check cycle: tick, sqrtPriceX96
+ * and active liquidity read at a single block, plus the swap volume since
+ * the previous sample from the pool's Swap events. The first sample after a
+ * start has no volume. backfill() builds the same samples from Swap events
+ * over a past block range.
+ */
+class PriceHistoryRecorder {
+  constructor(provider, store) {
+    this.provider = provider;
+    this.store = store;
+    this.lastBlocks = new Map(); // pool -> last block sampled by this process
+  }
+
+  /**
+   * Record the current state of a managed pool
+   * @param {Object} poolInfo - Managed pool (from AerodromeAutoBalancer.initializePools)
+   * @returns {Object|null} - The sample written, or null when the block was already sampled
+   */
+  async record(poolInfo) {
+    const key = poolInfo.address.toLowerCase();
+    const pool = new Contract(poolInfo.address, POOL_HISTORY_ABI, this.provider);
+
+    const block = await this.provider.getBlock('latest');
+    const lastBlock = this.lastBlocks.get(key);
+    if (lastBlock !== undefined && block.number <= lastBlock) return null;
+
+    const [slot0, liquidity] = await Promise.all([
+      pool.slot0({ blockTag: block.number }),
+      pool.liquidity({ blockTag: block.number })
+    ]);
+
+    const sample = {
+      timestamp: block.timestamp,
+      block: block.number,
+      tick: Number(slot0.tick),
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      liquidity: liquidity.toString()
+    };
+
+    if (lastBlock !== undefined) {
+      try {
+        const totals = { volume0: 0n, volume1: 0n };
+        for (const log of await pool.queryFilter(pool.filters.Swap(), lastBlock + 1, block.number)) {
+          addSwapVolume(totals, log.args.amount0, log.args.amount1);
+        }
+        sample.volume0 = totals.volume0.toString();
+        sample.volume1 = totals.volume1.toString();
+      } catch (error) {
+        logger.debug(`[${poolInfo.label}] Swap volume unavailable for blocks ${lastBlock + 1}-${block.number}: ${error.message}`);
+      }
+    }
+
+    this.store.append(poolMetaOf(poolInfo), [sample]);
+    this.lastBlocks.set(key, block.number);
+    logger.debug(`[${poolInfo.label}] Recorded tick ${sample.tick} at block ${sample.block}`);
+    return sample;
+  }
+
+  /**
+   * Samples from Swap events between two blocks, one per `intervalSeconds`
+   * with swaps: the pool state after the interval's last swap and the
+   * volume swapped in during the interval. Block timestamps are interpolated
+   * between the range ends (Base produces a block every 2 seconds).
+   * @param {Object} meta - Pool description, see loadPoolMeta
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @param {Object} options - { intervalSeconds, chunkBlocks }
+   * @returns {number} - Samples written
+   */
+  async backfill(meta, fromBlock, toBlock, { intervalSeconds, chunkBlocks = DEFAULT_CHUNK_BLOCKS }) {
+    const pool = new Contract(meta.pool, POOL_HISTORY_ABI, this.provider);
+    const [startBlock, endBlock] = await Promise.all([
+      this.provider.getBlock(fromBlock),
+      this.provider.getBlock(toBlock)
+    ]);
+    const secondsPerBlock = toBlock > fromBlock
+      ? (endBlock.timestamp - startBlock.timestamp) / (toBlock - fromBlock)
+      : 0;
+    const timestampOf = block => Math.round(startBlock.timestamp + (block - fromBlock) * secondsPerBlock);
+
+    let written = 0;
+    let bucket = null;
+    let pending = [];
+    const flush = () => {
+      if (!bucket) return;
+      pending.push({
+        timestamp: bucket.timestamp,
+        block: bucket.block,
+        tick: bucket.tick,
+        sqrtPriceX96: bucket.sqrtPriceX96,
+        liquidity: bucket.liquidity,
+        volume0: bucket.volume0.toString(),
+        volume1: bucket.volume1.toString()
+      });
+      bucket = null;
+    };
+
+    for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += chunkBlocks) {
+      const chunkEnd = Math.min(chunkStart + chunkBlocks - 1, toBlock);
+      const logs = await pool.queryFilter(pool.filters.Swap(), chunkStart, chunkEnd);
+
+      for (const log of logs) {
+        const timestamp = timestampOf(log.blockNumber);
+        const index = Math.floor((timestamp - startBlock.timestamp) / intervalSeconds);
+        if (bucket && bucket.index !== index) flush();
+        if (!bucket) bucket = { index, volume0: 0n, volume1: 0n };
+
+        addSwapVolume(bucket, log.args.amount0, log.args.amount1);
+        bucket.timestamp = timestamp;
+        bucket.block = log.blockNumber;
+        bucket.tick = Number(log.args.tick);
+        bucket.sqrtPriceX96 = log.args.sqrtPriceX96.toString();
+        bucket.liquidity = log.args.liquidity.toString();
+      }
+      // The last interval may continue in the next chunk, so it stays open
+      this.store.append(meta, pending);
+      written += pending.length;
+      pending = [];
+      logger.info(`Backfill ${meta.symbol0}/${meta.symbol1}: blocks ${chunkStart}-${chunkEnd}, ${logs.length} swap(s)`);
+    }
+    flush();
+    this.store.append(meta, pending);
+    written += pending.length;
+
+    return written;
+  }
+}
+
+/**
+ * Meta record for a managed pool
+ */
+function poolMetaOf(poolInfo) {
+  return {
+    pool: poolInfo.address,
+    gauge: poolInfo.gaugeAddress,
+    token0: poolInfo.token0,
+    token1: poolInfo.token1,
+    symbol0: poolInfo.symbol0,
+    symbol1: poolInfo.symbol1,
+    decimals0: Number(poolInfo.decimals0),
+    decimals1: Number(poolInfo.decimals1),
+    tickSpacing: Number(poolInfo.tickSpacing),
+    fee: Number(poolInfo.fee)
+  };
+}
+
+/**
+ * Meta record for a pool read from chain (gauge optional)
+ */
+async function loadPoolMeta(provider, poolAddress, gaugeAddress = null) {
+  const pool = new Contract(poolAddress, POOL_HISTORY_ABI, provider);
+  const [token0, token1, fee, tickSpacing] = await Promise.all([
+    pool.token0(),
+    pool.token1(),
+    pool.fee(),
+    pool.tickSpacing()
+  ]);
+  const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
+    new Contract(token0, TOKEN_META_ABI, provider).symbol(),
+    new Contract(token1, TOKEN_META_ABI, provider).symbol(),
+    new Contract(token0, TOKEN_META_ABI, provider).decimals(),
+    new Contract(token1, TOKEN_META_ABI, provider).decimals()
+  ]);
+
+  return poolMetaOf({ address: poolAddress, gaugeAddress, token0, token1, symbol0, symbol1, decimals0, decimals1, tickSpacing, fee });
+}
+
+/**
+ * Parts of [fromBlock, toBlock] outside the recorded range, so a backfill
+ * never double-counts swap volume already in the file
+ */
+function uncoveredRanges(fromBlock, toBlock, recorded) {
+  if (!recorded) return [[fromBlock, toBlock]];
+  return [
+    [fromBlock, Math.min(toBlock, recorded.first - 1)],
+    [Math.max(fromBlock, recorded.last + 1), toBlock]
+  ].filter(([from, to]) => from <= to);
+}
+
+const USAGE = `Usage: npm run backfill-history -- --from <block> [--to <block>] [--gauge <address> | --pool <address>] [--interval <seconds>] [--chunk <blocks>]
+
+Builds price history from the pool's Swap events. Defaults: every configured
+gauge's pool, up to the latest block, one sample per CHECK_INTERVAL.`;
+
+function parseArgs(argv) {
+  const args = {};
+  const names = { '--from': 'from', '--to': 'to', '--gauge': 'gauge', '--pool': 'pool', '--interval': 'interval', '--chunk': 'chunk' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      args.help = true;
+    } else if (names[argv[i]] && argv[i + 1] !== undefined) {
+      args[names[argv[i]]] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete argument: ${argv[i]}`);
+    }
+  }
+
+  for (const name of ['from', 'interval', 'chunk']) {
+    if (args[name] !== undefined && !/^\d+$/.test(args[name])) throw new Error(`--${name} must be a whole number`);
+  }
+  if (args.to !== undefined && args.to !== 'latest' && !/^\d+$/.test(args.to)) {
+    throw new Error('--to must be a block number or "latest"');
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help || args.from === undefined) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const provider = await createProvider();
+  const store = new PriceHistoryStore(config.priceHistory.dir);
+  const recorder = new PriceHistoryRecorder(provider, store);
+
+  const latest = await provider.getBlockNumber();
+  const fromBlock = Number(args.from);
+  const toBlock = args.to === undefined || args.to === 'latest' ? latest : Math.min(Number(args.to), latest);
+  const intervalSeconds = args.interval !== undefined ? Math.max(Number(args.interval), 1) : config.checkInterval / 1000;
+  const chunkBlocks = args.chunk !== undefined ? Math.max(Number(args.chunk), 1) : DEFAULT_CHUNK_BLOCKS;
+  if (fromBlock > toBlock) {
+    console.error(`--from ${fromBlock} is after the last block ${toBlock}`);
+    process.exit(1);
+  }
+
+  let targets;
+  if (args.pool) {
+    targets = [{ pool: args.pool, gauge: null }];
+  } else {
+    const gauges = args.gauge ? [args.gauge] : config.pools.map(p => p.gaugeAddress);
+    targets = await Promise.all(gauges.map(async gauge => ({
+      pool: await new Contract(gauge, ['function pool() view returns (address)'], provider).pool(),
+      gauge
+    })));
+  }
+
+  for (const { pool, gauge } of targets) {
+    const meta = await loadPoolMeta(provider, pool, gauge);
+    const recorded = store.getBlockRange(pool);
+    const ranges = uncoveredRanges(fromBlock, toBlock, recorded);
+    if (recorded) {
+      logger.info(`${meta.symbol0}/${meta.symbol1}: blocks ${recorded.first}-${recorded.last} already recorded; backfilling ${ranges.length > 0 ? ranges.map(r => r.join('-')).join(' and ') : 'nothing'}`);
+    }
+
+    let written = 0;
+    for (const [from, to] of ranges) {
+      written += await recorder.backfill(meta, from, to, { intervalSeconds, chunkBlocks });
+    }
+    logger.info(`${meta.symbol0}/${meta.symbol1}: wrote ${written} sample(s) to ${store.fileFor(pool)}`);
+  }
+
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error(`Backfill failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { PriceHistoryStore, PriceHistoryRecorder, loadPoolMeta, uncoveredRanges };
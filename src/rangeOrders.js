@@ -0,0 +1,376 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+const { readJsonFile, writeJsonAtomic } = require('./journal');
+const { notifier } = require('./notifier');
+
+// Token each mode sells, and the side of the current tick its order sits on
+const MODES = {
+  take_profit: { sellsToken0: true, side: 'above' },
+  accumulate: { sellsToken0: false, side: 'below' }
+};
+
+/**
+ * Ticks of a single-sided order next to the current tick. An order above the
+ * tick holds only token0, one below it only token1; both bounds stay strictly
+ * off the current tick so the mint never needs the other token.
+ * @param {number} currentTick - Pool tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @param {string} mode - take_profit (above) or accumulate (below)
+ * @param {number} widthSpacings - Order width in tick spacings (RANGE_ORDER_WIDTH)
+ * @param {number} offsetSpacings - Gap to the current tick's spacing in tick spacings (RANGE_ORDER_OFFSET)
+ * @returns {Object} - { tickLower, tickUpper }
+ */
+function getRangeOrderTicks(currentTick, tickSpacing, mode, widthSpacings = 1, offsetSpacings = 0) {
+  if (MODES[mode].side === 'above') {
+    const tickLower = (Math.floor(currentTick / tickSpacing) + 1 + offsetSpacings) * tickSpacing;
+    return { tickLower, tickUpper: tickLower + widthSpacings * tickSpacing };
+  }
+  const tickUpper = (Math.ceil(currentTick / tickSpacing) - 1 - offsetSpacings) * tickSpacing;
+  return { tickLower: tickUpper - widthSpacings * tickSpacing, tickUpper };
+}
+
+/**
+ * Whether price has crossed the whole order, so it holds only the bought token
+ */
+function isOrderFilled(mode, tickLower, tickUpper, currentTick) {
+  return MODES[mode].side === 'above' ? currentTick >= tickUpper : currentTick < tickLower;
+}
+
+/**
+ * Range orders (limit orders made of CL positions).
+ *
+ * In a RANGE_ORDERS pool the bot does not provide liquidity around the price.
+ * It places a single-sided position just above the current tick holding only
+ * token0 (take_profit) or just below it holding only token1 (accumulate).
+ * Once price has crossed the whole range, the position holds only the bought
+ * token and is withdrawn to the wallet: the trade pays no swap fee and earns
+ * the pool's fee instead. Up to RANGE_ORDER_RUNGS orders are placed per pool,
+ * each next to the price of its time, so a rising price walks a take-profit
+ * ladder upwards.
+ *
+ * The orders the bot placed and the rungs used per pool are written to disk;
+ * other positions in these pools are left alone. An order is journaled as
+ * pending before its mint, so a crash between the mint and the save cannot
+ * leave an untracked position behind.
+ */
+class RangeOrderManager {
+  constructor(web3Manager, rebalancer, filePath) {
+    this.web3 = web3Manager;
+    this.rebalancer = rebalancer;
+    this.filePath = path.resolve(filePath);
+    this.orders = {}; // tokenId -> { pool, mode, tickLower, tickUpper, amountIn, rung, placedAt }
+    this.rungs = {}; // pool -> orders placed so far
+    this.pending = {}; // pool -> order journaled before its mint, with token0/token1 and startedAt
+  }
+
+  /**
+   * Restore open orders and rung counts from disk
+   */
+  load() {
+    const state = readJsonFile(this.filePath, 'Range order state');
+    if (!state) return;
+
+    this.orders = state.orders || {};
+    this.rungs = state.rungs || {};
+    this.pending = state.pending || {};
+
+    const open = Object.keys(this.orders).length;
+    if (open > 0) {
+      logger.info(`Restored ${open} open range order(s)`);
+    }
+    for (const [pool, entry] of Object.entries(this.pending)) {
+      logger.warn(`Found unfinished ${entry.mode} order placement in pool ${pool} (${entry.tickLower} - ${entry.tickUpper})`);
+    }
+  }
+
+  /**
+   * Write the state file; throws when the write fails
+   */
+  persist() {
+    writeJsonAtomic(this.filePath, { orders: this.orders, rungs: this.rungs, pending: this.pending });
+  }
+
+  save() {
+    // Dry-run orders are never placed, so they must not leak into a live run
+    if (config.dryRun) return;
+
+    try {
+      this.persist();
+    } catch (error) {
+      logger.error(`Failed to persist range order state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Settle every order journaled before a mint that may not have finished
+   * @param {Function} getLabel - Pool address -> log label
+   */
+  async resumePending(getLabel = (pool) => pool) {
+    for (const pool of Object.keys(this.pending)) {
+      await this.reconcilePending(pool, getLabel(pool));
+    }
+  }
+
+  /**
+   * Settle a pool's journaled order: track the position if the mint landed,
+   * otherwise drop the entry so the order is placed again
+   * @returns {string|null} - tokenId of the recovered order
+   */
+  async reconcilePending(pool, label) {
+    const entry = this.pending[pool];
+    if (!entry) return null;
+
+    const tokenId = await this.rebalancer.findMintedPosition(entry);
+    if (tokenId && !this.isOrder(tokenId)) {
+      logger.warn(`[${label}] Found ${entry.mode} order #${tokenId} minted by an unfinished placement; tracking it`);
+      this.recordOrder(tokenId, pool, entry, entry.startedAt);
+      return tokenId;
+    }
+
+    logger.info(`[${label}] Journaled ${entry.mode} order ${entry.tickLower} - ${entry.tickUpper} was never minted; discarding it`);
+    delete this.pending[pool];
+    this.save();
+    return null;
+  }
+
+  /**
+   * Track a minted order and clear its pool's journal entry
+   */
+  recordOrder(tokenId, pool, { mode, tickLower, tickUpper, amountIn, rung }, placedAt) {
+    this.orders[tokenId] = { pool, mode, tickLower, tickUpper, amountIn, rung, placedAt };
+    this.rungs[pool] = rung;
+    delete this.pending[pool];
+    this.save();
+  }
+
+  /**
+   * Range-order mode of a managed pool (from RANGE_ORDERS), or null.
+   * Accepts the bot's pool list entries as well as check-cycle groups.
+   */
+  getMode(poolInfo) {
+    if (poolInfo.managed === false || !poolInfo.gaugeAddress) return null;
+
+    const entry = config.rangeOrders.find(o => o.gaugeAddress.toLowerCase() === poolInfo.gaugeAddress.toLowerCase());
+    return entry ? entry.mode : null;
+  }
+
+  /**
+   * Whether a position is one of the bot's open range orders
+   */
+  isOrder(tokenId) {
+    return Object.hasOwn(this.orders, String(tokenId));
+  }
+
+  getStatus() {
+    return {
+      orders: Object.entries(this.orders).map(([tokenId, order]) => ({ tokenId, ...order })),
+      rungs: { ...this.rungs },
+      pending: { ...this.pending }
+    };
+  }
+
+  /**
+   * Check one range-order pool: withdraw filled orders, then place the next
+   * order when none is open and rungs are left.
+   * @param {Object} poolInfo - Managed pool (from initializePools)
+   * @param {Array} positions - The pool's positions from PositionMonitor.checkAllPositions
+   * @param {string} mode - take_profit or accumulate
+   * @param {Object} sharedBy - { token0, token1 }: managed pools holding each token
+   */
+  async checkPool(poolInfo, positions, mode, sharedBy = {}) {
+    const { label } = poolInfo;
+    const pool = poolInfo.address.toLowerCase();
+    const positionIds = new Set(positions.map(p => p.tokenId.toString()));
+    let openOrders = 0;
+
+    // An order journaled by a placement that did not finish (lost receipt or failed mint)
+    await this.reconcilePending(pool, label);
+
+    // Orders withdrawn outside the bot (or lost to a crash after the burn)
+    for (const [tokenId, order] of Object.entries(this.orders)) {
+      if (order.pool !== pool || positionIds.has(tokenId)) continue;
+      if (await this.rebalancer.isPositionWithdrawn(tokenId)) {
+        logger.warn(`[${label}] Range order #${tokenId} no longer exists; forgetting it`);
+        delete this.orders[tokenId];
+        this.save();
+      } else {
+        openOrders += 1;
+      }
+    }
+
+    for (const position of positions) {
+      const tokenId = position.tokenId.toString();
+      const order = this.orders[tokenId];
+      if (!order) {
+        logger.info(`[${label}] Position #${tokenId} is not a range order; leaving it alone`);
+        continue;
+      }
+
+      const currentTick = Number(position.currentTick);
+      if (isOrderFilled(order.mode, order.tickLower, order.tickUpper, currentTick)) {
+        const closed = await this.fillOrder(poolInfo, position, order);
+        if (!closed) openOrders += 1;
+        continue;
+      }
+
+      openOrders += 1;
+      const width = order.tickUpper - order.tickLower;
+      const crossed = MODES[order.mode].side === 'above'
+        ? currentTick - order.tickLower
+        : order.tickUpper - currentTick;
+      const filledPercent = Math.min(Math.max(crossed / width, 0), 1) * 100;
+      logger.info(`[${label}] Range order #${tokenId} (${order.mode}, ${order.tickLower} - ${order.tickUpper}) is ${filledPercent.toFixed(0)}% filled at tick ${currentTick}`);
+    }
+
+    if (openOrders > 0) return;
+
+    const placed = this.rungs[pool] || 0;
+    if (config.rangeOrderRungs > 0 && placed >= config.rangeOrderRungs) {
+      logger.info(`[${label}] All ${config.rangeOrderRungs} range order rung(s) placed; raise RANGE_ORDER_RUNGS to place more`);
+      return;
+    }
+
+    await this.placeOrder(poolInfo, mode, placed + 1, sharedBy);
+  }
+
+  /**
+   * Withdraw a filled order to the wallet
+   * @returns {boolean} - Whether the order was closed
+   */
+  async fillOrder(poolInfo, position, order) {
+    const { label, symbol0, symbol1, decimals0, decimals1 } = poolInfo;
+    const tokenId = position.tokenId.toString();
+
+    logger.info(`[${label}] 🎯 Range order #${tokenId} (${order.mode}, ${order.tickLower} - ${order.tickUpper}) filled at tick ${position.currentTick}; withdrawing...`);
+
+    if (config.dryRun) {
+      this.rebalancer.beginDryRunPlan('range_order_fill', {
+        tokenId,
+        poolAddress: poolInfo.address,
+        range: { tickLower: order.tickLower, tickUpper: order.tickUpper }
+      });
+    }
+
+    const result = await this.rebalancer.closePosition(position);
+
+    if (config.dryRun) {
+      this.rebalancer.finishDryRunPlan(result
+        ? { outcome: 'completed', expectedWithdraw: { amount0: result.amount0, amount1: result.amount1 } }
+        : { outcome: 'failed' });
+      return false;
+    }
+    if (!result) {
+      logger.warn(`[${label}] Range order #${tokenId} could not be withdrawn; retrying next cycle`);
+      return false;
+    }
+
+    delete this.orders[tokenId];
+    this.save();
+
+    const received = `${ethers.formatUnits(result.amount0, decimals0)} ${symbol0} + ${ethers.formatUnits(result.amount1, decimals1)} ${symbol1}`;
+    logger.info(`[${label}] ✅ Range order #${tokenId} withdrawn: ${received}`);
+    notifier.notify('range_order_filled', {
+      message: `[${label}] Range order #${tokenId} (${order.mode}, rung ${order.rung}) filled and withdrawn: ${received}`,
+      fields: { pool: label, position: `#${tokenId}`, range: `${order.tickLower} - ${order.tickUpper}`, received },
+      key: tokenId
+    });
+    return true;
+  }
+
+  /**
+   * Place the next order with RANGE_ORDER_SIZE_PERCENT of the pool's share
+   * of the wallet's balance of the token the mode sells (see
+   * Rebalancer.getDepositBalance). No swap is made.
+   * @param {Object} sharedBy - { token0, token1 }: managed pools holding each token
+   * @returns {string|null} - tokenId of the new order, or null when none was placed
+   */
+  async placeOrder(poolInfo, mode, rung, sharedBy = {}) {
+    const { label, address, token0, token1, symbol0, symbol1, decimals0, decimals1, tickSpacing } = poolInfo;
+    const { sellsToken0 } = MODES[mode];
+    const [tokenIn, symbolIn, decimalsIn] = sellsToken0 ? [token0, symbol0, decimals0] : [token1, symbol1, decimals1];
+
+    const [balance, slot0] = await Promise.all([
+      this.rebalancer.getDepositBalance(tokenIn, sellsToken0 ? sharedBy.token0 : sharedBy.token1),
+      this.web3.getCurrentPrice(address)
+    ]);
+    const amountIn = (balance * BigInt(Math.round(config.rangeOrderSizePercent * 100))) / 10000n;
+    const currentTick = Number(slot0.tick);
+    const price0InToken1 = this.rebalancer.getPriceFromTickAdjusted(currentTick, decimals0, decimals1);
+    const value = Number(ethers.formatUnits(amountIn, decimalsIn)) * (sellsToken0 ? price0InToken1 : 1);
+
+    if (value < config.rangeOrderMinValueUsdc) {
+      logger.info(`[${label}] ${ethers.formatUnits(amountIn, decimalsIn)} ${symbolIn} (${value.toFixed(2)} ${symbol1}) is below RANGE_ORDER_MIN_VALUE_USDC (${config.rangeOrderMinValueUsdc}); no ${mode} order placed`);
+      return null;
+    }
+
+    const pool = address.toLowerCase();
+    const { tickLower, tickUpper } = getRangeOrderTicks(
+      currentTick, tickSpacing, mode, config.rangeOrderWidth, config.rangeOrderOffset
+    );
+
+    // Re-read at the order's ticks: if price has moved onto them, the mint would need both tokens
+    const ratio = await this.rebalancer.calculateOptimalRatio(address, tickLower, tickUpper);
+    if (ratio.inRange || ratio.belowRange !== sellsToken0) {
+      logger.warn(`[${label}] Price moved onto the ${mode} order range ${tickLower} - ${tickUpper}; placing it next cycle`);
+      return null;
+    }
+
+    const priceLower = this.rebalancer.getPriceFromTickAdjusted(tickLower, decimals0, decimals1);
+    const priceUpper = this.rebalancer.getPriceFromTickAdjusted(tickUpper, decimals0, decimals1);
+    logger.info(`[${label}] Placing ${mode} order (rung ${rung}): ${ethers.formatUnits(amountIn, decimalsIn)} ${symbolIn} in ${tickLower} - ${tickUpper} (${priceLower.toPrecision(6)} - ${priceUpper.toPrecision(6)} ${symbol1} per ${symbol0}), current tick ${currentTick}`);
+
+    if (config.dryRun) {
+      this.rebalancer.beginDryRunPlan('range_order', { poolAddress: address, mode, rung, range: { tickLower, tickUpper } });
+    } else {
+      this.pending[pool] = {
+        mode,
+        tickLower,
+        tickUpper,
+        token0,
+        token1,
+        amountIn: amountIn.toString(),
+        rung,
+        startedAt: new Date().toISOString()
+      };
+      try {
+        this.persist();
+      } catch (error) {
+        delete this.pending[pool];
+        logger.error(`[${label}] Could not journal the ${mode} order (${error.message}); not placing it`);
+        return null;
+      }
+    }
+
+    const tokenId = await this.rebalancer.createPosition(
+      token0, token1, address,
+      tickLower, tickUpper,
+      sellsToken0 ? amountIn : 0n, sellsToken0 ? 0n : amountIn,
+      decimals0, decimals1
+    );
+
+    if (config.dryRun) {
+      this.rebalancer.finishDryRunPlan({ outcome: tokenId ? 'completed' : 'failed' });
+      return null;
+    }
+    if (!tokenId) {
+      // The journal entry stays: the next cycle tracks the position if the mint landed after all
+      logger.warn(`[${label}] ${mode} order was not placed; retrying next cycle`);
+      return null;
+    }
+
+    const id = tokenId.toString();
+    this.recordOrder(id, pool, this.pending[pool], new Date().toISOString());
+
+    logger.info(`[${label}] ✅ Range order #${id} placed`);
+    notifier.notify('range_order_placed', {
+      message: `[${label}] Placed ${mode} order #${id} (rung ${rung}): ${ethers.formatUnits(amountIn, decimalsIn)} ${symbolIn} in ${priceLower.toPrecision(6)} - ${priceUpper.toPrecision(6)} ${symbol1} per ${symbol0}`,
+      fields: { pool: label, position: `#${id}`, range: `${tickLower} - ${tickUpper}`, amount: `${ethers.formatUnits(amountIn, decimalsIn)} ${symbolIn}` },
+      key: id
+    });
+    return id;
+  }
+}
+
+module.exports = { RangeOrderManager, getRangeOrderTicks, isOrderFilled };
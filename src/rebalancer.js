@@ -1,15 +1,41 @@
 const { ethers, Contract } = require('ethers');
 const config = require('./config');
 const logger = require('./logger');
+const { getLogContext, setLogContext } = logger;
+const { getAmountsForLiquidity, getLiquidityForAmounts, sqrtPriceX96ToSqrtPrice, toRawBigInt } = require('./liquidityMath');
+const { RebalanceJournal } = require('./journal');
+const { SwapRouter } = require('./swapRouter');
+const { notifier } = require('./notifier');
+const metrics = require('./metrics');
 
 // Delay helper
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Placeholder tokenId for positions that only exist in a dry-run plan
+const DRY_RUN_TOKEN_ID = 'dry-run';
+
+// How often a resume polls a withdraw still pending from before the restart
+const WITHDRAW_POLL_MS = 5000;
+
+// Tick spacings searched when looking up a pool for a token pair
+const COMMON_TICK_SPACINGS = [1, 50, 100, 200, 2000];
+
+// JSON.stringify replacer for BigInt values
+const bigintReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
 class Rebalancer {
   constructor(web3Manager) {
     this.web3 = web3Manager;
-    // Track pending rebalance state
+    // Track pending rebalance state (mirrored to an on-disk journal)
     this.pendingRebalance = null;
+    this.journal = new RebalanceJournal(config.rebalanceJournalPath);
+    // Dry-run plan being recorded and simulated wallet balance changes
+    this.dryRunPlan = null;
+    this.dryRunBalanceDeltas = new Map();
+    // Most recent TWAP guard refusal (for status reporting)
+    this.lastTwapRefusal = null;
+    // Route selection across swap routers (SWAP_ROUTERS)
+    this.swapRouter = new SwapRouter(this);
   }
 
   getPriceFromTickAdjusted(currentTick, decimals0, decimals1) {
@@ -39,6 +65,470 @@ class Rebalancer {
    */
   clearPendingRebalance() {
     this.pendingRebalance = null;
+    // Dry runs never write the journal, so they must not remove a real one either
+    if (!config.dryRun) {
+      this.journal.clear();
+    }
+  }
+
+  /**
+   * Begin tracking a new rebalance and journal it. The journal keeps the
+   * rebalance's correlation ID so a resume after a restart logs under it too.
+   */
+  startPendingRebalance(entry) {
+    const { rebalanceId } = getLogContext();
+    this.pendingRebalance = { ...entry, rebalanceId, startedAt: new Date().toISOString() };
+    setLogContext({ stage: entry.stage });
+    this.persistPendingRebalance();
+  }
+
+  /**
+   * Merge changes (stage, amounts, tx hashes) into the pending rebalance and journal it
+   */
+  updatePendingRebalance(changes) {
+    if (!this.pendingRebalance) return;
+    Object.assign(this.pendingRebalance, changes);
+    if (changes.stage) {
+      setLogContext({ stage: changes.stage });
+      logger.debug(`Rebalance stage: ${changes.stage}`);
+    }
+    this.persistPendingRebalance();
+  }
+
+  /**
+   * Write the pending rebalance to the journal. A failed write throws, so the
+   * step aborts instead of sending transactions a restart could not recover.
+   */
+  persistPendingRebalance() {
+    if (config.dryRun) return;
+
+    this.pendingRebalance.updatedAt = new Date().toISOString();
+    try {
+      this.journal.save(this.pendingRebalance);
+    } catch (error) {
+      throw new Error(`Failed to write rebalance journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load an unfinished rebalance left in the journal by a previous run
+   */
+  loadPendingRebalance() {
+    const entry = this.journal.load();
+    if (entry) {
+      this.pendingRebalance = entry;
+    }
+    return entry;
+  }
+
+  /**
+   * Resume a pending rebalance from its journaled stage.
+   *
+   * - Withdraw sent: wait for it to confirm (or for its nonce to be used by a
+   *   replacement) before reading the position. Still pending after
+   *   TX_WAIT_TIMEOUT_MS throws and keeps the journal for the next cycle.
+   * - Not yet withdrawn: the old position is intact, so the journal is dropped
+   *   and the normal check cycle decides again.
+   * - Withdrawn: roll forward from the wallet balances to a fresh mint.
+   * - Mint sent: find the minted position and stake it.
+   *
+   * @param {Object} newRange - Optional replacement range for rolling forward
+   *                            (e.g. when price has left the journaled range)
+   * @returns {Object|null} - Rebalance result, or null if nothing was resumed
+   */
+  async resumeRebalance(newRange = null) {
+    const pending = this.pendingRebalance;
+    if (!pending) return null;
+
+    const { tokenId, stage } = pending;
+    logger.info(`Resuming rebalance of position #${tokenId} from stage '${stage}'...`);
+
+    if (['starting', 'unstaking', 'withdrawing'].includes(stage)) {
+      if (pending.withdrawTxHash) {
+        await this.settleWithdrawTx(pending);
+      }
+      const withdrawn = await this.isPositionWithdrawn(tokenId);
+      if (!withdrawn) {
+        logger.info(`Position #${tokenId} still holds liquidity; discarding journal and leaving it to the next check`);
+        this.clearPendingRebalance();
+        return null;
+      }
+      logger.info(`Position #${tokenId} was already withdrawn; rolling forward to a new position`);
+    }
+
+    if (stage === 'creating_position' && !pending.newTokenId) {
+      const mintedTokenId = await this.findMintedPosition(pending);
+      if (mintedTokenId) {
+        logger.info(`Found position #${mintedTokenId} minted before the restart`);
+        this.updatePendingRebalance({ newTokenId: mintedTokenId, stage: 'staking' });
+      }
+    }
+
+    if (pending.newTokenId) {
+      return await this.resumeStaking();
+    }
+
+    if (newRange) {
+      logger.info(`Rolling forward with new range ${newRange.tickLower} - ${newRange.tickUpper}`);
+      this.updatePendingRebalance({ tickLower: newRange.tickLower, tickUpper: newRange.tickUpper });
+    }
+
+    const result = await this.completeRebalance();
+    logger.info(`Resumed rebalance of position #${tokenId} finished with new position #${result.newTokenId}`);
+    return { ...result, resumed: true };
+  }
+
+  /**
+   * Stake the position minted by a resumed rebalance (if not already staked)
+   */
+  async resumeStaking() {
+    const { tokenId, newTokenId, gaugeAddress, tickLower, tickUpper } = this.pendingRebalance;
+
+    if (gaugeAddress) {
+      const pm = new Contract(
+        config.aerodrome.altPositionManager,
+        ['function ownerOf(uint256) view returns (address)'],
+        this.web3.wallet
+      );
+      const owner = await pm.ownerOf(newTokenId);
+
+      if (owner.toLowerCase() === gaugeAddress.toLowerCase()) {
+        logger.info(`Position #${newTokenId} is already staked`);
+      } else {
+        this.updatePendingRebalance({ stage: 'staking' });
+        try {
+          const stakeReceipt = await this.stakeToGauge(newTokenId, gaugeAddress);
+          this.updatePendingRebalance({ stakeTxHash: stakeReceipt.hash });
+          logger.info(`Position #${newTokenId} staked successfully`);
+        } catch (e) {
+          logger.error(`Staking error: ${e.message}`);
+          logger.warn('Position created but not staked. You may need to stake manually.');
+          notifier.notify('position_not_staked', {
+            message: `Position #${newTokenId} was created but staking into gauge ${gaugeAddress} failed: ${e.message}. Stake it manually.`,
+            fields: { position: `#${newTokenId}`, gauge: gaugeAddress },
+            key: newTokenId.toString()
+          });
+        }
+      }
+    }
+
+    this.clearPendingRebalance();
+    logger.info(`Resumed rebalance of position #${tokenId} finished with new position #${newTokenId}`);
+
+    return {
+      success: true,
+      resumed: true,
+      newTokenId,
+      newTickLower: tickLower,
+      newTickUpper: tickUpper
+    };
+  }
+
+  /**
+   * Wait until the journaled withdraw transaction is no longer pending.
+   * Its hash may be unknown to the node after a restart (dropped, or sped up
+   * by the previous run's supervisor), so the nonce decides: once the
+   * wallet's confirmed nonce passes it, whichever transaction used it landed.
+   */
+  async settleWithdrawTx(pending) {
+    const { withdrawTxHash, withdrawNonce } = pending;
+    const provider = this.web3.provider;
+    const address = this.web3.wallet.address;
+    const deadline = Date.now() + config.txWaitTimeoutMs;
+
+    for (;;) {
+      const receipt = await provider.getTransactionReceipt(withdrawTxHash);
+      if (receipt) {
+        logger.info(`Withdraw ${withdrawTxHash} ${receipt.status === 1 ? 'confirmed' : 'reverted'} in block ${receipt.blockNumber}`, { txHash: withdrawTxHash });
+        return receipt;
+      }
+
+      let isPending;
+      if (withdrawNonce === undefined) {
+        isPending = (await provider.getTransaction(withdrawTxHash)) !== null;
+      } else {
+        const [confirmedCount, pendingCount] = await Promise.all([
+          provider.getTransactionCount(address, 'latest'),
+          provider.getTransactionCount(address, 'pending')
+        ]);
+        if (confirmedCount > withdrawNonce) {
+          logger.info(`Withdraw nonce ${withdrawNonce} was used by a replacement of ${withdrawTxHash}`);
+          return null;
+        }
+        isPending = pendingCount > withdrawNonce || (await provider.getTransaction(withdrawTxHash)) !== null;
+      }
+
+      if (!isPending) {
+        logger.warn(`Withdraw ${withdrawTxHash} was dropped before it confirmed`, { txHash: withdrawTxHash });
+        return null;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Withdraw ${withdrawTxHash} still pending after ${config.txWaitTimeoutMs}ms; keeping the journal`);
+      }
+      logger.info(`Withdraw ${withdrawTxHash} is still pending; waiting before resuming...`, { txHash: withdrawTxHash });
+      await delay(WITHDRAW_POLL_MS);
+    }
+  }
+
+  /**
+   * Position manager multicall that removes all of a position's liquidity,
+   * collects everything to the wallet and burns the NFT
+   * @returns {Object} - { pm, calls } ready for pm.multicall(calls)
+   */
+  buildWithdrawCalls(tokenId, liquidity) {
+    const pm = new Contract(
+      config.aerodrome.altPositionManager,
+      [
+        'function multicall(bytes[]) returns (bytes[])',
+        'function decreaseLiquidity((uint256,uint128,uint256,uint256,uint256)) returns (uint256,uint256)',
+        'function collect((uint256,address,uint128,uint128)) returns (uint256,uint256)',
+        'function burn(uint256) returns (uint256,uint256)'
+      ],
+      this.web3.wallet
+    );
+    
+    const maxUint128 = BigInt('0xffffffffffffffffffffffffffffffff');
+    
+    const decreaseLiquidityData = pm.interface.encodeFunctionData('decreaseLiquidity', [
+      [
+        BigInt(tokenId),
+        BigInt(liquidity.toString()),
+        0n,
+        0n,
+        BigInt(Math.floor(Date.now() / 1000) + 600)
+      ]
+    ]);
+    
+    const collectData = pm.interface.encodeFunctionData('collect', [
+      [
+        BigInt(tokenId),
+        this.web3.wallet.address,
+        maxUint128,
+        maxUint128
+      ]
+    ]);
+    
+    const burnData = pm.interface.encodeFunctionData('burn', [BigInt(tokenId)]);
+    
+    return { pm, calls: [decreaseLiquidityData, collectData, burnData] };
+  }
+
+  /**
+   * Whether a position has been withdrawn (zero liquidity or already burned)
+   */
+  async isPositionWithdrawn(tokenId) {
+    const pm = new Contract(
+      config.aerodrome.altPositionManager,
+      ['function positions(uint256) view returns (uint96,address,address,address,int24,int24,int24,uint128,uint256,uint256,uint128,uint128)'],
+      this.web3.wallet
+    );
+
+    try {
+      const pos = await pm.positions(tokenId);
+      return pos[7] === 0n;
+    } catch (error) {
+      // positions() reverts for burned token IDs; anything else is a real error
+      if (error.code === 'CALL_EXCEPTION') return true;
+      throw error;
+    }
+  }
+
+  /**
+   * Look for a wallet-held position matching the pending rebalance's pool and range
+   * (a mint that was broadcast before the process died). Also used for range
+   * orders journaled before their mint, which have no old tokenId to skip.
+   */
+  async findMintedPosition(pending) {
+    const pm = new Contract(
+      config.aerodrome.altPositionManager,
+      [
+        'function balanceOf(address owner) view returns (uint256)',
+        'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+        'function positions(uint256) view returns (uint96,address,address,address,int24,int24,int24,uint128,uint256,uint256,uint128,uint128)'
+      ],
+      this.web3.wallet
+    );
+
+    const owner = this.web3.wallet.address;
+    const balance = await pm.balanceOf(owner);
+    let found = null;
+
+    for (let i = 0n; i < balance; i++) {
+      const tokenId = await pm.tokenOfOwnerByIndex(owner, i);
+      if (tokenId.toString() === pending.tokenId?.toString()) continue;
+
+      const pos = await pm.positions(tokenId);
+      const matches =
+        pos[2].toLowerCase() === pending.token0.toLowerCase() &&
+        pos[3].toLowerCase() === pending.token1.toLowerCase() &&
+        Number(pos[5]) === Number(pending.tickLower) &&
+        Number(pos[6]) === Number(pending.tickUpper) &&
+        pos[7] > 0n;
+
+      // Prefer the most recently minted match
+      if (matches && (found === null || tokenId > found)) {
+        found = tokenId;
+      }
+    }
+
+    return found === null ? null : found.toString();
+  }
+
+  /**
+   * Start recording a dry-run plan. Simulated balance changes are reset.
+   */
+  beginDryRunPlan(action, details = {}) {
+    this.dryRunPlan = {
+      action,
+      ...details,
+      startedAt: new Date().toISOString(),
+      steps: []
+    };
+    this.dryRunBalanceDeltas = new Map();
+    logger.info(`[DRY RUN] Planning ${action} (no transactions will be broadcast)`);
+    return this.dryRunPlan;
+  }
+
+  /**
+   * Append a simulated step to the active dry-run plan
+   */
+  recordDryRunStep(step) {
+    if (this.dryRunPlan) {
+      this.dryRunPlan.steps.push(step);
+    }
+    const outcome = step.success ? 'ok' : `would fail: ${step.error || 'not simulated'}`;
+    const gas = step.gasEstimate ? `, gas ~${step.gasEstimate}` : '';
+    logger.info(`[DRY RUN] ${step.step}: ${outcome}${gas}`);
+    return step;
+  }
+
+  /**
+   * Log the active dry-run plan as structured JSON and stop recording
+   */
+  finishDryRunPlan(outcome = {}) {
+    const plan = this.dryRunPlan;
+    if (!plan) return null;
+
+    Object.assign(plan, outcome);
+    logger.info(`[DRY RUN] Plan for ${plan.action}:\n${JSON.stringify(plan, bigintReplacer, 2)}`);
+
+    this.dryRunPlan = null;
+    this.dryRunBalanceDeltas = new Map();
+    return plan;
+  }
+
+  /**
+   * Simulate a transaction request with eth_call and record it as a plan step.
+   * Later steps are simulated against current chain state, so they may revert
+   * only because earlier simulated steps were never applied.
+   */
+  async simulateStep(step, txRequest, details = {}) {
+    const simulation = await this.web3.simulateTransaction(txRequest);
+    return this.recordDryRunStep({
+      step,
+      to: txRequest.to,
+      ...details,
+      success: simulation.success,
+      gasEstimate: simulation.gasEstimate,
+      error: simulation.error,
+      revertData: simulation.revertData,
+      returnData: simulation.returnData
+    });
+  }
+
+  /**
+   * Track a simulated change to a wallet token balance
+   */
+  applyDryRunDelta(tokenAddress, delta) {
+    const key = tokenAddress.toLowerCase();
+    const current = this.dryRunBalanceDeltas.get(key) || 0n;
+    this.dryRunBalanceDeltas.set(key, current + BigInt(delta.toString()));
+  }
+
+  /**
+   * Wallet balance of a token, including simulated changes in dry-run mode
+   */
+  async getWalletBalance(tokenAddress) {
+    const balance = await this.web3.getTokenBalance(tokenAddress, this.web3.wallet.address);
+    if (!config.dryRun) return balance;
+
+    const adjusted = balance + (this.dryRunBalanceDeltas.get(tokenAddress.toLowerCase()) || 0n);
+    return adjusted > 0n ? adjusted : 0n;
+  }
+
+  /**
+   * Wallet balance available to the pending rebalance: everything above the
+   * pre-withdraw baseline when one was recorded, else the whole balance
+   */
+  async getRebalanceBalance(tokenAddress, baseline) {
+    const balance = await this.getWalletBalance(tokenAddress);
+    if (baseline === undefined || baseline === null) return balance;
+
+    const available = balance - BigInt(baseline);
+    return available > 0n ? available : 0n;
+  }
+
+  /**
+   * Wallet balance a deposit sized from the wallet (a top-up, a new position,
+   * a range order) may use. Funds withdrawn by an unfinished rebalance
+   * (everything above its baseline) stay reserved for it, and a token held
+   * by several managed pools is split evenly between them.
+   * @param {string} tokenAddress - Token to read
+   * @param {number} sharedBy - Managed pools (range-order pools included) holding the token
+   */
+  async getDepositBalance(tokenAddress, sharedBy = 1) {
+    let balance = await this.getWalletBalance(tokenAddress);
+
+    const pending = this.pendingRebalance;
+    if (pending) {
+      const key = tokenAddress.toLowerCase();
+      const baseline = key === pending.token0.toLowerCase() ? pending.walletBaseline0
+        : key === pending.token1.toLowerCase() ? pending.walletBaseline1
+          : balance;
+      const reserved = baseline === undefined || baseline === null ? 0n : BigInt(baseline);
+      balance = balance < reserved ? balance : reserved;
+    }
+
+    return balance / BigInt(Math.max(1, sharedBy));
+  }
+
+  /**
+   * Simulate the decreaseLiquidity/collect/burn multicall and track the
+   * expected withdrawn amounts. Falls back to liquidity math when the
+   * simulation reverts (e.g. the NFT is still held by the gauge).
+   */
+  async simulateWithdraw(pm, calls, positionInfo) {
+    const { token0, token1, poolAddress, tickLower, tickUpper, liquidity } = positionInfo;
+    const txRequest = await pm.multicall.populateTransaction(calls);
+    const step = await this.simulateStep('withdraw', txRequest, {
+      tokenId: positionInfo.tokenId,
+      liquidity: liquidity.toString()
+    });
+
+    let amount0;
+    let amount1;
+    if (step.success) {
+      const [results] = pm.interface.decodeFunctionResult('multicall', step.returnData);
+      [amount0, amount1] = pm.interface.decodeFunctionResult('collect', results[1]);
+      step.expected = { amount0, amount1, source: 'simulation' };
+    } else {
+      const slot0 = await this.web3.getCurrentPrice(poolAddress);
+      const estimate = getAmountsForLiquidity(
+        sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96),
+        Number(tickLower),
+        Number(tickUpper),
+        liquidity
+      );
+      amount0 = toRawBigInt(estimate.amount0);
+      amount1 = toRawBigInt(estimate.amount1);
+      step.expected = { amount0, amount1, source: 'liquidity_math', note: 'excludes uncollected fees' };
+    }
+    delete step.returnData;
+
+    logger.info(`[DRY RUN] Expected withdrawal: amount0=${amount0}, amount1=${amount1} (${step.expected.source})`);
+    this.applyDryRunDelta(token0, amount0);
+    this.applyDryRunDelta(token1, amount1);
+    return step;
   }
 
   /**
@@ -163,10 +653,63 @@ class Rebalancer {
     return BigInt(Math.floor(sqrtPrice));
   }
 
+  /**
+   * Compare the pool's spot tick with its TWAP over TWAP_GUARD_SECONDS
+   * @returns {Object} - { spotTick, twapTick, deviation, exceeded }
+   */
+  async checkTwapDeviation(poolAddress) {
+    const [slot0, [twapTick]] = await Promise.all([
+      this.web3.getCurrentPrice(poolAddress),
+      this.web3.getTwapTicks(poolAddress, [config.twapGuardSeconds])
+    ]);
+    
+    const spotTick = Number(slot0.tick);
+    const deviation = Math.abs(spotTick - twapTick);
+    
+    return {
+      spotTick,
+      twapTick: Math.round(twapTick),
+      deviation: Math.round(deviation),
+      exceeded: deviation > config.maxTwapDeviationTicks
+    };
+  }
+
+  /**
+   * With TWAP_GUARD_MODE=refuse, throw before a price-sensitive step when the
+   * spot tick is more than MAX_TWAP_DEVIATION_TICKS from the TWAP, or when the
+   * TWAP cannot be read. The refusal is logged and kept in lastTwapRefusal.
+   */
+  async enforceTwapGuard(poolAddress, stage) {
+    if (config.twapGuardMode !== 'refuse') return;
+    
+    let check;
+    try {
+      check = await this.checkTwapDeviation(poolAddress);
+    } catch (error) {
+      check = { error: error.message };
+    }
+    if (check.exceeded === false) return;
+    
+    const reason = check.error
+      ? `TWAP unavailable (${check.error})`
+      : `spot tick ${check.spotTick} is ${check.deviation} ticks from the ${config.twapGuardSeconds}s TWAP ${check.twapTick} (max ${config.maxTwapDeviationTicks})`;
+    
+    this.lastTwapRefusal = { poolAddress, stage, ...check, at: new Date().toISOString() };
+    if (this.dryRunPlan) {
+      this.recordDryRunStep({ step: 'twap_guard', stage, success: false, error: reason });
+    }
+    
+    logger.warn(`⚠️ TWAP guard refused ${stage} in pool ${poolAddress}: ${reason}`);
+    throw new Error(`TWAP guard refused ${stage}: ${reason}`);
+  }
+
   /**
    * Rebalance a position that is out of range
+   * @param {Object} positionInfo - Position from PositionMonitor.checkAllPositions
+   * @param {Object} newRange - { tickLower, tickUpper }
+   * @param {Object} strategy - Pool strategy (minSwapValueUsdc); defaults to global config
    */
-  async rebalance(positionInfo, newRange) {
+  async rebalance(positionInfo, newRange, strategy = {}) {
     const { tokenId, token0, token1, poolAddress, isStaked, gaugeAddress } = positionInfo;
     const { tickLower, tickUpper } = newRange;
     
@@ -174,25 +717,50 @@ class Rebalancer {
     logger.info(`isStaked: ${isStaked}, gaugeAddress: ${gaugeAddress}`);
     logger.info(`New range: ${tickLower} - ${tickUpper}`);
     
+    if (config.dryRun) {
+      this.beginDryRunPlan('rebalance', {
+        tokenId,
+        poolAddress,
+        oldRange: { tickLower: Number(positionInfo.tickLower), tickUpper: Number(positionInfo.tickUpper) },
+        newRange: { tickLower, tickUpper }
+      });
+    }
+    
     try {
-      // Store the rebalance info in case we need to resume
-      this.pendingRebalance = {
+      // Nothing is journaled yet, so a refusal here leaves no state behind
+      await this.enforceTwapGuard(poolAddress, 'withdraw');
+      
+      // Store the rebalance info (journaled to disk) in case we need to resume
+      this.startPendingRebalance({
         tokenId,
         token0,
         token1,
         poolAddress,
         gaugeAddress,
+        tickSpacing: Number(positionInfo.tickSpacing),
         tickLower,
         tickUpper,
+        minSwapValueUsdc: strategy.minSwapValueUsdc ?? config.minSwapValueUsdc,
         stage: 'starting'
-      };
+      });
+      
+      // With several pools sharing one wallet, only the funds withdrawn from this
+      // position belong to its rebalance; remember what was there before.
+      if (config.pools.length > 1) {
+        const [baseline0, baseline1] = await Promise.all([
+          this.getWalletBalance(token0),
+          this.getWalletBalance(token1)
+        ]);
+        this.updatePendingRebalance({ walletBaseline0: baseline0.toString(), walletBaseline1: baseline1.toString() });
+      }
 
       // Step 0: Unstake if position is staked
       if (isStaked && gaugeAddress) {
         logger.info(`Unstaking position #${tokenId} from gauge ${gaugeAddress}...`);
-        this.pendingRebalance.stage = 'unstaking';
+        this.updatePendingRebalance({ stage: 'unstaking' });
         try {
-          await this.unstakeFromGauge(tokenId, gaugeAddress);
+          const unstakeReceipt = await this.unstakeFromGauge(tokenId, gaugeAddress);
+          this.updatePendingRebalance({ unstakeTxHash: unstakeReceipt.hash });
           logger.info('Unstake successful, waiting 5 seconds...');
           await delay(5000);
         } catch (e) {
@@ -203,295 +771,504 @@ class Rebalancer {
       
       // Step 1: Use multicall to decrease liquidity, collect fees, and burn old position
       logger.info(`Using multicall to withdraw from position #${tokenId}...`);
-      this.pendingRebalance.stage = 'withdrawing';
-      
-      const pmAddress = config.aerodrome.altPositionManager;
-      const pm = new Contract(
-        pmAddress,
-        [
-          'function multicall(bytes[]) returns (bytes[])',
-          'function decreaseLiquidity((uint256,uint128,uint256,uint256,uint256)) returns (uint256,uint256)',
-          'function collect((uint256,address,uint128,uint128)) returns (uint256,uint256)',
-          'function burn(uint256) returns (uint256,uint256)'
-        ],
-        this.web3.wallet
-      );
-      
-      const maxUint128 = BigInt('0xffffffffffffffffffffffffffffffff');
+      this.updatePendingRebalance({ stage: 'withdrawing' });
       
       logger.info(`Liquidity to remove: ${positionInfo.liquidity.toString()}`);
+      const { pm, calls } = this.buildWithdrawCalls(tokenId, positionInfo.liquidity);
       
-      const decreaseLiquidityData = pm.interface.encodeFunctionData('decreaseLiquidity', [
-        [
-          BigInt(tokenId),
-          BigInt(positionInfo.liquidity.toString()),
-          0n,
-          0n,
-          BigInt(Math.floor(Date.now() / 1000) + 600)
-        ]
-      ]);
-      
-      const collectData = pm.interface.encodeFunctionData('collect', [
-        [
-          BigInt(tokenId),
-          this.web3.wallet.address,
-          maxUint128,
-          maxUint128
-        ]
-      ]);
+      if (config.dryRun) {
+        await this.simulateWithdraw(pm, calls, positionInfo);
+      } else {
+        const tx = await pm.multicall(calls);
+        this.updatePendingRebalance({ withdrawTxHash: tx.hash, withdrawNonce: tx.nonce });
+        const receipt = await this.web3.waitForTransaction(tx);
+        logger.info(`Multicall executed, tx: ${receipt.hash}`, { txHash: receipt.hash });
+        logger.info(`Position #${tokenId} withdrawn and burned`);
+        
+        logger.info('Waiting 10 seconds for balances to update...');
+        await delay(10000);
+      }
       
-      const burnData = pm.interface.encodeFunctionData('burn', [BigInt(tokenId)]);
+      const result = await this.completeRebalance();
       
-      const tx = await pm.multicall([decreaseLiquidityData, collectData, burnData]);
-      const receipt = await tx.wait();
-      logger.info(`Multicall executed, tx: ${receipt.hash}`);
-      logger.info(`Position #${tokenId} withdrawn and burned`);
+      if (config.dryRun) {
+        result.dryRun = true;
+        result.plan = this.finishDryRunPlan({ outcome: 'completed', expectedMint: { amount0: result.amount0Added, amount1: result.amount1Added } });
+        logger.info(`[DRY RUN] Rebalance of position #${tokenId} simulated; nothing was broadcast`);
+        return result;
+      }
       
-      logger.info('Waiting 10 seconds for balances to update...');
-      await delay(10000);
+      logger.info(`Successfully rebalanced position #${tokenId} to new position #${result.newTokenId}`);
       
-      // Step 3: Get actual token balances from wallet
-      logger.info('Getting token balances from wallet...');
-      this.pendingRebalance.stage = 'checking_balances';
+      return result;
       
-      const token0Contract = new Contract(
-        token0,
-        ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)', 'function symbol() view returns (string)'],
-        this.web3.wallet
-      );
-      const token1Contract = new Contract(
-        token1,
-        ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)', 'function symbol() view returns (string)'],
+    } catch (error) {
+      logger.error(`Rebalance failed: ${error.message}`);
+      logger.error(`Stack: ${error.stack}`);
+      if (config.dryRun) {
+        this.clearPendingRebalance();
+        this.finishDryRunPlan({ outcome: 'aborted', error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a rebalance once the old position has been withdrawn:
+   * read wallet balances, swap to the target ratio, mint and stake.
+   * Driven entirely by the pending rebalance, so it can also roll a
+   * journaled rebalance forward after a restart.
+   */
+  async completeRebalance() {
+    const { token0, token1, poolAddress, gaugeAddress, tickLower, tickUpper } = this.pendingRebalance;
+    const { walletBaseline0, walletBaseline1 } = this.pendingRebalance;
+    
+    // Step 3: Get actual token balances from wallet
+    logger.info('Getting token balances from wallet...');
+    this.updatePendingRebalance({ stage: 'checking_balances' });
+    
+    const token0Contract = new Contract(
+      token0,
+      ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)', 'function symbol() view returns (string)'],
+      this.web3.wallet
+    );
+    const token1Contract = new Contract(
+      token1,
+      ['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)', 'function symbol() view returns (string)'],
+      this.web3.wallet
+    );
+    
+    const [amount0, amount1, decimals0, decimals1, symbol0, symbol1] = await Promise.all([
+      this.getRebalanceBalance(token0, walletBaseline0),
+      this.getRebalanceBalance(token1, walletBaseline1),
+      token0Contract.decimals(),
+      token1Contract.decimals(),
+      token0Contract.symbol(),
+      token1Contract.symbol()
+    ]);
+    
+    logger.info(`${symbol0} balance: ${ethers.formatUnits(amount0, decimals0)}`);
+    logger.info(`${symbol1} balance: ${ethers.formatUnits(amount1, decimals1)}`);
+    
+    // Update pending rebalance with amounts
+    this.updatePendingRebalance({
+      amount0: amount0.toString(),
+      amount1: amount1.toString(),
+      decimals0: Number(decimals0),
+      decimals1: Number(decimals1),
+      symbol0,
+      symbol1
+    });
+    
+    // Step 4: Calculate optimal ratio for new position
+    logger.info('Calculating optimal token ratio for new position...');
+    this.updatePendingRebalance({ stage: 'calculating_ratio' });
+    
+    const ratio = await this.calculateOptimalRatio(poolAddress, tickLower, tickUpper);
+    logger.info(`Optimal ratio - ${symbol0}: ${ratio.token0Ratio.toFixed(4)}, ${symbol1}: ${ratio.token1Ratio.toFixed(4)}`);
+    logger.info(`Position in range: ${ratio.inRange}`);
+    
+    // Step 5: Swap tokens to match the optimal ratio
+    this.updatePendingRebalance({ stage: 'swapping' });
+    
+    // A refusal keeps the journal at 'swapping'; the swap is retried on resume
+    await this.enforceTwapGuard(poolAddress, 'swap');
+    
+    let amount0ToAdd = amount0;
+    let amount1ToAdd = amount1;
+    
+    if (!ratio.inRange) {
+      // Position is out of range, need to swap all to one token
+      if (ratio.belowRange) {
+        // Need only token0, swap all token1 to token0
+        if (amount1 > 0n) {
+          logger.info(`Position below range, swapping all ${symbol1} to ${symbol0}...`);
+          const swapResult = await this.swapTokens(token1, token0, amount1.toString(), poolAddress);
+          if (swapResult) {
+            logger.info('Swap completed, waiting 10 seconds...');
+            await delay(10000);
+            // Get new balance
+            const newAmount0 = await this.getRebalanceBalance(token0, walletBaseline0);
+            const newAmount1 = await this.getRebalanceBalance(token1, walletBaseline1);
+            amount0ToAdd = newAmount0;
+            amount1ToAdd = newAmount1;
+            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
+            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
+          } else {
+            throw new Error(`Swap ${symbol1} -> ${symbol0} failed; aborting rebalance before mint`);
+          }
+        }
+      } else {
+        // Need only token1, swap all token0 to token1
+        if (amount0 > 0n) {
+          logger.info(`Position above range, swapping all ${symbol0} to ${symbol1}...`);
+          const swapResult = await this.swapTokens(token0, token1, amount0.toString(), poolAddress);
+          if (swapResult) {
+            logger.info('Swap completed, waiting 10 seconds...');
+            await delay(10000);
+            // Get new balance
+            const newAmount0 = await this.getRebalanceBalance(token0, walletBaseline0);
+            const newAmount1 = await this.getRebalanceBalance(token1, walletBaseline1);
+            amount0ToAdd = newAmount0;
+            amount1ToAdd = newAmount1;
+            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
+            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
+          } else {
+            throw new Error(`Swap ${symbol0} -> ${symbol1} failed; aborting rebalance before mint`);
+          }
+        }
+      }
+    } else {
+      // Position is in range, need to balance both tokens according to ratio
+      // Calculate total value in terms of token1
+      const poolContract = new Contract(
+        poolAddress,
+        ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, bool)'],
         this.web3.wallet
       );
+      const slot0 = await poolContract.slot0();
+      const currentTickForPrice = Number(slot0.tick);
       
-      const [amount0, amount1, decimals0, decimals1, symbol0, symbol1] = await Promise.all([
-        token0Contract.balanceOf(this.web3.wallet.address),
-        token1Contract.balanceOf(this.web3.wallet.address),
-        token0Contract.decimals(),
-        token1Contract.decimals(),
-        token0Contract.symbol(),
-        token1Contract.symbol()
-      ]);
+      const price0InToken1 = this.getPriceFromTickAdjusted(currentTickForPrice, decimals0, decimals1);
+      logger.info(`Price of ${symbol0} in ${symbol1} (adjusted): ${price0InToken1}`);
+      
+      // Calculate current value in token1 terms
+      const amount0InToken1 = Number(ethers.formatUnits(amount0, decimals0)) * price0InToken1;
+      const amount1InToken1 = Number(ethers.formatUnits(amount1, decimals1));
+      const totalInToken1 = amount0InToken1 + amount1InToken1;
+      
+      logger.info(`Current ${symbol0} value in ${symbol1}: ${amount0InToken1}`);
+      logger.info(`Current ${symbol1} value: ${amount1InToken1}`);
+      logger.info(`Total value in ${symbol1} terms: ${totalInToken1}`);
+      
+      // Calculate target amounts based on ratio
+      const targetToken0InToken1 = totalInToken1 * ratio.token0Ratio;
+      const targetToken1InToken1 = totalInToken1 * ratio.token1Ratio;
+      const minSwapValueUsdc = Number(this.pendingRebalance.minSwapValueUsdc ?? config.minSwapValueUsdc);
+      
+      logger.info(`Target ${symbol0} value in ${symbol1}: ${targetToken0InToken1}`);
+      logger.info(`Target ${symbol1} value: ${targetToken1InToken1}`);
       
-      logger.info(`${symbol0} balance: ${ethers.formatUnits(amount0, decimals0)}`);
-      logger.info(`${symbol1} balance: ${ethers.formatUnits(amount1, decimals1)}`);
-      
-      // Update pending rebalance with amounts
-      this.pendingRebalance.amount0 = amount0.toString();
-      this.pendingRebalance.amount1 = amount1.toString();
-      this.pendingRebalance.decimals0 = decimals0;
-      this.pendingRebalance.decimals1 = decimals1;
-      this.pendingRebalance.symbol0 = symbol0;
-      this.pendingRebalance.symbol1 = symbol1;
-      
-      // Step 4: Calculate optimal ratio for new position
-      logger.info('Calculating optimal token ratio for new position...');
-      this.pendingRebalance.stage = 'calculating_ratio';
-      
-      const ratio = await this.calculateOptimalRatio(poolAddress, tickLower, tickUpper);
-      logger.info(`Optimal ratio - ${symbol0}: ${ratio.token0Ratio.toFixed(4)}, ${symbol1}: ${ratio.token1Ratio.toFixed(4)}`);
-      logger.info(`Position in range: ${ratio.inRange}`);
-      
-      // Step 5: Swap tokens to match the optimal ratio
-      this.pendingRebalance.stage = 'swapping';
-      
-      let amount0ToAdd = amount0;
-      let amount1ToAdd = amount1;
-      
-      if (!ratio.inRange) {
-        // Position is out of range, need to swap all to one token
-        if (ratio.belowRange) {
-          // Need only token0, swap all token1 to token0
-          if (amount1 > 0n) {
-            logger.info(`Position below range, swapping all ${symbol1} to ${symbol0}...`);
-            const swapResult = await this.swapTokens(token1, token0, amount1.toString(), poolAddress);
-            if (swapResult) {
-              logger.info('Swap completed, waiting 10 seconds...');
-              await delay(10000);
-              // Get new balance
-              const newAmount0 = await token0Contract.balanceOf(this.web3.wallet.address);
-              const newAmount1 = await token1Contract.balanceOf(this.web3.wallet.address);
-              amount0ToAdd = newAmount0;
-              amount1ToAdd = newAmount1;
-              logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
-              logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
-            } else {
-              throw new Error(`Swap ${symbol1} -> ${symbol0} failed; aborting rebalance before mint`);
-            }
+      // Determine which token to swap
+      const currentToken0InToken1 = Number(ethers.formatUnits(amount0, decimals0)) * price0InToken1;
+      const token0Diff = currentToken0InToken1 - targetToken0InToken1;
+      
+      logger.info(`Token0 value difference: ${token0Diff}`);
+      
+      if (Math.abs(token0Diff) > minSwapValueUsdc) {
+        if (token0Diff > 0) {
+          // We have too much token0, swap some to token1
+          const amount0ToSwapInToken1 = token0Diff;
+          const amount0ToSwap = amount0ToSwapInToken1 / price0InToken1;
+          const amount0ToSwapWei = await this.solveSwapAmount({
+            poolAddress, token0, token1, tickLower, tickUpper, amount0, amount1,
+            zeroForOne: true,
+            initialAmountIn: ethers.parseUnits(amount0ToSwap.toFixed(Number(decimals0)), decimals0)
+          });
+          
+          logger.info(`Swapping ${ethers.formatUnits(amount0ToSwapWei, decimals0)} ${symbol0} to ${symbol1}...`);
+          const swapResult = await this.swapTokens(token0, token1, amount0ToSwapWei.toString(), poolAddress);
+          if (swapResult) {
+            logger.info('Swap completed, waiting 10 seconds...');
+            await delay(10000);
+            // Get new balances
+            const newAmount0 = await this.getRebalanceBalance(token0, walletBaseline0);
+            const newAmount1 = await this.getRebalanceBalance(token1, walletBaseline1);
+            amount0ToAdd = newAmount0;
+            amount1ToAdd = newAmount1;
+            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
+            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
+          } else {
+            throw new Error(`Swap ${symbol0} -> ${symbol1} failed; aborting rebalance before mint`);
           }
         } else {
-          // Need only token1, swap all token0 to token1
-          if (amount0 > 0n) {
-            logger.info(`Position above range, swapping all ${symbol0} to ${symbol1}...`);
-            const swapResult = await this.swapTokens(token0, token1, amount0.toString(), poolAddress);
-            if (swapResult) {
-              logger.info('Swap completed, waiting 10 seconds...');
-              await delay(10000);
-              // Get new balance
-              const newAmount0 = await token0Contract.balanceOf(this.web3.wallet.address);
-              const newAmount1 = await token1Contract.balanceOf(this.web3.wallet.address);
-              amount0ToAdd = newAmount0;
-              amount1ToAdd = newAmount1;
-              logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
-              logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
-            } else {
-              throw new Error(`Swap ${symbol0} -> ${symbol1} failed; aborting rebalance before mint`);
-            }
+          // We have too much token1, swap some to token0
+          const amount1ToSwapInToken1 = -token0Diff;
+          const amount1ToSwap = amount1ToSwapInToken1;
+          const amount1ToSwapWei = await this.solveSwapAmount({
+            poolAddress, token0, token1, tickLower, tickUpper, amount0, amount1,
+            zeroForOne: false,
+            initialAmountIn: ethers.parseUnits(amount1ToSwap.toFixed(Number(decimals1)), decimals1)
+          });
+          
+          logger.info(`Swapping ${ethers.formatUnits(amount1ToSwapWei, decimals1)} ${symbol1} to ${symbol0}...`);
+          const swapResult = await this.swapTokens(token1, token0, amount1ToSwapWei.toString(), poolAddress);
+          if (swapResult) {
+            logger.info('Swap completed, waiting 10 seconds...');
+            await delay(10000);
+            // Get new balances
+            const newAmount0 = await this.getRebalanceBalance(token0, walletBaseline0);
+            const newAmount1 = await this.getRebalanceBalance(token1, walletBaseline1);
+            amount0ToAdd = newAmount0;
+            amount1ToAdd = newAmount1;
+            logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
+            logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
+          } else {
+            throw new Error(`Swap ${symbol1} -> ${symbol0} failed; aborting rebalance before mint`);
           }
         }
       } else {
-        // Position is in range, need to balance both tokens according to ratio
-        // Calculate total value in terms of token1
-        const poolContract = new Contract(
-          poolAddress,
-          ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, bool)'],
-          this.web3.wallet
+        logger.info(
+          `Token imbalance (${Math.abs(token0Diff).toFixed(2)} ${symbol1}) is below MIN_SWAP_VALUE_USDC (${minSwapValueUsdc}). Skipping swap.`
         );
-        const slot0 = await poolContract.slot0();
-        const currentTickForPrice = Number(slot0.tick);
-        
-        const price0InToken1 = this.getPriceFromTickAdjusted(currentTickForPrice, decimals0, decimals1);
-        logger.info(`Price of ${symbol0} in ${symbol1} (adjusted): ${price0InToken1}`);
-        
-        // Calculate current value in token1 terms
-        const amount0InToken1 = Number(ethers.formatUnits(amount0, decimals0)) * price0InToken1;
-        const amount1InToken1 = Number(ethers.formatUnits(amount1, decimals1));
-        const totalInToken1 = amount0InToken1 + amount1InToken1;
-        
-        logger.info(`Current ${symbol0} value in ${symbol1}: ${amount0InToken1}`);
-        logger.info(`Current ${symbol1} value: ${amount1InToken1}`);
-        logger.info(`Total value in ${symbol1} terms: ${totalInToken1}`);
-        
-        // Calculate target amounts based on ratio
-        const targetToken0InToken1 = totalInToken1 * ratio.token0Ratio;
-        const targetToken1InToken1 = totalInToken1 * ratio.token1Ratio;
-        const minSwapValueUsdc = Number(config.minSwapValueUsdc);
-        
-        logger.info(`Target ${symbol0} value in ${symbol1}: ${targetToken0InToken1}`);
-        logger.info(`Target ${symbol1} value: ${targetToken1InToken1}`);
-        
-        // Determine which token to swap
-        const currentToken0InToken1 = Number(ethers.formatUnits(amount0, decimals0)) * price0InToken1;
-        const token0Diff = currentToken0InToken1 - targetToken0InToken1;
-        
-        logger.info(`Token0 value difference: ${token0Diff}`);
-        
-        if (Math.abs(token0Diff) > minSwapValueUsdc) {
-          if (token0Diff > 0) {
-            // We have too much token0, swap some to token1
-            const amount0ToSwapInToken1 = token0Diff;
-            const amount0ToSwap = amount0ToSwapInToken1 / price0InToken1;
-            const amount0ToSwapWei = ethers.parseUnits(amount0ToSwap.toFixed(Number(decimals0)), decimals0);
-            
-            logger.info(`Swapping ${amount0ToSwap.toFixed(6)} ${symbol0} to ${symbol1}...`);
-            const swapResult = await this.swapTokens(token0, token1, amount0ToSwapWei.toString(), poolAddress);
-            if (swapResult) {
-              logger.info('Swap completed, waiting 10 seconds...');
-              await delay(10000);
-              // Get new balances
-              const newAmount0 = await token0Contract.balanceOf(this.web3.wallet.address);
-              const newAmount1 = await token1Contract.balanceOf(this.web3.wallet.address);
-              amount0ToAdd = newAmount0;
-              amount1ToAdd = newAmount1;
-              logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
-              logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
-            } else {
-              throw new Error(`Swap ${symbol0} -> ${symbol1} failed; aborting rebalance before mint`);
-            }
-          } else {
-            // We have too much token1, swap some to token0
-            const amount1ToSwapInToken1 = -token0Diff;
-            const amount1ToSwap = amount1ToSwapInToken1;
-            const amount1ToSwapWei = ethers.parseUnits(amount1ToSwap.toFixed(Number(decimals1)), decimals1);
-            
-            logger.info(`Swapping ${amount1ToSwap.toFixed(6)} ${symbol1} to ${symbol0}...`);
-            const swapResult = await this.swapTokens(token1, token0, amount1ToSwapWei.toString(), poolAddress);
-            if (swapResult) {
-              logger.info('Swap completed, waiting 10 seconds...');
-              await delay(10000);
-              // Get new balances
-              const newAmount0 = await token0Contract.balanceOf(this.web3.wallet.address);
-              const newAmount1 = await token1Contract.balanceOf(this.web3.wallet.address);
-              amount0ToAdd = newAmount0;
-              amount1ToAdd = newAmount1;
-              logger.info(`New ${symbol0} balance: ${ethers.formatUnits(newAmount0, decimals0)}`);
-              logger.info(`New ${symbol1} balance: ${ethers.formatUnits(newAmount1, decimals1)}`);
-            } else {
-              throw new Error(`Swap ${symbol1} -> ${symbol0} failed; aborting rebalance before mint`);
-            }
-          }
-        } else {
-          logger.info(
-            `Token imbalance (${Math.abs(token0Diff).toFixed(2)} ${symbol1}) is below MIN_SWAP_VALUE_USDC (${minSwapValueUsdc}). Skipping swap.`
-          );
-        }
       }
+    }
+    
+    // Step 6: Create new position
+    logger.info(`Creating new position with range ${tickLower} - ${tickUpper}...`);
+    this.updatePendingRebalance({ stage: 'creating_position' });
+    
+    const newTokenId = await this.createPosition(
+      token0, token1, poolAddress,
+      tickLower, tickUpper,
+      amount0ToAdd, amount1ToAdd,
+      decimals0, decimals1
+    );
+    
+    if (!newTokenId) {
+      throw new Error('Failed to create new position');
+    }
+    
+    logger.info(`New position created with tokenId: ${newTokenId}`);
+    this.updatePendingRebalance({ newTokenId: newTokenId.toString() });
+    logger.info('Waiting 10 seconds before staking...');
+    await delay(10000);
+    
+    // Step 7: Stake the new position
+    if (gaugeAddress) {
+      logger.info(`Staking position #${newTokenId} to gauge ${gaugeAddress}...`);
+      this.updatePendingRebalance({ stage: 'staking' });
       
-      // Step 6: Create new position
-      logger.info(`Creating new position with range ${tickLower} - ${tickUpper}...`);
-      this.pendingRebalance.stage = 'creating_position';
-      
-      const newTokenId = await this.createPosition(
-        token0, token1, poolAddress,
-        tickLower, tickUpper,
-        amount0ToAdd, amount1ToAdd,
-        decimals0, decimals1
-      );
+      try {
+        const stakeReceipt = await this.stakeToGauge(newTokenId, gaugeAddress);
+        this.updatePendingRebalance({ stakeTxHash: stakeReceipt.hash });
+        logger.info(`Position #${newTokenId} staked successfully`);
+      } catch (e) {
+        logger.error(`Staking error: ${e.message}`);
+        logger.warn('Position created but not staked. You may need to stake manually.');
+        notifier.notify('position_not_staked', {
+          message: `Position #${newTokenId} was created but staking into gauge ${gaugeAddress} failed: ${e.message}. Stake it manually.`,
+          fields: { position: `#${newTokenId}`, gauge: gaugeAddress },
+          key: newTokenId.toString()
+        });
+      }
+    }
+    
+    // Clear pending rebalance
+    this.clearPendingRebalance();
+    
+    const result = {
+      success: true,
+      newTokenId,
+      newTickLower: tickLower,
+      newTickUpper: tickUpper,
+      amount0Added: amount0ToAdd.toString(),
+      amount1Added: amount1ToAdd.toString()
+    };
+    
+    return result;
+  }
+
+  /**
+   * Quote an exact-input swap through a Slipstream pool with the Aerodrome Quoter
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {bigint} amountIn - Input amount (raw units)
+   * @param {number|bigint} tickSpacing - Tick spacing of the pool to route through
+   * @returns {Object} - { amountOut, sqrtPriceX96After, initializedTicksCrossed, gasEstimate }
+   */
+  async quoteSwap(tokenIn, tokenOut, amountIn, tickSpacing) {
+    // Struct order: tokenIn, tokenOut, amountIn, tickSpacing, sqrtPriceLimitX96
+    const quoterContract = new Contract(
+      config.aerodrome.quoter,
+      ['function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, int24 tickSpacing, uint160 sqrtPriceLimitX96)) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'],
+      this.web3.wallet
+    );
+    const quoteResult = await quoterContract.quoteExactInputSingle.staticCall({
+      tokenIn,
+      tokenOut,
+      amountIn:          BigInt(amountIn.toString()),
+      tickSpacing,
+      sqrtPriceLimitX96: 0n,
+    });
+
+    return {
+      amountOut:               quoteResult[0],
+      sqrtPriceX96After:       quoteResult[1],
+      initializedTicksCrossed: Number(quoteResult[2]),
+      gasEstimate:             quoteResult[3]
+    };
+  }
+
+  /**
+   * Size an in-range swap so that the balances after the swap match the new
+   * range's ratio at the post-swap price (Quoter sqrtPriceX96After), instead
+   * of the pre-swap spot price. Bracketed secant search (Illinois) between no
+   * swap and swapping the whole balance, starting from the spot estimate.
+   * Falls back to the spot estimate if quoting fails.
+   * @param {Object} params - { poolAddress, token0, token1, tickLower, tickUpper, amount0, amount1, zeroForOne, initialAmountIn }
+   * @returns {bigint} - Amount of the input token to swap
+   */
+  async solveSwapAmount(params) {
+    const { poolAddress, token0, token1, tickLower, tickUpper, zeroForOne } = params;
+    const initialAmountIn = BigInt(params.initialAmountIn.toString());
+    const balanceIn = BigInt((zeroForOne ? params.amount0 : params.amount1).toString());
+    const balanceOut = BigInt((zeroForOne ? params.amount1 : params.amount0).toString());
+    const tokenIn = zeroForOne ? token0 : token1;
+    const tokenOut = zeroForOne ? token1 : token0;
+    
+    if (balanceIn === 0n) return initialAmountIn;
+    
+    // Signed imbalance after swapping amountIn at the given post-swap price:
+    // -1..1, negative while too little is swapped, 0 when the ratio matches
+    const imbalanceAt = (sqrtPrice, amountIn, amountOut) => {
+      const unit = getAmountsForLiquidity(sqrtPrice, tickLower, tickUpper, 1e18);
+      const held0 = Number(zeroForOne ? balanceIn - amountIn : balanceOut + amountOut);
+      const held1 = Number(zeroForOne ? balanceOut + amountOut : balanceIn - amountIn);
+      const have = held1 * unit.amount0;
+      const need = held0 * unit.amount1;
+      const imbalance = (have - need) / ((have + need) || 1);
+      return zeroForOne ? imbalance : -imbalance;
+    };
+    
+    try {
+      const [slot0, { tickSpacing }] = await Promise.all([
+        this.web3.getCurrentPrice(poolAddress),
+        this.web3.getPool(poolAddress)
+      ]);
       
-      if (!newTokenId) {
-        throw new Error('Failed to create new position');
-      }
+      // Bracket: no swap (spot price, no quote needed) and the whole balance (one-sided: +1)
+      let lo = 0n;
+      let fLo = imbalanceAt(sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96), 0n, 0n);
+      let hi = balanceIn;
+      let fHi = 1;
+      if (fLo >= 0) return 0n;
       
-      logger.info(`New position created with tokenId: ${newTokenId}`);
-      logger.info('Waiting 10 seconds before staking...');
-      await delay(10000);
+      let amountIn = initialAmountIn > 0n && initialAmountIn < balanceIn ? initialAmountIn : balanceIn / 2n;
+      let best = { amountIn, error: Infinity };
+      let lastSide = 0;
       
-      // Step 7: Stake the new position
-      if (gaugeAddress) {
-        logger.info(`Staking position #${newTokenId} to gauge ${gaugeAddress}...`);
-        this.pendingRebalance.stage = 'staking';
+      for (let i = 1; i <= config.swapSolverMaxIterations; i++) {
+        const quote = await this.quoteSwap(tokenIn, tokenOut, amountIn, tickSpacing);
+        const f = imbalanceAt(sqrtPriceX96ToSqrtPrice(quote.sqrtPriceX96After), amountIn, quote.amountOut);
         
-        try {
-          await this.stakeToGauge(newTokenId, gaugeAddress);
-          logger.info(`Position #${newTokenId} staked successfully`);
-        } catch (e) {
-          logger.error(`Staking error: ${e.message}`);
-          logger.warn('Position created but not staked. You may need to stake manually.');
+        if (Math.abs(f) < best.error) best = { amountIn, error: Math.abs(f), iterations: i };
+        if (Math.abs(f) <= config.swapSolverTolerance) break;
+        
+        // Illinois: halve the stale endpoint when the same side is kept twice
+        if (f < 0) {
+          lo = amountIn;
+          fLo = f;
+          if (lastSide === -1) fHi /= 2;
+          lastSide = -1;
+        } else {
+          hi = amountIn;
+          fHi = f;
+          if (lastSide === 1) fLo /= 2;
+          lastSide = 1;
         }
+        
+        const step = BigInt(Math.round(Number(hi - lo) * (-fLo / (fHi - fLo))));
+        const next = lo + step;
+        if (next <= lo || next >= hi || next === amountIn) break;
+        amountIn = next;
       }
       
-      // Clear pending rebalance
-      this.pendingRebalance = null;
-      
-      logger.info(`Successfully rebalanced position #${tokenId} to new position #${newTokenId}`);
-      
-      return {
-        success: true,
-        newTokenId,
-        newTickLower: tickLower,
-        newTickUpper: tickUpper,
-        amount0Added: amount0ToAdd.toString(),
-        amount1Added: amount1ToAdd.toString()
-      };
-      
+      logger.info(`Swap solver: ${best.amountIn} in (spot estimate ${initialAmountIn}), residual imbalance ${(best.error * 10000).toFixed(1)} bps after ${best.iterations} quote(s)`);
+      return best.amountIn;
     } catch (error) {
-      logger.error(`Rebalance failed: ${error.message}`);
-      logger.error(`Stack: ${error.stack}`);
-      throw error;
+      logger.warn(`Swap solver failed (${error.message}); using spot-price estimate ${initialAmountIn}`);
+      return initialAmountIn;
+    }
+  }
+
+  /**
+   * Slipstream pool with the most active liquidity for a token pair among
+   * the common tick spacings, or null if none exists
+   * @returns {Object} - { poolAddress, tickSpacing, liquidity }
+   */
+  async findDeepestPool(tokenA, tokenB) {
+    const factory = new Contract(
+      config.aerodrome.factory,
+      ['function getPool(address, address, int24) view returns (address)'],
+      this.web3.wallet
+    );
+
+    let best = null;
+    for (const tickSpacing of COMMON_TICK_SPACINGS) {
+      const poolAddress = await factory.getPool(tokenA, tokenB, tickSpacing).catch(() => ethers.ZeroAddress);
+      if (poolAddress === ethers.ZeroAddress) continue;
+
+      const pool = new Contract(poolAddress, ['function liquidity() view returns (uint128)'], this.web3.wallet);
+      const liquidity = await pool.liquidity();
+      if (!best || liquidity > best.liquidity) best = { poolAddress, tickSpacing, liquidity };
+    }
+
+    return best;
+  }
+
+  /**
+   * Quote an exact-input swap through the deepest Slipstream pool for the pair
+   */
+  async quoteViaDeepestPool(tokenIn, tokenOut, amountIn) {
+    const pool = await this.findDeepestPool(tokenIn, tokenOut);
+    if (!pool) {
+      throw new Error(`No Slipstream pool found for ${tokenIn}/${tokenOut}`);
+    }
+    return this.quoteSwap(tokenIn, tokenOut, amountIn, pool.tickSpacing);
+  }
+
+  /**
+   * Two-step Permit2 approval:
+   *   a) ERC-20: approve Permit2 to spend tokenIn (one-time, max amount)
+   *   b) Permit2: approve `spender` (the Universal Router) to pull tokenIn on our behalf
+   */
+  async approvePermit2(tokenIn, spender, amountIn) {
+    const userAddress = this.web3.wallet.address;
+    const routerAbiPermit = new Contract(
+      spender,
+      ['function PERMIT2() view returns (address)'],
+      this.web3.wallet
+    );
+    const permit2Address = await routerAbiPermit.PERMIT2();
+
+    // a) ERC-20 approval to Permit2
+    await this.web3.approveToken(tokenIn, permit2Address, amountIn.toString());
+
+    // b) Permit2 allowance approval to the router (skip if already max)
+    const maxUint160 = (2n ** 160n) - 1n;
+    const maxUint48  = (2n ** 48n)  - 1n;
+    const permit2Contract = new Contract(
+      permit2Address,
+      [
+        'function approve(address token, address spender, uint160 amount, uint48 expiration) external',
+        'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+      ],
+      this.web3.wallet
+    );
+    const [p2Amount] = await permit2Contract.allowance(userAddress, tokenIn, spender);
+    if (p2Amount < amountIn && config.dryRun) {
+      logger.info(`[DRY RUN] Would set Permit2 allowance for ${tokenIn} → router; skipping`);
+    } else if (p2Amount < amountIn) {
+      logger.info(`Setting Permit2 allowance for ${tokenIn} → router...`);
+      const permit2Tx = await permit2Contract.approve(tokenIn, spender, maxUint160, maxUint48);
+      await this.web3.waitForTransaction(permit2Tx);
+      logger.info('Permit2 allowance set.');
+      await delay(1000);
+    } else {
+      logger.info('Permit2 allowance already sufficient; skipping.');
     }
   }
 
   /**
-   * Swap tokens via the Aerodrome Universal Router.
+   * Swap tokens through the best route from the enabled swap routers.
    *
    * Flow:
-   *   1. Read tickSpacing from pool.
-   *   2. On-chain quote via Aerodrome Quoter → derive amountOutMinimum.
-   *   3. Approve the router's Permit2 contract to spend tokenIn.
-   *   4. Build execute() with command 0x00 (V3/CL exact-in) and
-   *      CL path: tokenIn (20 bytes) + tickSpacing (3 bytes) + tokenOut (20 bytes).
-   *   5. Send via Universal Router.
+   *   1. Read tickSpacing from pool (for the Aerodrome direct route).
+   *   2. Quote every router in SWAP_ROUTERS and pick the best output net of gas.
+   *   3. Derive amountOutMinimum from the quote (SLIPPAGE_BPS).
+   *   4. Approve the router (Permit2 for the Universal Router, ERC-20 otherwise).
+   *   5. Build and send the router's swap transaction.
    */
   async swapTokens(tokenIn, tokenOut, amountIn, poolAddress) {
     if (BigInt(amountIn) === 0n) {
@@ -499,12 +1276,12 @@ class Rebalancer {
       return null;
     }
 
-    logger.info(`Swapping ${amountIn} of token ${tokenIn} for ${tokenOut} via Aerodrome Universal Router...`);
+    logger.info(`Swapping ${amountIn} of token ${tokenIn} for ${tokenOut}...`);
 
+    let routerName = 'swap';
     try {
       const amountInBigInt = BigInt(amountIn.toString());
       const userAddress    = this.web3.wallet.address;
-      const routerAddress  = config.aerodrome.universalRouter;
 
       // 1. Read tickSpacing from the pool
       const poolContract = new Contract(
@@ -514,96 +1291,55 @@ class Rebalancer {
       );
       const tickSpacing = await poolContract.tickSpacing();
 
-      // 2. On-chain quote — staticCall on the Aerodrome Quoter
-      //    Struct order: tokenIn, tokenOut, amountIn, tickSpacing, sqrtPriceLimitX96
-      const quoterContract = new Contract(
-        config.aerodrome.quoter,
-        ['function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, int24 tickSpacing, uint160 sqrtPriceLimitX96)) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'],
-        this.web3.wallet
-      );
-      const quoteResult = await quoterContract.quoteExactInputSingle.staticCall({
+      // 2. Best route across routers
+      const route = await this.swapRouter.getBestRoute({
         tokenIn,
         tokenOut,
-        amountIn:          amountInBigInt,
+        amountIn: amountInBigInt,
+        poolAddress,
         tickSpacing,
-        sqrtPriceLimitX96: 0n,
+        recipient: userAddress
       });
+      routerName = route.adapter.name;
 
-      const expectedOut      = quoteResult[0];
+      // 3. Slippage floor
+      const expectedOut      = route.amountOut;
       const amountOutMinimum = (expectedOut * BigInt(10000 - config.slippageBps)) / 10000n;
 
-      logger.info(`Aerodrome quote amountOut: ${expectedOut}`);
-      logger.info(`Aerodrome amountOutMinimum (${config.slippageBps}bps slippage): ${amountOutMinimum}`);
-
-      // 3. Two-step Permit2 approval:
-      //    a) ERC-20: approve Permit2 to spend tokenIn (one-time, max amount)
-      //    b) Permit2: approve the Universal Router to pull tokenIn on our behalf
-      const routerAbiPermit = new Contract(
-        routerAddress,
-        ['function PERMIT2() view returns (address)'],
-        this.web3.wallet
-      );
-      const permit2Address = await routerAbiPermit.PERMIT2();
+      logger.info(`${routerName} quote amountOut: ${expectedOut}`);
+      logger.info(`${routerName} amountOutMinimum (${config.slippageBps}bps slippage): ${amountOutMinimum}`);
 
-      // 3a. ERC-20 approval to Permit2
-      await this.web3.approveToken(tokenIn, permit2Address, amountInBigInt.toString());
+      // 4-5. Build the swap and approve its spender
+      const { txRequest, spender, permit2 } = await route.adapter.buildSwap(route, {
+        recipient: userAddress,
+        amountOutMinimum
+      });
 
-      // 3b. Permit2 allowance approval to Universal Router (skip if already max)
-      const maxUint160 = (2n ** 160n) - 1n;
-      const maxUint48  = (2n ** 48n)  - 1n;
-      const permit2Contract = new Contract(
-        permit2Address,
-        [
-          'function approve(address token, address spender, uint160 amount, uint48 expiration) external',
-          'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
-        ],
-        this.web3.wallet
-      );
-      const [p2Amount] = await permit2Contract.allowance(userAddress, tokenIn, routerAddress);
-      if (p2Amount < amountInBigInt) {
-        logger.info(`Setting Permit2 allowance for ${tokenIn} → router...`);
-        const permit2Tx = await permit2Contract.approve(tokenIn, routerAddress, maxUint160, maxUint48);
-        await permit2Tx.wait();
-        logger.info('Permit2 allowance set.');
-        await delay(1000);
+      if (permit2) {
+        await this.approvePermit2(tokenIn, spender, amountInBigInt);
       } else {
-        logger.info('Permit2 allowance already sufficient; skipping.');
-      }
-
-      // 4. Encode CL path:
-      //    tokenIn (20 bytes) + poolParam (3 bytes) + tokenOut (20 bytes)
-      //
-      // Aerodrome UR expects Slipstream routes to use poolParam = 0x100000 + tickSpacing.
-      // For this bot we route through Slipstream (isUni=false).
-      const slipstreamPoolParam = (0x100000 + Number(tickSpacing)).toString(16).padStart(6, '0');
-      const path = '0x'
-        + tokenIn.slice(2).toLowerCase()
-        + slipstreamPoolParam
-        + tokenOut.slice(2).toLowerCase();
-
-      // Input for command 0x00 (V3_SWAP_EXACT_IN — CL pool):
-      //   abi.encode(recipient, amountIn, amountOutMinimum, path, payerIsUser, isUni)
-      //   payerIsUser=true  => pull tokenIn from msg.sender via Permit2
-      //   isUni=false       => Aerodrome Slipstream route format
-      const abiCoder  = new ethers.AbiCoder();
-      const swapInput = abiCoder.encode(
-        ['address', 'uint256', 'uint256', 'bytes', 'bool', 'bool'],
-        [userAddress, amountInBigInt, amountOutMinimum, path, true, false]
-      );
-
-      // 5. Execute via Universal Router: execute(commands, inputs[], deadline)
-      const universalRouter = new Contract(
-        routerAddress,
-        ['function execute(bytes calldata commands, bytes[] calldata inputs, uint256 deadline) external payable'],
-        this.web3.wallet
-      );
+        await this.web3.approveToken(tokenIn, spender, amountInBigInt.toString());
+      }
 
-      const deadline  = BigInt(Math.floor(Date.now() / 1000) + 300); // 5 min
-      const txRequest = await universalRouter.execute.populateTransaction(
-        '0x00',       // command byte: V3_SWAP_EXACT_IN (CL concentrated liquidity pool)
-        [swapInput],
-        deadline
-      );
+      if (config.dryRun) {
+        const step = await this.simulateStep('swap', txRequest, {
+          router: routerName,
+          tokenIn,
+          tokenOut,
+          amountIn: amountInBigInt,
+          expected: {
+            amountOut: expectedOut,
+            amountOutMinimum,
+            gasEstimate: route.gasEstimate,
+            sqrtPriceX96After: route.sqrtPriceX96After,
+            initializedTicksCrossed: route.initializedTicksCrossed
+          }
+        });
+        delete step.returnData;
+        this.applyDryRunDelta(tokenIn, -amountInBigInt);
+        this.applyDryRunDelta(tokenOut, expectedOut);
+        return { dryRun: true, hash: null, step };
+      }
 
       let receipt;
       try {
@@ -620,11 +1356,17 @@ class Rebalancer {
         receipt = await this.web3.sendTransaction(txRequest);
       }
 
-      logger.info(`Aerodrome swap completed, tx: ${receipt.hash}`);
+      logger.info(`${routerName} swap completed, tx: ${receipt.hash}`, { txHash: receipt.hash });
+      metrics.recordSwapSlippage(routerName, receipt, tokenOut, userAddress, expectedOut);
       return receipt;
     } catch (error) {
-      logger.error(`Aerodrome swap failed: ${error.message}`);
+      logger.error(`${routerName} swap failed: ${error.message}`);
       if (error.data) logger.error(`Error data: ${error.data}`);
+      notifier.notify('swap_failed', {
+        message: `${routerName} swap of ${amountIn} ${tokenIn} → ${tokenOut} failed: ${error.message}`,
+        fields: { router: routerName, tokenIn, tokenOut },
+        key: `${tokenIn}:${tokenOut}`.toLowerCase()
+      });
       return null;
     }
   }
@@ -704,6 +1446,10 @@ class Rebalancer {
         typeof value === 'bigint' ? value.toString() : value
       )}`);
       
+      if (config.dryRun) {
+        return await this.simulateMint(pm, mintParams);
+      }
+      
       // First try a static call to get the actual revert reason
       try {
         const callResult = await pm.mint.staticCall(mintParams);
@@ -728,7 +1474,7 @@ class Rebalancer {
         value: 0n
       });
       
-      logger.info(`Position created, tx: ${receipt.hash}`);
+      logger.info(`Position created, tx: ${receipt.hash}`, { txHash: receipt.hash });
       
       // Get tokenId from event
       const iface = new ethers.Interface([
@@ -774,6 +1520,451 @@ class Rebalancer {
     }
   }
 
+  /**
+   * Add liquidity to an existing position without burning it.
+   * Staked positions are topped up through the gauge (increaseStakedLiquidity),
+   * since the gauge holds the NFT; unstaked ones through the PositionManager.
+   * @param {Object} positionInfo - Position (tokenId, token0, token1, poolAddress, tickLower, tickUpper, isStaked, gaugeAddress)
+   * @param {bigint|string} amount0 - Desired token0 amount (raw units)
+   * @param {bigint|string} amount1 - Desired token1 amount (raw units)
+   * @returns {Object|null} - { liquidity, amount0, amount1, hash } or null on failure
+   */
+  async increaseLiquidity(positionInfo, amount0, amount1) {
+    const { tokenId, token0, token1, poolAddress, isStaked, gaugeAddress } = positionInfo;
+    const pmAddress = config.aerodrome.altPositionManager;
+    const viaGauge = Boolean(isStaked && gaugeAddress);
+    const target = viaGauge ? gaugeAddress : pmAddress;
+    
+    const amount0BigInt = BigInt(amount0.toString());
+    const amount1BigInt = BigInt(amount1.toString());
+    
+    if (amount0BigInt === 0n && amount1BigInt === 0n) {
+      logger.info('Nothing to add, skipping increaseLiquidity');
+      return null;
+    }
+    
+    logger.info(`Increasing liquidity of position #${tokenId} via ${viaGauge ? 'gauge' : 'PositionManager'}...`);
+    logger.info(`Amount0: ${amount0BigInt}, Amount1: ${amount1BigInt}`);
+    
+    try {
+      await this.web3.approveToken(token0, target, amount0BigInt.toString());
+      await this.web3.approveToken(token1, target, amount1BigInt.toString());
+      
+      // Minimums from the amounts the added liquidity takes at the current
+      // price, less SLIPPAGE_BPS: only the limiting token is used in full
+      const slot0 = await this.web3.getCurrentPrice(poolAddress);
+      const sqrtPrice = sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96);
+      const tickLower = Number(positionInfo.tickLower);
+      const tickUpper = Number(positionInfo.tickUpper);
+      const expected = getAmountsForLiquidity(
+        sqrtPrice,
+        tickLower,
+        tickUpper,
+        getLiquidityForAmounts(sqrtPrice, tickLower, tickUpper, amount0BigInt, amount1BigInt)
+      );
+      const amount0Min = (toRawBigInt(expected.amount0) * BigInt(10000 - config.slippageBps)) / 10000n;
+      const amount1Min = (toRawBigInt(expected.amount1) * BigInt(10000 - config.slippageBps)) / 10000n;
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 600);
+      
+      let txRequest;
+      if (viaGauge) {
+        const gauge = new Contract(
+          gaugeAddress,
+          ['function increaseStakedLiquidity(uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline) returns (uint128 liquidity, uint256 amount0, uint256 amount1)'],
+          this.web3.wallet
+        );
+        txRequest = await gauge.increaseStakedLiquidity.populateTransaction(
+          BigInt(tokenId), amount0BigInt, amount1BigInt, amount0Min, amount1Min, deadline
+        );
+      } else {
+        const pm = new Contract(
+          pmAddress,
+          ['function increaseLiquidity((uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline)) payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)'],
+          this.web3.wallet
+        );
+        txRequest = await pm.increaseLiquidity.populateTransaction({
+          tokenId: BigInt(tokenId),
+          amount0Desired: amount0BigInt,
+          amount1Desired: amount1BigInt,
+          amount0Min,
+          amount1Min,
+          deadline
+        });
+      }
+      
+      if (config.dryRun) {
+        const step = await this.simulateStep('increase_liquidity', txRequest, {
+          tokenId: tokenId.toString(),
+          viaGauge,
+          amount0Desired: amount0BigInt,
+          amount1Desired: amount1BigInt
+        });
+        delete step.returnData;
+        this.applyDryRunDelta(token0, -amount0BigInt);
+        this.applyDryRunDelta(token1, -amount1BigInt);
+        return { dryRun: true, hash: null, amount0: amount0BigInt, amount1: amount1BigInt, liquidity: null };
+      }
+      
+      const receipt = await this.web3.sendTransaction(txRequest);
+      logger.info(`Liquidity increased, tx: ${receipt.hash}`, { txHash: receipt.hash });
+      
+      // The PositionManager emits IncreaseLiquidity for both paths
+      const iface = new ethers.Interface([
+        'event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)'
+      ]);
+      for (const log of receipt.logs) {
+        try {
+          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+          if (parsed && parsed.name === 'IncreaseLiquidity') {
+            logger.info(`Added liquidity ${parsed.args.liquidity} (amount0: ${parsed.args.amount0}, amount1: ${parsed.args.amount1})`);
+            return {
+              hash: receipt.hash,
+              liquidity: parsed.args.liquidity,
+              amount0: parsed.args.amount0,
+              amount1: parsed.args.amount1
+            };
+          }
+        } catch (e) {
+          // Not the event we're looking for
+        }
+      }
+      
+      return { hash: receipt.hash, liquidity: null, amount0: amount0BigInt, amount1: amount1BigInt };
+    } catch (error) {
+      logger.error(`Increase liquidity failed: ${error.message}`);
+      if (error.data) logger.error(`Error data: ${error.data}`);
+      return null;
+    }
+  }
+
+  /**
+   * Remove part of a position's liquidity and collect the tokens without
+   * burning the NFT, so a staked position stays staked. Staked positions go
+   * through the gauge (decreaseStakedLiquidity, which collects to the owner);
+   * unstaked ones through a PositionManager decreaseLiquidity + collect multicall.
+   * @param {Object} positionInfo - Position (tokenId, token0, token1, poolAddress, tickLower, tickUpper, liquidity, isStaked, gaugeAddress)
+   * @param {bigint|string} liquidity - Liquidity to remove
+   * @returns {Object|null} - { amount0, amount1, hash } or null on failure
+   */
+  async decreaseLiquidity(positionInfo, liquidity) {
+    const { tokenId, token0, token1, poolAddress, isStaked, gaugeAddress } = positionInfo;
+    const viaGauge = Boolean(isStaked && gaugeAddress);
+    const liquidityBigInt = BigInt(liquidity.toString());
+    const positionLiquidity = BigInt(positionInfo.liquidity.toString());
+
+    if (liquidityBigInt <= 0n || liquidityBigInt > positionLiquidity) {
+      logger.warn(`Liquidity to remove (${liquidityBigInt}) must be between 1 and the position's ${positionLiquidity}; skipping decreaseLiquidity`);
+      return null;
+    }
+
+    logger.info(`Decreasing liquidity of position #${tokenId} by ${liquidityBigInt} of ${positionLiquidity} via ${viaGauge ? 'gauge' : 'PositionManager'}...`);
+
+    try {
+      // Minimums from the amounts at the current price, less SLIPPAGE_BPS
+      const slot0 = await this.web3.getCurrentPrice(poolAddress);
+      const expected = getAmountsForLiquidity(
+        sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96),
+        Number(positionInfo.tickLower),
+        Number(positionInfo.tickUpper),
+        liquidityBigInt
+      );
+      const expected0 = toRawBigInt(expected.amount0);
+      const expected1 = toRawBigInt(expected.amount1);
+      const amount0Min = (expected0 * BigInt(10000 - config.slippageBps)) / 10000n;
+      const amount1Min = (expected1 * BigInt(10000 - config.slippageBps)) / 10000n;
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 600);
+
+      let txRequest;
+      if (viaGauge) {
+        const gauge = new Contract(
+          gaugeAddress,
+          ['function decreaseStakedLiquidity(uint256 tokenId, uint128 liquidityToRemove, uint256 amount0Min, uint256 amount1Min, uint256 deadline) returns (uint256 amount0, uint256 amount1)'],
+          this.web3.wallet
+        );
+        txRequest = await gauge.decreaseStakedLiquidity.populateTransaction(
+          BigInt(tokenId), liquidityBigInt, amount0Min, amount1Min, deadline
+        );
+      } else {
+        const pm = new Contract(
+          config.aerodrome.altPositionManager,
+          [
+            'function multicall(bytes[]) returns (bytes[])',
+            'function decreaseLiquidity((uint256,uint128,uint256,uint256,uint256)) returns (uint256,uint256)',
+            'function collect((uint256,address,uint128,uint128)) returns (uint256,uint256)'
+          ],
+          this.web3.wallet
+        );
+        const maxUint128 = BigInt('0xffffffffffffffffffffffffffffffff');
+        txRequest = await pm.multicall.populateTransaction([
+          pm.interface.encodeFunctionData('decreaseLiquidity', [[BigInt(tokenId), liquidityBigInt, amount0Min, amount1Min, deadline]]),
+          pm.interface.encodeFunctionData('collect', [[BigInt(tokenId), this.web3.wallet.address, maxUint128, maxUint128]])
+        ]);
+      }
+
+      if (config.dryRun) {
+        const step = await this.simulateStep('decrease_liquidity', txRequest, {
+          tokenId: tokenId.toString(),
+          viaGauge,
+          liquidity: liquidityBigInt
+        });
+        delete step.returnData;
+        step.expected = { amount0: expected0, amount1: expected1, source: 'liquidity_math', note: 'excludes uncollected fees' };
+        this.applyDryRunDelta(token0, expected0);
+        this.applyDryRunDelta(token1, expected1);
+        return { dryRun: true, hash: null, amount0: expected0, amount1: expected1 };
+      }
+
+      const receipt = await this.web3.sendTransaction(txRequest);
+      logger.info(`Liquidity decreased, tx: ${receipt.hash}`, { txHash: receipt.hash });
+
+      // The PositionManager emits Collect for both paths
+      const iface = new ethers.Interface([
+        'event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1)'
+      ]);
+      for (const log of receipt.logs) {
+        try {
+          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+          if (parsed && parsed.name === 'Collect') {
+            logger.info(`Collected amount0: ${parsed.args.amount0}, amount1: ${parsed.args.amount1}`);
+            return { hash: receipt.hash, amount0: parsed.args.amount0, amount1: parsed.args.amount1 };
+          }
+        } catch (e) {
+          // Not the event we're looking for
+        }
+      }
+
+      return { hash: receipt.hash, amount0: expected0, amount1: expected1 };
+    } catch (error) {
+      logger.error(`Decrease liquidity failed: ${error.message}`);
+      if (error.data) logger.error(`Error data: ${error.data}`);
+      return null;
+    }
+  }
+
+  /**
+   * Withdraw a position completely and burn it, leaving the tokens in the
+   * wallet (no swap, no new mint). Used when a range order has filled.
+   * Unlike a rebalance withdraw, the minimums come from the current price
+   * less SLIPPAGE_BPS, since the tokens are not put straight back to work.
+   * @param {Object} positionInfo - Position (tokenId, token0, token1, poolAddress, tickLower, tickUpper, liquidity, isStaked, gaugeAddress)
+   * @returns {Object|null} - { hash, amount0, amount1 } (dryRun: true when simulated), or null on failure
+   */
+  async closePosition(positionInfo) {
+    const { tokenId, poolAddress, isStaked, gaugeAddress } = positionInfo;
+    const liquidity = BigInt(positionInfo.liquidity.toString());
+
+    logger.info(`Closing position #${tokenId} (liquidity ${liquidity})...`);
+
+    try {
+      if (isStaked && gaugeAddress) {
+        await this.unstakeFromGauge(tokenId, gaugeAddress);
+      }
+
+      const slot0 = await this.web3.getCurrentPrice(poolAddress);
+      const expected = getAmountsForLiquidity(
+        sqrtPriceX96ToSqrtPrice(slot0.sqrtPriceX96),
+        Number(positionInfo.tickLower),
+        Number(positionInfo.tickUpper),
+        liquidity
+      );
+      const amount0Min = (toRawBigInt(expected.amount0) * BigInt(10000 - config.slippageBps)) / 10000n;
+      const amount1Min = (toRawBigInt(expected.amount1) * BigInt(10000 - config.slippageBps)) / 10000n;
+
+      const pm = new Contract(
+        config.aerodrome.altPositionManager,
+        [
+          'function multicall(bytes[]) returns (bytes[])',
+          'function decreaseLiquidity((uint256,uint128,uint256,uint256,uint256)) returns (uint256,uint256)',
+          'function collect((uint256,address,uint128,uint128)) returns (uint256,uint256)',
+          'function burn(uint256) returns (uint256,uint256)'
+        ],
+        this.web3.wallet
+      );
+      const maxUint128 = BigInt('0xffffffffffffffffffffffffffffffff');
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 600);
+      const calls = [
+        pm.interface.encodeFunctionData('decreaseLiquidity', [[BigInt(tokenId), liquidity, amount0Min, amount1Min, deadline]]),
+        pm.interface.encodeFunctionData('collect', [[BigInt(tokenId), this.web3.wallet.address, maxUint128, maxUint128]]),
+        pm.interface.encodeFunctionData('burn', [BigInt(tokenId)])
+      ];
+
+      if (config.dryRun) {
+        const step = await this.simulateWithdraw(pm, calls, positionInfo);
+        return { dryRun: true, hash: null, amount0: step.expected.amount0, amount1: step.expected.amount1 };
+      }
+
+      const receipt = await this.web3.sendTransaction(await pm.multicall.populateTransaction(calls));
+      logger.info(`Position #${tokenId} withdrawn and burned, tx: ${receipt.hash}`, { txHash: receipt.hash });
+
+      const iface = new ethers.Interface([
+        'event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1)'
+      ]);
+      for (const log of receipt.logs) {
+        try {
+          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+          if (parsed && parsed.name === 'Collect') {
+            logger.info(`Collected amount0: ${parsed.args.amount0}, amount1: ${parsed.args.amount1}`);
+            return { hash: receipt.hash, amount0: parsed.args.amount0, amount1: parsed.args.amount1 };
+          }
+        } catch (e) {
+          // Not the event we're looking for
+        }
+      }
+
+      return { hash: receipt.hash, amount0: toRawBigInt(expected.amount0), amount1: toRawBigInt(expected.amount1) };
+    } catch (error) {
+      logger.error(`Close position #${tokenId} failed: ${error.message}`);
+      if (error.data) logger.error(`Error data: ${error.data}`);
+      return null;
+    }
+  }
+
+  /**
+   * Add the wallet's balances of a position's tokens (dust left by earlier
+   * rebalances, deposits) to the position with increaseLiquidity instead of
+   * a burn and re-mint: swap to the range's ratio, then top up. Only in-range
+   * positions are topped up; moving an out-of-range one is the rebalance's job.
+   * With several pools, only the position's share of the wallet is used
+   * (see getDepositBalance).
+   * @param {Object} positionInfo - Position from PositionMonitor.checkAllPositions
+   * @param {Object} strategy - Pool strategy (minSwapValueUsdc)
+   * @param {Object} sharedBy - { token0, token1 }: managed pools holding each token
+   * @returns {Object|null} - increaseLiquidity result, or null when skipped or failed
+   */
+  async topUpPosition(positionInfo, strategy = {}, sharedBy = {}) {
+    const { tokenId, token0, token1, poolAddress } = positionInfo;
+    const tickLower = Number(positionInfo.tickLower);
+    const tickUpper = Number(positionInfo.tickUpper);
+
+    const [token0Info, token1Info, balance0, balance1, slot0] = await Promise.all([
+      this.web3.getToken(token0),
+      this.web3.getToken(token1),
+      this.getDepositBalance(token0, sharedBy.token0),
+      this.getDepositBalance(token1, sharedBy.token1),
+      this.web3.getCurrentPrice(poolAddress)
+    ]);
+    const { decimals: decimals0, symbol: symbol0 } = token0Info;
+    const { decimals: decimals1, symbol: symbol1 } = token1Info;
+
+    const price0InToken1 = this.getPriceFromTickAdjusted(Number(slot0.tick), decimals0, decimals1);
+    const value0 = Number(ethers.formatUnits(balance0, decimals0)) * price0InToken1;
+    const value1 = Number(ethers.formatUnits(balance1, decimals1));
+    const totalValue = value0 + value1;
+
+    if (totalValue < config.topUpMinValueUsdc) {
+      logger.debug(`Wallet ${symbol0}/${symbol1} worth ${totalValue.toFixed(2)} ${symbol1} is below TOP_UP_MIN_VALUE_USDC (${config.topUpMinValueUsdc}); no top-up`);
+      return null;
+    }
+
+    const ratio = await this.calculateOptimalRatio(poolAddress, tickLower, tickUpper);
+    if (!ratio.inRange) {
+      logger.info(`Position #${tokenId} is out of range; leaving wallet funds for the next rebalance`);
+      return null;
+    }
+
+    logger.info(`Topping up position #${tokenId} with ${ethers.formatUnits(balance0, decimals0)} ${symbol0} + ${ethers.formatUnits(balance1, decimals1)} ${symbol1} (${totalValue.toFixed(2)} ${symbol1})`);
+
+    if (config.dryRun) {
+      this.beginDryRunPlan('top_up', { tokenId, poolAddress, range: { tickLower, tickUpper } });
+    }
+
+    try {
+      let amount0ToAdd = balance0;
+      let amount1ToAdd = balance1;
+
+      // Same swap sizing as a rebalance into an in-range position
+      const token0Diff = value0 - totalValue * ratio.token0Ratio;
+      const minSwapValueUsdc = Number(strategy.minSwapValueUsdc ?? config.minSwapValueUsdc);
+
+      if (Math.abs(token0Diff) > minSwapValueUsdc) {
+        const zeroForOne = token0Diff > 0;
+        const [tokenIn, tokenOut] = zeroForOne ? [token0, token1] : [token1, token0];
+        const initialAmountIn = zeroForOne
+          ? ethers.parseUnits((token0Diff / price0InToken1).toFixed(Number(decimals0)), decimals0)
+          : ethers.parseUnits((-token0Diff).toFixed(Number(decimals1)), decimals1);
+        const amountIn = await this.solveSwapAmount({
+          poolAddress, token0, token1, tickLower, tickUpper,
+          amount0: balance0, amount1: balance1,
+          zeroForOne,
+          initialAmountIn
+        });
+
+        // The swap's effect on the wallet is added to this top-up's share
+        const [before0, before1] = await Promise.all([
+          this.getWalletBalance(token0),
+          this.getWalletBalance(token1)
+        ]);
+
+        logger.info(`Swapping ${ethers.formatUnits(amountIn, zeroForOne ? decimals0 : decimals1)} ${zeroForOne ? symbol0 : symbol1} to ${zeroForOne ? symbol1 : symbol0}...`);
+        const swapResult = await this.swapTokens(tokenIn, tokenOut, amountIn.toString(), poolAddress);
+        if (!swapResult) {
+          throw new Error('Swap failed; wallet funds left in place');
+        }
+
+        if (!config.dryRun) {
+          logger.info('Swap completed, waiting 10 seconds...');
+          await delay(10000);
+        }
+        const [after0, after1] = await Promise.all([
+          this.getWalletBalance(token0),
+          this.getWalletBalance(token1)
+        ]);
+        amount0ToAdd = balance0 + after0 - before0;
+        amount1ToAdd = balance1 + after1 - before1;
+        if (amount0ToAdd < 0n) amount0ToAdd = 0n;
+        if (amount1ToAdd < 0n) amount1ToAdd = 0n;
+      }
+
+      const result = await this.increaseLiquidity(positionInfo, amount0ToAdd, amount1ToAdd);
+      if (config.dryRun) {
+        const plan = this.finishDryRunPlan(result
+          ? { outcome: 'completed', expectedIncrease: { amount0: result.amount0, amount1: result.amount1 } }
+          : { outcome: 'failed' });
+        if (result) result.plan = plan;
+      }
+      return result;
+    } catch (error) {
+      logger.error(`Top-up of position #${tokenId} failed: ${error.message}`);
+      if (config.dryRun) {
+        this.finishDryRunPlan({ outcome: 'aborted', error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Simulate the mint and track the tokens it would consume.
+   * Returns the simulated tokenId, or DRY_RUN_TOKEN_ID when the mint can
+   * only succeed after earlier simulated steps (withdraw/swap) have run.
+   */
+  async simulateMint(pm, mintParams) {
+    const txRequest = await pm.mint.populateTransaction(mintParams);
+    const step = await this.simulateStep('mint', txRequest, {
+      tickLower: mintParams.tickLower,
+      tickUpper: mintParams.tickUpper,
+      amount0Desired: mintParams.amount0Desired,
+      amount1Desired: mintParams.amount1Desired
+    });
+
+    let tokenId = DRY_RUN_TOKEN_ID;
+    let amount0 = mintParams.amount0Desired;
+    let amount1 = mintParams.amount1Desired;
+    if (step.success) {
+      const decoded = pm.interface.decodeFunctionResult('mint', step.returnData);
+      tokenId = decoded.tokenId;
+      amount0 = decoded.amount0;
+      amount1 = decoded.amount1;
+      step.expected = { tokenId, liquidity: decoded.liquidity, amount0, amount1, source: 'simulation' };
+    } else {
+      step.expected = { amount0, amount1, source: 'desired_amounts' };
+    }
+    delete step.returnData;
+
+    this.applyDryRunDelta(mintParams.token0, -amount0);
+    this.applyDryRunDelta(mintParams.token1, -amount1);
+    return tokenId;
+  }
+
   /**
    * Unstake a position from the gauge
    */
@@ -786,9 +1977,16 @@ class Rebalancer {
       this.web3.wallet
     );
     
+    if (config.dryRun) {
+      const txRequest = await gauge.withdraw.populateTransaction(tokenId);
+      const step = await this.simulateStep('unstake', txRequest, { tokenId: tokenId.toString(), gaugeAddress });
+      delete step.returnData;
+      return { dryRun: true, hash: null, step };
+    }
+    
     const tx = await gauge.withdraw(tokenId);
-    const receipt = await tx.wait();
-    logger.info(`Unstaked position #${tokenId}, tx: ${receipt.hash}`);
+    const receipt = await this.web3.waitForTransaction(tx);
+    logger.info(`Unstaked position #${tokenId}, tx: ${receipt.hash}`, { txHash: receipt.hash });
     
     return receipt;
   }
@@ -799,6 +1997,10 @@ class Rebalancer {
   async stakeToGauge(tokenId, gaugeAddress) {
     logger.info(`Staking position #${tokenId} to gauge ${gaugeAddress}...`);
     
+    if (config.dryRun) {
+      return await this.simulateStake(tokenId, gaugeAddress);
+    }
+    
     // First approve the gauge to use the NFT
     const pmAddress = config.aerodrome.altPositionManager;
     const pm = new Contract(
@@ -811,7 +2013,7 @@ class Rebalancer {
     if (approved.toLowerCase() !== gaugeAddress.toLowerCase()) {
       logger.info(`Approving gauge for position #${tokenId}...`);
       const approveTx = await pm.approve(gaugeAddress, tokenId);
-      await approveTx.wait();
+      await this.web3.waitForTransaction(approveTx);
       logger.info('Gauge approved, waiting 3 seconds...');
       await delay(3000);
     }
@@ -823,11 +2025,34 @@ class Rebalancer {
     );
     
     const tx = await gauge.deposit(tokenId);
-    const receipt = await tx.wait();
-    logger.info(`Staked position #${tokenId}, tx: ${receipt.hash}`);
+    const receipt = await this.web3.waitForTransaction(tx);
+    logger.info(`Staked position #${tokenId}, tx: ${receipt.hash}`, { txHash: receipt.hash });
     
     return receipt;
   }
+
+  /**
+   * Simulate staking a position. A position minted earlier in the same
+   * dry-run does not exist on-chain, so its deposit cannot be simulated.
+   */
+  async simulateStake(tokenId, gaugeAddress) {
+    if (tokenId === DRY_RUN_TOKEN_ID) {
+      const step = this.recordDryRunStep({
+        step: 'stake',
+        to: gaugeAddress,
+        tokenId,
+        success: false,
+        error: 'not simulated: position only exists in this dry-run plan'
+      });
+      return { dryRun: true, hash: null, step };
+    }
+
+    const gauge = new Contract(gaugeAddress, ['function deposit(uint256)'], this.web3.wallet);
+    const txRequest = await gauge.deposit.populateTransaction(tokenId);
+    const step = await this.simulateStep('stake', txRequest, { tokenId: tokenId.toString(), gaugeAddress });
+    delete step.returnData;
+    return { dryRun: true, hash: null, step };
+  }
 }
 
-module.exports = { Rebalancer };
+module.exports = { Rebalancer, DRY_RUN_TOKEN_ID };
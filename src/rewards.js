@@ -0,0 +1,263 @@
+const { ethers, Contract } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+const GAUGE_REWARD_ABI = [
+  'function earned(address account, uint256 tokenId) view returns (uint256)',
+  'function getReward(uint256 tokenId)',
+  'function rewardToken() view returns (address)',
+];
+
+class RewardManager {
+  constructor(web3Manager, rebalancer) {
+    this.web3 = web3Manager;
+    this.rebalancer = rebalancer;
+    this.lastClaimAt = 0;
+  }
+
+  /**
+   * Whether the scheduled claim step should run this cycle
+   */
+  isClaimDue() {
+    return config.autoClaimRewards && Date.now() - this.lastClaimAt >= config.claimInterval;
+  }
+
+  /**
+   * Read unclaimed gauge rewards for staked positions
+   * @param {Array} positions - Positions from PositionMonitor.checkAllPositions
+   * @returns {Array} - [{ position, gaugeAddress, rewardToken, earned }]
+   */
+  async getPendingRewards(positions) {
+    const owner = this.web3.wallet.address;
+    const pending = [];
+
+    for (const position of positions) {
+      if (!position.isStaked || !position.gaugeAddress) continue;
+
+      try {
+        const gauge = new Contract(position.gaugeAddress, GAUGE_REWARD_ABI, this.web3.wallet);
+        const [earned, rewardToken] = await Promise.all([
+          gauge.earned(owner, position.tokenId),
+          gauge.rewardToken().catch(() => config.tokens.AERO)
+        ]);
+
+        if (earned > 0n) {
+          pending.push({ position, gaugeAddress: position.gaugeAddress, rewardToken, earned });
+        }
+      } catch (error) {
+        logger.warn(`Could not read rewards for position #${position.tokenId}: ${error.message}`);
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Slipstream pool used to value and swap the reward token into `token`
+   * (looked up on the CL factory with REWARD_SWAP_TICK_SPACING)
+   */
+  async getRewardPool(rewardToken, token) {
+    const factory = new Contract(
+      config.aerodrome.factory,
+      ['function getPool(address, address, int24) view returns (address)'],
+      this.web3.wallet
+    );
+
+    try {
+      const poolAddress = await factory.getPool(rewardToken, token, config.rewardSwapTickSpacing);
+      return poolAddress === ethers.ZeroAddress ? null : poolAddress;
+    } catch (error) {
+      logger.warn(`Reward pool lookup failed for ${rewardToken}/${token}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * USD value of a reward amount, quoted on-chain against USDC
+   */
+  async quoteRewardValueUsd(rewardToken, amount) {
+    const usdc = config.tokens.USDC;
+    if (rewardToken.toLowerCase() === usdc.toLowerCase()) {
+      return Number(ethers.formatUnits(amount, 6));
+    }
+
+    const quote = await this.rebalancer.quoteSwap(rewardToken, usdc, amount, config.rewardSwapTickSpacing);
+    return Number(ethers.formatUnits(quote.amountOut, 6));
+  }
+
+  /**
+   * Scheduled claim step: claim rewards once they exceed MIN_CLAIM_VALUE_USD,
+   * then optionally compound them into an in-range position.
+   * @param {Array} positions - Positions from PositionMonitor.checkAllPositions
+   */
+  async claimAndCompound(positions) {
+    this.lastClaimAt = Date.now();
+
+    const pending = await this.getPendingRewards(positions);
+    if (pending.length === 0) {
+      logger.info('No unclaimed gauge rewards.');
+      return null;
+    }
+
+    const rewardToken = pending[0].rewardToken;
+    const rewardInfo = await this.web3.getToken(rewardToken);
+    const totalEarned = pending.reduce((sum, p) => sum + p.earned, 0n);
+
+    let valueUsd;
+    try {
+      valueUsd = await this.quoteRewardValueUsd(rewardToken, totalEarned);
+    } catch (error) {
+      logger.warn(`Could not value ${rewardInfo.symbol} rewards: ${error.message}. Skipping claim.`);
+      return null;
+    }
+
+    logger.info(`Unclaimed rewards: ${ethers.formatUnits(totalEarned, rewardInfo.decimals)} ${rewardInfo.symbol} (~$${valueUsd.toFixed(2)})`);
+
+    if (valueUsd < config.minClaimValueUsd) {
+      logger.info(`Rewards below MIN_CLAIM_VALUE_USD ($${config.minClaimValueUsd}). Skipping claim.`);
+      return null;
+    }
+
+    if (config.dryRun) {
+      this.rebalancer.beginDryRunPlan('claim_rewards', { rewardToken, totalEarned, valueUsd });
+    }
+
+    try {
+      const claimed = await this.claimRewards(pending, rewardToken);
+      if (claimed === 0n) return null;
+
+      logger.info(`Claimed ${ethers.formatUnits(claimed, rewardInfo.decimals)} ${rewardInfo.symbol}`);
+
+      if (!config.autoCompound) {
+        return { claimed, compounded: null };
+      }
+
+      // Each pool's share of the claim (pro rata to what its positions earned)
+      // is compounded into that pool's first in-range position
+      const byPool = new Map();
+      for (const entry of pending) {
+        const key = entry.position.poolAddress.toLowerCase();
+        if (!byPool.has(key)) byPool.set(key, []);
+        byPool.get(key).push(entry);
+      }
+
+      const compounded = [];
+      for (const entries of byPool.values()) {
+        const poolEarned = entries.reduce((sum, e) => sum + e.earned, 0n);
+        const share = (claimed * poolEarned) / totalEarned;
+        const target = entries.map(e => e.position).find(p => p.isInRange);
+        const label = `${entries[0].position.token0Symbol}/${entries[0].position.token1Symbol}`;
+
+        if (!target) {
+          logger.info(`[${label}] No in-range position to compound into; leaving rewards in wallet.`);
+          continue;
+        }
+
+        try {
+          const result = await this.compound(target, rewardToken, share);
+          if (result) compounded.push({ tokenId: target.tokenId, ...result });
+        } catch (error) {
+          logger.error(`[${label}] Compounding failed: ${error.message}`);
+        }
+      }
+
+      return { claimed, compounded };
+    } finally {
+      if (config.dryRun) {
+        this.rebalancer.finishDryRunPlan();
+      }
+    }
+  }
+
+  /**
+   * Call getReward for each position and return the reward token received.
+   * A failed claim throws: compounding a partial claim would split it over
+   * the pools as if every position had paid out.
+   */
+  async claimRewards(pending, rewardToken) {
+    const balanceBefore = await this.rebalancer.getWalletBalance(rewardToken);
+
+    for (const { position, gaugeAddress, earned } of pending) {
+      const gauge = new Contract(gaugeAddress, GAUGE_REWARD_ABI, this.web3.wallet);
+      const txRequest = await gauge.getReward.populateTransaction(position.tokenId);
+
+      if (config.dryRun) {
+        const step = await this.rebalancer.simulateStep('claim_rewards', txRequest, {
+          tokenId: position.tokenId,
+          gaugeAddress,
+          expected: { earned }
+        });
+        delete step.returnData;
+        this.rebalancer.applyDryRunDelta(rewardToken, earned);
+        continue;
+      }
+
+      try {
+        logger.info(`Claiming rewards for position #${position.tokenId} from gauge ${gaugeAddress}...`);
+        const receipt = await this.web3.sendTransaction(txRequest);
+        logger.info(`Rewards claimed for position #${position.tokenId}, tx: ${receipt.hash}`, { txHash: receipt.hash });
+      } catch (error) {
+        throw new Error(`Failed to claim rewards for position #${position.tokenId}: ${error.message}; not compounding`);
+      }
+    }
+
+    const balanceAfter = await this.rebalancer.getWalletBalance(rewardToken);
+    return balanceAfter > balanceBefore ? balanceAfter - balanceBefore : 0n;
+  }
+
+  /**
+   * Swap claimed rewards into the position's tokens at its optimal ratio
+   * and add them to the position with increaseLiquidity.
+   */
+  async compound(position, rewardToken, amount) {
+    const { tokenId, token0, token1, poolAddress } = position;
+    const tickLower = Number(position.tickLower);
+    const tickUpper = Number(position.tickUpper);
+
+    logger.info(`Compounding rewards into position #${tokenId}...`);
+
+    const ratio = await this.rebalancer.calculateOptimalRatio(poolAddress, tickLower, tickUpper);
+
+    // Split the reward amount by value fraction (1e6 precision)
+    const amountFor0 = (amount * BigInt(Math.round(ratio.token0Ratio * 1e6))) / 1000000n;
+    const legs = [
+      { token: token0, amountIn: amountFor0 },
+      { token: token1, amountIn: amount - amountFor0 }
+    ];
+
+    // Resolve every swap route before swapping anything
+    for (const leg of legs) {
+      if (leg.amountIn === 0n || leg.token.toLowerCase() === rewardToken.toLowerCase()) continue;
+      leg.pool = await this.getRewardPool(rewardToken, leg.token);
+      if (!leg.pool) {
+        logger.warn(`No reward swap pool for ${rewardToken}/${leg.token} (tickSpacing ${config.rewardSwapTickSpacing}); skipping compound.`);
+        return null;
+      }
+    }
+
+    const received = [];
+    for (const leg of legs) {
+      if (!leg.pool) {
+        received.push(leg.amountIn);
+        continue;
+      }
+
+      const balanceBefore = await this.rebalancer.getWalletBalance(leg.token);
+      const swapResult = await this.rebalancer.swapTokens(rewardToken, leg.token, leg.amountIn.toString(), leg.pool);
+      if (!swapResult) {
+        logger.error(`Reward swap into ${leg.token} failed; aborting compound. Swapped tokens stay in wallet.`);
+        return null;
+      }
+      const balanceAfter = await this.rebalancer.getWalletBalance(leg.token);
+      received.push(balanceAfter > balanceBefore ? balanceAfter - balanceBefore : 0n);
+    }
+
+    const result = await this.rebalancer.increaseLiquidity(position, received[0], received[1]);
+    if (result) {
+      logger.info(`✅ Compounded rewards into position #${tokenId}`);
+    }
+    return result;
+  }
+}
+
+module.exports = { RewardManager };
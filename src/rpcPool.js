@@ -0,0 +1,341 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Base mainnet; every endpoint must serve this chain
+const CHAIN_ID = 8453;
+
+// Longest an endpoint sits out after repeated failures
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Weight of the newest sample in the health score and latency averages
+const HEALTH_ALPHA = 0.2;
+
+// Reads whose answer drives a rebalance decision; with RPC_QUORUM > 1 these
+// must match across endpoints before the bot acts on them
+const QUORUM_SELECTORS = new Set([
+  'slot0()',
+  'positions(uint256)',
+  'balanceOf(address)',
+].map(signature => ethers.id(signature).slice(0, 10)));
+
+// Errors that are the node's honest answer (reverts, nonce and funds checks):
+// another endpoint would say the same, so they are returned, not failed over
+const DETERMINISTIC_ERRORS = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'INVALID_ARGUMENT',
+]);
+
+function isDeterministic(error) {
+  return DETERMINISTIC_ERRORS.has(error.code);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Provider over several RPC endpoints.
+ *
+ * Reads go to the healthiest endpoint (success rate, then latency) and fail
+ * over to the next one on timeouts and transport errors; a failing endpoint
+ * cools down with exponential backoff. With RPC_QUORUM > 1, slot0, positions,
+ * token balances and ETH balances are read from several endpoints at the same
+ * block and must agree. Transactions are broadcast to the primary (first)
+ * endpoint and to the others only when it rejects or is unreachable.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+  constructor(urls, options = {}) {
+    const network = ethers.Network.from(CHAIN_ID);
+    super(network);
+
+    this.staticNetwork = network;
+    this.timeoutMs = options.timeoutMs ?? config.rpcEndpointTimeoutMs;
+    this.cooldownMs = options.cooldownMs ?? config.rpcCooldownMs;
+    this.quorum = Math.min(options.quorum ?? config.rpcQuorum, urls.length);
+    if ((options.quorum ?? config.rpcQuorum) > urls.length) {
+      logger.warn(`RPC_QUORUM exceeds the ${urls.length} configured endpoint(s); using ${this.quorum}`);
+    }
+
+    this.endpoints = urls.map((url, i) => ({
+      url,
+      host: hostOf(url),
+      label: `${hostOf(url)}${i === 0 ? ' (primary)' : ''}`,
+      provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+      score: 1,
+      latencyMs: null,
+      failures: 0,
+      cooldownUntil: 0,
+      disabled: false,
+      lastError: null,
+      requests: 0,
+      errors: 0
+    }));
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Check every endpoint's chain id; endpoints on another chain are disabled
+   */
+  async verifyEndpoints() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      endpoint.requests += 1;
+      try {
+        const chainId = Number(await this.withTimeout(endpoint.provider.send('eth_chainId', []), endpoint));
+        if (chainId !== CHAIN_ID) {
+          endpoint.disabled = true;
+          endpoint.lastError = `wrong chain ${chainId}`;
+          logger.error(`RPC ${endpoint.label} serves chain ${chainId}, not ${CHAIN_ID}; disabled`);
+        }
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+        logger.warn(`RPC ${endpoint.label} unreachable at startup: ${error.message}`);
+      }
+    }));
+
+    if (this.endpoints.every(endpoint => endpoint.disabled)) {
+      throw new Error(`No configured RPC endpoint serves chain ${CHAIN_ID}`);
+    }
+  }
+
+  async _perform(req) {
+    if (req.method === 'broadcastTransaction') {
+      return this.performBroadcast(req);
+    }
+    if (this.quorum > 1 && this.needsQuorum(req)) {
+      return this.performQuorum(req);
+    }
+    return this.performFailover(req);
+  }
+
+  needsQuorum(req) {
+    if (req.method === 'getBalance') return true;
+    if (req.method !== 'call') return false;
+    const data = req.transaction?.data;
+    return typeof data === 'string' && QUORUM_SELECTORS.has(data.slice(0, 10).toLowerCase());
+  }
+
+  /**
+   * Usable endpoints, healthiest first. Endpoints cooling down come last so a
+   * request still has somewhere to go when every endpoint recently failed.
+   */
+  getOrderedEndpoints() {
+    const now = Date.now();
+    const usable = this.endpoints.filter(endpoint => !endpoint.disabled);
+    const ready = usable.filter(endpoint => endpoint.cooldownUntil <= now);
+    const cooling = usable.filter(endpoint => endpoint.cooldownUntil > now);
+
+    ready.sort((a, b) => (b.score - a.score) || ((a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity)));
+    cooling.sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...ready, ...cooling];
+  }
+
+  async performFailover(req) {
+    const endpoints = this.getOrderedEndpoints();
+    let lastError = null;
+
+    for (const [i, endpoint] of endpoints.entries()) {
+      try {
+        return await this.performOn(endpoint, req);
+      } catch (error) {
+        if (isDeterministic(error)) throw error;
+        lastError = error;
+        if (i < endpoints.length - 1) {
+          logger.warn(`RPC ${endpoint.label} failed ${req.method}: ${error.message}; failing over`);
+        }
+      }
+    }
+
+    throw lastError || new Error(`No RPC endpoint available for ${req.method}`);
+  }
+
+  /**
+   * Read from every usable endpoint at one block and return the answer at
+   * least RPC_QUORUM endpoints agree on
+   */
+  async performQuorum(req) {
+    let pinned = req;
+    if (req.blockTag == null || req.blockTag === 'latest') {
+      // One block back so an endpoint a block behind can still answer
+      const latest = Number(await this.performFailover({ method: 'getBlockNumber' }));
+      pinned = { ...req, blockTag: ethers.toQuantity(Math.max(0, latest - 1)) };
+    }
+
+    // Endpoints cooling down are only asked when the others cannot reach quorum
+    const now = Date.now();
+    const ordered = this.getOrderedEndpoints();
+    const ready = ordered.filter(endpoint => endpoint.cooldownUntil <= now);
+    const endpoints = ready.length >= this.quorum ? ready : ordered;
+    const results = await Promise.allSettled(endpoints.map(endpoint => this.performOn(endpoint, pinned)));
+
+    const tally = new Map();
+    const reverts = [];
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        if (isDeterministic(result.reason)) reverts.push(result.reason);
+        continue;
+      }
+      const key = JSON.stringify(result.value);
+      const entry = tally.get(key) || { value: result.value, count: 0 };
+      entry.count += 1;
+      tally.set(key, entry);
+    }
+
+    const agreed = [...tally.values()].find(entry => entry.count >= this.quorum);
+    if (agreed) {
+      if (tally.size > 1) {
+        logger.warn(`RPC endpoints disagree on ${req.method} at block ${pinned.blockTag}; using the ${agreed.count}-endpoint answer`);
+      }
+      return agreed.value;
+    }
+    if (reverts.length >= this.quorum) throw reverts[0];
+
+    const answered = [...tally.values()].reduce((sum, entry) => sum + entry.count, 0);
+    throw new Error(`RPC quorum not reached for ${req.method}: ${answered} answer(s) in ${tally.size} group(s), ${this.quorum} matching required`);
+  }
+
+  /**
+   * Primary first; the others only when it rejects or is unreachable
+   */
+  async performBroadcast(req) {
+    const primary = this.endpoints.find(endpoint => !endpoint.disabled);
+    const ordered = primary
+      ? [primary, ...this.getOrderedEndpoints().filter(endpoint => endpoint !== primary)]
+      : [];
+    const hash = ethers.keccak256(req.signedTransaction);
+    let lastError = null;
+
+    for (const [i, endpoint] of ordered.entries()) {
+      try {
+        return await this.performOn(endpoint, req);
+      } catch (error) {
+        // The transaction already reached this node's mempool
+        if (/already known|known transaction/i.test(error.message || '')) {
+          return hash;
+        }
+        if (isDeterministic(error)) throw error;
+        lastError = error;
+        if (i < ordered.length - 1) {
+          logger.warn(`RPC ${endpoint.label} rejected broadcast of ${hash}: ${error.message}; trying the next endpoint`);
+        }
+      }
+    }
+
+    throw lastError || new Error('No RPC endpoint available to broadcast');
+  }
+
+  /**
+   * One request on one endpoint, timed out after RPC_ENDPOINT_TIMEOUT_MS and
+   * scored. Deterministic errors count as a healthy answer.
+   */
+  async performOn(endpoint, req) {
+    const startedAt = Date.now();
+    endpoint.requests += 1;
+
+    try {
+      const result = await this.withTimeout(endpoint.provider._perform(req), endpoint);
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+      metrics.recordRpc(endpoint.host, req.method, Date.now() - startedAt, true);
+      return result;
+    } catch (error) {
+      const healthy = isDeterministic(error);
+      if (healthy) {
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      } else {
+        this.recordFailure(endpoint, error);
+      }
+      metrics.recordRpc(endpoint.host, req.method, Date.now() - startedAt, healthy);
+      throw error;
+    }
+  }
+
+  withTimeout(promise, endpoint) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`${endpoint.label} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    if (endpoint.failures > 0) {
+      logger.info(`RPC ${endpoint.label} recovered after ${endpoint.failures} failure(s)`);
+    }
+    endpoint.score = endpoint.score * (1 - HEALTH_ALPHA) + HEALTH_ALPHA;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - HEALTH_ALPHA) + latencyMs * HEALTH_ALPHA;
+    endpoint.failures = 0;
+    endpoint.cooldownUntil = 0;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.errors += 1;
+    endpoint.failures += 1;
+    endpoint.score *= (1 - HEALTH_ALPHA);
+    endpoint.lastError = error.message;
+    endpoint.cooldownUntil = Date.now() + Math.min(this.cooldownMs * 2 ** (endpoint.failures - 1), MAX_COOLDOWN_MS);
+  }
+
+  /**
+   * Health snapshot of every endpoint for status reporting
+   */
+  getStatus() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.label,
+      healthy: !endpoint.disabled && endpoint.cooldownUntil <= now,
+      disabled: endpoint.disabled,
+      score: Number(endpoint.score.toFixed(3)),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      cooldownSeconds: Math.max(0, Math.ceil((endpoint.cooldownUntil - now) / 1000)),
+      lastError: endpoint.lastError
+    }));
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+/**
+ * Single-endpoint provider that reports request latency and errors to /metrics
+ */
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url) {
+    super(url);
+    this.host = hostOf(url);
+  }
+
+  async _perform(req) {
+    const startedAt = Date.now();
+    try {
+      const result = await super._perform(req);
+      metrics.recordRpc(this.host, req.method, Date.now() - startedAt, true);
+      return result;
+    } catch (error) {
+      metrics.recordRpc(this.host, req.method, Date.now() - startedAt, isDeterministic(error));
+      throw error;
+    }
+  }
+}
+
+module.exports = { FailoverProvider, InstrumentedJsonRpcProvider };
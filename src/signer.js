@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+const SIGNER_TYPES = ['key', 'keystore', 'external'];
+
+/**
+ * Signer that delegates every signature to an external JSON-RPC signer
+ * speaking Clef's external API (account_signTransaction, account_signData,
+ * account_signTypedData), so the key never lives in the bot process.
+ * Each returned signature is checked against the requested payload and
+ * the configured account before it is used.
+ */
+class ExternalSigner extends ethers.AbstractSigner {
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.requestId = 0;
+  }
+
+  /**
+   * Connect to the signer at `url`, using its first account when no address is given
+   */
+  static async connectTo(url, address, provider) {
+    if (address) {
+      return new ExternalSigner(url, address, provider);
+    }
+
+    const probe = new ExternalSigner(url, ethers.ZeroAddress, provider);
+    const accounts = await probe.request('account_list', []);
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error(`External signer at ${url} has no accounts`);
+    }
+    return new ExternalSigner(url, accounts[0], provider);
+  }
+
+  connect(provider) {
+    return new ExternalSigner(this.url, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async request(method, params) {
+    const res = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+      signal: AbortSignal.timeout(config.externalSigner.timeoutMs),
+    });
+
+    if (!res.ok) {
+      throw new Error(`External signer ${method} failed: HTTP ${res.status}`);
+    }
+    const body = await res.json();
+    if (body.error) {
+      throw new Error(`External signer ${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+    }
+    return body.result;
+  }
+
+  async signTransaction(tx) {
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+    if (from != null && ethers.getAddress(from) !== this.address) {
+      throw new Error(`Transaction from ${from} cannot be signed by ${this.address}`);
+    }
+
+    const unsigned = ethers.Transaction.from({ ...tx, to, from: undefined });
+    const args = {
+      from: this.address,
+      to: unsigned.to || undefined,
+      gas: ethers.toQuantity(unsigned.gasLimit),
+      value: ethers.toQuantity(unsigned.value),
+      nonce: ethers.toQuantity(unsigned.nonce),
+      data: unsigned.data,
+      chainId: ethers.toQuantity(unsigned.chainId),
+    };
+    if (unsigned.maxFeePerGas != null) {
+      args.maxFeePerGas = ethers.toQuantity(unsigned.maxFeePerGas);
+      args.maxPriorityFeePerGas = ethers.toQuantity(unsigned.maxPriorityFeePerGas);
+    } else {
+      args.gasPrice = ethers.toQuantity(unsigned.gasPrice);
+    }
+
+    const result = await this.request('account_signTransaction', [args]);
+    const signed = ethers.Transaction.from(result.raw);
+
+    // Never broadcast something other than what was asked for
+    if (signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('External signer returned a different transaction than requested');
+    }
+    if (signed.from !== this.address) {
+      throw new Error(`External signer signed with ${signed.from}, expected ${this.address}`);
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.request('account_signData', ['text/plain', this.address, ethers.hexlify(data)]);
+
+    if (ethers.verifyMessage(data, signature) !== this.address) {
+      throw new Error('External signer returned an invalid message signature');
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await this.request('account_signTypedData', [this.address, payload]);
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error('External signer returned an invalid typed-data signature');
+    }
+    return signature;
+  }
+}
+
+/**
+ * Ask for a password on the terminal without echoing it
+ */
+function promptPassword(question) {
+  if (!process.stdin.isTTY) {
+    throw new Error('KEYSTORE_PASSWORD_FILE is not set and there is no terminal to prompt for the keystore password');
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Decrypt the JSON keystore at KEYSTORE_PATH. The password comes from
+ * KEYSTORE_PASSWORD_FILE (one trailing newline stripped) or the terminal.
+ */
+async function loadKeystore(provider) {
+  const keystorePath = path.resolve(config.keystorePath);
+  const json = fs.readFileSync(keystorePath, 'utf8');
+
+  const password = config.keystorePasswordFile
+    ? fs.readFileSync(path.resolve(config.keystorePasswordFile), 'utf8').replace(/\r?\n$/, '')
+    : await promptPassword(`Password for keystore ${keystorePath}: `);
+
+  logger.info(`Decrypting keystore ${keystorePath}...`);
+  const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+  return wallet.connect(provider);
+}
+
+/**
+ * Why the configured signer cannot be used, or null when it is complete
+ */
+function getSignerConfigError() {
+  switch (config.signerType) {
+    case 'key':
+      return config.privateKey ? null : 'PRIVATE_KEY not configured. Please copy .env.example to .env and add your private key, or set SIGNER_TYPE=keystore / external.';
+    case 'keystore':
+      return config.keystorePath ? null : 'SIGNER_TYPE=keystore requires KEYSTORE_PATH';
+    case 'external':
+      return config.externalSigner.url ? null : 'SIGNER_TYPE=external requires EXTERNAL_SIGNER_URL';
+    default:
+      return `Unknown SIGNER_TYPE "${config.signerType}" (expected ${SIGNER_TYPES.join(', ')})`;
+  }
+}
+
+/**
+ * Build the signer selected by SIGNER_TYPE, connected to `provider`
+ * @returns {Object} - { signer, address }
+ */
+async function createSigner(provider) {
+  const configError = getSignerConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  let signer;
+  if (config.signerType === 'keystore') {
+    signer = await loadKeystore(provider);
+  } else if (config.signerType === 'external') {
+    signer = await ExternalSigner.connectTo(config.externalSigner.url, config.externalSigner.address, provider);
+    logger.info(`Signing with external signer at ${config.externalSigner.url}`);
+  } else {
+    signer = new ethers.Wallet(config.privateKey, provider);
+  }
+
+  return { signer, address: await signer.getAddress() };
+}
+
+module.exports = {
+  ExternalSigner,
+  createSigner,
+  getSignerConfigError,
+  loadKeystore,
+};
@@ -0,0 +1,100 @@
+require('dotenv').config();
+const http = require('http');
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * Local stub of a Clef-style external signer, for testing SIGNER_TYPE=external
+ * without Clef. It signs everything it is asked to with one key
+ * (STUB_SIGNER_PRIVATE_KEY, or a random throwaway key), with no approval
+ * step, so it only listens on loopback and must never hold real funds.
+ */
+
+function toTransaction(args) {
+  return {
+    to: args.to || null,
+    gasLimit: args.gas,
+    value: args.value || 0,
+    nonce: args.nonce != null ? Number(args.nonce) : undefined,
+    data: args.data || args.input || '0x',
+    chainId: args.chainId,
+    ...(args.maxFeePerGas != null
+      ? { type: 2, maxFeePerGas: args.maxFeePerGas, maxPriorityFeePerGas: args.maxPriorityFeePerGas }
+      : { type: 0, gasPrice: args.gasPrice })
+  };
+}
+
+async function handle(wallet, method, params) {
+  switch (method) {
+    case 'account_list':
+      return [wallet.address];
+    case 'account_signTransaction': {
+      const tx = toTransaction(params[0]);
+      const raw = await wallet.signTransaction(tx);
+      return { raw, tx: ethers.Transaction.from(raw).toJSON() };
+    }
+    case 'account_signData':
+      return wallet.signMessage(ethers.getBytes(params[2]));
+    case 'account_signTypedData': {
+      const { domain, types, message } = params[1];
+      const { EIP712Domain, ...messageTypes } = types;
+      return wallet.signTypedData(domain, messageTypes, message);
+    }
+    default:
+      throw new Error(`method ${method} not supported`);
+  }
+}
+
+/**
+ * Start the stub signer
+ * @returns {Object} - { server, address, url }
+ */
+function startStubSigner(options = {}) {
+  const host = '127.0.0.1';
+  const port = options.port ?? config.stubSigner.port;
+  const privateKey = options.privateKey || config.stubSigner.privateKey;
+  const wallet = privateKey ? new ethers.Wallet(privateKey) : ethers.Wallet.createRandom();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      let request = {};
+      let response;
+      try {
+        request = JSON.parse(body);
+        const result = await handle(wallet, request.method, request.params || []);
+        response = { jsonrpc: '2.0', id: request.id, result };
+        logger.info(`Stub signer: ${request.method} served`);
+      } catch (error) {
+        response = { jsonrpc: '2.0', id: request.id ?? null, error: { code: -32000, message: error.message } };
+        logger.warn(`Stub signer: ${request.method || 'request'} failed: ${error.message}`);
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({ server, address: wallet.address, url });
+    });
+  });
+}
+
+if (require.main === module) {
+  startStubSigner()
+    .then(({ address, url }) => {
+      logger.warn('Stub signer signs every request without approval. Testing only; never fund this account with real value.');
+      logger.info(`Stub signer for ${address} listening on ${url}`);
+    })
+    .catch((error) => {
+      logger.error(`Stub signer failed to start: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { startStubSigner };
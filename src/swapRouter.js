@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+
+// Universal Router + Permit2 overhead on top of the Quoter's pool gas estimate
+const AERODROME_ROUTER_GAS = 80000n;
+
+// Base chain id (aggregator APIs)
+const CHAIN_ID = 8453;
+
+// Amount of ETH (wei) quoted to price gas in the output token
+const GAS_PRICE_QUOTE_WEI = 10n ** 16n;
+
+/**
+ * POST/GET JSON with a timeout; throws on non-2xx responses
+ */
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    signal: AbortSignal.timeout(config.swapQuoteTimeoutMs),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`HTTP ${res.status}: ${text.substring(0, 200)}`);
+  }
+  return res.json();
+}
+
+function assertAllowedRouter(name, routerAddress, allowed) {
+  if (allowed.length > 0 && !allowed.includes(routerAddress.toLowerCase())) {
+    throw new Error(`${name} returned unexpected router ${routerAddress}`);
+  }
+}
+
+/**
+ * Swap adapters share one interface:
+ *   quote(request)            -> { amountOut, gasEstimate, ...adapter data }
+ *   buildSwap(quote, options) -> { txRequest, spender, permit2 }
+ * request = { tokenIn, tokenOut, amountIn, poolAddress, tickSpacing }
+ * options = { recipient, amountOutMinimum }
+ * `spender` is the contract that pulls tokenIn; `permit2` means it pulls
+ * through Permit2 instead of a plain ERC-20 allowance.
+ */
+
+/**
+ * Aerodrome direct: single Slipstream pool via the Universal Router
+ */
+class AerodromeDirectAdapter {
+  constructor(rebalancer) {
+    this.name = 'aerodrome';
+    this.rebalancer = rebalancer;
+  }
+
+  async quote(request) {
+    const quote = await this.rebalancer.quoteSwap(request.tokenIn, request.tokenOut, request.amountIn, request.tickSpacing);
+    return {
+      ...quote,
+      gasEstimate: BigInt(quote.gasEstimate) + AERODROME_ROUTER_GAS
+    };
+  }
+
+  async buildSwap(quote, { recipient, amountOutMinimum }) {
+    const { tokenIn, tokenOut, amountIn, tickSpacing } = quote.request;
+    const routerAddress = config.aerodrome.universalRouter;
+
+    // CL path: tokenIn (20 bytes) + poolParam (3 bytes) + tokenOut (20 bytes)
+    //
+    // Aerodrome UR expects Slipstream routes to use poolParam = 0x100000 + tickSpacing.
+    // For this bot we route through Slipstream (isUni=false).
+    const slipstreamPoolParam = (0x100000 + Number(tickSpacing)).toString(16).padStart(6, '0');
+    const path = '0x'
+      + tokenIn.slice(2).toLowerCase()
+      + slipstreamPoolParam
+      + tokenOut.slice(2).toLowerCase();
+
+    // Input for command 0x00 (V3_SWAP_EXACT_IN — CL pool):
+    //   abi.encode(recipient, amountIn, amountOutMinimum, path, payerIsUser, isUni)
+    //   payerIsUser=true  => pull tokenIn from msg.sender via Permit2
+    //   isUni=false       => Aerodrome Slipstream route format
+    const abiCoder  = new ethers.AbiCoder();
+    const swapInput = abiCoder.encode(
+      ['address', 'uint256', 'uint256', 'bytes', 'bool', 'bool'],
+      [recipient, amountIn, amountOutMinimum, path, true, false]
+    );
+
+    const universalRouter = new ethers.Contract(
+      routerAddress,
+      ['function execute(bytes calldata commands, bytes[] calldata inputs, uint256 deadline) external payable'],
+      this.rebalancer.web3.wallet
+    );
+
+    const deadline  = BigInt(Math.floor(Date.now() / 1000) + 300); // 5 min
+    const txRequest = await universalRouter.execute.populateTransaction(
+      '0x00',       // command byte: V3_SWAP_EXACT_IN (CL concentrated liquidity pool)
+      [swapInput],
+      deadline
+    );
+
+    return { txRequest, spender: routerAddress, permit2: true };
+  }
+}
+
+/**
+ * Odos smart order router (quote v3 + assemble)
+ */
+class OdosAdapter {
+  constructor() {
+    this.name = 'odos';
+  }
+
+  async quote(request) {
+    const data = await fetchJson(`${config.odos.apiBaseUrl}/sor/quote/v3`, {
+      method: 'POST',
+      body: JSON.stringify({
+        chainId:              CHAIN_ID,
+        inputTokens:          [{ tokenAddress: request.tokenIn, amount: request.amountIn.toString() }],
+        outputTokens:         [{ tokenAddress: request.tokenOut, proportion: 1 }],
+        slippageLimitPercent: config.slippageBps / 100,
+        userAddr:             request.recipient,
+        compact:              true,
+      }),
+    });
+
+    if (!data.pathId || !data.outAmounts?.[0]) {
+      throw new Error('Odos returned no route');
+    }
+
+    return {
+      amountOut:   BigInt(data.outAmounts[0]),
+      gasEstimate: BigInt(Math.ceil(Number(data.gasEstimate || 0))),
+      priceImpact: data.priceImpact,
+      pathId:      data.pathId
+    };
+  }
+
+  async buildSwap(quote, { recipient }) {
+    // Odos enforces the slippage limit given at quote time
+    const data = await fetchJson(`${config.odos.apiBaseUrl}/sor/assemble`, {
+      method: 'POST',
+      body: JSON.stringify({ userAddr: recipient, pathId: quote.pathId, simulate: false }),
+    });
+
+    const tx = data.transaction;
+    if (!tx?.to || !tx?.data) {
+      throw new Error('Odos assemble returned no transaction');
+    }
+    assertAllowedRouter('Odos', tx.to, config.odos.allowedRouters);
+
+    return {
+      txRequest: { to: tx.to, data: tx.data, value: BigInt(tx.value || 0) },
+      spender: tx.to,
+      permit2: false
+    };
+  }
+}
+
+/**
+ * KyberSwap aggregator (routes + route/build)
+ */
+class KyberAdapter {
+  constructor() {
+    this.name = 'kyber';
+  }
+
+  get baseUrl() {
+    return `${config.kyber.apiBaseUrl}/${config.kyber.chain}/api/v1`;
+  }
+
+  get headers() {
+    return { 'x-client-id': config.kyber.clientId };
+  }
+
+  async quote(request) {
+    const params = new URLSearchParams({
+      tokenIn:    request.tokenIn,
+      tokenOut:   request.tokenOut,
+      amountIn:   request.amountIn.toString(),
+      gasInclude: 'true',
+    });
+    if (config.kyber.includedSources) {
+      params.set('includedSources', config.kyber.includedSources);
+    }
+
+    const { data } = await fetchJson(`${this.baseUrl}/routes?${params}`, { headers: this.headers });
+    if (!data?.routeSummary) {
+      throw new Error('Kyber returned no route');
+    }
+
+    return {
+      amountOut:    BigInt(data.routeSummary.amountOut),
+      gasEstimate:  BigInt(data.routeSummary.gas || 0),
+      routeSummary: data.routeSummary
+    };
+  }
+
+  async buildSwap(quote, { recipient }) {
+    const { data } = await fetchJson(`${this.baseUrl}/route/build`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({
+        routeSummary:      quote.routeSummary,
+        sender:            recipient,
+        recipient,
+        slippageTolerance: config.slippageBps,
+        source:            config.kyber.source,
+      }),
+    });
+
+    if (!data?.routerAddress || !data?.data) {
+      throw new Error('Kyber route/build returned no transaction');
+    }
+    assertAllowedRouter('Kyber', data.routerAddress, config.kyber.allowedRouters);
+
+    return {
+      txRequest: { to: data.routerAddress, data: data.data, value: BigInt(data.transactionValue || 0) },
+      spender: data.routerAddress,
+      permit2: false
+    };
+  }
+}
+
+const ADAPTERS = {
+  aerodrome: (rebalancer) => new AerodromeDirectAdapter(rebalancer),
+  odos: () => new OdosAdapter(),
+  kyber: () => new KyberAdapter(),
+};
+
+/**
+ * Quotes every enabled adapter (SWAP_ROUTERS) and picks the route with the
+ * best output after subtracting its gas cost, valued in the output token.
+ */
+class SwapRouter {
+  constructor(rebalancer, adapters = null) {
+    this.rebalancer = rebalancer;
+    this.adapters = adapters || config.swapRouters.map((name) => {
+      if (!ADAPTERS[name]) throw new Error(`Unknown swap router "${name}" in SWAP_ROUTERS`);
+      return ADAPTERS[name](rebalancer);
+    });
+  }
+
+  /**
+   * @param {Object} request - { tokenIn, tokenOut, amountIn, poolAddress, tickSpacing, recipient }
+   * @returns {Object} - Best quote with { adapter, request, amountOut, gasEstimate, netAmountOut }
+   */
+  async getBestRoute(request) {
+    const results = await Promise.allSettled(this.adapters.map(adapter => adapter.quote(request)));
+
+    const quotes = [];
+    results.forEach((result, i) => {
+      const adapter = this.adapters[i];
+      if (result.status === 'fulfilled') {
+        quotes.push({ ...result.value, adapter, request });
+      } else {
+        logger.warn(`${adapter.name} quote failed: ${result.reason.message}`);
+      }
+    });
+
+    if (quotes.length === 0) {
+      throw new Error('No swap router returned a quote');
+    }
+
+    const gasCosts = quotes.length > 1 ? await this.getGasCostsInToken(request.tokenOut, quotes) : null;
+
+    for (const [i, quote] of quotes.entries()) {
+      quote.gasCostOut = gasCosts ? gasCosts[i] : 0n;
+      quote.netAmountOut = quote.amountOut - quote.gasCostOut;
+      logger.info(`${quote.adapter.name} quote: ${quote.amountOut} out, gas ${quote.gasEstimate} (≈${quote.gasCostOut} out) → net ${quote.netAmountOut}`);
+    }
+
+    const best = quotes.reduce((a, b) => (b.netAmountOut > a.netAmountOut ? b : a));
+    if (quotes.length > 1) {
+      logger.info(`Best swap route: ${best.adapter.name}`);
+    }
+    return best;
+  }
+
+  /**
+   * Gas cost of each quote in output token units. Null (compare gross
+   * output) when gas cannot be priced in the output token.
+   */
+  async getGasCostsInToken(tokenOut, quotes) {
+    try {
+      const feeData = await this.rebalancer.web3.provider.getFeeData();
+      const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+
+      let outPerQuoteWei = GAS_PRICE_QUOTE_WEI;
+      if (tokenOut.toLowerCase() !== config.tokens.WETH.toLowerCase()) {
+        const quote = await this.rebalancer.quoteViaDeepestPool(config.tokens.WETH, tokenOut, GAS_PRICE_QUOTE_WEI);
+        outPerQuoteWei = quote.amountOut;
+      }
+
+      return quotes.map(q => (q.gasEstimate * gasPrice * outPerQuoteWei) / GAS_PRICE_QUOTE_WEI);
+    } catch (error) {
+      logger.warn(`Could not price swap gas in output token (${error.message}); comparing gross output`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  SwapRouter,
+  AerodromeDirectAdapter,
+  OdosAdapter,
+  KyberAdapter,
+};
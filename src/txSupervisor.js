@@ -0,0 +1,301 @@
+const { ethers } = require('ethers');
+const config = require('./config');
+const logger = require('./logger');
+const { getLogContext } = logger;
+const { txTypeOf } = require('./metrics');
+
+// Nodes reject a same-nonce replacement unless fees rise by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+
+/**
+ * NonceManager that reports every transaction it sends to the supervisor,
+ * so contract calls (which send through the wallet) are tracked as well.
+ */
+class SupervisedNonceManager extends ethers.NonceManager {
+  constructor(signer, supervisor) {
+    super(signer);
+    this.supervisor = supervisor;
+  }
+
+  async sendTransaction(tx) {
+    const response = await super.sendTransaction(tx);
+    this.supervisor.track(response);
+    return response;
+  }
+}
+
+/**
+ * Transaction supervisor.
+ *
+ * Watches every in-flight nonce. A transaction still pending after
+ * TX_STUCK_AFTER_MS is rebroadcast with the same nonce and fees bumped by
+ * TX_FEE_BUMP_PERCENT, up to TX_MAX_SPEED_UPS times. After that, with
+ * TX_AUTO_CANCEL=true, the nonce is freed with a 0-value self-transfer.
+ * A transaction whose waiter timed out has already failed its step, so it
+ * is never sped up again; with TX_AUTO_CANCEL=true its nonce is cancelled.
+ */
+class TxSupervisor {
+  constructor(provider) {
+    this.provider = provider;
+    this.signer = null; // Underlying signer: replacements reuse a nonce, so they bypass the NonceManager
+    this.address = null;
+    this.inFlight = new Map(); // nonce -> entry
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Wrap `signer` in a supervised NonceManager and start the watch loop
+   */
+  attach(signer, address) {
+    this.signer = signer;
+    this.address = address;
+    return new SupervisedNonceManager(signer, this);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.checkInFlight().catch((error) => {
+        logger.error(`Transaction supervisor check failed: ${error.message}`);
+      });
+    }, config.txSupervisorIntervalMs);
+    // Never keep the process alive just for the supervisor
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Start watching a broadcast transaction's nonce. The log context of the
+   * sender (cycle, rebalance) is kept for the supervisor's own log lines.
+   */
+  track(response) {
+    const now = Date.now();
+    const context = getLogContext();
+    logger.info(`Transaction sent: ${response.hash} (nonce ${response.nonce})`, {
+      txHash: response.hash,
+      nonce: response.nonce,
+      txType: txTypeOf(response)
+    });
+    this.inFlight.set(response.nonce, {
+      nonce: response.nonce,
+      hashes: [response.hash],
+      response,
+      request: {
+        to: response.to,
+        data: response.data,
+        value: response.value,
+        gasLimit: response.gasLimit,
+        chainId: response.chainId,
+        maxFeePerGas: response.maxFeePerGas,
+        maxPriorityFeePerGas: response.maxPriorityFeePerGas
+      },
+      status: 'pending',
+      sentAt: now,
+      lastBroadcastAt: now,
+      speedUps: 0,
+      cancelled: false,
+      abandoned: false,
+      context
+    });
+  }
+
+  /**
+   * Wait for a transaction, following same-nonce speed-ups.
+   * A cancelled or externally replaced transaction throws.
+   */
+  async wait(response, timeoutMs = config.txWaitTimeoutMs) {
+    // A contract call re-wraps the signer's response without the block it was
+    // sent at, which turns off ethers' replacement scan; wait on the original
+    const entry = this.inFlight.get(response.nonce);
+    const sent = entry?.hashes[0] === response.hash ? entry.response : response;
+
+    try {
+      const receipt = await sent.wait(1, timeoutMs);
+      if (!receipt) {
+        throw new Error(`Transaction ${response.hash} not confirmed within ${timeoutMs}ms`);
+      }
+      return receipt;
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && error.receipt) {
+        logger.info(`Transaction ${response.hash} was sped up; confirmed as ${error.receipt.hash}`, { txHash: error.receipt.hash });
+        return error.receipt;
+      }
+      if (error.code === 'TIMEOUT' || /not confirmed within/.test(error.message)) {
+        this.abandon(response.nonce, response.hash);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop speeding up a nonce whose waiter gave up. Its step has failed, so
+   * pushing the transaction through would act on a decision already dropped.
+   */
+  abandon(nonce, hash) {
+    const entry = this.inFlight.get(nonce);
+    if (!entry || entry.abandoned) return;
+
+    entry.abandoned = true;
+    entry.status = 'abandoned';
+    logger.warn(`Transaction ${hash} (nonce ${nonce}) still pending after its wait timed out; no longer sped up${config.txAutoCancel ? ', cancelling it' : ''}`, { ...entry.context, txHash: hash });
+  }
+
+  /**
+   * One supervision pass: drop confirmed nonces, speed up or cancel stuck ones
+   */
+  async checkInFlight() {
+    if (this.isChecking || this.inFlight.size === 0) return;
+    this.isChecking = true;
+
+    try {
+      const confirmedCount = await this.provider.getTransactionCount(this.address, 'latest');
+
+      for (const entry of [...this.inFlight.values()].sort((a, b) => a.nonce - b.nonce)) {
+        if (entry.nonce < confirmedCount) {
+          logger.info(`Nonce ${entry.nonce} confirmed${entry.hashes.length > 1 ? ` after ${entry.hashes.length - 1} replacement(s)` : ''}`);
+          this.inFlight.delete(entry.nonce);
+          continue;
+        }
+
+        // Only the lowest pending nonce blocks the queue; later ones wait behind it
+        if (entry.nonce !== confirmedCount) continue;
+
+        // An abandoned nonce is cancelled right away, or left to confirm at its own fees
+        if (entry.abandoned && !entry.cancelled) {
+          if (config.txAutoCancel) await this.cancel(entry.nonce);
+          continue;
+        }
+
+        if (Date.now() - entry.lastBroadcastAt < config.txStuckAfterMs) continue;
+
+        if (entry.speedUps < config.txMaxSpeedUps && !entry.abandoned) {
+          await this.speedUp(entry.nonce);
+        } else if (config.txAutoCancel && !entry.cancelled) {
+          await this.cancel(entry.nonce);
+        } else {
+          entry.status = 'stuck';
+          logger.error(`Nonce ${entry.nonce} is still stuck after ${entry.speedUps} speed-up(s)${entry.cancelled ? ' and a cancel' : ''}`);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Replacement fees: previous fees bumped by TX_FEE_BUMP_PERCENT (at least
+   * the 10% nodes require), never below current network fees, capped at MAX_GAS_PRICE
+   */
+  async getReplacementFees(entry) {
+    const bump = BigInt(Math.max(config.txFeeBumpPercent, Number(MIN_REPLACEMENT_BUMP_PERCENT)));
+    const feeData = await this.provider.getFeeData();
+    const cap = ethers.parseUnits(String(config.maxGasPrice), 'gwei');
+
+    const bumped = (fee) => (BigInt(fee || 0n) * (100n + bump)) / 100n;
+    let maxPriorityFeePerGas = bumped(entry.request.maxPriorityFeePerGas);
+    let maxFeePerGas = bumped(entry.request.maxFeePerGas);
+
+    if (feeData.maxPriorityFeePerGas && feeData.maxPriorityFeePerGas > maxPriorityFeePerGas) {
+      maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    }
+    if (feeData.maxFeePerGas && feeData.maxFeePerGas > maxFeePerGas) {
+      maxFeePerGas = feeData.maxFeePerGas;
+    }
+    if (maxFeePerGas > cap) maxFeePerGas = cap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    const minFee = (BigInt(entry.request.maxFeePerGas || 0n) * (100n + MIN_REPLACEMENT_BUMP_PERCENT)) / 100n;
+    if (maxFeePerGas < minFee) {
+      throw new Error(`MAX_GAS_PRICE (${config.maxGasPrice} gwei) leaves no room to replace nonce ${entry.nonce}`);
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Rebroadcast a pending nonce with bumped fees
+   */
+  async speedUp(nonce) {
+    const entry = this.inFlight.get(nonce);
+    if (!entry) throw new Error(`Nonce ${nonce} is not in flight`);
+
+    const fees = await this.getReplacementFees(entry);
+    const request = { ...entry.request, ...fees, nonce, type: 2 };
+    return this.broadcastReplacement(entry, request, 'speed-up');
+  }
+
+  /**
+   * Free a pending nonce with a 0-value self-transfer at bumped fees
+   */
+  async cancel(nonce) {
+    const entry = this.inFlight.get(nonce);
+    if (!entry) throw new Error(`Nonce ${nonce} is not in flight`);
+
+    const fees = await this.getReplacementFees(entry);
+    const request = {
+      to: this.address,
+      value: 0n,
+      data: '0x',
+      gasLimit: 21000n,
+      chainId: entry.request.chainId,
+      nonce,
+      type: 2,
+      ...fees
+    };
+    entry.cancelled = true;
+    return this.broadcastReplacement(entry, request, 'cancel');
+  }
+
+  async broadcastReplacement(entry, request, kind) {
+    logger.warn(`Nonce ${entry.nonce} pending for ${Math.round((Date.now() - entry.sentAt) / 1000)}s; sending ${kind} at ${ethers.formatUnits(request.maxFeePerGas, 'gwei')} gwei`, entry.context);
+
+    try {
+      const response = await this.signer.sendTransaction(request);
+      entry.hashes.push(response.hash);
+      entry.request = { ...entry.request, ...request };
+      entry.lastBroadcastAt = Date.now();
+      entry.status = kind === 'cancel' ? 'cancelling' : 'sped-up';
+      if (kind === 'speed-up') entry.speedUps += 1;
+      logger.info(`${kind} for nonce ${entry.nonce} sent: ${response.hash}`, { ...entry.context, txHash: response.hash });
+      return response;
+    } catch (error) {
+      // "nonce too low" means the original was mined in the meantime
+      if (/nonce too low|nonce has already been used/i.test(error.message || '')) {
+        logger.info(`Nonce ${entry.nonce} was mined before the ${kind}`);
+        this.inFlight.delete(entry.nonce);
+        return null;
+      }
+      logger.error(`Failed to send ${kind} for nonce ${entry.nonce}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshot of in-flight transactions for status reporting
+   */
+  getStatus() {
+    const now = Date.now();
+    return [...this.inFlight.values()]
+      .sort((a, b) => a.nonce - b.nonce)
+      .map(entry => ({
+        nonce: entry.nonce,
+        status: entry.status,
+        hash: entry.hashes[entry.hashes.length - 1],
+        replacements: entry.hashes.length - 1,
+        speedUps: entry.speedUps,
+        cancelled: entry.cancelled,
+        abandoned: entry.abandoned,
+        ageSeconds: Math.round((now - entry.sentAt) / 1000),
+        maxFeePerGasGwei: entry.request.maxFeePerGas ? ethers.formatUnits(entry.request.maxFeePerGas, 'gwei') : null
+      }));
+  }
+}
+
+module.exports = { TxSupervisor, SupervisedNonceManager };
@@ -1,6 +1,10 @@
 const { ethers, Contract } = require('ethers');
 const config = require('./config');
 const logger = require('./logger');
+const { TxSupervisor } = require('./txSupervisor');
+const { FailoverProvider, InstrumentedJsonRpcProvider } = require('./rpcPool');
+const metrics = require('./metrics');
+const { createSigner } = require('./signer');
 
 // ERC20 ABI for token interactions
 const ERC20_ABI = [
@@ -15,7 +19,7 @@ const ERC20_ABI = [
 const POSITION_MANAGER_ABI = [
   'function positions(uint256 tokenId) view returns (tuple(uint96 nonce, address operator, address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1))',
   'function decreaseLiquidity(tuple(uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline)) returns (uint256 amount0, uint256 amount1)',
-  'function increaseLiquidity(tuple(uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline, address recipient)) returns (uint256 amount0, uint256 amount1)',
+  'function increaseLiquidity(tuple(uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline)) payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)',
   'function collect(tuple(uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max)) returns (uint256 amount0, uint256 amount1)',
   'function mint(tuple(address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline)) returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)',
   'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
@@ -35,12 +39,25 @@ const POOL_ABI = [
   'function tick() view returns (int24)',
 ];
 
+/**
+ * Provider for BASE_RPC_URL(S): failover across endpoints when several are set
+ */
+async function createProvider() {
+  if (config.baseRpcUrls.length > 1) {
+    const provider = new FailoverProvider(config.baseRpcUrls);
+    await provider.verifyEndpoints();
+    logger.info(`Using ${config.baseRpcUrls.length} RPC endpoints with failover${config.rpcQuorum > 1 ? `, quorum ${provider.quorum} for critical reads` : ''}`);
+    return provider;
+  }
+  return new InstrumentedJsonRpcProvider(config.baseRpcUrls[0]);
+}
 
 class Web3Manager {
   constructor() {
     this.provider = null;
     this.eoaWallet = null;
     this.wallet = null;
+    this.txSupervisor = null;
     this.positionManager = null;
     this.pools = new Map();
     this.tokens = new Map();
@@ -49,16 +66,19 @@ class Web3Manager {
   async initialize() {
     logger.info('Initializing Web3 connection...');
     
-    this.provider = new ethers.JsonRpcProvider(config.baseRpcUrl);
+    this.provider = await createProvider();
     
-    if (!config.privateKey) {
-      throw new Error('PRIVATE_KEY not configured in .env');
+    // Raw key, encrypted keystore or external signer (SIGNER_TYPE)
+    const { signer, address } = await createSigner(this.provider);
+    this.eoaWallet = signer;
+    // Every transaction goes through the supervised NonceManager so stuck nonces can be sped up or cancelled
+    this.txSupervisor = new TxSupervisor(this.provider);
+    this.wallet = this.txSupervisor.attach(signer, address);
+    if (!config.dryRun) {
+      this.txSupervisor.start();
     }
-    
-    this.eoaWallet = new ethers.Wallet(config.privateKey, this.provider);
-    this.wallet = new ethers.NonceManager(this.eoaWallet);
     // Keep compatibility with existing code that reads this.web3.wallet.address.
-    this.wallet.address = this.eoaWallet.address;
+    this.wallet.address = address;
     logger.info(`Wallet address: ${this.wallet.address}`);
     
     // Initialize contracts
@@ -112,8 +132,7 @@ class Web3Manager {
 
   async getPosition(tokenId) {
     const result = await this.positionManager.positions(tokenId);
-    // Log individual fields instead of JSON.stringify (which fails on BigInt)
-    console.log('Position', tokenId, '- token0:', result.token0, 'token1:', result.token1, 'fee:', result.fee, 'liquidity:', result.liquidity?.toString());
+    logger.debug(`Position #${tokenId} loaded`, { tokenId, token0: result.token0, token1: result.token1, fee: result.fee, liquidity: result.liquidity });
     return result;
   }
 
@@ -131,11 +150,11 @@ class Web3Manager {
         );
         const gauge = await factory.gauges(poolAddress);
         if (gauge && gauge !== ethers.ZeroAddress) {
-          console.log(`Found gauge ${gauge} for pool ${poolAddress} from factory ${factoryAddress}`);
+          logger.debug(`Found gauge ${gauge} for pool ${poolAddress} from factory ${factoryAddress}`);
           return gauge;
         }
       } catch (e) {
-        console.log(`Factory ${factoryAddress} error:`, e.message);
+        logger.warn(`Gauge factory ${factoryAddress} error: ${e.message}`);
       }
     }
     return null;
@@ -145,29 +164,30 @@ class Web3Manager {
     const config = require('./config');
     const positions = [];
     
-    console.log('Checking positions from altPositionManager and configured gauges...');
+    logger.debug('Checking positions from altPositionManager and configured gauges...');
     
-    // Get pool address from gauge to use for positions
-    let gaugePoolAddress = ethers.ZeroAddress;
-    let gaugeToken0 = null;
-    let gaugeToken1 = null;
-    
-    // First get gauge info to know the pool
+    // First get gauge info to know the pool behind each configured gauge
+    const gaugePools = [];
     for (const gaugeAddress of config.gauges) {
       if (!gaugeAddress || gaugeAddress === '') continue;
       try {
         const gauge = new Contract(
           gaugeAddress,
-          ['function pool() view returns (address)', 'function token0() view returns (address)', 'function token1() view returns (address)'],
+          ['function pool() view returns (address)', 'function token0() view returns (address)', 'function token1() view returns (address)', 'function tickSpacing() view returns (int24)'],
           this.wallet
         );
-        gaugePoolAddress = await gauge.pool().catch(() => ethers.ZeroAddress);
-        gaugeToken0 = await gauge.token0().catch(() => null);
-        gaugeToken1 = await gauge.token1().catch(() => null);
-        console.log('Gauge pool:', gaugePoolAddress, 'token0:', gaugeToken0, 'token1:', gaugeToken1);
-        if (gaugePoolAddress && gaugePoolAddress !== ethers.ZeroAddress) break;
+        const [pool, token0, token1, tickSpacing] = await Promise.all([
+          gauge.pool().catch(() => ethers.ZeroAddress),
+          gauge.token0().catch(() => null),
+          gauge.token1().catch(() => null),
+          gauge.tickSpacing().catch(() => null)
+        ]);
+        logger.debug(`Gauge ${gaugeAddress} pool: ${pool}`, { gaugeAddress, pool, token0, token1, tickSpacing });
+        if (pool && pool !== ethers.ZeroAddress) {
+          gaugePools.push({ gaugeAddress, pool, token0, token1, tickSpacing });
+        }
       } catch (e) {
-        console.log('Error getting gauge info:', e.message.substring(0, 50));
+        logger.warn(`Error getting info for gauge ${gaugeAddress}: ${e.message}`);
       }
     }
     
@@ -184,12 +204,12 @@ class Web3Manager {
       );
       
       const altBalance = await altPM.balanceOf(ownerAddress);
-      console.log('Alt PositionManager balance:', altBalance.toString());
+      logger.debug(`Alt PositionManager balance: ${altBalance}`);
       
       for (let i = 0; i < parseInt(altBalance.toString()); i++) {
         try {
           const tokenId = await altPM.tokenOfOwnerByIndex(ownerAddress, i);
-          console.log('Alt PositionManager tokenId:', tokenId.toString());
+          logger.debug(`Alt PositionManager position #${tokenId}`, { tokenId });
           
           const pos = await altPM.positions(tokenId);
           const position = {
@@ -201,31 +221,34 @@ class Web3Manager {
             liquidity: pos[7]
           };
           
-          // Use pool from gauge if tokens match
-          let poolAddress = null;
-          if (gaugePoolAddress && gaugePoolAddress !== ethers.ZeroAddress && 
-              position.token0 === gaugeToken0 && position.token1 === gaugeToken1) {
-            poolAddress = gaugePoolAddress;
-            console.log('Using gauge pool for position:', poolAddress);
+          // Use pool (and gauge) from the configured gauge whose tokens and tick spacing match
+          const match = gaugePools.find(g =>
+            position.token0 === g.token0 &&
+            position.token1 === g.token1 &&
+            (g.tickSpacing === null || position.tickSpacing === g.tickSpacing)
+          );
+          const poolAddress = match ? match.pool : null;
+          if (match) {
+            logger.debug(`Using gauge pool ${poolAddress} for position #${tokenId}`, { tokenId, pool: poolAddress });
           }
           
           if (position.liquidity > 0n) {
-            console.log('Found position in altPM - tokenId:', tokenId.toString(), 'liquidity:', position.liquidity.toString());
+            logger.debug(`Found unstaked position #${tokenId}`, { tokenId, liquidity: position.liquidity });
             positions.push({
               tokenId: tokenId.toString(),
               ...position,
               isStaked: false,
               poolAddress: poolAddress,
               positionManager: config.aerodrome.altPositionManager,
-              gaugeAddress: config.gauges[0] || null  // Add configured gauge for staking after rebalance
+              gaugeAddress: match ? match.gaugeAddress : null  // Matching configured gauge for staking after rebalance
             });
           }
         } catch (e) {
-          console.log('Error getting altPM position:', e.message.substring(0, 50));
+          logger.warn(`Error reading alt PositionManager position at index ${i}: ${e.message}`);
         }
       }
     } catch (e) {
-      console.log('Error checking altPositionManager:', e.message.substring(0, 50));
+      logger.warn(`Error checking alt PositionManager: ${e.message}`);
     }
     
     // Then check staked positions in configured gauges
@@ -233,7 +256,7 @@ class Web3Manager {
       if (!gaugeAddress || gaugeAddress === '') continue;
       
       try {
-        console.log('Checking gauge:', gaugeAddress);
+        logger.debug(`Checking gauge ${gaugeAddress}`);
         
         // Use the correct gauge ABI from Aerodrome
         const gauge = new Contract(
@@ -260,23 +283,23 @@ class Web3Manager {
           gauge.stakedValues(this.wallet.address).catch(() => []),
         ]);
         
-        console.log('Gauge pool:', pool, 'token0:', token0, 'token1:', token1, 'stakedLength:', stakedLength.toString(), 'stakedValues:', stakedValuesResult);
-        
-        // Check if there's a specific position we're looking for
-        if (stakedValuesResult && stakedValuesResult.length > 0) {
-          console.log('Staked values method returned:', stakedValuesResult);
-        }
+        logger.debug(`Gauge ${gaugeAddress} has ${stakedLength} staked position(s)`, {
+          gaugeAddress,
+          pool,
+          token0,
+          token1,
+          tickSpacing,
+          stakedTokenIds: [...(stakedValuesResult || [])].map(id => id.toString())
+        });
         
         // Get all staked token IDs using stakedByIndex
         if (stakedLength > 0n) {
           try {
             const numStaked = parseInt(stakedLength.toString());
-            console.log('Number of staked positions:', numStaked);
-            
             for (let i = 0; i < numStaked; i++) {
               try {
                 const tokenId = await gauge.stakedByIndex(this.wallet.address, i);
-                console.log('Staked token ID at index', i, ':', tokenId.toString());
+                logger.debug(`Staked position #${tokenId} at index ${i}`, { tokenId, gaugeAddress });
                 
                 // Try alternative PositionManager
                 try {
@@ -294,8 +317,13 @@ class Web3Manager {
                     tickUpper: result[6],
                     liquidity: result[7]
                   };
-                  console.log('Got position - tickLower:', position.tickLower, 'tickUpper:', position.tickUpper, 'liquidity:', position.liquidity.toString());
-                  console.log('Pool address from gauge:', pool);
+                  logger.debug(`Staked position #${tokenId} range ${position.tickLower} - ${position.tickUpper}`, {
+                    tokenId,
+                    pool,
+                    tickLower: position.tickLower,
+                    tickUpper: position.tickUpper,
+                    liquidity: position.liquidity
+                  });
                   
                   if (position.liquidity > 0n) {
                     positions.push({
@@ -309,21 +337,21 @@ class Web3Manager {
                       gaugeAddress,
                       poolAddress: pool // Use pool from gauge directly
                     });
-                    console.log('Added staked position', tokenId.toString(), 'with liquidity', position.liquidity.toString());
+                    logger.debug(`Found staked position #${tokenId}`, { tokenId, gaugeAddress, liquidity: position.liquidity });
                   }
                 } catch (e) {
-                  console.log('Alt PositionManager error for', tokenId.toString(), ':', e.message.substring(0, 50));
+                  logger.warn(`Error reading staked position #${tokenId}: ${e.message}`);
                 }
               } catch (e) {
-                console.log('Error getting staked token at index', i, ':', e.message.substring(0, 50));
+                logger.warn(`Error getting staked position at index ${i} of gauge ${gaugeAddress}: ${e.message}`);
               }
             }
           } catch (e) {
-            console.log('Error getting staked length:', e.message);
+            logger.warn(`Error listing staked positions of gauge ${gaugeAddress}: ${e.message}`);
           }
         }
       } catch (error) {
-        console.log('Error checking gauge', gaugeAddress, ':', error.message);
+        logger.warn(`Error checking gauge ${gaugeAddress}: ${error.message}`);
       }
     }
     
@@ -344,18 +372,18 @@ class Web3Manager {
     );
     
     if (currentAllowance < amount) {
+      if (config.dryRun) {
+        logger.info(`[DRY RUN] Would approve ${token.symbol} for ${spender}; skipping`);
+        return;
+      }
       logger.info(`Approving ${token.symbol} for ${spender}...`);
       const tx = await this.withTimeout(
         token.contract.approve(spender, ethers.MaxUint256),
         config.rpcCallTimeoutMs,
         `approve(${token.symbol})`
       );
-      logger.info(`Approval tx sent: ${tx.hash}`);
-      const receipt = await tx.wait(1, config.txWaitTimeoutMs);
-      if (!receipt) {
-        throw new Error(`Approval tx not confirmed within ${config.txWaitTimeoutMs}ms`);
-      }
-      logger.info(`Approved ${token.symbol} in block ${receipt.blockNumber}`);
+      const receipt = await this.waitForTransaction(tx);
+      logger.info(`Approved ${token.symbol} in block ${receipt.blockNumber}`, { txHash: receipt.hash });
     } else {
       logger.info(`Allowance already sufficient for ${token.symbol}; skipping approve`);
     }
@@ -368,6 +396,25 @@ class Web3Manager {
     return slot0;
   }
 
+  /**
+   * Time-weighted average ticks over several lookback windows (one observe() call)
+   * @param {string} poolAddress - Pool address
+   * @param {Array<number>} windows - Lookback windows in seconds
+   * @returns {Array<number>} - Average tick for each window
+   */
+  async getTwapTicks(poolAddress, windows) {
+    const pool = new Contract(
+      poolAddress,
+      ['function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)'],
+      this.wallet
+    );
+    
+    const [tickCumulatives] = await pool.observe([...windows, 0]);
+    const now = tickCumulatives[windows.length];
+    
+    return windows.map((seconds, i) => Number(now - tickCumulatives[i]) / seconds);
+  }
+
   async getGasPrice() {
     const block = await this.provider.getBlock('latest');
     
@@ -418,7 +465,62 @@ class Web3Manager {
     }
   }
 
+  /**
+   * Simulate a transaction with eth_call from the bot wallet.
+   * Never broadcasts; reverts are returned instead of thrown.
+   * @param {Object} tx - Transaction request ({ to, data, value })
+   * @returns {Object} - { success, returnData, gasEstimate, error, revertData }
+   */
+  async simulateTransaction(tx) {
+    const fromAddress = this.wallet.address || await this.wallet.getAddress();
+    const request = { ...tx, from: fromAddress };
+
+    try {
+      const returnData = await this.withTimeout(
+        this.provider.call(request),
+        config.rpcCallTimeoutMs,
+        'eth_call'
+      );
+
+      let gasEstimate = null;
+      try {
+        gasEstimate = await this.withTimeout(
+          this.provider.estimateGas(request),
+          config.rpcCallTimeoutMs,
+          'estimateGas'
+        );
+      } catch (e) {
+        logger.warn(`Simulation succeeded but gas estimate failed: ${e.message}`);
+      }
+
+      return { success: true, returnData, gasEstimate, error: null, revertData: null };
+    } catch (error) {
+      return {
+        success: false,
+        returnData: null,
+        gasEstimate: null,
+        error: error.shortMessage || error.message,
+        revertData: error.data || null
+      };
+    }
+  }
+
+  /**
+   * Wait for a sent transaction (up to TX_WAIT_TIMEOUT_MS), following
+   * speed-ups made by the transaction supervisor
+   */
+  async waitForTransaction(txResponse) {
+    const receipt = await this.txSupervisor.wait(txResponse);
+    metrics.recordTransaction(txResponse, receipt);
+    return receipt;
+  }
+
   async sendTransaction(tx) {
+    if (config.dryRun) {
+      // Safety net: callers are expected to simulate instead of sending in dry-run mode.
+      throw new Error('sendTransaction called while DRY_RUN is enabled; refusing to broadcast');
+    }
+
     const gasPrice = await this.getGasPrice();
     
     try {
@@ -450,12 +552,8 @@ class Web3Manager {
         config.rpcCallTimeoutMs,
         'sendTransaction'
       );
-      logger.info(`Transaction sent: ${sentTx.hash}`);
-      const receipt = await sentTx.wait(1, config.txWaitTimeoutMs);
-      if (!receipt) {
-        throw new Error(`Transaction ${sentTx.hash} not confirmed within ${config.txWaitTimeoutMs}ms`);
-      }
-      logger.info(`Transaction confirmed in block: ${receipt.blockNumber}`);
+      const receipt = await this.waitForTransaction(sentTx);
+      logger.info(`Transaction confirmed in block: ${receipt.blockNumber}`, { txHash: receipt.hash });
       
       return receipt;
     } catch (error) {
@@ -465,4 +563,4 @@ class Web3Manager {
   }
 }
 
-module.exports = { Web3Manager };
+module.exports = { Web3Manager, createProvider };
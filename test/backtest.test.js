@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stateDir } = require('./support/env');
+const config = require('../src/config');
+const { Backtester, loadHistory } = require('../src/backtest');
+const { tickToSqrtPrice, getAmountsForLiquidity } = require('../src/liquidityMath');
+
+const META = { type: 'meta', pool: '0xpool', tickSpacing: 10, fee: 500, decimals0: 6, decimals1: 6 };
+const HOUR = 3600;
+const T0 = 1_700_000_000;
+
+/**
+ * History with one sample every `spacing` seconds (default an hour) at each of `ticks`
+ */
+function history(ticks, { liquidity = null, volume0 = 0, volume1 = 0, spacing = HOUR } = {}) {
+  return {
+    meta: { ...META },
+    samples: ticks.map((tick, i) => ({
+      timestamp: T0 + i * spacing,
+      block: null,
+      tick,
+      sqrtPrice: tickToSqrtPrice(tick),
+      liquidity,
+      volume0,
+      volume1
+    }))
+  };
+}
+
+function run(hist, options = {}) {
+  const backtester = new Backtester(hist, {
+    capital: 1000,
+    rangeMultiplier: 1,
+    rebalanceThreshold: 0,
+    emissionsApr: 0,
+    gasCost: 0,
+    swapImpactBps: 5,
+    ...options
+  });
+  return backtester.run().then(result => ({ result, backtester }));
+}
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} ≉ ${expected}`);
+};
+
+describe('Backtester accounting', () => {
+  let saved;
+
+  before(() => {
+    saved = {
+      checkInterval: config.checkInterval,
+      rangeMode: config.rangeMode,
+      rangePlacement: config.rangePlacement,
+      rebalanceConfirmChecks: config.rebalanceConfirmChecks,
+      rebalanceConfirmMinutes: config.rebalanceConfirmMinutes,
+      rebalanceCooldownMinutes: config.rebalanceCooldownMinutes
+    };
+    Object.assign(config, {
+      checkInterval: HOUR * 1000,
+      rangeMode: 'fixed',
+      rangePlacement: 'centered',
+      rebalanceConfirmChecks: 1,
+      rebalanceConfirmMinutes: 0,
+      rebalanceCooldownMinutes: 0
+    });
+  });
+
+  after(() => {
+    Object.assign(config, saved);
+  });
+
+  it('earns the pool fee on its share of the volume and beats HODL by it at a flat price', async () => {
+    const poolLiquidity = 1e12;
+    const { result, backtester } = await run(history([0, 0, 0, 0, 0], { liquidity: poolLiquidity, volume1: 1e9 }));
+
+    const liquidity = backtester.position.liquidity;
+    const share = liquidity / (poolLiquidity + liquidity);
+    // Four intervals of 1000 token1 volume at 0.05%
+    const expectedFees = 4 * 1000 * 0.0005 * share;
+
+    assert.equal(result.rebalances, 0);
+    assert.equal(result.timeInRangePct, 100);
+    assert.equal(result.feesModelled, true);
+    close(result.feesEarned, expectedFees);
+    close(result.hodlValue, 1000);
+    close(result.positionValue, 1000);
+    // Fees stay uncollected without a rebalance and count towards the final value
+    close(result.finalValue, 1000 + expectedFees);
+    close(result.vsHodl, expectedFees);
+  });
+
+  it('charges fees on the input side at the interval\'s starting price', async () => {
+    // 1000 token0 swapped in per interval at price 1.0001^100
+    const { result, backtester } = await run(history([100, 100, 100], { liquidity: 1e12, volume0: 1e9 }));
+
+    const liquidity = backtester.position.liquidity;
+    const share = liquidity / (1e12 + liquidity);
+    const price = tickToSqrtPrice(100) ** 2;
+    close(result.feesEarned, 2 * 1000 * 0.0005 * share * price);
+  });
+
+  it('holds the starting split for HODL and shows the impermanent loss without fees', async () => {
+    const { result, backtester } = await run(history([0, 20, 40]), { rebalanceThreshold: 1e9 });
+
+    assert.equal(result.feesModelled, false);
+    assert.equal(result.feesEarned, 0);
+
+    const { amount0, amount1 } = backtester.hodl;
+    close(amount0 + amount1, 1000e6);
+    const lastPrice = tickToSqrtPrice(40) ** 2;
+    close(result.hodlValue, (amount0 * lastPrice + amount1) / 1e6);
+
+    const held = getAmountsForLiquidity(tickToSqrtPrice(40), backtester.position.tickLower, backtester.position.tickUpper, backtester.position.liquidity);
+    close(result.positionValue, (held.amount0 * lastPrice + held.amount1) / 1e6);
+    assert.ok(result.vsHodl < 0, `vs HODL ${result.vsHodl}`);
+  });
+
+  it('earns nothing for intervals that start out of range', async () => {
+    // In range for the first hour, then out of range (no rebalance) for three
+    const { result, backtester } = await run(
+      history([0, 0, 500, 500, 500], { liquidity: 1e12, volume1: 1e9 }),
+      { rebalanceThreshold: 1e9 }
+    );
+
+    assert.ok(backtester.position.tickUpper < 500);
+    const share = backtester.position.liquidity / (1e12 + backtester.position.liquidity);
+    close(result.feesEarned, 2 * 1000 * 0.0005 * share);
+    close(result.timeInRangePct, 50);
+  });
+
+  it('models gauge emissions instead of trading fees for a staked position', async () => {
+    const year = 365 * 24 * HOUR;
+    const { result } = await run(
+      history([0, 0], { liquidity: 1e12, volume1: 1e9, spacing: year }),
+      { emissionsApr: 10 }
+    );
+
+    assert.equal(result.feesEarned, 0);
+    close(result.emissions, 100);
+    close(result.finalValue, 1100);
+  });
+
+  it('rolls collected fees into the new position and deducts swap and gas costs', async () => {
+    const hist = history([0, 0, 300], { liquidity: 1e12, volume1: 1e9 });
+    // The same history without rebalancing: position plus uncollected fees at the last tick
+    const { result: held } = await run(hist, { rebalanceThreshold: 1e9 });
+    const { result, backtester } = await run(hist, { gasCost: 0.5 });
+
+    assert.equal(result.rebalances, 1);
+    assert.ok(backtester.position.tickLower <= 300 && backtester.position.tickUpper > 300);
+    assert.ok(result.feesEarned > 0);
+    close(result.feesEarned, held.feesEarned);
+    assert.ok(result.swapCost > 0);
+    close(result.gasCost, 0.5);
+    // Withdrawn value and fees go into the new position, less the swap cost
+    close(result.positionValue, held.finalValue - result.swapCost);
+    close(result.finalValue, result.positionValue - 0.5);
+  });
+
+  it('reads the meta record and samples from a JSON lines file', () => {
+    const filePath = path.join(stateDir, 'history-test.jsonl');
+    fs.writeFileSync(filePath, [
+      JSON.stringify(META),
+      JSON.stringify({ timestamp: T0 + HOUR, tick: 10, liquidity: '5', volume1: '7' }),
+      '',
+      JSON.stringify({ timestamp: T0, tick: 0 })
+    ].join('\n'));
+
+    const { meta, samples } = loadHistory(filePath);
+    assert.equal(meta.tickSpacing, 10);
+    assert.deepEqual(samples.map(s => s.tick), [0, 10]);
+    assert.equal(samples[1].liquidity, 5);
+    assert.equal(samples[1].volume1, 7);
+    assert.equal(samples[0].liquidity, null);
+    fs.rmSync(filePath);
+  });
+});
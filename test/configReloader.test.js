@@ -0,0 +1,129 @@
+const { stateDir } = require('./support/env');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { loadConfig } = require('../src/configSchema');
+const { ConfigReloader } = require('../src/configReloader');
+const { AerodromeAutoBalancer } = require('../src/index');
+
+const CONFIG_FILE = path.join(stateDir, 'reload.yaml');
+const GAUGE_B = '0x000000000000000000000000000000000000bEEF';
+
+describe('ConfigReloader', () => {
+  let saved;
+  let reloader;
+
+  function writeConfigFile(lines) {
+    fs.writeFileSync(CONFIG_FILE, lines.join('\n'));
+  }
+
+  beforeEach(() => {
+    saved = { env: process.env.CONFIG_FILE, config: { ...config }, pools: config.pools.map(p => ({ ...p })) };
+    process.env.CONFIG_FILE = CONFIG_FILE;
+    writeConfigFile(['SLIPPAGE_BPS: 300', 'MAX_GAS_PRICE: 100']);
+    reloader = new ConfigReloader();
+  });
+
+  afterEach(() => {
+    process.env.CONFIG_FILE = saved.env;
+    Object.assign(config, saved.config, { pools: saved.pools });
+    fs.rmSync(CONFIG_FILE, { force: true });
+  });
+
+  it('is off unless CONFIG_HOT_RELOAD=true', () => {
+    assert.equal(loadConfig({ env: {} }).config.configHotReload, false);
+    assert.equal(loadConfig({ env: { CONFIG_HOT_RELOAD: 'true' } }).config.configHotReload, true);
+  });
+
+  it('marks the config changed when a watched file is modified', () => {
+    assert.equal(reloader.hasChanges(), false);
+    reloader.listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+    assert.equal(reloader.hasChanges(), true);
+    assert.ok(reloader.watchedPaths.includes(CONFIG_FILE));
+  });
+
+  it('applies a changed reloadable setting to the live config', () => {
+    writeConfigFile(['SLIPPAGE_BPS: 50', 'MAX_GAS_PRICE: 100']);
+    reloader.changed = true;
+
+    const result = reloader.reload();
+
+    assert.deepEqual(result.applied, [{ name: 'SLIPPAGE_BPS', from: '300', to: '50' }]);
+    assert.deepEqual(result.restartRequired, []);
+    assert.equal(config.slippageBps, 50);
+    assert.equal(reloader.hasChanges(), false);
+    assert.equal(reloader.getStatus().lastReload, result);
+  });
+
+  it('updates pool strategies in place', () => {
+    const [pool] = config.pools;
+    writeConfigFile(['SLIPPAGE_BPS: 300', 'MAX_GAS_PRICE: 100', `POOL_STRATEGIES: [${pool.gaugeAddress}:1.5:10]`]);
+
+    const result = reloader.reload();
+
+    assert.deepEqual(result.applied.map(a => a.name), ['POOL_STRATEGIES']);
+    assert.equal(config.pools[0], pool, 'same strategy object');
+    assert.equal(pool.rangeMultiplier, 1.5);
+    assert.equal(pool.rebalanceThreshold, 10);
+  });
+
+  it('leaves settings that are not reloadable for a restart', () => {
+    const maxGasPrice = config.maxGasPrice;
+    const pools = config.pools;
+    writeConfigFile(['SLIPPAGE_BPS: 300', 'MAX_GAS_PRICE: 5', `POOL_STRATEGIES: [${config.pools[0].gaugeAddress}, ${GAUGE_B}]`]);
+
+    const result = reloader.reload();
+
+    assert.deepEqual(result.applied, []);
+    assert.deepEqual(result.restartRequired.sort(), ['MAX_GAS_PRICE', 'POOL_STRATEGIES']);
+    assert.equal(config.maxGasPrice, maxGasPrice);
+    assert.equal(config.pools, pools);
+    assert.equal(config.pools.length, 1, 'a new gauge needs a restart');
+  });
+
+  it('rejects an invalid config as a whole', () => {
+    writeConfigFile(['SLIPPAGE_BPS: 50', 'MAX_GAS_PRICE: cheap']);
+
+    const result = reloader.reload();
+
+    assert.deepEqual(result.applied, []);
+    assert.ok(result.errors.some(e => /MAX_GAS_PRICE: must be a number/.test(e)), result.errors.join('\n'));
+    assert.equal(config.slippageBps, saved.config.slippageBps);
+  });
+});
+
+describe('config reload at a check-cycle boundary', () => {
+  let balancer;
+  let pending;
+  let reload;
+
+  beforeEach(() => {
+    pending = true;
+    balancer = new AerodromeAutoBalancer();
+    balancer.rebalancer = { hasPendingRebalance: () => pending };
+    balancer.configReloader = { hasChanges: () => true, reload: () => {} };
+    reload = mock.method(balancer.configReloader, 'reload');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('defers the reload while a rebalance is pending', () => {
+    balancer.applyConfigChanges();
+    assert.equal(reload.mock.callCount(), 0);
+
+    pending = false;
+    balancer.applyConfigChanges();
+    assert.equal(reload.mock.callCount(), 1);
+  });
+
+  it('does nothing when no watched file changed', () => {
+    pending = false;
+    balancer.configReloader.hasChanges = () => false;
+    balancer.applyConfigChanges();
+    assert.equal(reload.mock.callCount(), 0);
+  });
+});
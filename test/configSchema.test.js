@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYaml, loadConfig } = require('../src/configSchema');
+
+const GAUGE_A = '0xC6e211fF1D04A1728ab011406AD42EF529Cb3886';
+const GAUGE_B = '0x000000000000000000000000000000000000bEEF';
+
+describe('parseYaml', () => {
+  it('reads the supported subset as strings and string lists', () => {
+    const values = parseYaml([
+      '---',
+      '# settings',
+      'SLIPPAGE_BPS: 50   # half a percent',
+      'DRY_RUN: true',
+      'BASE_RPC_URL: "https://example.org/#frag"',
+      'NOTE: \'a: b\'',
+      'SWAP_ROUTERS: [aerodrome, "odos"]',
+      'POOL_STRATEGIES:',
+      `  - ${GAUGE_A}:2.6:20`,
+      `  - '${GAUGE_B}:::50'`,
+      'EMPTY: []'
+    ].join('\n'));
+
+    assert.deepEqual(values, {
+      SLIPPAGE_BPS: '50',
+      DRY_RUN: 'true',
+      BASE_RPC_URL: 'https://example.org/#frag',
+      NOTE: 'a: b',
+      SWAP_ROUTERS: ['aerodrome', 'odos'],
+      POOL_STRATEGIES: [`${GAUGE_A}:2.6:20`, `${GAUGE_B}:::50`],
+      EMPTY: []
+    });
+  });
+
+  for (const [what, text, message] of [
+    ['nested mappings', 'NOTIFY:\n  webhook: https://example.org', /line 2: unexpected indentation/],
+    ['mappings in list items', 'POOL_STRATEGIES:\n  - gauge: 0xabc', /line 2: nested mappings/],
+    ['mappings as values', 'NOTIFY: webhook: x', /line 1: nested mappings/],
+    ['literal block scalars', 'NOTE: |\n  text', /line 1: block scalars \(\|\)/],
+    ['folded block scalars', 'NOTE: >-\n  text', /line 1: block scalars \(>\)/],
+    ['anchors', 'SLIPPAGE_BPS: &slip 50', /line 1: anchors and aliases/],
+    ['aliases', 'SLIPPAGE_BPS: 50\nMAX_SLIPPAGE: *slip', /line 2: anchors and aliases/],
+    ['tags', 'SLIPPAGE_BPS: !!int 50', /line 1: tags/],
+    ['flow mappings', 'NOTIFY: {webhook: x}', /line 1: flow mappings/],
+    ['multi-line flow lists', 'SWAP_ROUTERS: [aerodrome,\n  odos]', /line 1: lists in \[...\]/],
+    ['nested flow lists', 'SWAP_ROUTERS: [[aerodrome]]', /line 1: lists in \[...\]/],
+    ['unterminated quotes', 'BASE_RPC_URL: "https://example.org', /line 1: unterminated quoted string/],
+    ['indented settings', 'SLIPPAGE_BPS: 50\n  DRY_RUN: true', /line 2: unexpected indentation/],
+    ['tab indentation', 'SWAP_ROUTERS:\n\t- odos', /line 2: tabs/],
+    ['list items without a setting', 'SLIPPAGE_BPS: 50\n- odos', /line 2: list item without a setting/],
+    ['lines that are not settings', 'just text', /line 1: expected "NAME: value"/]
+  ]) {
+    it(`rejects ${what}`, () => {
+      assert.throws(() => parseYaml(text), message);
+    });
+  }
+});
+
+describe('checkConfig', () => {
+  function check(env) {
+    const { errors, warnings } = loadConfig({ env });
+    return { errors, warnings };
+  }
+
+  it('accepts the defaults', () => {
+    assert.deepEqual(check({}), { errors: [], warnings: [] });
+  });
+
+  it('applies per-pool strategy fields over the globals', () => {
+    const { config, errors } = loadConfig({ env: { POOL_STRATEGIES: `${GAUGE_A}:3:0:0,${GAUGE_B}::15` } });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.pools.map(({ rangeMultiplier, rebalanceThreshold, minSwapValueUsdc }) => [rangeMultiplier, rebalanceThreshold, minSwapValueUsdc]), [
+      [3, 0, 0],
+      [config.rangeMultiplier, 15, config.minSwapValueUsdc]
+    ]);
+  });
+
+  it('defaults cbBTC to the Base deployment', () => {
+    assert.equal(loadConfig({ env: {} }).config.tokens.cbBTC, '0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf');
+    // The old default was 39 hex digits
+    assert.match(check({ TOKEN_CBBTC: '0xcbB7e00086518eEe1072D2C2B9E72b7974B9763' }).errors[0], /TOKEN_CBBTC: must be a 0x-prefixed 20-byte address/);
+  });
+
+  for (const [rule, env, message] of [
+    ['the priority fee above the gas price cap', { PRIORITY_FEE_GWEI: '5', MAX_GAS_PRICE: '1' }, /PRIORITY_FEE_GWEI \(5\) must not exceed MAX_GAS_PRICE \(1\)/],
+    ['a minimum half-width above the maximum', { MIN_RANGE_HALF_WIDTH_TICKS: '500', MAX_RANGE_HALF_WIDTH_TICKS: '100' }, /MIN_RANGE_HALF_WIDTH_TICKS \(500\)/],
+    ['trend placement with a short TWAP not below the long one', { RANGE_PLACEMENT: 'trend', TWAP_SHORT_SECONDS: '600', TWAP_LONG_SECONDS: '600' }, /TWAP_SHORT_SECONDS \(600\) must be shorter/],
+    ['a quorum above the endpoint count', { BASE_RPC_URLS: 'https://a.example,https://b.example', RPC_QUORUM: '3' }, /RPC_QUORUM \(3\) is more than the 2 endpoint/],
+    ['a zero per-pool range multiplier', { POOL_STRATEGIES: `${GAUGE_A}:0` }, /POOL_STRATEGIES: range multiplier "0" must be greater than 0/],
+    ['a gauge listed twice', { POOL_STRATEGIES: `${GAUGE_A}:2,${GAUGE_A.toLowerCase()}:3` }, /lists gauge .* more than once/],
+    ['a range-order gauge outside POOL_STRATEGIES', { RANGE_ORDERS: `${GAUGE_B}:take_profit` }, /RANGE_ORDERS gauge .* is not in POOL_STRATEGIES/],
+    ['a range-order gauge listed twice', { RANGE_ORDERS: `${GAUGE_A}:take_profit,${GAUGE_A}:accumulate` }, /RANGE_ORDERS lists gauge .* more than once/],
+    ['the control API without a token', { CONTROL_API_ENABLED: 'true' }, /CONTROL_API_ENABLED=true requires CONTROL_API_TOKEN/],
+    ['the control API and metrics on one port', { CONTROL_API_ENABLED: 'true', CONTROL_API_TOKEN: 't', METRICS_ENABLED: 'true', CONTROL_API_PORT: '9464' }, /CONTROL_API_PORT and METRICS_PORT are both 9464/],
+    ['a Telegram token without a chat', { NOTIFY_TELEGRAM_BOT_TOKEN: '123:abc' }, /must be set together/],
+    ['the test-only mock swap router', { SWAP_ROUTERS: 'aerodrome,mock' }, /SWAP_ROUTERS: unknown router "mock"/]
+  ]) {
+    it(`rejects ${rule}`, () => {
+      const { errors } = check(env);
+      assert.ok(errors.some(e => message.test(e)), errors.join('\n') || '(no errors)');
+    });
+  }
+
+  for (const [rule, env, message] of [
+    ['compounding without claiming', { AUTO_COMPOUND: 'true' }, /AUTO_COMPOUND=true has no effect/],
+    ['top-ups alongside range orders', { RANGE_ORDERS: `${GAUGE_A}:take_profit`, AUTO_TOP_UP: 'true' }, /AUTO_TOP_UP=true does not apply/],
+    ['a stuck-transaction threshold not below the wait timeout', { TX_STUCK_AFTER_MS: '200000' }, /TX_STUCK_AFTER_MS \(200000\) is not below/]
+  ]) {
+    it(`warns about ${rule}`, () => {
+      const { errors, warnings } = check(env);
+      assert.deepEqual(errors, []);
+      assert.ok(warnings.some(w => message.test(w)), warnings.join('\n') || '(no warnings)');
+    });
+  }
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/env');
+const config = require('../src/config');
+const { ControlApi } = require('../src/controlApi');
+const { RangeOrderManager } = require('../src/rangeOrders');
+
+const TOKEN = 'test-control-token';
+
+/**
+ * Bot stand-in recording the commands the API starts
+ */
+function createBot() {
+  const rangeOrders = new RangeOrderManager(null, null, config.rangeOrderStatePath);
+  rangeOrders.orders['42'] = { pool: '0xpool', mode: 'take_profit', tickLower: 100, tickUpper: 200 };
+
+  return {
+    isPaused: false,
+    isCheckInProgress: false,
+    rangeOrders,
+    rebalancer: { hasPendingRebalance: () => false },
+    started: [],
+    getStatus: () => ({ running: true }),
+    startForcedRebalance(tokenId) { this.started.push({ command: 'force-rebalance', tokenId }); },
+    startLiquidityChange(tokenId, change) { this.started.push({ command: change.action, tokenId }); }
+  };
+}
+
+describe('ControlApi', () => {
+  let api;
+  let bot;
+  let baseUrl;
+
+  before(async () => {
+    config.controlApi = { ...config.controlApi, token: TOKEN, host: '127.0.0.1', port: 0 };
+    bot = createBot();
+    api = new ControlApi(bot);
+    const server = await api.start();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    api.stop();
+  });
+
+  beforeEach(() => {
+    bot.started = [];
+  });
+
+  function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('starts position commands in the background', async () => {
+    const res = await post('/force-rebalance', { tokenId: '7' });
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { accepted: true, tokenId: '7' });
+    assert.deepEqual(bot.started, [{ command: 'force-rebalance', tokenId: '7' }]);
+  });
+
+  for (const [path, body] of [
+    ['/force-rebalance', { tokenId: '42' }],
+    ['/top-up', { tokenId: '42' }],
+    ['/decrease-liquidity', { tokenId: 42, percent: 50 }]
+  ]) {
+    it(`answers 409 to ${path} on an open range order`, async () => {
+      const res = await post(path, body);
+      assert.equal(res.status, 409);
+      assert.match((await res.json()).error, /range order/);
+      assert.deepEqual(bot.started, []);
+    });
+  }
+
+  it('answers 413 to an oversize body and closes the connection', async () => {
+    const res = await post('/force-rebalance', { tokenId: '7', padding: 'x'.repeat(64 * 1024) });
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.get('connection'), 'close');
+    assert.deepEqual(await res.json(), { error: 'Request body too large' });
+    assert.deepEqual(bot.started, []);
+  });
+
+  it('rejects requests without the token', async () => {
+    const res = await fetch(`${baseUrl}/status`);
+    assert.equal(res.status, 401);
+  });
+});
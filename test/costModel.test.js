@@ -0,0 +1,164 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const { DEFAULT_POOL } = require('./support/devChain');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { RebalanceCostModel } = require('../src/costModel');
+const { sqrtPriceX96ToSqrtPrice } = require('../src/liquidityMath');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+// In range at the start tick (~3000 USDC/WETH)
+const RANGE = { tickLower: -196800, tickUpper: -195600 };
+// Reward token valued at a fixed $2 instead of quoting an AERO pool
+const AERO_USD = 2;
+
+describe('rebalance cost model on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let costModel;
+  let savedConfig;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    savedConfig = { rebalanceHorizonHours: config.rebalanceHorizonHours, rebalanceMinGainRatio: config.rebalanceMinGainRatio };
+    Object.assign(config, { rebalanceHorizonHours: 24, rebalanceMinGainRatio: 1 });
+
+    const rewards = { quoteRewardValueUsd: async (token, amount) => Number(ethers.formatEther(amount)) * AERO_USD };
+    costModel = new RebalanceCostModel(bot.web3, bot.rebalancer, rewards);
+  });
+
+  afterEach(async () => {
+    Object.assign(config, savedConfig);
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  async function seedPosition(options) {
+    await bot.chain.seedPosition(bot.wallet, RANGE.tickLower, RANGE.tickUpper, WETH(1), USDC(3000), options);
+    const [position] = await bot.monitor.checkAllPositions(bot.wallet);
+    return position;
+  }
+
+  /**
+   * Take a fee growth sample as if `secondsLater` had passed since `start`
+   */
+  async function sampleAt(start, secondsLater) {
+    const now = mock.method(Date, 'now', () => start + secondsLater * 1000);
+    try {
+      await costModel.sampleFeeGrowth(bot.pool.address);
+    } finally {
+      now.mock.restore();
+    }
+  }
+
+  describe('staked positions', () => {
+    it('projects gauge emissions pro rata to staked liquidity', async () => {
+      const position = await seedPosition({ stake: true });
+      const rewardRate = WETH(0.001); // AERO per second
+      const stakedLiquidity = BigInt(position.liquidity) * 3n;
+      await bot.chain.wait(bot.gauge.setRewardRate(rewardRate));
+      await bot.chain.wait(bot.pool.setStakedLiquidity(stakedLiquidity));
+
+      const estimate = await costModel.evaluate(position, RANGE);
+
+      // Same range at the same price: the new position has the old liquidity, a quarter of the total
+      const expected = 0.001 * 24 * 3600 * 0.25 * AERO_USD;
+      assert.equal(estimate.source, 'emissions');
+      assert.ok(Math.abs(estimate.gainUsd - expected) < expected * 1e-6, `gain ${estimate.gainUsd}, expected ${expected}`);
+      assert.equal(estimate.worthIt, true);
+      assert.equal(estimate.swapLossUsd, 0);
+      assert.equal(estimate.gasEstimated, 'unstake');
+    });
+
+    it('is not worth it when the emissions do not cover the cost', async () => {
+      const position = await seedPosition({ stake: true });
+      await bot.chain.wait(bot.gauge.setRewardRate(1n));
+      await bot.chain.wait(bot.pool.setStakedLiquidity(BigInt(position.liquidity)));
+
+      const estimate = await costModel.evaluate(position, RANGE);
+
+      assert.ok(estimate.gainUsd < estimate.costUsd);
+      assert.equal(estimate.worthIt, false);
+    });
+
+    it('falls back to typical step gas when the unstake cannot be estimated', async () => {
+      const position = await seedPosition({ stake: true });
+      await bot.chain.wait(bot.gauge.setFailure(bot.gauge.withdraw.fragment.selector, 'gauge paused'));
+
+      const estimate = await costModel.evaluate(position, RANGE);
+
+      assert.equal(estimate.gasEstimated, null);
+      assert.ok(estimate.gasUnits > 0n);
+    });
+  });
+
+  describe('unstaked positions', () => {
+    // As in a pool without a gauge, so the position earns trading fees
+    async function seedUnstakedPosition() {
+      return { ...(await seedPosition()), gaugeAddress: null };
+    }
+
+    it('defers the rebalance until the fee rate has been measured on two checks', async () => {
+      const position = await seedUnstakedPosition();
+      config.rebalanceMinGainRatio = 0;
+
+      const unsampled = await costModel.evaluate(position, RANGE);
+      assert.equal(unsampled.source, 'fees');
+      assert.equal(unsampled.gainUsd, null);
+      assert.equal(unsampled.worthIt, false, 'unknown fees never approve a rebalance');
+
+      await costModel.sampleFeeGrowth(bot.pool.address);
+      const once = await costModel.evaluate(position, RANGE);
+      assert.equal(once.gainUsd, null);
+      assert.equal(once.worthIt, false);
+      assert.equal(once.gasEstimated, 'withdraw');
+    });
+
+    it('projects trading fees from the fee growth between checks', async () => {
+      const position = await seedUnstakedPosition();
+      const start = Date.now();
+      await sampleAt(start, 0);
+
+      // 0.1 WETH in at a 0.05% fee over one hour
+      await bot.chain.wait(bot.weth.mint(bot.wallet, WETH(0.1)));
+      await bot.rebalancer.swapTokens(bot.weth.address, bot.usdc.address, WETH(0.1).toString(), bot.pool.address);
+      await sampleAt(start, 3600);
+
+      const estimate = await costModel.evaluate(position, RANGE);
+
+      const sqrtPrice = sqrtPriceX96ToSqrtPrice((await bot.pool.slot0())[0]);
+      const wethUsd = sqrtPrice * sqrtPrice * 1e12;
+      const feesPerHour = 0.1 * 0.0005 * Number(position.liquidity) / Number(DEFAULT_POOL.liquidity);
+      const expected = feesPerHour * 24 * wethUsd;
+      assert.equal(estimate.source, 'fees');
+      // The swap moved the price a little, so the new position's liquidity differs slightly
+      assert.ok(Math.abs(estimate.gainUsd - expected) < expected * 0.02, `gain ${estimate.gainUsd}, expected ${expected}`);
+      assert.equal(estimate.worthIt, estimate.gainUsd >= estimate.costUsd);
+    });
+
+    it('restarts the measuring window from the latest sample once it spans the horizon', async () => {
+      const start = Date.now();
+      await sampleAt(start, 0);
+      await sampleAt(start, 3600);
+      assert.notEqual(costModel.getFeeGrowthRate(bot.pool.address), null);
+
+      await sampleAt(start, 25 * 3600);
+      const window = costModel.feeGrowthSamples.get(bot.pool.address.toLowerCase());
+      assert.equal(window.first.at, start + 3600 * 1000);
+      assert.equal(window.latest.at, start + 25 * 3600 * 1000);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stateDir } = require('./support/env');
+const config = require('../src/config');
+const { RebalanceHysteresis } = require('../src/hysteresis');
+
+const POOL = '0x000000000000000000000000000000000000A11c';
+const OTHER_POOL = '0x000000000000000000000000000000000000B0b0';
+const MINUTE = 60000;
+
+describe('RebalanceHysteresis', () => {
+  let saved;
+  let clock;
+  let hysteresis;
+
+  before(() => {
+    saved = {
+      rebalanceConfirmChecks: config.rebalanceConfirmChecks,
+      rebalanceConfirmMinutes: config.rebalanceConfirmMinutes,
+      rebalanceCooldownMinutes: config.rebalanceCooldownMinutes
+    };
+  });
+
+  after(() => {
+    Object.assign(config, saved);
+  });
+
+  beforeEach(() => {
+    Object.assign(config, { rebalanceConfirmChecks: 3, rebalanceConfirmMinutes: 10, rebalanceCooldownMinutes: 60 });
+    clock = 1_700_000_000_000;
+    hysteresis = new RebalanceHysteresis(null, { now: () => clock });
+  });
+
+  const position = (tokenId) => ({ tokenId });
+
+  describe('confirmation', () => {
+    it('needs both the checks and the minutes', () => {
+      hysteresis.observe(POOL, [position(1)]);
+      assert.deepEqual(hysteresis.getStatus(1), { confirmed: false, minutes: 0, checks: 1 });
+
+      clock += 5 * MINUTE;
+      hysteresis.observe(POOL, [position(1)]);
+      clock += 1 * MINUTE;
+      hysteresis.observe(POOL, [position(1)]);
+      // Three checks, six minutes
+      assert.deepEqual(hysteresis.getStatus(1), { confirmed: false, minutes: 6, checks: 3 });
+
+      clock += 4 * MINUTE;
+      assert.deepEqual(hysteresis.getStatus(1), { confirmed: true, minutes: 10, checks: 3 });
+    });
+
+    it('waits for the checks when the minutes have passed', () => {
+      hysteresis.observe(POOL, [position(1)]);
+      clock += 30 * MINUTE;
+      hysteresis.observe(POOL, [position(1)]);
+      assert.equal(hysteresis.getStatus(1).confirmed, false);
+
+      hysteresis.observe(POOL, [position(1)]);
+      assert.equal(hysteresis.getStatus(1).confirmed, true);
+    });
+
+    it('confirms on the first check when both settings are at their minimum', () => {
+      Object.assign(config, { rebalanceConfirmChecks: 1, rebalanceConfirmMinutes: 0 });
+      hysteresis.observe(POOL, [position(1)]);
+      assert.equal(hysteresis.getStatus(1).confirmed, true);
+    });
+
+    it('restarts the timer when a position drops out of the candidates', () => {
+      hysteresis.observe(POOL, [position(1), position(2)]);
+      clock += 20 * MINUTE;
+      hysteresis.observe(POOL, [position(2)]);
+      assert.deepEqual(hysteresis.getStatus(1), { confirmed: false, minutes: 0, checks: 0 });
+
+      hysteresis.observe(POOL, [position(1), position(2)]);
+      assert.deepEqual(hysteresis.getStatus(1), { confirmed: false, minutes: 0, checks: 1 });
+      assert.deepEqual(hysteresis.getStatus(2), { confirmed: true, minutes: 20, checks: 3 });
+    });
+
+    it('leaves the timers of other pools alone', () => {
+      hysteresis.observe(OTHER_POOL, [position(9)]);
+      hysteresis.observe(POOL, []);
+      assert.equal(hysteresis.getStatus(9).checks, 1);
+    });
+  });
+
+  describe('cooldown', () => {
+    it('counts down from the last rebalance of the pool', () => {
+      assert.equal(hysteresis.getCooldownRemaining(POOL), 0);
+
+      hysteresis.observe(POOL, [position(1)]);
+      hysteresis.recordRebalance(POOL, 1);
+      assert.equal(hysteresis.getCooldownRemaining(POOL), 60 * MINUTE);
+      assert.equal(hysteresis.getCooldownRemaining(POOL.toLowerCase()), 60 * MINUTE);
+      assert.equal(hysteresis.getCooldownRemaining(OTHER_POOL), 0);
+      assert.equal(hysteresis.getStatus(1).checks, 0, 'the rebalanced position\'s timer is dropped');
+
+      clock += 45 * MINUTE;
+      assert.equal(hysteresis.getCooldownRemaining(POOL), 15 * MINUTE);
+      clock += 20 * MINUTE;
+      assert.equal(hysteresis.getCooldownRemaining(POOL), 0);
+    });
+
+    it('has no cooldown when REBALANCE_COOLDOWN_MINUTES is 0', () => {
+      config.rebalanceCooldownMinutes = 0;
+      hysteresis.recordRebalance(POOL, 1);
+      assert.equal(hysteresis.getCooldownRemaining(POOL), 0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('keeps timers and cooldowns across restarts', () => {
+      const filePath = path.join(stateDir, 'hysteresis-test.json');
+      const first = new RebalanceHysteresis(filePath, { now: () => clock });
+      first.observe(POOL, [position(1)]);
+      first.observe(OTHER_POOL, [position(2)]);
+      first.recordRebalance(OTHER_POOL, 2);
+
+      clock += 12 * MINUTE;
+      const restarted = new RebalanceHysteresis(filePath, { now: () => clock });
+      restarted.load();
+      restarted.observe(POOL, [position(1)]);
+      restarted.observe(POOL, [position(1)]);
+
+      assert.deepEqual(restarted.getStatus(1), { confirmed: true, minutes: 12, checks: 3 });
+      assert.equal(restarted.getCooldownRemaining(OTHER_POOL), 48 * MINUTE);
+      fs.rmSync(filePath, { force: true });
+    });
+  });
+});
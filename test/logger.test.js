@@ -0,0 +1,265 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { ethers } = require('ethers');
+const { stateDir } = require('./support/env');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const config = require('../src/config');
+const logger = require('../src/logger');
+const { loadConfig } = require('../src/configSchema');
+const { notifier } = require('../src/notifier');
+const { AerodromeAutoBalancer } = require('../src/index');
+const { RewardManager } = require('../src/rewards');
+const { RebalanceHysteresis } = require('../src/hysteresis');
+const { RangeOrderManager } = require('../src/rangeOrders');
+const { RebalanceCostModel } = require('../src/costModel');
+
+const { RotatingFileTransport, withLogContext, setLogContext } = logger;
+const MESSAGE = Symbol.for('message');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+/**
+ * Record every entry the bot's logger writes, down to debug, with the
+ * console left quiet
+ * @returns {Object} - { entries, restore }
+ */
+function captureLogs() {
+  const entries = [];
+  const capture = new winston.Transport();
+  capture.log = (info, callback) => {
+    entries.push({ ...info });
+    callback();
+  };
+
+  const console = logger.transports.find(t => t instanceof winston.transports.Console);
+  const saved = { silent: logger.silent, level: logger.level };
+  Object.assign(logger, { silent: false, level: 'debug' });
+  console.silent = true;
+  logger.add(capture);
+
+  return {
+    entries,
+    restore() {
+      logger.remove(capture);
+      console.silent = false;
+      Object.assign(logger, saved);
+    }
+  };
+}
+
+describe('log settings', () => {
+  it('defaults to info-level text on the console and no log file', () => {
+    const { log } = loadConfig({ env: {} }).config;
+    assert.deepEqual(log, { level: 'info', consoleFormat: 'text', file: '', maxSizeMb: 20, maxFiles: 14 });
+  });
+
+  it('reads the level, formats and rotation from the environment', () => {
+    const env = { LOG_LEVEL: 'debug', LOG_CONSOLE_FORMAT: 'json', LOG_FILE: './logs/bot.log', LOG_MAX_SIZE_MB: '0.5', LOG_MAX_FILES: '3' };
+    assert.deepEqual(loadConfig({ env }).config.log, { level: 'debug', consoleFormat: 'json', file: './logs/bot.log', maxSizeMb: 0.5, maxFiles: 3 });
+  });
+
+  for (const [name, value] of [['LOG_LEVEL', 'verbose'], ['LOG_CONSOLE_FORMAT', 'xml'], ['LOG_MAX_SIZE_MB', '0'], ['LOG_MAX_FILES', '0']]) {
+    it(`rejects ${name}=${value}`, () => {
+      const { errors } = loadConfig({ env: { [name]: value } });
+      assert.ok(errors.some(e => e.startsWith(name)), errors.join('\n') || '(no errors)');
+    });
+  }
+});
+
+describe('RotatingFileTransport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(stateDir, 'logs-'));
+  });
+
+  function createTransport(options) {
+    return new RotatingFileTransport({ filename: path.join(dir, 'bot.log'), maxSizeBytes: 1024, maxFiles: 10, ...options });
+  }
+
+  function write(transport, fields) {
+    transport.log({ [MESSAGE]: JSON.stringify(fields) }, () => {});
+  }
+
+  function today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function readLines(name) {
+    return fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  it('appends JSON lines to a file named after the UTC date', () => {
+    const transport = createTransport();
+
+    write(transport, { message: 'one', tokenId: '7' });
+    write(transport, { message: 'two' });
+
+    assert.deepEqual(fs.readdirSync(dir), [`bot-${today()}.log`]);
+    assert.deepEqual(readLines(`bot-${today()}.log`), [{ message: 'one', tokenId: '7' }, { message: 'two' }]);
+  });
+
+  it('rolls the file over at LOG_MAX_SIZE_MB', () => {
+    const transport = createTransport({ maxSizeBytes: 100 });
+    const line = { message: 'x'.repeat(60) };
+
+    write(transport, { ...line, n: 1 });
+    write(transport, { ...line, n: 2 });
+    write(transport, { ...line, n: 3 });
+
+    const date = today();
+    assert.deepEqual(fs.readdirSync(dir).sort(), [`bot-${date}.1.log`, `bot-${date}.2.log`, `bot-${date}.log`]);
+    assert.equal(readLines(`bot-${date}.1.log`)[0].n, 1);
+    assert.equal(readLines(`bot-${date}.2.log`)[0].n, 2);
+    assert.equal(readLines(`bot-${date}.log`)[0].n, 3);
+  });
+
+  it('keeps only the newest LOG_MAX_FILES files', () => {
+    const now = Date.now() / 1000;
+    ['2026-01-01', '2026-01-02', '2026-01-03'].forEach((date, i) => {
+      const file = path.join(dir, `bot-${date}.log`);
+      fs.writeFileSync(file, '{}\n');
+      fs.utimesSync(file, now - 3600 * (3 - i), now - 3600 * (3 - i));
+    });
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a log file');
+
+    write(createTransport({ maxFiles: 3 }), { message: 'new day' });
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['bot-2026-01-02.log', 'bot-2026-01-03.log', `bot-${today()}.log`, 'notes.txt']);
+  });
+});
+
+describe('correlation context', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs();
+  });
+
+  afterEach(() => {
+    logs.restore();
+  });
+
+  it('adds the context to every entry logged inside it, under explicit fields', async () => {
+    logger.info('outside');
+    await withLogContext({ cycleId: 'c1' }, async () => {
+      logger.info('in the cycle');
+      await withLogContext({ rebalanceId: 'r1', tokenId: '7' }, async () => {
+        setLogContext({ stage: 'withdrawing' });
+        await Promise.resolve();
+        logger.info('in the rebalance', { tokenId: 8n });
+      });
+      logger.info('back in the cycle');
+    });
+
+    const fields = logs.entries.map(({ message, cycleId, rebalanceId, tokenId, stage }) => ({ message, cycleId, rebalanceId, tokenId, stage }));
+    assert.deepEqual(fields, [
+      { message: 'outside', cycleId: undefined, rebalanceId: undefined, tokenId: undefined, stage: undefined },
+      { message: 'in the cycle', cycleId: 'c1', rebalanceId: undefined, tokenId: undefined, stage: undefined },
+      { message: 'in the rebalance', cycleId: 'c1', rebalanceId: 'r1', tokenId: '8', stage: 'withdrawing' },
+      { message: 'back in the cycle', cycleId: 'c1', rebalanceId: undefined, tokenId: undefined, stage: undefined }
+    ]);
+  });
+});
+
+describe('correlation IDs in a check cycle on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let balancer;
+  let logs;
+  let saved;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    saved = { autoRebalance: config.autoRebalance };
+    config.autoRebalance = true;
+    fs.rmSync(config.rebalanceStatePath, { force: true });
+
+    balancer = new AerodromeAutoBalancer();
+    Object.assign(balancer, { web3: bot.web3, monitor: bot.monitor, rebalancer: bot.rebalancer, isRunning: true });
+    balancer.rewards = new RewardManager(bot.web3, bot.rebalancer);
+    balancer.hysteresis = new RebalanceHysteresis(config.rebalanceStatePath);
+    balancer.rangeOrders = new RangeOrderManager(bot.web3, bot.rebalancer, config.rangeOrderStatePath);
+    balancer.costModel = new RebalanceCostModel(bot.web3, bot.rebalancer, balancer.rewards);
+    await balancer.initializePools();
+
+    // Below range: the first check rebalances
+    await bot.chain.seedPosition(bot.wallet, -196800, -195600, WETH(1), USDC(3000), { stake: true });
+    await bot.chain.wait(bot.pool.setTick(-197530));
+    logs = captureLogs();
+  });
+
+  afterEach(async () => {
+    logs.restore();
+    balancer.isRunning = false;
+    clearTimeout(balancer.checkInterval);
+    Object.assign(config, saved);
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  async function runCycle() {
+    logs.entries.length = 0;
+    await balancer.runCheckCycle();
+    return { cycleId: balancer.lastCycle.cycleId, entries: [...logs.entries] };
+  }
+
+  it('tags every entry with the cycle, and the rebalance\'s entries with its own ID, stage and txHash', async () => {
+    const { cycleId, entries } = await runCycle();
+
+    assert.match(cycleId, /^[0-9a-f]{8}$/);
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(e => e.cycleId === cycleId), 'every entry carries the cycle ID');
+
+    const rebalance = entries.filter(e => e.rebalanceId);
+    const [rebalanceId] = new Set(rebalance.map(e => e.rebalanceId));
+    assert.equal(new Set(rebalance.map(e => e.rebalanceId)).size, 1);
+    assert.ok(rebalance.every(e => e.tokenId === '1'));
+    assert.ok(rebalance.some(e => e.message.startsWith('Starting rebalance for position #1')));
+
+    const stages = new Set(rebalance.map(e => e.stage).filter(Boolean));
+    for (const stage of ['unstaking', 'withdrawing', 'swapping', 'creating_position', 'staking']) {
+      assert.ok(stages.has(stage), `stage ${stage} in ${[...stages]}`);
+    }
+
+    // Lines from the transaction supervisor carry the rebalance and the transaction
+    const sent = rebalance.filter(e => e.message.startsWith('Transaction sent'));
+    assert.ok(sent.length >= 4);
+    assert.ok(sent.every(e => /^0x[0-9a-f]{64}$/.test(e.txHash) && e.rebalanceId === rebalanceId));
+    assert.equal(entries.filter(e => e.message.startsWith('Transaction sent') && !e.rebalanceId).length, 0);
+
+    const next = await runCycle();
+    assert.notEqual(next.cycleId, cycleId);
+    assert.ok(next.entries.every(e => e.cycleId === next.cycleId && e.rebalanceId === undefined));
+  });
+
+  it('resumes a failed rebalance under its journaled ID in a later cycle', async () => {
+    await bot.chain.wait(bot.router.setFailure('router paused'));
+    const failed = await runCycle();
+    const [rebalanceId] = new Set(failed.entries.map(e => e.rebalanceId).filter(Boolean));
+    assert.equal(JSON.parse(fs.readFileSync(config.rebalanceJournalPath, 'utf8')).rebalanceId, rebalanceId);
+
+    await bot.chain.wait(bot.router.setFailure(''));
+    const resumed = await runCycle();
+
+    assert.equal(balancer.lastCycle.result, 'resumed-pending');
+    assert.notEqual(resumed.cycleId, failed.cycleId);
+    const resumeEntries = resumed.entries.filter(e => e.rebalanceId);
+    assert.ok(resumeEntries.length > 0);
+    assert.ok(resumeEntries.every(e => e.rebalanceId === rebalanceId && e.cycleId === resumed.cycleId));
+    assert.equal(fs.existsSync(config.rebalanceJournalPath), false);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+require('./support/env');
+const config = require('../src/config');
+const metrics = require('../src/metrics');
+
+const WALLET = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TOKEN_OUT = '0x000000000000000000000000000000000000bEEF';
+
+/**
+ * Lines of the rendered registry that belong to `name`
+ */
+function seriesOf(name) {
+  return metrics.render().split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+describe('Prometheus registry', () => {
+  it('renders counters and gauges with HELP, TYPE and escaped labels', () => {
+    const counter = new metrics.Counter('test_things_total', 'Things seen', ['kind']);
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    counter.inc({ kind: 'say "hi"\n\\' });
+    const gauge = new metrics.Gauge('test_level', 'A level', []);
+    gauge.set({}, 5);
+
+    assert.equal(counter.render(), [
+      '# HELP test_things_total Things seen',
+      '# TYPE test_things_total counter',
+      'test_things_total{kind="a"} 3',
+      'test_things_total{kind="say \\"hi\\"\\n\\\\"} 1'
+    ].join('\n'));
+    assert.equal(gauge.render(), '# HELP test_level A level\n# TYPE test_level gauge\ntest_level 5');
+  });
+
+  it('renders histograms with cumulative buckets, +Inf, sum and count', () => {
+    const histogram = new metrics.Histogram('test_seconds', 'Latency', ['method'], [0.5, 1]);
+    for (const value of [0.25, 0.5, 4]) histogram.observe({ method: 'call' }, value);
+
+    assert.deepEqual(histogram.render().split('\n').slice(2), [
+      'test_seconds_bucket{method="call",le="0.5"} 2',
+      'test_seconds_bucket{method="call",le="1"} 2',
+      'test_seconds_bucket{method="call",le="+Inf"} 3',
+      'test_seconds_sum{method="call"} 4.75',
+      'test_seconds_count{method="call"} 3'
+    ]);
+  });
+});
+
+describe('bot series', () => {
+  it('replaces the position series with each check\'s positions', () => {
+    const position = (tokenId, isInRange, percentOutOfRange) => ({ tokenId, isInRange, percentOutOfRange, token0Symbol: 'WETH', token1Symbol: 'USDC' });
+
+    metrics.recordPositions([position(1n, true), position(2n, false, 12.5)]);
+    assert.deepEqual(seriesOf('lp_bot_positions'), [
+      'lp_bot_positions{pool="WETH/USDC",state="in_range"} 1',
+      'lp_bot_positions{pool="WETH/USDC",state="out_of_range"} 1'
+    ]);
+    assert.deepEqual(seriesOf('lp_bot_position_out_of_range_percent'), [
+      'lp_bot_position_out_of_range_percent{token_id="1",pool="WETH/USDC"} 0',
+      'lp_bot_position_out_of_range_percent{token_id="2",pool="WETH/USDC"} 12.5'
+    ]);
+
+    // Position 2 was closed
+    metrics.recordPositions([position(1n, true)]);
+    assert.deepEqual(seriesOf('lp_bot_position_out_of_range_percent'), [
+      'lp_bot_position_out_of_range_percent{token_id="1",pool="WETH/USDC"} 0'
+    ]);
+  });
+
+  it('records gas per transaction type from the receipt', () => {
+    const approve = new ethers.Interface(['function approve(address,uint256)']).encodeFunctionData('approve', [WALLET, 1n]);
+
+    metrics.recordTransaction({ to: TOKEN_OUT, data: approve }, { gasUsed: 50000n, gasPrice: ethers.parseUnits('2', 'gwei'), status: 1 });
+
+    assert.deepEqual(seriesOf('lp_bot_gas_used_total'), ['lp_bot_gas_used_total{tx_type="approve"} 50000']);
+    assert.deepEqual(seriesOf('lp_bot_gas_spent_eth_total'), ['lp_bot_gas_spent_eth_total{tx_type="approve"} 0.0001']);
+    assert.deepEqual(seriesOf('lp_bot_transactions_total'), ['lp_bot_transactions_total{tx_type="approve",status="success"} 1']);
+  });
+
+  it('records swap slippage from the tokens the receipt transferred to the wallet', () => {
+    const transfer = {
+      address: TOKEN_OUT,
+      topics: [ethers.id('Transfer(address,address,uint256)'), ethers.zeroPadValue(TOKEN_OUT, 32), ethers.zeroPadValue(WALLET, 32)],
+      data: ethers.toBeHex(990n, 32)
+    };
+
+    metrics.recordSwapSlippage('aerodrome', { logs: [transfer] }, TOKEN_OUT, WALLET, 1000n);
+
+    const series = seriesOf('lp_bot_swap_slippage_bps_bucket');
+    assert.ok(series.includes('lp_bot_swap_slippage_bps_bucket{router="aerodrome",le="50"} 0'));
+    assert.ok(series.includes('lp_bot_swap_slippage_bps_bucket{router="aerodrome",le="100"} 1'));
+    assert.deepEqual(seriesOf('lp_bot_swap_slippage_bps_sum'), ['lp_bot_swap_slippage_bps_sum{router="aerodrome"} 100']);
+  });
+});
+
+describe('MetricsServer', () => {
+  let server;
+  let baseUrl;
+  let savedMetrics;
+
+  before(async () => {
+    savedMetrics = config.metrics;
+    config.metrics = { ...config.metrics, host: '127.0.0.1', port: 0 };
+    server = new metrics.MetricsServer();
+    const listening = await server.start();
+    baseUrl = `http://127.0.0.1:${listening.address().port}`;
+  });
+
+  after(() => {
+    server.stop();
+    config.metrics = savedMetrics;
+  });
+
+  it('serves every series in the text exposition format at GET /metrics', async () => {
+    metrics.recordCheckCycle('ok', 1500);
+    metrics.recordRebalance('WETH/USDC', 'success');
+    metrics.recordRpc('rpc.test', 'getBlockNumber', 120, false);
+    metrics.recordWalletBalance(0.25);
+
+    const res = await fetch(`${baseUrl}/metrics`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    const body = await res.text();
+    assert.ok(body.endsWith('\n'));
+
+    const lines = body.trimEnd().split('\n');
+    const types = lines.filter(line => line.startsWith('# TYPE ')).map(line => line.split(' ').slice(2));
+    assert.deepEqual(types.map(([name]) => name).sort(), [
+      'lp_bot_check_cycle_duration_seconds',
+      'lp_bot_gas_spent_eth_total',
+      'lp_bot_gas_used_total',
+      'lp_bot_last_check_cycle_timestamp_seconds',
+      'lp_bot_position_out_of_range_percent',
+      'lp_bot_positions',
+      'lp_bot_rebalances_total',
+      'lp_bot_rpc_errors_total',
+      'lp_bot_rpc_request_duration_seconds',
+      'lp_bot_swap_slippage_bps',
+      'lp_bot_transactions_total',
+      'lp_bot_wallet_eth_balance'
+    ]);
+    assert.equal(lines.filter(line => line.startsWith('# HELP ')).length, types.length);
+    for (const line of lines.filter(l => !l.startsWith('#'))) {
+      assert.match(line, /^[a-z_]+(\{[a-z_]+="[^"]*"(,[a-z_]+="[^"]*")*\})? -?\d+(\.\d+)?(e[+-]?\d+)?$/, line);
+    }
+
+    assert.ok(lines.includes('lp_bot_check_cycle_duration_seconds_bucket{result="ok",le="2"} 1'));
+    assert.ok(lines.includes('lp_bot_rebalances_total{pool="WETH/USDC",outcome="success"} 1'));
+    assert.ok(lines.includes('lp_bot_rpc_errors_total{endpoint="rpc.test",method="getBlockNumber"} 1'));
+    assert.ok(lines.includes('lp_bot_wallet_eth_balance 0.25'));
+  });
+
+  it('answers 404 elsewhere', async () => {
+    const res = await fetch(`${baseUrl}/status`);
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./support/env');
+const config = require('../src/config');
+const { Notifier, WebhookChannel, TelegramChannel, DiscordChannel } = require('../src/notifier');
+
+/**
+ * Local stand-in for the webhook / Telegram / Discord endpoints. Answers each
+ * request with the next queued status (200 once the queue is empty).
+ */
+function startStandIn() {
+  const standIn = { requests: [], statuses: [] };
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      standIn.requests.push({ url: req.url, body: JSON.parse(body), at: Date.now() });
+      res.writeHead(standIn.statuses.shift() || 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  return new Promise((resolve) => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      standIn.url = `http://127.0.0.1:${standIn.server.address().port}`;
+      resolve(standIn);
+    });
+  });
+}
+
+describe('Notifier', () => {
+  let standIn;
+  let saved;
+
+  before(async () => {
+    standIn = await startStandIn();
+    saved = { ...config.notify };
+  });
+
+  after(() => {
+    Object.assign(config.notify, saved);
+    return new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    Object.assign(config.notify, saved, { dedupeMinutes: 30, maxPerHour: 20, retries: 2, retryDelayMs: 20, minSeverity: 'info' });
+    standIn.requests = [];
+    standIn.statuses = [];
+  });
+
+  function webhookNotifier(options = {}) {
+    return new Notifier([new WebhookChannel({ url: `${standIn.url}/hook`, minSeverity: '', ...options })]);
+  }
+
+  describe('payloads', () => {
+    it('posts the event as JSON to a webhook', async () => {
+      await webhookNotifier().notify('rebalance_failed', {
+        message: 'Rebalance of #7 failed',
+        fields: { position: '#7', amount: 5n },
+        key: '7'
+      });
+
+      assert.equal(standIn.requests.length, 1);
+      const [{ url, body }] = standIn.requests;
+      assert.equal(url, '/hook');
+      assert.equal(body.source, 'aerodrome-autobalancer');
+      assert.equal(body.type, 'rebalance_failed');
+      assert.equal(body.severity, 'critical');
+      assert.equal(body.title, 'Rebalance failed');
+      assert.equal(body.message, 'Rebalance of #7 failed');
+      assert.deepEqual(body.fields, { position: '#7', amount: '5' });
+      assert.equal(body.suppressed, 0);
+      assert.ok(!Number.isNaN(Date.parse(body.at)));
+    });
+
+    it('sends Telegram messages through the Bot API, silent below critical', async () => {
+      const channel = new TelegramChannel({ botToken: '123:abc', chatId: '-42', apiBaseUrl: standIn.url, minSeverity: '' });
+      await new Notifier([channel]).notify('out_of_range', { message: 'Position #7 is out of range', fields: { pool: 'WETH/USDC' }, key: '7' });
+
+      const [{ url, body }] = standIn.requests;
+      assert.equal(url, '/bot123:abc/sendMessage');
+      assert.equal(body.chat_id, '-42');
+      assert.equal(body.disable_notification, true);
+      assert.equal(body.text, '⚠️ Position out of range\nPosition #7 is out of range\npool: WETH/USDC');
+    });
+
+    it('sends Discord webhooks as one embed', async () => {
+      const channel = new DiscordChannel({ webhookUrl: `${standIn.url}/discord`, minSeverity: '' });
+      await new Notifier([channel]).notify('swap_failed', { message: 'Swap failed', fields: { router: 'odos' }, key: 'a:b' });
+
+      const [{ body }] = standIn.requests;
+      assert.equal(body.embeds.length, 1);
+      const [embed] = body.embeds;
+      assert.equal(embed.title, '🚨 Swap failed');
+      assert.equal(embed.color, 0xe74c3c);
+      assert.deepEqual(embed.fields, [{ name: 'router', value: 'odos', inline: true }]);
+      assert.equal(embed.footer, undefined);
+    });
+
+    it('skips events below the channel\'s minimum severity', async () => {
+      await webhookNotifier({ minSeverity: 'critical' }).notify('rebalance_succeeded', { message: 'done', key: '7' });
+      assert.equal(standIn.requests.length, 0);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries 5xx and 429 answers with a doubling delay', async () => {
+      standIn.statuses = [503, 429];
+      await webhookNotifier().notify('rebalance_failed', { message: 'failed', key: '7' });
+
+      assert.equal(standIn.requests.length, 3);
+      const [first, second, third] = standIn.requests.map(r => r.at);
+      assert.ok(second - first >= 20, `first retry after ${second - first} ms`);
+      assert.ok(third - second >= 40, `second retry after ${third - second} ms`);
+    });
+
+    it('gives up after NOTIFY_RETRIES', async () => {
+      standIn.statuses = [500, 500, 500, 500];
+      await webhookNotifier().notify('rebalance_failed', { message: 'failed', key: '7' });
+      assert.equal(standIn.requests.length, 3);
+    });
+
+    it('does not retry other client errors', async () => {
+      standIn.statuses = [401];
+      await webhookNotifier().notify('rebalance_failed', { message: 'failed', key: '7' });
+      assert.equal(standIn.requests.length, 1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('sends the same event for the same subject once per dedupe window', async () => {
+      const notifier = webhookNotifier();
+      await notifier.notify('out_of_range', { message: 'out', key: '7' });
+      await notifier.notify('out_of_range', { message: 'still out', key: '7' });
+      await notifier.notify('out_of_range', { message: 'out', key: '8' });
+
+      assert.deepEqual(standIn.requests.map(r => r.body.message), ['out', 'out']);
+    });
+
+    it('caps messages per channel and hour, reporting the suppressed count on the next one', async () => {
+      config.notify.maxPerHour = 2;
+      const notifier = webhookNotifier();
+      for (const key of ['1', '2', '3', '4']) {
+        await notifier.notify('out_of_range', { message: `#${key} out`, key });
+      }
+      assert.equal(standIn.requests.length, 2);
+
+      // An hour later the cap is free again
+      const [channel] = notifier.channels;
+      const state = notifier.channelState.get(channel);
+      state.sentAt = state.sentAt.map(t => t - 3600000);
+      await notifier.notify('out_of_range', { message: '#5 out', key: '5' });
+
+      assert.equal(standIn.requests.length, 3);
+      assert.equal(standIn.requests[2].body.suppressed, 2);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { stateDir } = require('./support/env');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const { loadConfig } = require('../src/configSchema');
+const { notifier } = require('../src/notifier');
+const { PriceHistoryRecorder, PriceHistoryStore, loadPoolMeta, uncoveredRanges } = require('../src/priceHistory');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+describe('price history settings', () => {
+  it('records only when PRICE_HISTORY=true', () => {
+    assert.equal(loadConfig({ env: {} }).config.priceHistory.enabled, false);
+    assert.equal(loadConfig({ env: { PRICE_HISTORY: 'true' } }).config.priceHistory.enabled, true);
+  });
+});
+
+describe('uncoveredRanges', () => {
+  it('backfills the whole range when nothing is recorded', () => {
+    assert.deepEqual(uncoveredRanges(100, 200, null), [[100, 200]]);
+  });
+
+  it('skips the recorded blocks', () => {
+    assert.deepEqual(uncoveredRanges(100, 200, { first: 120, last: 150 }), [[100, 119], [151, 200]]);
+    assert.deepEqual(uncoveredRanges(100, 200, { first: 50, last: 150 }), [[151, 200]]);
+    assert.deepEqual(uncoveredRanges(100, 200, { first: 150, last: 250 }), [[100, 149]]);
+    assert.deepEqual(uncoveredRanges(100, 200, { first: 50, last: 250 }), []);
+  });
+});
+
+describe('price history on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let store;
+  let recorder;
+  let poolInfo;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    store = new PriceHistoryStore(fs.mkdtempSync(path.join(stateDir, 'history-')));
+    recorder = new PriceHistoryRecorder(bot.web3.provider, store);
+    poolInfo = {
+      label: 'WETH/USDC',
+      address: bot.pool.address,
+      gaugeAddress: bot.gauge.address,
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      symbol0: 'WETH',
+      symbol1: 'USDC',
+      decimals0: 18,
+      decimals1: 6,
+      tickSpacing: 100,
+      fee: 500
+    };
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  function readRecords() {
+    return fs.readFileSync(store.fileFor(bot.pool.address), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  // Check cycles are seconds apart; wait out the provider's 250 ms request
+  // cache so the next record() sees the latest block
+  function nextCycle() {
+    return new Promise(resolve => setTimeout(() => resolve(), 300));
+  }
+
+  async function swapWeth(amount) {
+    await bot.chain.wait(bot.weth.mint(bot.wallet, amount));
+    return bot.rebalancer.swapTokens(bot.weth.address, bot.usdc.address, amount.toString(), bot.pool.address);
+  }
+
+  async function swapUsdc(amount) {
+    await bot.chain.wait(bot.usdc.mint(bot.wallet, amount));
+    return bot.rebalancer.swapTokens(bot.usdc.address, bot.weth.address, amount.toString(), bot.pool.address);
+  }
+
+  describe('record', () => {
+    it('samples the pool state and the swap volume since the previous sample', async () => {
+      const first = await recorder.record(poolInfo);
+      assert.equal(first.volume0, undefined, 'no volume on the first sample after a start');
+      assert.equal(await recorder.record(poolInfo), null, 'same block is sampled once');
+
+      await swapWeth(WETH(0.1));
+      await swapWeth(WETH(0.2));
+      await nextCycle();
+      const second = await recorder.record(poolInfo);
+
+      const [sqrtPriceX96, tick] = await bot.pool.slot0();
+      assert.equal(second.tick, Number(tick));
+      assert.equal(second.sqrtPriceX96, sqrtPriceX96.toString());
+      assert.equal(second.liquidity, (await bot.pool.liquidity()).toString());
+      assert.equal(second.volume0, WETH(0.3).toString());
+      assert.equal(second.volume1, '0');
+      assert.ok(second.block > first.block);
+
+      const [meta, ...samples] = readRecords();
+      assert.equal(meta.type, 'meta');
+      assert.equal(meta.pool, bot.pool.address);
+      assert.equal(meta.symbol0, 'WETH');
+      assert.equal(meta.fee, 500);
+      assert.deepEqual(samples, [first, second]);
+      assert.deepEqual(store.getBlockRange(bot.pool.address), { first: first.block, last: second.block });
+    });
+  });
+
+  describe('backfill', () => {
+    /**
+     * Three swaps, each in its own block: 0.1 WETH in, 300 USDC in, 0.2 WETH in
+     * @returns {Object} - { fromBlock, toBlock, swapBlocks }
+     */
+    async function swapHistory() {
+      const fromBlock = await bot.chain.provider.getBlockNumber() + 1;
+      const receipts = [await swapWeth(WETH(0.1)), await swapUsdc(USDC(300)), await swapWeth(WETH(0.2))];
+      const toBlock = await bot.chain.provider.getBlockNumber();
+      return { fromBlock, toBlock, swapBlocks: receipts.map(r => r.blockNumber) };
+    }
+
+    it('writes one sample per interval with swaps', async () => {
+      const { fromBlock, toBlock, swapBlocks } = await swapHistory();
+      const meta = await loadPoolMeta(bot.web3.provider, bot.pool.address, bot.gauge.address);
+
+      // Blocks are at least a second apart, so a 1s interval puts each swap in its own sample
+      const written = await recorder.backfill(meta, fromBlock, toBlock, { intervalSeconds: 1 });
+
+      assert.equal(written, 3);
+      const [header, ...samples] = readRecords();
+      assert.equal(header.symbol1, 'USDC');
+      assert.equal(header.gauge, bot.gauge.address);
+      assert.deepEqual(samples.map(s => s.block), swapBlocks);
+      assert.deepEqual(samples.map(s => [s.volume0, s.volume1]), [
+        [WETH(0.1).toString(), '0'],
+        ['0', USDC(300).toString()],
+        [WETH(0.2).toString(), '0']
+      ]);
+      assert.equal(samples[2].tick, Number((await bot.pool.slot0())[1]));
+    });
+
+    it('sums an interval\'s swaps into one sample, across log chunks', async () => {
+      const { fromBlock, toBlock, swapBlocks } = await swapHistory();
+      const meta = await loadPoolMeta(bot.web3.provider, bot.pool.address);
+
+      const written = await recorder.backfill(meta, fromBlock, toBlock, { intervalSeconds: 86400, chunkBlocks: 1 });
+
+      assert.equal(written, 1);
+      const [, sample] = readRecords();
+      assert.equal(sample.block, swapBlocks[2]);
+      assert.equal(sample.volume0, WETH(0.3).toString());
+      assert.equal(sample.volume1, USDC(300).toString());
+      assert.equal(sample.sqrtPriceX96, (await bot.pool.slot0())[0].toString());
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { RangeOrderManager, getRangeOrderTicks, isOrderFilled } = require('../src/rangeOrders');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+describe('getRangeOrderTicks', () => {
+  it('places take-profit orders on the next spacing above the tick', () => {
+    assert.deepEqual(getRangeOrderTicks(150, 100, 'take_profit'), { tickLower: 200, tickUpper: 300 });
+    assert.deepEqual(getRangeOrderTicks(100, 100, 'take_profit'), { tickLower: 200, tickUpper: 300 });
+    assert.deepEqual(getRangeOrderTicks(-150, 100, 'take_profit'), { tickLower: -100, tickUpper: 0 });
+  });
+
+  it('places accumulate orders on the next spacing below the tick', () => {
+    assert.deepEqual(getRangeOrderTicks(150, 100, 'accumulate'), { tickLower: 0, tickUpper: 100 });
+    assert.deepEqual(getRangeOrderTicks(100, 100, 'accumulate'), { tickLower: -100, tickUpper: 0 });
+    assert.deepEqual(getRangeOrderTicks(-150, 100, 'accumulate'), { tickLower: -300, tickUpper: -200 });
+  });
+
+  it('applies the width and offset in tick spacings', () => {
+    assert.deepEqual(getRangeOrderTicks(150, 100, 'take_profit', 3, 1), { tickLower: 300, tickUpper: 600 });
+    assert.deepEqual(getRangeOrderTicks(150, 100, 'accumulate', 3, 1), { tickLower: -300, tickUpper: 0 });
+  });
+
+  it('keeps both bounds aligned and strictly off the current tick', () => {
+    for (let tick = -250; tick <= 250; tick += 7) {
+      const above = getRangeOrderTicks(tick, 50, 'take_profit', 2);
+      const below = getRangeOrderTicks(tick, 50, 'accumulate', 2);
+      assert.ok(above.tickLower > tick && below.tickUpper < tick, `tick ${tick}`);
+      for (const bound of [above.tickLower, above.tickUpper, below.tickLower, below.tickUpper]) {
+        assert.equal(Math.abs(bound % 50), 0, `bound ${bound} at tick ${tick}`);
+      }
+    }
+  });
+});
+
+describe('isOrderFilled', () => {
+  it('fills a take-profit order once the tick reaches its upper bound', () => {
+    assert.equal(isOrderFilled('take_profit', 200, 300, 250), false);
+    assert.equal(isOrderFilled('take_profit', 200, 300, 299), false);
+    assert.equal(isOrderFilled('take_profit', 200, 300, 300), true);
+    assert.equal(isOrderFilled('take_profit', 200, 300, 150), false);
+  });
+
+  it('fills an accumulate order once the tick drops below its lower bound', () => {
+    assert.equal(isOrderFilled('accumulate', 0, 100, 50), false);
+    assert.equal(isOrderFilled('accumulate', 0, 100, 0), false);
+    assert.equal(isOrderFilled('accumulate', 0, 100, -1), true);
+    assert.equal(isOrderFilled('accumulate', 0, 100, 150), false);
+  });
+});
+
+describe('range order placement journal', () => {
+  let restoreTimers;
+  let bot;
+  let poolInfo;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    fs.rmSync(config.rangeOrderStatePath, { force: true });
+    poolInfo = {
+      label: 'WETH/USDC',
+      address: bot.pool.address,
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      symbol0: 'WETH',
+      symbol1: 'USDC',
+      decimals0: 18,
+      decimals1: 6,
+      tickSpacing: 100
+    };
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  function createManager() {
+    const manager = new RangeOrderManager(bot.web3, bot.rebalancer, config.rangeOrderStatePath);
+    manager.load();
+    return manager;
+  }
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(config.rangeOrderStatePath, 'utf8'));
+  }
+
+  it('journals the order before minting and replaces the entry with the order afterwards', async () => {
+    await bot.chain.wait(bot.weth.mint(bot.wallet, WETH(1)));
+    const manager = createManager();
+
+    let journaled = null;
+    const createPosition = bot.rebalancer.createPosition.bind(bot.rebalancer);
+    mock.method(bot.rebalancer, 'createPosition', async (...args) => {
+      journaled = readState().pending[bot.pool.address.toLowerCase()];
+      return createPosition(...args);
+    });
+
+    const tokenId = await manager.placeOrder(poolInfo, 'take_profit', 1);
+
+    assert.ok(tokenId);
+    assert.equal(journaled.mode, 'take_profit');
+    assert.equal(journaled.rung, 1);
+    assert.equal(journaled.token0, bot.weth.address);
+    assert.equal(journaled.tickLower, -196200);
+
+    const state = readState();
+    assert.deepEqual(state.pending, {});
+    assert.equal(state.orders[tokenId].tickLower, journaled.tickLower);
+    assert.equal(state.orders[tokenId].tickUpper, journaled.tickUpper);
+  });
+
+  it('sizes the order from the pool\'s share of a token another pool holds too', async () => {
+    await bot.chain.wait(bot.usdc.mint(bot.wallet, USDC(4000)));
+    const manager = createManager();
+
+    // Accumulate orders sell USDC, which a second pool shares
+    const tokenId = await manager.placeOrder(poolInfo, 'accumulate', 1, { token0: 1, token1: 2 });
+
+    assert.ok(tokenId);
+    assert.equal(readState().orders[tokenId].tickUpper, -196300);
+    const left = await bot.usdc.balanceOf(bot.wallet);
+    assert.ok(left >= USDC(2000) && left <= USDC(2000.01), `USDC left ${ethers.formatUnits(left, 6)}`);
+  });
+
+  it('keeps the entry when the mint outcome is unknown', async () => {
+    await bot.chain.wait(bot.weth.mint(bot.wallet, WETH(1)));
+    const manager = createManager();
+    mock.method(bot.rebalancer, 'createPosition', async () => null);
+
+    assert.equal(await manager.placeOrder(poolInfo, 'take_profit', 1), null);
+    assert.deepEqual(readState().orders, {});
+    assert.ok(readState().pending[bot.pool.address.toLowerCase()]);
+  });
+
+  it('tracks a position minted before a crash on load', async () => {
+    const pool = bot.pool.address.toLowerCase();
+    const entry = {
+      mode: 'take_profit',
+      tickLower: -196200,
+      tickUpper: -196100,
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      amountIn: WETH(1).toString(),
+      rung: 2,
+      startedAt: '2026-01-01T00:00:00.000Z'
+    };
+    fs.writeFileSync(config.rangeOrderStatePath, JSON.stringify({ orders: {}, rungs: { [pool]: 1 }, pending: { [pool]: entry } }));
+    const tokenId = (await bot.chain.seedPosition(bot.wallet, entry.tickLower, entry.tickUpper, WETH(1), 0n)).toString();
+
+    const manager = createManager();
+    await manager.resumePending();
+
+    assert.equal(manager.isOrder(tokenId), true);
+    assert.deepEqual(manager.pending, {});
+    assert.equal(manager.rungs[pool], 2);
+    assert.equal(readState().orders[tokenId].placedAt, entry.startedAt);
+  });
+
+  it('drops the entry when the mint never landed', async () => {
+    const pool = bot.pool.address.toLowerCase();
+    const entry = {
+      mode: 'accumulate',
+      tickLower: -196400,
+      tickUpper: -196300,
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      amountIn: '1000000',
+      rung: 1,
+      startedAt: '2026-01-01T00:00:00.000Z'
+    };
+    fs.writeFileSync(config.rangeOrderStatePath, JSON.stringify({ orders: {}, rungs: {}, pending: { [pool]: entry } }));
+
+    const manager = createManager();
+    await manager.resumePending();
+
+    assert.deepEqual(manager.orders, {});
+    assert.deepEqual(readState().pending, {});
+    assert.equal(manager.rungs[pool], undefined);
+  });
+});
@@ -0,0 +1,373 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { Rebalancer } = require('../src/rebalancer');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+// Price ~3000 USDC/WETH; the seeded position spans ~2500-3400
+const START_TICK = -196230;
+const SEED_RANGE = { tickLower: -196800, tickUpper: -195600 };
+
+describe('rebalance on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let notifications;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot({ tick: START_TICK });
+    notifications = [];
+    mock.method(notifier, 'notify', (type, event) => notifications.push({ type, ...event }));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  function seedStakedPosition() {
+    return bot.chain.seedPosition(bot.wallet, SEED_RANGE.tickLower, SEED_RANGE.tickUpper, WETH(1), USDC(3000), { stake: true });
+  }
+
+  function setTick(tick) {
+    return bot.chain.wait(bot.pool.setTick(tick));
+  }
+
+  async function checkPosition() {
+    const positions = await bot.monitor.checkAllPositions(bot.wallet);
+    assert.equal(positions.length, 1);
+    return positions[0];
+  }
+
+  async function newRangeFor(position) {
+    return bot.monitor.getNewRange(
+      position.poolAddress,
+      position.currentTick,
+      Number(position.tickSpacing),
+      config.pools[0].rangeMultiplier,
+      position.tickLower,
+      position.tickUpper
+    );
+  }
+
+  function journalExists() {
+    return fs.existsSync(config.rebalanceJournalPath);
+  }
+
+  /**
+   * The single position the wallet holds after a rebalance, with its staking state
+   */
+  async function walletPosition(tokenId) {
+    const position = await bot.positionManager.positions(tokenId);
+    return {
+      tickLower: Number(position.tickLower),
+      tickUpper: Number(position.tickUpper),
+      liquidity: position.liquidity,
+      owner: await bot.positionManager.ownerOf(tokenId),
+      staked: await bot.gauge.stakedContains(bot.wallet, tokenId)
+    };
+  }
+
+  function assertBurned(tokenId, message) {
+    return assert.rejects(bot.positionManager.positions(tokenId), /Invalid token ID/, message);
+  }
+
+  it('rebalances a position below range: withdraws token0, swaps part to token1, mints and stakes', async () => {
+    const oldTokenId = await seedStakedPosition();
+    await setTick(-197530);
+
+    const position = await checkPosition();
+    assert.equal(position.tokenId, oldTokenId.toString());
+    assert.equal(position.isBelowRange, true);
+    assert.equal(position.isStaked, true);
+
+    const newRange = await newRangeFor(position);
+    assert.ok(newRange.tickLower <= -197530 && newRange.tickUpper > -197530);
+
+    const result = await bot.rebalancer.rebalance(position, newRange);
+
+    assert.equal(result.success, true);
+    await assertBurned(oldTokenId, 'old position burned');
+    const swaps = await bot.chain.swaps();
+    assert.equal(swaps.length, 1);
+    assert.equal(swaps[0].tokenIn, bot.weth.address);
+
+    const minted = await walletPosition(result.newTokenId);
+    assert.equal(minted.tickLower, newRange.tickLower);
+    assert.equal(minted.tickUpper, newRange.tickUpper);
+    assert.ok(minted.liquidity > 0n);
+    assert.equal(minted.staked, true);
+    assert.equal(minted.owner, bot.gauge.address);
+
+    // The swap was sized for the post-swap price, so little is left over
+    const leftover0 = await bot.weth.balanceOf(bot.wallet);
+    assert.ok(leftover0 < WETH(1) / 100n, `leftover WETH ${leftover0}`);
+    assert.equal(journalExists(), false);
+    assert.deepEqual(notifications, []);
+  });
+
+  it('rebalances a position above range: withdraws token1, swaps part to token0, mints and stakes', async () => {
+    const oldTokenId = await seedStakedPosition();
+    await setTick(-195130);
+
+    const position = await checkPosition();
+    assert.equal(position.isAboveRange, true);
+
+    const newRange = await newRangeFor(position);
+    const result = await bot.rebalancer.rebalance(position, newRange);
+
+    assert.equal(result.success, true);
+    await assertBurned(oldTokenId);
+    const swaps = await bot.chain.swaps();
+    assert.equal(swaps.length, 1);
+    assert.equal(swaps[0].tokenIn, bot.usdc.address);
+
+    const minted = await walletPosition(result.newTokenId);
+    const tick = Number(await bot.pool.tick());
+    assert.ok(minted.tickLower <= tick && minted.tickUpper > tick);
+    assert.equal(minted.staked, true);
+
+    const leftover1 = await bot.usdc.balanceOf(bot.wallet);
+    assert.ok(leftover1 < USDC(3000) / 100n, `leftover USDC ${leftover1}`);
+    assert.equal(journalExists(), false);
+  });
+
+  it('moves an in-range position to a range above the price by swapping everything into token0', async () => {
+    await seedStakedPosition();
+
+    const position = await checkPosition();
+    assert.equal(position.isInRange, true);
+
+    const newRange = { tickLower: -195500, tickUpper: -195000 };
+    const result = await bot.rebalancer.rebalance(position, newRange);
+
+    assert.equal(result.success, true);
+    const swaps = await bot.chain.swaps();
+    assert.equal(swaps.length, 1);
+    assert.equal(swaps[0].tokenIn, bot.usdc.address);
+    // All token1 withdrawn from the old position was swapped (exact input)
+    assert.equal(await bot.usdc.balanceOf(bot.wallet), 0n);
+
+    const minted = await walletPosition(result.newTokenId);
+    assert.equal(minted.tickLower, newRange.tickLower);
+    assert.equal(minted.staked, true);
+    assert.equal(result.amount1Added, '0');
+    assert.equal(BigInt(result.amount0Added) > WETH(1), true);
+  });
+
+  it('aborts before minting when the swap fails, keeping the journal at the swap stage', async () => {
+    const oldTokenId = await seedStakedPosition();
+    await setTick(-197530);
+    await bot.chain.wait(bot.router.setFailure('router paused'));
+
+    const position = await checkPosition();
+    const newRange = await newRangeFor(position);
+
+    await assert.rejects(bot.rebalancer.rebalance(position, newRange), /aborting rebalance before mint/);
+
+    await assertBurned(oldTokenId, 'old position was withdrawn');
+    assert.equal(await bot.positionManager.balanceOf(bot.wallet), 0n, 'nothing minted');
+    assert.equal(await bot.gauge.stakedLength(bot.wallet), 0n);
+    assert.ok(await bot.weth.balanceOf(bot.wallet) > 0n, 'withdrawn funds stay in the wallet');
+
+    const journal = JSON.parse(fs.readFileSync(config.rebalanceJournalPath, 'utf8'));
+    assert.equal(journal.stage, 'swapping');
+    assert.equal(journal.tokenId, oldTokenId.toString());
+    assert.equal(bot.rebalancer.hasPendingRebalance(), true);
+    assert.ok(notifications.some(n => n.type === 'swap_failed'));
+  });
+
+  it('completes with an unstaked position and a notification when staking fails after the mint', async () => {
+    await seedStakedPosition();
+    await setTick(-197530);
+    await bot.chain.wait(bot.gauge.setFailure(bot.gauge.deposit.fragment.selector, 'gauge killed'));
+
+    const position = await checkPosition();
+    const newRange = await newRangeFor(position);
+    const result = await bot.rebalancer.rebalance(position, newRange);
+
+    assert.equal(result.success, true);
+    const minted = await walletPosition(result.newTokenId);
+    assert.equal(minted.staked, false);
+    assert.equal(minted.owner, bot.wallet);
+    assert.ok(minted.liquidity > 0n);
+
+    assert.equal(journalExists(), false);
+    assert.equal(bot.rebalancer.hasPendingRebalance(), false);
+    const notStaked = notifications.find(n => n.type === 'position_not_staked');
+    assert.ok(notStaked, 'position_not_staked notified');
+    assert.match(notStaked.message, /gauge killed/);
+
+    // The bot sees the minted position as an unstaked one of the managed gauge
+    const [found] = await bot.monitor.checkAllPositions(bot.wallet);
+    assert.equal(found.tokenId, result.newTokenId.toString());
+    assert.equal(found.isStaked, false);
+    assert.equal(found.gaugeAddress, bot.gauge.address);
+  });
+
+  it('aborts before sending anything when the journal cannot be written', async () => {
+    const oldTokenId = await seedStakedPosition();
+    await setTick(-197530);
+    mock.method(bot.rebalancer.journal, 'save', () => { throw new Error('disk full'); });
+
+    const position = await checkPosition();
+    const newRange = await newRangeFor(position);
+
+    await assert.rejects(bot.rebalancer.rebalance(position, newRange), /Failed to write rebalance journal: disk full/);
+
+    assert.equal(await bot.chain.provider.getTransactionCount(bot.wallet), 0, 'nothing broadcast');
+    assert.equal(await bot.gauge.stakedContains(bot.wallet, oldTokenId), true);
+    assert.ok((await bot.positionManager.positions(oldTokenId)).liquidity > 0n);
+  });
+
+  describe('with DRY_RUN=true', () => {
+    beforeEach(() => {
+      config.dryRun = true;
+    });
+
+    afterEach(() => {
+      config.dryRun = false;
+    });
+
+    it('plans every step without broadcasting anything', async () => {
+      const oldTokenId = await seedStakedPosition();
+      await setTick(-197530);
+      const position = await checkPosition();
+      const newRange = await newRangeFor(position);
+      const blockBefore = await bot.chain.provider.getBlockNumber();
+      const send = mock.method(bot.web3.wallet, 'sendTransaction');
+
+      const result = await bot.rebalancer.rebalance(position, newRange);
+
+      assert.equal(result.dryRun, true);
+      assert.deepEqual(result.plan.steps.map(s => s.step), ['unstake', 'withdraw', 'swap', 'mint', 'stake']);
+      assert.equal(result.plan.outcome, 'completed');
+
+      assert.equal(send.mock.callCount(), 0);
+      assert.equal(await bot.chain.provider.getTransactionCount(bot.wallet), 0, 'no nonce used');
+      assert.equal(await bot.chain.provider.getBlockNumber(), blockBefore, 'no block mined');
+      assert.equal(await bot.gauge.stakedContains(bot.wallet, oldTokenId), true);
+      assert.deepEqual(await bot.chain.swaps(), []);
+      assert.deepEqual(bot.web3.txSupervisor.getStatus(), []);
+      assert.equal(journalExists(), false);
+      assert.equal(bot.rebalancer.hasPendingRebalance(), false);
+    });
+
+    it('mints exactly what the withdraw and swap leave in the wallet', async () => {
+      await seedStakedPosition();
+      await setTick(-197530);
+      const position = await checkPosition();
+      const wallet0 = await bot.weth.balanceOf(bot.wallet);
+      const wallet1 = await bot.usdc.balanceOf(bot.wallet);
+
+      const { plan } = await bot.rebalancer.rebalance(position, await newRangeFor(position));
+
+      const [withdraw, swap, mint] = ['withdraw', 'swap', 'mint'].map(name => plan.steps.find(s => s.step === name));
+      assert.equal(swap.tokenIn, bot.weth.address);
+      assert.ok(withdraw.expected.amount0 > 0n);
+      assert.ok(swap.amountIn > 0n && swap.amountIn < withdraw.expected.amount0);
+      assert.equal(mint.amount0Desired, wallet0 + withdraw.expected.amount0 - swap.amountIn);
+      assert.equal(mint.amount1Desired, wallet1 + withdraw.expected.amount1 + swap.expected.amountOut);
+      assert.deepEqual(plan.expectedMint, { amount0: mint.amount0Desired.toString(), amount1: mint.amount1Desired.toString() });
+      assert.equal(bot.rebalancer.dryRunBalanceDeltas.size, 0, 'simulated balances reset after the plan');
+    });
+  });
+
+  describe('resuming after a restart', () => {
+    /**
+     * Rebalance an unstaked position until its withdraw is broadcast, then
+     * "crash" while waiting for it with automining off, so the withdraw stays
+     * in the mempool
+     * @returns {Object} - { oldTokenId, withdrawTxHash, restarted } with a fresh Rebalancer that loaded the journal
+     */
+    async function crashAfterWithdrawSent() {
+      const oldTokenId = await bot.chain.seedPosition(bot.wallet, SEED_RANGE.tickLower, SEED_RANGE.tickUpper, WETH(1), USDC(3000));
+      await setTick(-197530);
+      const position = await checkPosition();
+      const newRange = await newRangeFor(position);
+
+      await bot.chain.send('evm_setAutomine', [false]);
+      const waitForTransaction = mock.method(bot.web3, 'waitForTransaction', async () => { throw new Error('process killed'); });
+      await assert.rejects(bot.rebalancer.rebalance(position, newRange), /process killed/);
+      waitForTransaction.mock.restore();
+
+      const restarted = new Rebalancer(bot.web3);
+      const journal = restarted.loadPendingRebalance();
+      assert.equal(journal.stage, 'withdrawing');
+      assert.equal(journal.withdrawNonce, 0);
+      return { oldTokenId, withdrawTxHash: journal.withdrawTxHash, restarted };
+    }
+
+    it('waits for a withdraw still pending from before the restart, then rolls forward', async () => {
+      const { oldTokenId, restarted } = await crashAfterWithdrawSent();
+      const receipts = mock.method(bot.web3.provider, 'getTransactionReceipt');
+
+      const resume = restarted.resumeRebalance();
+      // Mine only once the resume has seen the withdraw pending
+      while (receipts.mock.callCount() < 2) await new Promise(resolve => setImmediate(resolve));
+      await bot.chain.send('evm_mine');
+      await bot.chain.send('evm_setAutomine', [true]);
+      const result = await resume;
+
+      assert.equal(result.resumed, true);
+      await assertBurned(oldTokenId);
+      const minted = await walletPosition(result.newTokenId);
+      assert.ok(minted.liquidity > 0n);
+      assert.equal(minted.staked, true);
+      assert.equal(journalExists(), false);
+    });
+
+    it('keeps the journal while the withdraw is still pending after TX_WAIT_TIMEOUT_MS', async () => {
+      const { oldTokenId, restarted } = await crashAfterWithdrawSent();
+      const { txWaitTimeoutMs } = config;
+      config.txWaitTimeoutMs = 50;
+      try {
+        await assert.rejects(restarted.resumeRebalance(), /still pending after 50ms; keeping the journal/);
+      } finally {
+        config.txWaitTimeoutMs = txWaitTimeoutMs;
+      }
+
+      assert.equal(journalExists(), true);
+      assert.equal(restarted.hasPendingRebalance(), true);
+      assert.ok((await bot.positionManager.positions(oldTokenId)).liquidity > 0n);
+    });
+
+    it('discards the journal when the withdraw was dropped and the position is intact', async () => {
+      const { oldTokenId, withdrawTxHash, restarted } = await crashAfterWithdrawSent();
+      await bot.chain.send('hardhat_dropTransaction', [withdrawTxHash]);
+      await bot.chain.send('evm_setAutomine', [true]);
+
+      assert.equal(await restarted.resumeRebalance(), null);
+
+      assert.equal(journalExists(), false);
+      assert.equal(restarted.hasPendingRebalance(), false);
+      assert.ok((await bot.positionManager.positions(oldTokenId)).liquidity > 0n);
+    });
+
+    it('rolls forward when the withdraw confirmed before the restart', async () => {
+      const { oldTokenId, restarted } = await crashAfterWithdrawSent();
+      await bot.chain.send('evm_mine');
+      await bot.chain.send('evm_setAutomine', [true]);
+
+      const result = await restarted.resumeRebalance();
+
+      assert.equal(result.resumed, true);
+      await assertBurned(oldTokenId);
+      assert.equal((await walletPosition(result.newTokenId)).staked, true);
+      assert.equal(journalExists(), false);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const { DEFAULT_POOL } = require('./support/devChain');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { RewardManager } = require('../src/rewards');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+const AERO = (n) => ethers.parseEther(String(n));
+
+// The seeded WETH/USDC position is in range at the start tick (~3000 USDC/WETH)
+const RANGE = { tickLower: -196800, tickUpper: -195600 };
+// ~60000 USDC per cbBTC (8 decimals)
+const CBBTC_TICK = 63900;
+const CBBTC_RANGE = { tickLower: 63000, tickUpper: 64800 };
+
+const REWARD_SETTINGS = ['autoClaimRewards', 'autoCompound', 'minClaimValueUsd'];
+
+/**
+ * Pool tick at which one `base` is worth `price` `quote`
+ */
+function tickForPrice(base, baseDecimals, quote, quoteDecimals, price) {
+  const tick = Math.round(Math.log(price * 10 ** (quoteDecimals - baseDecimals)) / Math.log(1.0001));
+  return base.address.toLowerCase() < quote.address.toLowerCase() ? tick : -tick;
+}
+
+describe('reward claiming and compounding on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let rewards;
+  let saved;
+  let cbbtc;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    saved = Object.fromEntries(REWARD_SETTINGS.map(key => [key, config[key]]));
+    Object.assign(config, { autoClaimRewards: true, autoCompound: true, minClaimValueUsd: 5 });
+
+    // AERO at $2, quoted and swapped on pools at REWARD_SWAP_TICK_SPACING
+    const { aero, weth, usdc, factory } = bot;
+    const rewardPools = [
+      [usdc, 6, DEFAULT_POOL.liquidity],
+      [weth, 18, 10n ** 21n]
+    ];
+    for (const [token, decimals, liquidity] of rewardPools) {
+      const tick = tickForPrice(aero, 18, token, decimals, token === usdc ? 2 : 1 / 1500);
+      await bot.chain.wait(factory.createPool(aero.address, token.address, config.rewardSwapTickSpacing, DEFAULT_POOL.fee, tick, liquidity));
+      const pool = await factory.getPool(aero.address, token.address, config.rewardSwapTickSpacing);
+      await bot.chain.wait(aero.mint(pool, AERO(1000000)));
+      await bot.chain.wait(token.mint(pool, ethers.parseUnits('1000000', decimals)));
+    }
+
+    cbbtc = await bot.chain.deployUsdcPool('cbBTC', 8, { tick: CBBTC_TICK });
+    config.gauges = [bot.gauge.address, cbbtc.gauge.address];
+
+    rewards = new RewardManager(bot.web3, bot.rebalancer);
+  });
+
+  afterEach(async () => {
+    Object.assign(config, saved);
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  /**
+   * Stake a WETH/USDC and a cbBTC/USDC position, both in range
+   * @returns {Object} - { weth, cbbtc } token ids
+   */
+  async function seedStakedPositions() {
+    const weth = await bot.chain.seedPosition(bot.wallet, RANGE.tickLower, RANGE.tickUpper, WETH(1), USDC(3000), { stake: true });
+
+    const cbbtcIs0 = (await cbbtc.pool.token0()) === cbbtc.token.address;
+    const [token0, token1] = cbbtcIs0 ? [cbbtc.token, bot.usdc] : [bot.usdc, cbbtc.token];
+    const [amount0, amount1] = cbbtcIs0 ? [ethers.parseUnits('0.05', 8), USDC(3000)] : [USDC(3000), ethers.parseUnits('0.05', 8)];
+    const btc = await bot.chain.seedPosition(bot.wallet, CBBTC_RANGE.tickLower, CBBTC_RANGE.tickUpper, amount0, amount1, { stake: true, token0, token1, gauge: cbbtc.gauge });
+
+    return { weth: weth.toString(), cbbtc: btc.toString() };
+  }
+
+  /**
+   * Let a staked position earn `amount` AERO, paid out of its gauge
+   */
+  async function earn(gauge, tokenId, amount) {
+    await bot.chain.wait(bot.aero.mint(gauge.address, amount));
+    await bot.chain.wait(gauge.setReward(tokenId, amount));
+  }
+
+  async function checkPositions() {
+    const positions = await bot.monitor.checkAllPositions(bot.wallet);
+    assert.equal(positions.length, 2);
+    return positions;
+  }
+
+  it('skips the claim while the rewards are worth less than MIN_CLAIM_VALUE_USD', async () => {
+    const ids = await seedStakedPositions();
+    await earn(bot.gauge, ids.weth, AERO(2));
+
+    assert.equal(await rewards.claimAndCompound(await checkPositions()), null);
+    assert.equal(await bot.aero.balanceOf(bot.wallet), 0n);
+    assert.equal(await bot.gauge.earned(bot.wallet, ids.weth), AERO(2), 'still unclaimed');
+
+    config.minClaimValueUsd = 3;
+    const result = await rewards.claimAndCompound(await checkPositions());
+    assert.equal(result.claimed, AERO(2));
+  });
+
+  it('splits the claim between the pools in proportion to what each earned', async () => {
+    const ids = await seedStakedPositions();
+    await earn(bot.gauge, ids.weth, AERO(3));
+    await earn(cbbtc.gauge, ids.cbbtc, AERO(1));
+    const compound = mock.method(rewards, 'compound', async () => ({}));
+
+    const result = await rewards.claimAndCompound(await checkPositions());
+
+    assert.equal(result.claimed, AERO(4));
+    assert.equal(await bot.aero.balanceOf(bot.wallet), AERO(4));
+    const shares = compound.mock.calls.map(call => [call.arguments[0].tokenId, call.arguments[2]]);
+    assert.deepEqual(shares, [[ids.weth, AERO(3)], [ids.cbbtc, AERO(1)]]);
+  });
+
+  it('compounds a pool\'s share into its in-range position', async () => {
+    const ids = await seedStakedPositions();
+    await earn(bot.gauge, ids.weth, AERO(10));
+    const liquidityBefore = (await bot.positionManager.positions(ids.weth)).liquidity;
+
+    const result = await rewards.claimAndCompound(await checkPositions());
+
+    assert.equal(result.compounded.length, 1);
+    assert.equal(result.compounded[0].tokenId, ids.weth);
+    assert.ok((await bot.positionManager.positions(ids.weth)).liquidity > liquidityBefore);
+    assert.deepEqual((await bot.chain.swaps()).map(s => s.tokenIn), [bot.aero.address, bot.aero.address]);
+  });
+
+  it('aborts without compounding when a getReward fails', async () => {
+    const ids = await seedStakedPositions();
+    await earn(bot.gauge, ids.weth, AERO(3));
+    await earn(cbbtc.gauge, ids.cbbtc, AERO(3));
+    await bot.chain.wait(cbbtc.gauge.setFailure(cbbtc.gauge.getReward.fragment.selector, 'gauge paused'));
+    const compound = mock.method(rewards, 'compound');
+
+    await assert.rejects(
+      rewards.claimAndCompound(await checkPositions()),
+      new RegExp(`Failed to claim rewards for position #${ids.cbbtc}: .*gauge paused.*; not compounding`)
+    );
+
+    assert.equal(compound.mock.callCount(), 0);
+    assert.equal(await bot.aero.balanceOf(bot.wallet), AERO(3), 'the first claim stays in the wallet');
+    assert.deepEqual(await bot.chain.swaps(), []);
+  });
+
+  it('leaves the rewards in the wallet when a reward swap fails', async () => {
+    const ids = await seedStakedPositions();
+    await earn(bot.gauge, ids.weth, AERO(10));
+    await bot.chain.wait(bot.router.setFailure('router paused'));
+    const liquidityBefore = (await bot.positionManager.positions(ids.weth)).liquidity;
+    const increaseLiquidity = mock.method(bot.rebalancer, 'increaseLiquidity');
+
+    const result = await rewards.claimAndCompound(await checkPositions());
+
+    assert.equal(result.claimed, AERO(10));
+    assert.deepEqual(result.compounded, []);
+    assert.equal(increaseLiquidity.mock.callCount(), 0);
+    assert.equal(await bot.aero.balanceOf(bot.wallet), AERO(10));
+    assert.equal((await bot.positionManager.positions(ids.weth)).liquidity, liquidityBefore);
+  });
+});
@@ -0,0 +1,166 @@
+require('./support/env');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FailoverProvider } = require('../src/rpcPool');
+
+const ACCOUNT = '0x000000000000000000000000000000000000dEaD';
+const LATEST_BLOCK = '0x64';
+
+function transportError() {
+  return new Error('connect ECONNREFUSED');
+}
+
+/**
+ * Stand-in for an endpoint's JsonRpcProvider: `answer(req)` returns the
+ * result or throws, and every request is recorded
+ */
+function fakeEndpoint(answer) {
+  return {
+    answer,
+    requests: [],
+    async _perform(req) {
+      this.requests.push(req);
+      return this.answer(req);
+    },
+    destroy() {}
+  };
+}
+
+describe('FailoverProvider', () => {
+  let provider;
+
+  afterEach(() => {
+    provider.destroy();
+  });
+
+  function createProvider(fakes, options = {}) {
+    provider = new FailoverProvider(fakes.map((_, i) => `http://rpc${i}.test`), { timeoutMs: 50, cooldownMs: 1000, quorum: 1, ...options });
+    provider.endpoints.forEach((endpoint, i) => {
+      endpoint.provider.destroy();
+      endpoint.provider = fakes[i];
+    });
+    return provider;
+  }
+
+  describe('failover', () => {
+    it('moves on to the next endpoint on transport errors and timeouts', async () => {
+      const refusing = fakeEndpoint(() => { throw transportError(); });
+      const hanging = fakeEndpoint(() => new Promise(() => {}));
+      const healthy = fakeEndpoint(() => LATEST_BLOCK);
+      createProvider([refusing, hanging, healthy]);
+
+      assert.equal(await provider._perform({ method: 'getBlockNumber' }), LATEST_BLOCK);
+
+      const [first, second, third] = provider.getStatus();
+      assert.equal(first.healthy, false);
+      assert.equal(first.lastError, 'connect ECONNREFUSED');
+      assert.equal(second.healthy, false);
+      assert.match(second.lastError, /timed out after 50ms/);
+      assert.equal(third.healthy, true);
+
+      // Endpoints cooling down are asked last
+      await provider._perform({ method: 'getBlockNumber' });
+      assert.deepEqual([refusing, hanging, healthy].map(fake => fake.requests.length), [1, 1, 2]);
+    });
+
+    it('returns a revert from the endpoint that gave it', async () => {
+      const reverting = fakeEndpoint(() => {
+        throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+      });
+      const other = fakeEndpoint(() => '0x');
+      createProvider([reverting, other]);
+
+      await assert.rejects(provider._perform({ method: 'call', transaction: { to: ACCOUNT, data: '0x' } }), { code: 'CALL_EXCEPTION' });
+
+      assert.equal(other.requests.length, 0, 'another endpoint would revert too');
+      assert.equal(provider.getStatus()[0].healthy, true);
+    });
+
+    it('backs off a failing endpoint and takes it back once it answers again', async () => {
+      let down = true;
+      const flaky = fakeEndpoint(() => {
+        if (down) throw transportError();
+        return LATEST_BLOCK;
+      });
+      createProvider([flaky]);
+
+      await assert.rejects(provider._perform({ method: 'getBlockNumber' }), /ECONNREFUSED/);
+      assert.equal(provider.getStatus()[0].cooldownSeconds, 1);
+
+      // The only endpoint is still asked while cooling down, and backs off twice as long
+      await assert.rejects(provider._perform({ method: 'getBlockNumber' }), /ECONNREFUSED/);
+      assert.equal(provider.getStatus()[0].cooldownSeconds, 2);
+
+      down = false;
+      assert.equal(await provider._perform({ method: 'getBlockNumber' }), LATEST_BLOCK);
+      const [status] = provider.getStatus();
+      assert.equal(status.healthy, true);
+      assert.equal(status.cooldownSeconds, 0);
+      assert.equal(status.errors, 2);
+      assert.equal(provider.endpoints[0].failures, 0);
+    });
+  });
+
+  describe('quorum reads', () => {
+    function balanceEndpoint(balance) {
+      return fakeEndpoint(req => (req.method === 'getBlockNumber' ? LATEST_BLOCK : balance));
+    }
+
+    const getBalance = { method: 'getBalance', address: ACCOUNT, blockTag: 'latest' };
+
+    it('answers with the value RPC_QUORUM endpoints agree on, one block back', async () => {
+      const fakes = [balanceEndpoint('0x01'), balanceEndpoint('0x02'), balanceEndpoint('0x01')];
+      createProvider(fakes, { quorum: 2 });
+
+      assert.equal(await provider._perform(getBalance), '0x01');
+
+      const balanceReads = fakes.flatMap(fake => fake.requests.filter(req => req.method === 'getBalance'));
+      assert.equal(balanceReads.length, 3);
+      assert.ok(balanceReads.every(req => req.blockTag === ethers.toQuantity(99)), 'every endpoint read the same block');
+    });
+
+    it('fails when too few endpoints agree', async () => {
+      const down = fakeEndpoint(() => { throw transportError(); });
+      createProvider([balanceEndpoint('0x01'), balanceEndpoint('0x02'), down], { quorum: 2 });
+
+      await assert.rejects(provider._perform(getBalance), /quorum not reached for getBalance: 2 answer\(s\) in 2 group\(s\), 2 matching required/);
+    });
+
+    it('checks pool and position reads, and reads everything else from one endpoint', async () => {
+      const fakes = [balanceEndpoint('0x01'), balanceEndpoint('0x01')];
+      createProvider(fakes, { quorum: 2 });
+      const slot0 = ethers.id('slot0()').slice(0, 10);
+
+      await provider._perform({ method: 'call', transaction: { to: ACCOUNT, data: slot0 } });
+      assert.deepEqual(fakes.map(fake => fake.requests.filter(req => req.method === 'call').length), [1, 1]);
+
+      await provider._perform({ method: 'call', transaction: { to: ACCOUNT, data: ethers.id('fee()').slice(0, 10) } });
+      assert.equal(fakes.reduce((sum, fake) => sum + fake.requests.filter(req => req.method === 'call').length, 0), 3);
+    });
+  });
+
+  describe('broadcast', () => {
+    const signedTransaction = '0x02f86b';
+    const hash = ethers.keccak256(signedTransaction);
+
+    it('sends to the primary and to the others only when it is unreachable', async () => {
+      const primary = fakeEndpoint(() => { throw transportError(); });
+      const backup = fakeEndpoint(() => hash);
+      createProvider([primary, backup]);
+
+      assert.equal(await provider._perform({ method: 'broadcastTransaction', signedTransaction }), hash);
+      assert.equal(primary.requests.length, 1);
+      assert.equal(backup.requests.length, 1);
+    });
+
+    it('treats a transaction the node already has as sent', async () => {
+      const primary = fakeEndpoint(() => { throw new Error('already known'); });
+      const backup = fakeEndpoint(() => hash);
+      createProvider([primary, backup]);
+
+      assert.equal(await provider._perform({ method: 'broadcastTransaction', signedTransaction }), hash);
+      assert.equal(backup.requests.length, 0);
+    });
+  });
+});
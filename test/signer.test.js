@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+const { stateDir } = require('./support/env');
+const config = require('../src/config');
+const { ExternalSigner, loadKeystore } = require('../src/signer');
+const { startStubSigner } = require('../src/stubSigner');
+
+// Well-known development keys (anvil/hardhat accounts #2 and #3)
+const STUB_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+const OTHER_KEY = '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6';
+
+const TX = {
+  to: '0x000000000000000000000000000000000000dEaD',
+  gasLimit: 21000n,
+  value: 1n,
+  nonce: 7,
+  chainId: 8453n,
+  maxFeePerGas: 2000000000n,
+  maxPriorityFeePerGas: 1000000n,
+  data: '0x'
+};
+
+function closeServer(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('ExternalSigner against the stub signer', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubSigner({ port: 0, privateKey: STUB_KEY });
+  });
+
+  after(() => closeServer(stub.server));
+
+  it('uses the signer\'s first account when no address is configured', async () => {
+    const signer = await ExternalSigner.connectTo(stub.url);
+    assert.equal(await signer.getAddress(), stub.address);
+  });
+
+  it('signs transactions, messages and typed data for the configured account', async () => {
+    const signer = await ExternalSigner.connectTo(stub.url, stub.address);
+
+    const raw = await signer.signTransaction(TX);
+    const signed = ethers.Transaction.from(raw);
+    assert.equal(signed.from, stub.address);
+    assert.equal(signed.nonce, 7);
+    assert.equal(signed.to, TX.to);
+
+    const signature = await signer.signMessage('hello');
+    assert.equal(ethers.verifyMessage('hello', signature), stub.address);
+
+    const domain = { name: 'Test', version: '1', chainId: 8453 };
+    const types = { Mail: [{ name: 'contents', type: 'string' }] };
+    const typed = await signer.signTypedData(domain, types, { contents: 'hi' });
+    assert.equal(ethers.verifyTypedData(domain, types, { contents: 'hi' }, typed), stub.address);
+  });
+
+  it('rejects signatures from another account', async () => {
+    const other = new ethers.Wallet(OTHER_KEY);
+    const signer = await ExternalSigner.connectTo(stub.url, other.address);
+
+    await assert.rejects(signer.signTransaction(TX), new RegExp(`signed with ${stub.address}, expected ${other.address}`));
+    await assert.rejects(signer.signMessage('hello'), /invalid message signature/);
+  });
+
+  it('refuses transactions from a different sender', async () => {
+    const signer = await ExternalSigner.connectTo(stub.url, stub.address);
+    const from = new ethers.Wallet(OTHER_KEY).address;
+    await assert.rejects(signer.signTransaction({ ...TX, from }), /cannot be signed by/);
+  });
+});
+
+describe('ExternalSigner timeout', () => {
+  let server;
+  let url;
+  let timeoutMs;
+
+  before(async () => {
+    timeoutMs = config.externalSigner.timeoutMs;
+    config.externalSigner.timeoutMs = 100;
+    // Accepts requests and never answers, like a signer waiting for approval
+    server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    config.externalSigner.timeoutMs = timeoutMs;
+    return closeServer(server);
+  });
+
+  it('gives up after EXTERNAL_SIGNER_TIMEOUT_MS', async () => {
+    const signer = new ExternalSigner(url, new ethers.Wallet(OTHER_KEY).address);
+    const started = Date.now();
+    await assert.rejects(signer.signMessage('hello'), { name: 'TimeoutError' });
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+describe('loadKeystore', () => {
+  const keystorePath = path.join(stateDir, 'keystore.json');
+  const passwordPath = path.join(stateDir, 'keystore-password');
+  const wallet = new ethers.Wallet(OTHER_KEY);
+  let saved;
+
+  before(() => {
+    saved = { keystorePath: config.keystorePath, keystorePasswordFile: config.keystorePasswordFile };
+    // Cheap scrypt parameters; the format is the same as a real keystore's
+    const json = ethers.encryptKeystoreJsonSync(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      'correct horse',
+      { scrypt: { N: 1024 } }
+    );
+    fs.writeFileSync(keystorePath, json);
+    config.keystorePath = keystorePath;
+    config.keystorePasswordFile = passwordPath;
+  });
+
+  after(() => {
+    Object.assign(config, saved);
+  });
+
+  it('decrypts with the password file, ignoring its trailing newline', async () => {
+    fs.writeFileSync(passwordPath, 'correct horse\n');
+    const signer = await loadKeystore(null);
+    assert.equal(signer.address, wallet.address);
+  });
+
+  it('fails on a wrong password', async () => {
+    fs.writeFileSync(passwordPath, 'battery staple\n');
+    await assert.rejects(loadKeystore(null), /incorrect password/);
+  });
+});
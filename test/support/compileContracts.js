@@ -0,0 +1,60 @@
+/**
+ * Compiles the Solidity mocks in ./contracts with solc-js and writes
+ * { [contractName]: { abi, bytecode } } as JSON to the path in argv[2].
+ *
+ * Runs as its own process: soljson installs an unhandledRejection handler
+ * that rethrows, which would take over node:test's error reporting.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACTS_DIR = path.join(__dirname, 'contracts');
+
+function readSources() {
+  const sources = {};
+  for (const file of fs.readdirSync(CONTRACTS_DIR).filter(name => name.endsWith('.sol')).sort()) {
+    sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+  }
+  return sources;
+}
+
+function compile(sources) {
+  const solc = require('solc');
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input), {
+    import: file => fs.existsSync(path.join(CONTRACTS_DIR, file))
+      ? { contents: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') }
+      : { error: `${file} not found` }
+  }));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  const artifacts = {};
+  for (const contracts of Object.values(output.contracts)) {
+    for (const [name, contract] of Object.entries(contracts)) {
+      artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+    }
+  }
+  return artifacts;
+}
+
+module.exports = { CONTRACTS_DIR, readSources };
+
+if (require.main === module) {
+  const artifacts = compile(readSources());
+  fs.mkdirSync(path.dirname(process.argv[2]), { recursive: true });
+  // Test files run in parallel processes; never let one read a half-written cache
+  const partial = `${process.argv[2]}.${process.pid}`;
+  fs.writeFileSync(partial, JSON.stringify(artifacts));
+  fs.renameSync(partial, process.argv[2]);
+}
@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+import {PoolMath} from "./PoolMath.sol";
+
+interface IERC20Minimal {
+    function balanceOf(address owner) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+interface ISwapCallback {
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external;
+}
+
+interface IPositionManagerRegistry {
+    function positionManager() external view returns (address);
+}
+
+/// @notice Slipstream CL pool with a single band of active liquidity: swaps
+/// move the price along x * y = L^2 and never cross a tick. The tokens of
+/// every position are held by the pool and paid out on the position
+/// manager's instruction.
+contract MockCLPool {
+    address public immutable factory;
+    address public immutable token0;
+    address public immutable token1;
+    int24 public immutable tickSpacing;
+    uint24 public immutable fee;
+
+    uint160 private sqrtPriceX96;
+    int24 public tick;
+    uint128 public liquidity;
+    uint128 public stakedLiquidity;
+    uint256 public feeGrowthGlobal0X128;
+    uint256 public feeGrowthGlobal1X128;
+
+    event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick);
+
+    constructor(address token0_, address token1_, int24 tickSpacing_, uint24 fee_, int24 tick_, uint128 liquidity_) {
+        factory = msg.sender;
+        token0 = token0_;
+        token1 = token1_;
+        tickSpacing = tickSpacing_;
+        fee = fee_;
+        liquidity = liquidity_;
+        setTick(tick_);
+    }
+
+    function slot0()
+        external
+        view
+        returns (uint160, int24, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)
+    {
+        return (sqrtPriceX96, tick, 0, 1, 1, true);
+    }
+
+    /// @notice The price has always been where it is now
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = int56(tick) * int56(uint56(block.timestamp - secondsAgos[i]));
+        }
+    }
+
+    /// @notice Output and price after an exact-input swap, without swapping
+    function quote(bool zeroForOne, uint256 amountIn) public view returns (uint256 amountOut, uint160 sqrtPriceAfter) {
+        uint256 amountLessFee = (amountIn * (1e6 - fee)) / 1e6;
+        (sqrtPriceAfter, amountOut) = PoolMath.swapWithinBand(sqrtPriceX96, liquidity, zeroForOne, amountLessFee);
+    }
+
+    /// @notice Exact-input swap (a positive `amountSpecified`); tokenIn is
+    /// collected from the caller's uniswapV3SwapCallback after tokenOut is sent
+    function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes calldata data)
+        external
+        returns (int256 amount0, int256 amount1)
+    {
+        require(amountSpecified > 0, "exact input only");
+        uint256 amountIn = uint256(amountSpecified);
+        (uint256 amountOut, uint160 sqrtPriceAfter) = quote(zeroForOne, amountIn);
+        if (sqrtPriceLimitX96 != 0) {
+            require(zeroForOne ? sqrtPriceAfter >= sqrtPriceLimitX96 : sqrtPriceAfter <= sqrtPriceLimitX96, "SPL");
+        }
+
+        uint256 feeGrowth = PoolMath.mulDiv(amountIn - (amountIn * (1e6 - fee)) / 1e6, 1 << 128, liquidity);
+        if (zeroForOne) {
+            feeGrowthGlobal0X128 += feeGrowth;
+        } else {
+            feeGrowthGlobal1X128 += feeGrowth;
+        }
+        sqrtPriceX96 = sqrtPriceAfter;
+        tick = PoolMath.tickAtSqrtRatio(sqrtPriceAfter);
+
+        (address tokenIn, address tokenOut) = zeroForOne ? (token0, token1) : (token1, token0);
+        (amount0, amount1) = zeroForOne
+            ? (int256(amountIn), -int256(amountOut))
+            : (-int256(amountOut), int256(amountIn));
+
+        IERC20Minimal(tokenOut).transfer(recipient, amountOut);
+        uint256 balanceBefore = IERC20Minimal(tokenIn).balanceOf(address(this));
+        ISwapCallback(msg.sender).uniswapV3SwapCallback(amount0, amount1, data);
+        require(IERC20Minimal(tokenIn).balanceOf(address(this)) >= balanceBefore + amountIn, "IIA");
+
+        emit Swap(msg.sender, recipient, amount0, amount1, sqrtPriceAfter, liquidity, tick);
+    }
+
+    /// @notice Pay out position tokens; only the factory's position manager may
+    function transferOut(address token, address to, uint256 amount) external {
+        require(msg.sender == IPositionManagerRegistry(factory).positionManager(), "not the position manager");
+        IERC20Minimal(token).transfer(to, amount);
+    }
+
+    /// @notice Test hook: move the price to `tick_`
+    function setTick(int24 tick_) public {
+        tick = tick_;
+        sqrtPriceX96 = PoolMath.sqrtRatioAtTick(tick_);
+    }
+
+    /// @notice Test hook: set the active liquidity
+    function setLiquidity(uint128 liquidity_) external {
+        liquidity = liquidity_;
+    }
+
+    /// @notice Test hook: set the gauge-staked share of the active liquidity
+    function setStakedLiquidity(uint128 stakedLiquidity_) external {
+        stakedLiquidity = stakedLiquidity_;
+    }
+}
+
+/// @notice CL factory: creates pools and names the position manager allowed
+/// to pay out of them
+contract MockCLFactory {
+    address public immutable owner;
+    address public positionManager;
+    address[] public allPools;
+    mapping(address => mapping(address => mapping(int24 => address))) public getPool;
+
+    event PoolCreated(address indexed token0, address indexed token1, int24 indexed tickSpacing, address pool);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function setPositionManager(address positionManager_) external {
+        require(msg.sender == owner, "not the owner");
+        positionManager = positionManager_;
+    }
+
+    function createPool(address tokenA, address tokenB, int24 tickSpacing, uint24 fee, int24 tick, uint128 liquidity)
+        external
+        returns (address pool)
+    {
+        require(tokenA != tokenB, "same token");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(getPool[token0][token1][tickSpacing] == address(0), "pool exists");
+
+        pool = address(new MockCLPool(token0, token1, tickSpacing, fee, tick, liquidity));
+        getPool[token0][token1][tickSpacing] = pool;
+        getPool[token1][token0][tickSpacing] = pool;
+        allPools.push(pool);
+        emit PoolCreated(token0, token1, tickSpacing, pool);
+    }
+
+    function allPoolsLength() external view returns (uint256) {
+        return allPools.length;
+    }
+}
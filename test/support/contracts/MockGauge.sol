@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+interface IGaugeToken {
+    function approve(address spender, uint256 amount) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+interface IGaugePool {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+    function tickSpacing() external view returns (int24);
+}
+
+interface IGaugePositionManager {
+    struct IncreaseLiquidityParams {
+        uint256 tokenId;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct DecreaseLiquidityParams {
+        uint256 tokenId;
+        uint128 liquidity;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct CollectParams {
+        uint256 tokenId;
+        address recipient;
+        uint128 amount0Max;
+        uint128 amount1Max;
+    }
+
+    function positions(uint256 tokenId)
+        external
+        view
+        returns (uint96, address, address token0, address token1, int24 tickSpacing, int24, int24, uint128, uint256, uint256, uint128, uint128);
+    function transferFrom(address from, address to, uint256 tokenId) external;
+    function increaseLiquidity(IncreaseLiquidityParams calldata params) external payable returns (uint128, uint256, uint256);
+    function decreaseLiquidity(DecreaseLiquidityParams calldata params) external payable returns (uint256, uint256);
+    function collect(CollectParams calldata params) external payable returns (uint256, uint256);
+}
+
+/// @notice Slipstream CL gauge: holds staked position NFTs per depositor,
+/// manages their liquidity and pays out whatever reward tests assign
+contract MockGauge {
+    address public immutable pool;
+    address public immutable nft;
+    address public immutable rewardToken;
+    address public immutable token0;
+    address public immutable token1;
+    int24 public immutable tickSpacing;
+
+    uint256 public rewardRate;
+    mapping(uint256 => uint256) private rewards;
+    mapping(uint256 => address) private depositors;
+    mapping(address => uint256[]) private staked;
+    mapping(bytes4 => string) private failures;
+
+    modifier failable() {
+        string memory failure = failures[msg.sig];
+        require(bytes(failure).length == 0, failure);
+        _;
+    }
+
+    modifier onlyDepositor(uint256 tokenId) {
+        require(depositors[tokenId] == msg.sender, "NA");
+        _;
+    }
+
+    constructor(address pool_, address nft_, address rewardToken_) {
+        pool = pool_;
+        nft = nft_;
+        rewardToken = rewardToken_;
+        token0 = IGaugePool(pool_).token0();
+        token1 = IGaugePool(pool_).token1();
+        tickSpacing = IGaugePool(pool_).tickSpacing();
+    }
+
+    function stakedLength(address depositor) external view returns (uint256) {
+        return staked[depositor].length;
+    }
+
+    function stakedValues(address depositor) external view returns (uint256[] memory) {
+        return staked[depositor];
+    }
+
+    function stakedContains(address depositor, uint256 tokenId) public view returns (bool) {
+        return depositors[tokenId] == depositor && depositor != address(0);
+    }
+
+    function stakedByIndex(address depositor, uint256 index) external view returns (uint256) {
+        require(index < staked[depositor].length, "Gauge: index out of bounds");
+        return staked[depositor][index];
+    }
+
+    function earned(address account, uint256 tokenId) external view returns (uint256) {
+        return stakedContains(account, tokenId) ? rewards[tokenId] : 0;
+    }
+
+    function deposit(uint256 tokenId) external failable {
+        _deposit(msg.sender, msg.sender, tokenId);
+    }
+
+    function withdraw(uint256 tokenId) external failable onlyDepositor(tokenId) {
+        _payReward(tokenId, msg.sender);
+        _removeStaked(msg.sender, tokenId);
+        IGaugePositionManager(nft).transferFrom(address(this), msg.sender, tokenId);
+    }
+
+    function getReward(uint256 tokenId) external failable onlyDepositor(tokenId) {
+        _payReward(tokenId, msg.sender);
+    }
+
+    /// @notice Adds the caller's tokens to a staked position; what the
+    /// position manager does not take is refunded
+    function increaseStakedLiquidity(
+        uint256 tokenId,
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        uint256 deadline
+    ) external failable onlyDepositor(tokenId) returns (uint128 liquidity, uint256 amount0, uint256 amount1) {
+        IGaugeToken(token0).transferFrom(msg.sender, address(this), amount0Desired);
+        IGaugeToken(token1).transferFrom(msg.sender, address(this), amount1Desired);
+        IGaugeToken(token0).approve(nft, amount0Desired);
+        IGaugeToken(token1).approve(nft, amount1Desired);
+
+        (liquidity, amount0, amount1) = IGaugePositionManager(nft).increaseLiquidity(
+            IGaugePositionManager.IncreaseLiquidityParams({
+                tokenId: tokenId,
+                amount0Desired: amount0Desired,
+                amount1Desired: amount1Desired,
+                amount0Min: amount0Min,
+                amount1Min: amount1Min,
+                deadline: deadline
+            })
+        );
+
+        if (amount0Desired > amount0) IGaugeToken(token0).transfer(msg.sender, amount0Desired - amount0);
+        if (amount1Desired > amount1) IGaugeToken(token1).transfer(msg.sender, amount1Desired - amount1);
+    }
+
+    /// @notice Removes liquidity from a staked position and collects the
+    /// tokens to the depositor
+    function decreaseStakedLiquidity(uint256 tokenId, uint128 liquidityToRemove, uint256 amount0Min, uint256 amount1Min, uint256 deadline)
+        external
+        failable
+        onlyDepositor(tokenId)
+        returns (uint256 amount0, uint256 amount1)
+    {
+        (amount0, amount1) = IGaugePositionManager(nft).decreaseLiquidity(
+            IGaugePositionManager.DecreaseLiquidityParams({
+                tokenId: tokenId,
+                liquidity: liquidityToRemove,
+                amount0Min: amount0Min,
+                amount1Min: amount1Min,
+                deadline: deadline
+            })
+        );
+        IGaugePositionManager(nft).collect(
+            IGaugePositionManager.CollectParams({
+                tokenId: tokenId,
+                recipient: msg.sender,
+                amount0Max: uint128(amount0),
+                amount1Max: uint128(amount1)
+            })
+        );
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    /// @notice Test hook: stake a position the caller owns on `depositor`'s behalf
+    function depositFor(address depositor, uint256 tokenId) external {
+        _deposit(msg.sender, depositor, tokenId);
+    }
+
+    /// @notice Test hook: the reward `tokenId` has earned (paid out of this
+    /// contract's rewardToken balance)
+    function setReward(uint256 tokenId, uint256 amount) external {
+        rewards[tokenId] = amount;
+    }
+
+    /// @notice Test hook: emissions per second
+    function setRewardRate(uint256 rewardRate_) external {
+        rewardRate = rewardRate_;
+    }
+
+    /// @notice Test hook: revert every call to `selector` with `reason` (empty to stop)
+    function setFailure(bytes4 selector, string calldata reason) external {
+        failures[selector] = reason;
+    }
+
+    function _deposit(address from, address depositor, uint256 tokenId) private {
+        (,, address positionToken0, address positionToken1, int24 positionTickSpacing,,,,,,,) = IGaugePositionManager(nft).positions(tokenId);
+        require(positionToken0 == token0 && positionToken1 == token1 && positionTickSpacing == tickSpacing, "PM");
+
+        IGaugePositionManager(nft).transferFrom(from, address(this), tokenId);
+        depositors[tokenId] = depositor;
+        staked[depositor].push(tokenId);
+    }
+
+    function _payReward(uint256 tokenId, address to) private {
+        uint256 amount = rewards[tokenId];
+        if (amount == 0) return;
+        rewards[tokenId] = 0;
+        IGaugeToken(rewardToken).transfer(to, amount);
+    }
+
+    function _removeStaked(address depositor, uint256 tokenId) private {
+        uint256[] storage ids = staked[depositor];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == tokenId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+        delete depositors[tokenId];
+    }
+}
@@ -0,0 +1,362 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+import {PoolMath} from "./PoolMath.sol";
+
+interface IPMToken {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+interface IPMFactory {
+    function getPool(address tokenA, address tokenB, int24 tickSpacing) external view returns (address);
+}
+
+interface IPMPool {
+    function token0() external view returns (address);
+    function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, bool);
+    function transferOut(address token, address to, uint256 amount) external;
+}
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+/// @notice Slipstream NonfungiblePositionManager: enumerable ERC-721
+/// positions whose tokens the pool holds. Amounts and minimums follow the
+/// pool's price and the real contract's rounding; positions do not add to
+/// the pool's active liquidity and earn no swap fees.
+contract MockPositionManager {
+    struct Position {
+        address token0;
+        address token1;
+        int24 tickSpacing;
+        int24 tickLower;
+        int24 tickUpper;
+        uint128 liquidity;
+        uint128 tokensOwed0;
+        uint128 tokensOwed1;
+    }
+
+    struct MintParams {
+        address token0;
+        address token1;
+        int24 tickSpacing;
+        int24 tickLower;
+        int24 tickUpper;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        address recipient;
+        uint256 deadline;
+        uint160 sqrtPriceX96;
+    }
+
+    struct IncreaseLiquidityParams {
+        uint256 tokenId;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct DecreaseLiquidityParams {
+        uint256 tokenId;
+        uint128 liquidity;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct CollectParams {
+        uint256 tokenId;
+        address recipient;
+        uint128 amount0Max;
+        uint128 amount1Max;
+    }
+
+    address public immutable factory;
+
+    uint256 private nextId = 1;
+    mapping(uint256 => Position) private _positions;
+    mapping(uint256 => address) private _owners;
+    mapping(uint256 => address) private _approvals;
+    mapping(address => mapping(address => bool)) private _operators;
+    mapping(address => uint256[]) private _ownedTokens;
+    mapping(uint256 => uint256) private _ownedIndex;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1);
+    event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1);
+    event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1);
+
+    modifier checkDeadline(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction too old");
+        _;
+    }
+
+    modifier isAuthorizedForToken(uint256 tokenId) {
+        address owner = ownerOf(tokenId);
+        require(msg.sender == owner || _approvals[tokenId] == msg.sender || _operators[owner][msg.sender], "Not approved");
+        _;
+    }
+
+    constructor(address factory_) {
+        factory = factory_;
+    }
+
+    // ---------------------------------------------------------------- ERC-721
+
+    function name() external pure returns (string memory) {
+        return "Slipstream Positions NFT-V1";
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        return _ownedTokens[owner].length;
+    }
+
+    function ownerOf(uint256 tokenId) public view returns (address owner) {
+        owner = _owners[tokenId];
+        require(owner != address(0), "ERC721: invalid token ID");
+    }
+
+    function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256) {
+        require(index < _ownedTokens[owner].length, "ERC721Enumerable: owner index out of bounds");
+        return _ownedTokens[owner][index];
+    }
+
+    function getApproved(uint256 tokenId) external view returns (address) {
+        ownerOf(tokenId);
+        return _approvals[tokenId];
+    }
+
+    function isApprovedForAll(address owner, address operator) external view returns (bool) {
+        return _operators[owner][operator];
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        address owner = ownerOf(tokenId);
+        require(msg.sender == owner || _operators[owner][msg.sender], "ERC721: approve caller is not owner");
+        _approvals[tokenId] = to;
+        emit Approval(owner, to, tokenId);
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        _operators[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public isAuthorizedForToken(tokenId) {
+        require(_owners[tokenId] == from, "ERC721: transfer from incorrect owner");
+        require(to != address(0), "ERC721: transfer to the zero address");
+        _removeOwned(from, tokenId);
+        _addOwned(to, tokenId);
+        delete _approvals[tokenId];
+        emit Transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            bytes4 response = IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data);
+            require(response == IERC721Receiver.onERC721Received.selector, "ERC721: transfer to non ERC721Receiver implementer");
+        }
+    }
+
+    // ------------------------------------------------------------- Positions
+
+    function positions(uint256 tokenId)
+        external
+        view
+        returns (
+            uint96 nonce,
+            address operator,
+            address token0,
+            address token1,
+            int24 tickSpacing,
+            int24 tickLower,
+            int24 tickUpper,
+            uint128 liquidity,
+            uint256 feeGrowthInside0LastX128,
+            uint256 feeGrowthInside1LastX128,
+            uint128 tokensOwed0,
+            uint128 tokensOwed1
+        )
+    {
+        Position storage position = _positions[tokenId];
+        require(position.token0 != address(0), "Invalid token ID");
+        operator = _approvals[tokenId];
+        token0 = position.token0;
+        token1 = position.token1;
+        tickSpacing = position.tickSpacing;
+        tickLower = position.tickLower;
+        tickUpper = position.tickUpper;
+        liquidity = position.liquidity;
+        tokensOwed0 = position.tokensOwed0;
+        tokensOwed1 = position.tokensOwed1;
+        (nonce, feeGrowthInside0LastX128, feeGrowthInside1LastX128) = (0, 0, 0);
+    }
+
+    function mint(MintParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        require(params.tickLower < params.tickUpper, "TLU");
+        require(params.tickLower % params.tickSpacing == 0 && params.tickUpper % params.tickSpacing == 0, "TS");
+        address pool = IPMFactory(factory).getPool(params.token0, params.token1, params.tickSpacing);
+        require(pool != address(0), "Pool not found");
+        require(IPMPool(pool).token0() == params.token0, "Tokens out of order");
+
+        Position memory position = Position({
+            token0: params.token0,
+            token1: params.token1,
+            tickSpacing: params.tickSpacing,
+            tickLower: params.tickLower,
+            tickUpper: params.tickUpper,
+            liquidity: 0,
+            tokensOwed0: 0,
+            tokensOwed1: 0
+        });
+        (liquidity, amount0, amount1) = _addLiquidity(
+            position, params.amount0Desired, params.amount1Desired, params.amount0Min, params.amount1Min
+        );
+        position.liquidity = liquidity;
+
+        tokenId = nextId++;
+        _positions[tokenId] = position;
+        _addOwned(params.recipient, tokenId);
+        emit Transfer(address(0), params.recipient, tokenId);
+        emit IncreaseLiquidity(tokenId, liquidity, amount0, amount1);
+    }
+
+    function increaseLiquidity(IncreaseLiquidityParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        Position storage position = _positions[params.tokenId];
+        require(position.token0 != address(0), "Invalid token ID");
+        (liquidity, amount0, amount1) = _addLiquidity(
+            position, params.amount0Desired, params.amount1Desired, params.amount0Min, params.amount1Min
+        );
+        position.liquidity += liquidity;
+        emit IncreaseLiquidity(params.tokenId, liquidity, amount0, amount1);
+    }
+
+    function decreaseLiquidity(DecreaseLiquidityParams calldata params)
+        external
+        payable
+        isAuthorizedForToken(params.tokenId)
+        checkDeadline(params.deadline)
+        returns (uint256 amount0, uint256 amount1)
+    {
+        require(params.liquidity > 0, "Zero liquidity");
+        Position storage position = _positions[params.tokenId];
+        require(position.liquidity >= params.liquidity, "Not enough liquidity");
+
+        (uint160 sqrtPriceX96,,,,,) = IPMPool(_pool(position)).slot0();
+        (amount0, amount1) = PoolMath.amountsForLiquidity(sqrtPriceX96, position.tickLower, position.tickUpper, params.liquidity, false);
+        require(amount0 >= params.amount0Min && amount1 >= params.amount1Min, "Price slippage check");
+
+        position.liquidity -= params.liquidity;
+        position.tokensOwed0 += uint128(amount0);
+        position.tokensOwed1 += uint128(amount1);
+        emit DecreaseLiquidity(params.tokenId, params.liquidity, amount0, amount1);
+    }
+
+    function collect(CollectParams calldata params)
+        external
+        payable
+        isAuthorizedForToken(params.tokenId)
+        returns (uint256 amount0, uint256 amount1)
+    {
+        require(params.amount0Max > 0 || params.amount1Max > 0, "Nothing to collect");
+        Position storage position = _positions[params.tokenId];
+        address recipient = params.recipient == address(0) ? address(this) : params.recipient;
+
+        amount0 = position.tokensOwed0 < params.amount0Max ? position.tokensOwed0 : params.amount0Max;
+        amount1 = position.tokensOwed1 < params.amount1Max ? position.tokensOwed1 : params.amount1Max;
+        position.tokensOwed0 -= uint128(amount0);
+        position.tokensOwed1 -= uint128(amount1);
+
+        address pool = _pool(position);
+        if (amount0 > 0) IPMPool(pool).transferOut(position.token0, recipient, amount0);
+        if (amount1 > 0) IPMPool(pool).transferOut(position.token1, recipient, amount1);
+        emit Collect(params.tokenId, recipient, amount0, amount1);
+    }
+
+    function burn(uint256 tokenId) external payable isAuthorizedForToken(tokenId) {
+        Position storage position = _positions[tokenId];
+        require(position.liquidity == 0 && position.tokensOwed0 == 0 && position.tokensOwed1 == 0, "Not cleared");
+
+        address owner = _owners[tokenId];
+        delete _positions[tokenId];
+        delete _approvals[tokenId];
+        _removeOwned(owner, tokenId);
+        emit Transfer(owner, address(0), tokenId);
+    }
+
+    function multicall(bytes[] calldata data) external payable returns (bytes[] memory results) {
+        results = new bytes[](data.length);
+        for (uint256 i = 0; i < data.length; i++) {
+            (bool success, bytes memory result) = address(this).delegatecall(data[i]);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            results[i] = result;
+        }
+    }
+
+    // --------------------------------------------------------------- Private
+
+    function _pool(Position memory position) private view returns (address) {
+        return IPMFactory(factory).getPool(position.token0, position.token1, position.tickSpacing);
+    }
+
+    /// @dev Liquidity for the desired amounts at the pool price, and the
+    /// (rounded up) amounts it takes, paid by the caller into the pool
+    function _addLiquidity(Position memory position, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min)
+        private
+        returns (uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        address pool = _pool(position);
+        (uint160 sqrtPriceX96,,,,,) = IPMPool(pool).slot0();
+        liquidity = PoolMath.liquidityForAmounts(sqrtPriceX96, position.tickLower, position.tickUpper, amount0Desired, amount1Desired);
+        require(liquidity > 0, "Zero liquidity");
+
+        (amount0, amount1) = PoolMath.amountsForLiquidity(sqrtPriceX96, position.tickLower, position.tickUpper, liquidity, true);
+        require(amount0 >= amount0Min && amount1 >= amount1Min, "Price slippage check");
+
+        if (amount0 > 0) IPMToken(position.token0).transferFrom(msg.sender, pool, amount0);
+        if (amount1 > 0) IPMToken(position.token1).transferFrom(msg.sender, pool, amount1);
+    }
+
+    function _addOwned(address owner, uint256 tokenId) private {
+        _owners[tokenId] = owner;
+        _ownedIndex[tokenId] = _ownedTokens[owner].length;
+        _ownedTokens[owner].push(tokenId);
+    }
+
+    function _removeOwned(address owner, uint256 tokenId) private {
+        uint256[] storage owned = _ownedTokens[owner];
+        uint256 index = _ownedIndex[tokenId];
+        uint256 last = owned[owned.length - 1];
+        owned[index] = last;
+        _ownedIndex[last] = index;
+        owned.pop();
+        delete _ownedIndex[tokenId];
+        delete _owners[tokenId];
+    }
+}
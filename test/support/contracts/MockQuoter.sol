@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+interface IQuoterFactory {
+    function getPool(address tokenA, address tokenB, int24 tickSpacing) external view returns (address);
+}
+
+interface IQuotedPool {
+    function token0() external view returns (address);
+    function quote(bool zeroForOne, uint256 amountIn) external view returns (uint256 amountOut, uint160 sqrtPriceAfter);
+}
+
+/// @notice Slipstream QuoterV2 for single-pool exact-input quotes
+contract MockQuoter {
+    struct QuoteExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        int24 tickSpacing;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    // Gas of a swap that crosses no initialized tick
+    uint256 private constant SWAP_GAS = 100000;
+
+    address public immutable factory;
+
+    constructor(address factory_) {
+        factory = factory_;
+    }
+
+    function quoteExactInputSingle(QuoteExactInputSingleParams memory params)
+        external
+        view
+        returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)
+    {
+        address pool = IQuoterFactory(factory).getPool(params.tokenIn, params.tokenOut, params.tickSpacing);
+        require(pool != address(0), "Quoter: pool not found");
+        bool zeroForOne = params.tokenIn == IQuotedPool(pool).token0();
+        (amountOut, sqrtPriceX96After) = IQuotedPool(pool).quote(zeroForOne, params.amountIn);
+        return (amountOut, sqrtPriceX96After, 0, SWAP_GAS);
+    }
+}
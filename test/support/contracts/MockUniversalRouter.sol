@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+interface IERC20Transfers {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+interface IRouterFactory {
+    function getPool(address tokenA, address tokenB, int24 tickSpacing) external view returns (address);
+}
+
+interface IRoutedPool {
+    function token0() external view returns (address);
+    function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes calldata data)
+        external
+        returns (int256 amount0, int256 amount1);
+}
+
+/// @notice Permit2 allowance transfers: token allowances granted to Permit2
+/// are spent by the spenders the owner approved here
+contract MockPermit2 {
+    struct PackedAllowance {
+        uint160 amount;
+        uint48 expiration;
+        uint48 nonce;
+    }
+
+    mapping(address => mapping(address => mapping(address => PackedAllowance))) public allowance;
+
+    event Approval(address indexed owner, address indexed token, address indexed spender, uint160 amount, uint48 expiration);
+
+    function approve(address token, address spender, uint160 amount, uint48 expiration) external {
+        PackedAllowance storage allowed = allowance[msg.sender][token][spender];
+        allowed.amount = amount;
+        allowed.expiration = expiration == 0 ? uint48(block.timestamp) : expiration;
+        emit Approval(msg.sender, token, spender, amount, expiration);
+    }
+
+    function transferFrom(address from, address to, uint160 amount, address token) external {
+        PackedAllowance storage allowed = allowance[from][token][msg.sender];
+        require(block.timestamp <= allowed.expiration, "AllowanceExpired");
+        if (allowed.amount != type(uint160).max) {
+            require(allowed.amount >= amount, "InsufficientAllowance");
+            allowed.amount -= amount;
+        }
+        IERC20Transfers(token).transferFrom(from, to, amount);
+    }
+}
+
+/// @notice Aerodrome Universal Router, V3_SWAP_EXACT_IN (command 0x00) over a
+/// single Slipstream pool, paid by the caller through Permit2
+contract MockUniversalRouter {
+    uint256 private constant V3_SWAP_EXACT_IN = 0x00;
+    uint256 private constant COMMAND_TYPE_MASK = 0x3f;
+    // Slipstream pools are encoded in the path as 0x100000 + tickSpacing
+    int256 private constant SLIPSTREAM_POOL_PARAM = 0x100000;
+    uint256 private constant SINGLE_POOL_PATH_LENGTH = 43;
+
+    address public immutable PERMIT2;
+    address public immutable factory;
+
+    string private failure;
+
+    /// @notice Emitted for every swap so tests can inspect what was routed
+    event ExactInputSwap(address indexed payer, address tokenIn, address tokenOut, uint256 amountIn, uint256 amountOut, uint256 amountOutMin);
+
+    constructor(address permit2, address factory_) {
+        PERMIT2 = permit2;
+        factory = factory_;
+    }
+
+    function execute(bytes calldata commands, bytes[] calldata inputs, uint256 deadline) external payable {
+        require(block.timestamp <= deadline, "TransactionDeadlinePassed");
+        require(bytes(failure).length == 0, failure);
+        require(commands.length == inputs.length, "LengthMismatch");
+
+        for (uint256 i = 0; i < commands.length; i++) {
+            require(uint8(commands[i]) & COMMAND_TYPE_MASK == V3_SWAP_EXACT_IN, "UniversalRouter: unsupported command");
+            (address recipient, uint256 amountIn, uint256 amountOutMin, bytes memory path, bool payerIsUser,) =
+                abi.decode(inputs[i], (address, uint256, uint256, bytes, bool, bool));
+            require(payerIsUser, "UniversalRouter: payer must be user");
+            swapExactIn(recipient, amountIn, amountOutMin, path);
+        }
+    }
+
+    function swapExactIn(address recipient, uint256 amountIn, uint256 amountOutMin, bytes memory path) private {
+        require(path.length == SINGLE_POOL_PATH_LENGTH, "UniversalRouter: single-pool paths only");
+        address tokenIn = addressAt(path, 0);
+        int24 tickSpacing = int24(int256(uint256(uint24At(path, 20))) - SLIPSTREAM_POOL_PARAM);
+        address tokenOut = addressAt(path, 23);
+
+        address pool = IRouterFactory(factory).getPool(tokenIn, tokenOut, tickSpacing);
+        require(pool != address(0), "UniversalRouter: pool not found");
+
+        bool zeroForOne = tokenIn == IRoutedPool(pool).token0();
+        (int256 amount0, int256 amount1) = IRoutedPool(pool).swap(
+            recipient,
+            zeroForOne,
+            int256(amountIn),
+            0,
+            abi.encode(msg.sender, tokenIn, tokenOut, tickSpacing)
+        );
+        uint256 amountOut = uint256(-(zeroForOne ? amount1 : amount0));
+        require(amountOut >= amountOutMin, "V3TooLittleReceived");
+
+        emit ExactInputSwap(msg.sender, tokenIn, tokenOut, amountIn, amountOut, amountOutMin);
+    }
+
+    /// @notice Pays the pool the swap input out of the payer's Permit2 allowance
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external {
+        (address payer, address tokenIn, address tokenOut, int24 tickSpacing) = abi.decode(data, (address, address, address, int24));
+        require(msg.sender == IRouterFactory(factory).getPool(tokenIn, tokenOut, tickSpacing), "UniversalRouter: not a pool");
+        uint256 amountToPay = uint256(amount0Delta > 0 ? amount0Delta : amount1Delta);
+        MockPermit2(PERMIT2).transferFrom(payer, msg.sender, uint160(amountToPay), tokenIn);
+    }
+
+    /// @notice Test hook: revert every execute() with `reason` (empty to stop)
+    function setFailure(string calldata reason) external {
+        failure = reason;
+    }
+
+    function addressAt(bytes memory data, uint256 start) private pure returns (address value) {
+        assembly {
+            value := shr(96, mload(add(add(data, 32), start)))
+        }
+    }
+
+    function uint24At(bytes memory data, uint256 start) private pure returns (uint24 value) {
+        assembly {
+            value := shr(232, mload(add(add(data, 32), start)))
+        }
+    }
+}
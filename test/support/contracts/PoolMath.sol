@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+/// @notice Tick, sqrt price and liquidity math of a concentrated-liquidity
+/// pool, in the same Q64.96 fixed point and with the same rounding as the
+/// real contracts (TickMath, FullMath, SqrtPriceMath, LiquidityAmounts).
+library PoolMath {
+    uint256 internal constant Q96 = 2 ** 96;
+    int24 internal constant MIN_TICK = -887272;
+    int24 internal constant MAX_TICK = 887272;
+
+    /// @notice sqrt(1.0001^tick) * 2^96
+    function sqrtRatioAtTick(int24 tick) internal pure returns (uint160) {
+        uint256 absTick = tick < 0 ? uint256(-int256(tick)) : uint256(int256(tick));
+        require(absTick <= uint256(int256(MAX_TICK)), "T");
+
+        uint256 ratio = absTick & 0x1 != 0 ? 0xfffcb933bd6fad37aa2d162d1a594001 : 0x100000000000000000000000000000000;
+        if (absTick & 0x2 != 0) ratio = (ratio * 0xfff97272373d413259a46990580e213a) >> 128;
+        if (absTick & 0x4 != 0) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdcc) >> 128;
+        if (absTick & 0x8 != 0) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0) >> 128;
+        if (absTick & 0x10 != 0) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644) >> 128;
+        if (absTick & 0x20 != 0) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0) >> 128;
+        if (absTick & 0x40 != 0) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861) >> 128;
+        if (absTick & 0x80 != 0) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053) >> 128;
+        if (absTick & 0x100 != 0) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4) >> 128;
+        if (absTick & 0x200 != 0) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54) >> 128;
+        if (absTick & 0x400 != 0) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3) >> 128;
+        if (absTick & 0x800 != 0) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9) >> 128;
+        if (absTick & 0x1000 != 0) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825) >> 128;
+        if (absTick & 0x2000 != 0) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5) >> 128;
+        if (absTick & 0x4000 != 0) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7) >> 128;
+        if (absTick & 0x8000 != 0) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6) >> 128;
+        if (absTick & 0x10000 != 0) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9) >> 128;
+        if (absTick & 0x20000 != 0) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604) >> 128;
+        if (absTick & 0x40000 != 0) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98) >> 128;
+        if (absTick & 0x80000 != 0) ratio = (ratio * 0x48a170391f7dc42444e8fa2) >> 128;
+
+        if (tick > 0) ratio = type(uint256).max / ratio;
+        // Q128.128 to Q64.96, rounding up
+        return uint160((ratio >> 32) + (ratio % (1 << 32) == 0 ? 0 : 1));
+    }
+
+    /// @notice Greatest tick whose sqrt ratio is at or below `sqrtPriceX96`
+    /// (a binary search; the real TickMath uses a log2 approximation)
+    function tickAtSqrtRatio(uint160 sqrtPriceX96) internal pure returns (int24) {
+        int24 low = MIN_TICK;
+        int24 high = MAX_TICK;
+        while (low < high) {
+            int24 mid = int24((int256(low) + int256(high) + 1) >> 1);
+            if (sqrtRatioAtTick(mid) <= sqrtPriceX96) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /// @notice floor(a * b / denominator) with a 512-bit intermediate product
+    function mulDiv(uint256 a, uint256 b, uint256 denominator) internal pure returns (uint256 result) {
+        unchecked {
+            uint256 prod0;
+            uint256 prod1;
+            assembly {
+                let mm := mulmod(a, b, not(0))
+                prod0 := mul(a, b)
+                prod1 := sub(sub(mm, prod0), lt(mm, prod0))
+            }
+
+            if (prod1 == 0) {
+                require(denominator > 0, "mulDiv: division by zero");
+                assembly {
+                    result := div(prod0, denominator)
+                }
+                return result;
+            }
+
+            require(denominator > prod1, "mulDiv: overflow");
+
+            uint256 remainder;
+            assembly {
+                remainder := mulmod(a, b, denominator)
+                prod1 := sub(prod1, gt(remainder, prod0))
+                prod0 := sub(prod0, remainder)
+            }
+
+            uint256 twos = denominator & (~denominator + 1);
+            assembly {
+                denominator := div(denominator, twos)
+                prod0 := div(prod0, twos)
+                twos := add(div(sub(0, twos), twos), 1)
+            }
+            prod0 |= prod1 * twos;
+
+            // Inverse of the (now odd) denominator mod 2^256, by Newton-Raphson
+            uint256 inv = (3 * denominator) ^ 2;
+            inv *= 2 - denominator * inv;
+            inv *= 2 - denominator * inv;
+            inv *= 2 - denominator * inv;
+            inv *= 2 - denominator * inv;
+            inv *= 2 - denominator * inv;
+            inv *= 2 - denominator * inv;
+            result = prod0 * inv;
+        }
+    }
+
+    function mulDivRoundingUp(uint256 a, uint256 b, uint256 denominator) internal pure returns (uint256 result) {
+        result = mulDiv(a, b, denominator);
+        if (mulmod(a, b, denominator) > 0) result += 1;
+    }
+
+    function divRoundingUp(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a / b + (a % b > 0 ? 1 : 0);
+    }
+
+    /// @notice token0 for `liquidity` between two sqrt prices
+    function amount0Delta(uint160 sqrtA, uint160 sqrtB, uint128 liquidity, bool roundUp) internal pure returns (uint256) {
+        if (sqrtA > sqrtB) (sqrtA, sqrtB) = (sqrtB, sqrtA);
+        uint256 numerator1 = uint256(liquidity) << 96;
+        uint256 numerator2 = sqrtB - sqrtA;
+        return roundUp
+            ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+            : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+    }
+
+    /// @notice token1 for `liquidity` between two sqrt prices
+    function amount1Delta(uint160 sqrtA, uint160 sqrtB, uint128 liquidity, bool roundUp) internal pure returns (uint256) {
+        if (sqrtA > sqrtB) (sqrtA, sqrtB) = (sqrtB, sqrtA);
+        return roundUp
+            ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+            : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+    }
+
+    /// @notice Token amounts of `liquidity` in [tickLower, tickUpper) at `sqrtPriceX96`
+    function amountsForLiquidity(uint160 sqrtPriceX96, int24 tickLower, int24 tickUpper, uint128 liquidity, bool roundUp)
+        internal
+        pure
+        returns (uint256 amount0, uint256 amount1)
+    {
+        uint160 sqrtA = sqrtRatioAtTick(tickLower);
+        uint160 sqrtB = sqrtRatioAtTick(tickUpper);
+        if (sqrtPriceX96 <= sqrtA) {
+            amount0 = amount0Delta(sqrtA, sqrtB, liquidity, roundUp);
+        } else if (sqrtPriceX96 < sqrtB) {
+            amount0 = amount0Delta(sqrtPriceX96, sqrtB, liquidity, roundUp);
+            amount1 = amount1Delta(sqrtA, sqrtPriceX96, liquidity, roundUp);
+        } else {
+            amount1 = amount1Delta(sqrtA, sqrtB, liquidity, roundUp);
+        }
+    }
+
+    /// @notice Most liquidity the amounts can fund in [tickLower, tickUpper) at `sqrtPriceX96`
+    function liquidityForAmounts(uint160 sqrtPriceX96, int24 tickLower, int24 tickUpper, uint256 amount0, uint256 amount1)
+        internal
+        pure
+        returns (uint128)
+    {
+        uint160 sqrtA = sqrtRatioAtTick(tickLower);
+        uint160 sqrtB = sqrtRatioAtTick(tickUpper);
+        uint256 liquidity;
+        if (sqrtPriceX96 <= sqrtA) {
+            liquidity = liquidityForAmount0(sqrtA, sqrtB, amount0);
+        } else if (sqrtPriceX96 < sqrtB) {
+            uint256 liquidity0 = liquidityForAmount0(sqrtPriceX96, sqrtB, amount0);
+            uint256 liquidity1 = liquidityForAmount1(sqrtA, sqrtPriceX96, amount1);
+            liquidity = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+        } else {
+            liquidity = liquidityForAmount1(sqrtA, sqrtB, amount1);
+        }
+        require(liquidity <= type(uint128).max, "liquidity overflow");
+        return uint128(liquidity);
+    }
+
+    function liquidityForAmount0(uint160 sqrtA, uint160 sqrtB, uint256 amount0) private pure returns (uint256) {
+        return mulDiv(amount0, mulDiv(sqrtA, sqrtB, Q96), sqrtB - sqrtA);
+    }
+
+    function liquidityForAmount1(uint160 sqrtA, uint160 sqrtB, uint256 amount1) private pure returns (uint256) {
+        return mulDiv(amount1, Q96, sqrtB - sqrtA);
+    }
+
+    /// @notice Exact-input swap within one band of `liquidity`: the price after
+    /// the swap and the output, for `amountIn` already net of the pool fee
+    function swapWithinBand(uint160 sqrtPriceX96, uint128 liquidity, bool zeroForOne, uint256 amountIn)
+        internal
+        pure
+        returns (uint160 sqrtPriceAfter, uint256 amountOut)
+    {
+        require(liquidity > 0, "no liquidity");
+        if (zeroForOne) {
+            // token0 in: sqrtP' = L * sqrtP / (L + amountIn * sqrtP), rounded up
+            uint256 numerator = uint256(liquidity) << 96;
+            sqrtPriceAfter = uint160(mulDivRoundingUp(numerator, sqrtPriceX96, numerator + amountIn * sqrtPriceX96));
+            amountOut = amount1Delta(sqrtPriceAfter, sqrtPriceX96, liquidity, false);
+        } else {
+            // token1 in: sqrtP' = sqrtP + amountIn / L, rounded down
+            sqrtPriceAfter = uint160(sqrtPriceX96 + mulDiv(amountIn, Q96, liquidity));
+            amountOut = amount0Delta(sqrtPriceX96, sqrtPriceAfter, liquidity, false);
+        }
+    }
+}
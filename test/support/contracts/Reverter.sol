@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.28;
+
+/// @notice Reverts every call, for contracts that should be unusable
+contract Reverter {
+    fallback() external payable {
+        revert("Reverter: always reverts");
+    }
+}
@@ -0,0 +1,219 @@
+// Hardhat dev chain with the Solidity mocks of the Aerodrome contracts the
+// bot talks to (./contracts), served over JSON-RPC on a random local port.
+// One chain per test process: the contracts are deployed once and every
+// reset() reverts to the state right after deployment.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ethers } = require('ethers');
+const { readSources } = require('./compileContracts');
+
+process.env.HARDHAT_CONFIG = path.join(__dirname, 'hardhat.config.js');
+
+const CACHE_DIR = path.join(__dirname, '../../node_modules/.cache/test-contracts');
+
+// Slipstream pool defaults: ~3000 USDC per WETH; ~100 WETH of active
+// liquidity, so 1 WETH moves the price ~2%
+const DEFAULT_POOL = { tickSpacing: 100, fee: 500, tick: -196230, liquidity: 5500000000000000n };
+
+/**
+ * Compiled artifacts of ./contracts, rebuilt when a source changes
+ * @returns {Object} - { [contractName]: { abi, bytecode } }
+ */
+function loadArtifacts() {
+  const { version } = require('solc/package.json');
+  const hash = crypto.createHash('sha256').update(version).update(JSON.stringify(readSources())).digest('hex').slice(0, 16);
+  const file = path.join(CACHE_DIR, `${hash}.json`);
+  if (!fs.existsSync(file)) {
+    execFileSync(process.execPath, [path.join(__dirname, 'compileContracts.js'), file], { stdio: 'inherit' });
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+class DevChain {
+  constructor(hre, server, url) {
+    this.hre = hre;
+    this.server = server;
+    this.url = url;
+    this.artifacts = loadArtifacts();
+    this.provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    this.deployer = null;
+    this.contracts = null;
+    this.snapshotId = null;
+  }
+
+  /**
+   * Start the Hardhat network and its JSON-RPC server
+   * @returns {DevChain}
+   */
+  static async start() {
+    const hre = require('hardhat');
+    const { TASK_NODE_CREATE_SERVER } = require('hardhat/builtin-tasks/task-names');
+    const server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: '127.0.0.1', port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+
+    const chain = new DevChain(hre, server, `http://127.0.0.1:${port}`);
+    chain.deployer = await chain.provider.getSigner(0);
+    chain.contracts = await chain.deployAerodrome();
+    chain.snapshotId = await chain.send('evm_snapshot');
+    return chain;
+  }
+
+  send(method, params = []) {
+    return this.provider.send(method, params);
+  }
+
+  /**
+   * Deploy a contract from ./contracts, signed by the deployer
+   * @returns {Contract} - Connected to the deployer, with its `address`
+   */
+  async deploy(name, ...args) {
+    const { abi, bytecode } = this.artifacts[name];
+    const contract = await new ethers.ContractFactory(abi, bytecode, this.deployer).deploy(...args);
+    await contract.waitForDeployment();
+    contract.address = await contract.getAddress();
+    return contract;
+  }
+
+  /**
+   * Contract from ./contracts already deployed at `address`
+   */
+  at(name, address) {
+    const contract = new ethers.Contract(address, this.artifacts[name].abi, this.deployer);
+    contract.address = address;
+    return contract;
+  }
+
+  /**
+   * WETH/USDC-like pool (18/6 decimals) with its gauge and the periphery
+   * contracts, like the bot's Base deployment. WETH is deployed first so it
+   * sorts below USDC and is token0.
+   */
+  async deployAerodrome() {
+    const weth = await this.deploy('MockERC20', 'WETH', 18);
+    const usdc = await this.deploy('MockERC20', 'USDC', 6);
+    const aero = await this.deploy('MockERC20', 'AERO', 18);
+    const factory = await this.deploy('MockCLFactory');
+
+    const { tickSpacing, fee, tick, liquidity } = DEFAULT_POOL;
+    await this.wait(factory.createPool(weth.address, usdc.address, tickSpacing, fee, tick, liquidity));
+    const pool = this.at('MockCLPool', await factory.getPool(weth.address, usdc.address, tickSpacing));
+    // Reserves the pool pays swaps and withdrawals out of
+    await this.wait(weth.mint(pool.address, ethers.parseEther('1000000')));
+    await this.wait(usdc.mint(pool.address, ethers.parseUnits('1000000000', 6)));
+
+    const quoter = await this.deploy('MockQuoter', factory.address);
+    const permit2 = await this.deploy('MockPermit2');
+    const router = await this.deploy('MockUniversalRouter', permit2.address, factory.address);
+    const positionManager = await this.deploy('MockPositionManager', factory.address);
+    await this.wait(factory.setPositionManager(positionManager.address));
+    const gauge = await this.deploy('MockGauge', pool.address, positionManager.address, aero.address);
+
+    return { weth, usdc, aero, factory, pool, quoter, permit2, router, positionManager, gauge };
+  }
+
+  /**
+   * Another pool pairing a new token with USDC, with its own gauge
+   * (gone again after the next reset())
+   * @param {Object} options - { tick, liquidity } of the new pool
+   * @returns {Object} - { token, pool, gauge }
+   */
+  async deployUsdcPool(symbol, decimals, { tick, liquidity = DEFAULT_POOL.liquidity }) {
+    const { usdc, aero, factory, positionManager } = this.contracts;
+    const token = await this.deploy('MockERC20', symbol, decimals);
+    const { tickSpacing, fee } = DEFAULT_POOL;
+    await this.wait(factory.createPool(token.address, usdc.address, tickSpacing, fee, tick, liquidity));
+    const pool = this.at('MockCLPool', await factory.getPool(token.address, usdc.address, tickSpacing));
+    await this.wait(token.mint(pool.address, ethers.parseUnits('1000000000', decimals)));
+    await this.wait(usdc.mint(pool.address, ethers.parseUnits('1000000000', 6)));
+    const gauge = await this.deploy('MockGauge', pool.address, positionManager.address, aero.address);
+    return { token, pool, gauge };
+  }
+
+  /**
+   * Revert to the freshly deployed contracts and move the pool
+   * @param {Object} options - { tick, liquidity }
+   */
+  async reset(options = {}) {
+    await this.send('evm_revert', [this.snapshotId]);
+    // Hardhat drops a snapshot once reverted to
+    this.snapshotId = await this.send('evm_snapshot');
+    await this.send('evm_setAutomine', [true]);
+
+    const { pool } = this.contracts;
+    if (options.tick !== undefined) await this.wait(pool.setTick(options.tick));
+    if (options.liquidity !== undefined) await this.wait(pool.setLiquidity(BigInt(options.liquidity)));
+  }
+
+  /**
+   * Send a contract transaction and wait for it to be mined
+   */
+  async wait(txPromise) {
+    const tx = await txPromise;
+    return tx.wait();
+  }
+
+  /**
+   * Mint a position for `owner` funded by the deployer, optionally staking
+   * it in the gauge on the owner's behalf. Defaults to the WETH/USDC pool;
+   * pass `token0`, `token1` and `gauge` for a pool from deployUsdcPool.
+   * @returns {bigint} - Token id
+   */
+  async seedPosition(owner, tickLower, tickUpper, amount0, amount1, options = {}) {
+    const { weth, usdc, positionManager } = this.contracts;
+    const { stake = false, token0 = weth, token1 = usdc, gauge = this.contracts.gauge } = options;
+    const from = await this.deployer.getAddress();
+    await this.wait(token0.mint(from, amount0));
+    await this.wait(token1.mint(from, amount1));
+    await this.wait(token0.approve(positionManager.address, ethers.MaxUint256));
+    await this.wait(token1.approve(positionManager.address, ethers.MaxUint256));
+
+    const receipt = await this.wait(positionManager.mint({
+      token0: token0.address,
+      token1: token1.address,
+      tickSpacing: DEFAULT_POOL.tickSpacing,
+      tickLower,
+      tickUpper,
+      amount0Desired: amount0,
+      amount1Desired: amount1,
+      amount0Min: 0n,
+      amount1Min: 0n,
+      recipient: stake ? from : owner,
+      deadline: ethers.MaxUint256,
+      sqrtPriceX96: 0n
+    }));
+    const { tokenId } = positionManager.interface.parseLog(receipt.logs.find(log => log.address === positionManager.address)).args;
+
+    if (stake) {
+      await this.wait(positionManager.approve(gauge.address, tokenId));
+      await this.wait(gauge.depositFor(owner, tokenId));
+    }
+    return tokenId;
+  }
+
+  /**
+   * Swaps routed through the Universal Router since the last reset()
+   * @returns {Array} - [{ payer, tokenIn, tokenOut, amountIn, amountOut, amountOutMin }]
+   */
+  async swaps() {
+    const { router } = this.contracts;
+    const events = await router.queryFilter(router.filters.ExactInputSwap());
+    return events.map(({ args }) => ({
+      payer: args.payer,
+      tokenIn: args.tokenIn,
+      tokenOut: args.tokenOut,
+      amountIn: args.amountIn,
+      amountOut: args.amountOut,
+      amountOutMin: args.amountOutMin
+    }));
+  }
+
+  async stop() {
+    this.provider.destroy();
+    await this.server.close();
+  }
+}
+
+module.exports = { DevChain, DEFAULT_POOL };
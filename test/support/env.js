@@ -0,0 +1,40 @@
+// Test environment. Required before anything from src/, since src/config.js
+// reads the environment (and .env, which never overrides these) once on load.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autobalancer-test-'));
+
+Object.assign(process.env, {
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'error',
+  LOG_FILE: '',
+  CONFIG_FILE: '',
+  DRY_RUN: 'false',
+  SIGNER_TYPE: 'key',
+  // Well-known development key (anvil/hardhat account #1); never funded on a real chain
+  PRIVATE_KEY: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  BASE_RPC_URL: 'http://127.0.0.1:8545',
+  BASE_RPC_URLS: '',
+  METRICS_ENABLED: 'false',
+  CONTROL_API_ENABLED: 'false',
+  CONFIG_HOT_RELOAD: 'false',
+  PRICE_HISTORY: 'false',
+  NOTIFY_WEBHOOK_URL: '',
+  NOTIFY_TELEGRAM_BOT_TOKEN: '',
+  NOTIFY_TELEGRAM_CHAT_ID: '',
+  NOTIFY_DISCORD_WEBHOOK_URL: '',
+  SWAP_ROUTERS: 'aerodrome',
+  REBALANCE_JOURNAL_PATH: path.join(stateDir, 'rebalance-journal.json'),
+  REBALANCE_STATE_PATH: path.join(stateDir, 'rebalance-state.json'),
+  RANGE_ORDER_STATE_PATH: path.join(stateDir, 'range-orders.json'),
+  PRICE_HISTORY_DIR: path.join(stateDir, 'history')
+});
+
+process.on('exit', () => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+// Expected failures log errors; keep the test output readable unless asked for logs
+require('../../src/logger').silent = !process.env.TEST_LOG_LEVEL;
+
+module.exports = { stateDir };
@@ -0,0 +1,18 @@
+// Hardhat network for the integration tests (see devChain.js). Only the
+// in-process network is used; the mocks in ./contracts are compiled with
+// solc-js by compileContracts.js, so Hardhat never downloads a compiler.
+
+const path = require('path');
+
+module.exports = {
+  networks: {
+    hardhat: {
+      // Base mainnet's chain id, which the bot expects
+      chainId: 8453,
+      initialBaseFeePerGas: 10000000
+    }
+  },
+  paths: {
+    cache: path.join(__dirname, '../../node_modules/.cache/hardhat')
+  }
+};
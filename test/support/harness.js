@@ -0,0 +1,91 @@
+// Runs the bot's own Web3Manager, PositionMonitor and Rebalancer against a
+// Hardhat dev chain (devChain.js): the config is pointed at the mock
+// contracts and the chain's JSON-RPC endpoint, everything else is the
+// production code path.
+
+require('./env');
+const { after } = require('node:test');
+const config = require('../../src/config');
+const { Web3Manager } = require('../../src/web3');
+const { Rebalancer } = require('../../src/rebalancer');
+const { PositionMonitor } = require('../../src/monitor');
+const { DevChain } = require('./devChain');
+
+let chainPromise = null;
+
+after(async () => {
+  if (chainPromise) await (await chainPromise).stop();
+});
+
+/**
+ * Make the rebalancer's fixed settle delays (`delay(ms)`, which sleeps on a
+ * bare Promise resolve) return immediately. Timers with a callback of their
+ * own (RPC and receipt timeouts) keep their real duration.
+ * @returns {Function} - Restores the real setTimeout
+ */
+function skipSettleDelays() {
+  const realSetTimeout = global.setTimeout;
+  global.setTimeout = function (callback, ms, ...args) {
+    const isBareResolve = typeof callback === 'function' && callback.name === '' && /\[native code\]/.test(Function.prototype.toString.call(callback));
+    return realSetTimeout(callback, isBareResolve ? 0 : ms, ...args);
+  };
+  return () => { global.setTimeout = realSetTimeout; };
+}
+
+/**
+ * The test process's dev chain, started on first use
+ * @returns {DevChain}
+ */
+function getChain() {
+  if (!chainPromise) chainPromise = DevChain.start();
+  return chainPromise;
+}
+
+/**
+ * Reset the dev chain to freshly deployed contracts and connect the bot
+ * @param {Object} options - Pool options for DevChain.reset ({ tick, liquidity })
+ * @returns {Object} - Mock contracts plus { chain, web3, rebalancer, monitor, wallet, stop }
+ */
+async function startBot(options = {}) {
+  const chain = await getChain();
+  await chain.reset(options);
+  const contracts = chain.contracts;
+
+  const pool = config.pools[0];
+  Object.assign(config, {
+    baseRpcUrls: [chain.url],
+    dryRun: false,
+    swapRouters: ['aerodrome'],
+    gaugeFactories: [],
+    pools: [{ ...pool, gaugeAddress: contracts.gauge.address }],
+    gauges: [contracts.gauge.address],
+    aerodrome: {
+      ...config.aerodrome,
+      positionManager: contracts.positionManager.address,
+      altPositionManager: contracts.positionManager.address,
+      universalRouter: contracts.router.address,
+      quoter: contracts.quoter.address,
+      factory: contracts.factory.address
+    },
+    tokens: { ...config.tokens, WETH: contracts.weth.address, USDC: contracts.usdc.address, AERO: contracts.aero.address }
+  });
+
+  const web3 = await new Web3Manager().initialize();
+  const rebalancer = new Rebalancer(web3);
+  const monitor = new PositionMonitor(web3);
+
+  return {
+    chain,
+    ...contracts,
+    web3,
+    rebalancer,
+    monitor,
+    wallet: web3.wallet.address,
+    async stop() {
+      web3.txSupervisor.stop();
+      web3.provider.destroy();
+    }
+  };
+}
+
+module.exports = { startBot, getChain, skipSettleDelays };
@@ -0,0 +1,33 @@
+// Swap adapter with a fixed exchange rate, for exercising SwapRouter's route
+// selection without an aggregator. Tests inject it through the SwapRouter
+// `adapters` argument; it is not selectable through SWAP_ROUTERS.
+
+class MockSwapAdapter {
+  /**
+   * @param {Object} options - { name, rate (tokenOut raw units per tokenIn raw unit), gasEstimate, routerAddress }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.rate = options.rate ?? 1;
+    this.gasEstimate = BigInt(options.gasEstimate ?? 150000);
+    this.routerAddress = options.routerAddress;
+  }
+
+  async quote(request) {
+    const scaled = BigInt(Math.round(this.rate * 1e9));
+    return {
+      amountOut: (BigInt(request.amountIn) * scaled) / 1000000000n,
+      gasEstimate: this.gasEstimate
+    };
+  }
+
+  async buildSwap() {
+    return {
+      txRequest: { to: this.routerAddress, data: '0x', value: 0n },
+      spender: this.routerAddress,
+      permit2: false
+    };
+  }
+}
+
+module.exports = { MockSwapAdapter };
@@ -0,0 +1,144 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { getAmountsForLiquidity, sqrtPriceX96ToSqrtPrice } = require('../src/liquidityMath');
+const { SwapRouter, AerodromeDirectAdapter } = require('../src/swapRouter');
+const { MockSwapAdapter } = require('./support/mockSwapAdapter');
+
+const WETH = (n) => ethers.parseEther(String(n));
+
+// In range at the start tick (~3000 USDC/WETH)
+const RANGE = { tickLower: -196800, tickUpper: -195600 };
+
+describe('swaps on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let notifications;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    notifications = [];
+    mock.method(notifier, 'notify', (type, event) => notifications.push({ type, ...event }));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  /**
+   * Signed imbalance of the balances after swapping `amountIn` WETH against
+   * the range's ratio at the post-swap price (0 = exact match)
+   */
+  async function imbalanceAfterSwap(balance0, amountIn) {
+    const { amountOut, sqrtPriceX96After } = await quoteWeth(amountIn);
+    const unit = getAmountsForLiquidity(sqrtPriceX96ToSqrtPrice(sqrtPriceX96After), RANGE.tickLower, RANGE.tickUpper, 1e18);
+    const have = Number(amountOut) * unit.amount0;
+    const need = Number(balance0 - amountIn) * unit.amount1;
+    return (have - need) / (have + need);
+  }
+
+  function quoteWeth(amountIn) {
+    return bot.quoter.quoteExactInputSingle.staticCall({
+      tokenIn: bot.weth.address,
+      tokenOut: bot.usdc.address,
+      amountIn,
+      tickSpacing: 100,
+      sqrtPriceLimitX96: 0n
+    });
+  }
+
+  function mintWeth(amount) {
+    return bot.chain.wait(bot.weth.mint(bot.wallet, amount));
+  }
+
+  function solve(initialAmountIn) {
+    return bot.rebalancer.solveSwapAmount({
+      poolAddress: bot.pool.address,
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      ...RANGE,
+      amount0: WETH(10),
+      amount1: 0n,
+      zeroForOne: true,
+      initialAmountIn
+    });
+  }
+
+  describe('solveSwapAmount', () => {
+    it('converges on the post-swap ratio where the spot estimate misses it', async () => {
+      // Spot-price sizing: the token1 share of the range's value at the current price
+      const sqrtPrice = sqrtPriceX96ToSqrtPrice((await bot.pool.slot0())[0]);
+      const unit = getAmountsForLiquidity(sqrtPrice, RANGE.tickLower, RANGE.tickUpper, 1e18);
+      const share1 = unit.amount1 / (unit.amount1 + unit.amount0 * sqrtPrice ** 2);
+      const spotEstimate = (WETH(10) * BigInt(Math.round(share1 * 1e6))) / 1000000n;
+
+      const amountIn = await solve(spotEstimate);
+
+      assert.ok(Math.abs(await imbalanceAfterSwap(WETH(10), amountIn)) <= config.swapSolverTolerance);
+      assert.ok(Math.abs(await imbalanceAfterSwap(WETH(10), spotEstimate)) > config.swapSolverTolerance * 5);
+    });
+
+    it('falls back to the spot estimate when quoting fails', async () => {
+      mock.method(bot.rebalancer, 'quoteSwap', async () => { throw new Error('quoter down'); });
+      assert.equal(await solve(WETH(4)), WETH(4));
+    });
+  });
+
+  describe('swapTokens', () => {
+    it('spends exactly the input and receives the quoted output', async () => {
+      await mintWeth(WETH(1));
+      const expected = (await quoteWeth(WETH(0.5))).amountOut;
+
+      const receipt = await bot.rebalancer.swapTokens(bot.weth.address, bot.usdc.address, WETH(0.5).toString(), bot.pool.address);
+
+      assert.ok(receipt && receipt.hash);
+      assert.equal(await bot.weth.balanceOf(bot.wallet), WETH(0.5));
+      assert.equal(await bot.usdc.balanceOf(bot.wallet), expected);
+      const [swap] = await bot.chain.swaps();
+      assert.equal(swap.amountIn, WETH(0.5));
+      assert.equal(swap.amountOutMin, (expected * BigInt(10000 - config.slippageBps)) / 10000n);
+    });
+
+    it('takes the route with the best output among the adapters', async () => {
+      await mintWeth(WETH(1));
+      const rejecting = await bot.chain.deploy('Reverter');
+      bot.rebalancer.swapRouter = new SwapRouter(bot.rebalancer, [
+        new AerodromeDirectAdapter(bot.rebalancer),
+        new MockSwapAdapter({ rate: 1000e-12, routerAddress: rejecting.address })
+      ]);
+
+      const receipt = await bot.rebalancer.swapTokens(bot.weth.address, bot.usdc.address, WETH(0.5).toString(), bot.pool.address);
+
+      assert.ok(receipt);
+      assert.equal((await bot.chain.swaps()).length, 1, 'swapped through the Aerodrome router');
+    });
+
+    it('returns null and notifies when the chosen router reverts', async () => {
+      await mintWeth(WETH(1));
+      const rejecting = await bot.chain.deploy('Reverter');
+      bot.rebalancer.swapRouter = new SwapRouter(bot.rebalancer, [
+        new MockSwapAdapter({ name: 'mock', rate: 5000e-12, routerAddress: rejecting.address })
+      ]);
+
+      const receipt = await bot.rebalancer.swapTokens(bot.weth.address, bot.usdc.address, WETH(0.5).toString(), bot.pool.address);
+
+      assert.equal(receipt, null);
+      assert.equal(await bot.weth.balanceOf(bot.wallet), WETH(1));
+      const failed = notifications.find(n => n.type === 'swap_failed');
+      assert.ok(failed, 'swap_failed notified');
+      assert.equal(failed.fields.router, 'mock');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const { notifier } = require('../src/notifier');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+// An unstaked position around the start tick (~3000 USDC/WETH)
+const RANGE = { tickLower: -196800, tickUpper: -195600 };
+
+describe('top-up on the dev chain', () => {
+  let restoreTimers;
+  let bot;
+  let tokenId;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+    tokenId = (await bot.chain.seedPosition(bot.wallet, RANGE.tickLower, RANGE.tickUpper, WETH(1), USDC(3000))).toString();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  async function checkPosition() {
+    const [position] = await bot.monitor.checkAllPositions(bot.wallet);
+    assert.equal(position.tokenId, tokenId);
+    assert.equal(position.isInRange, true);
+    return position;
+  }
+
+  async function liquidityOf(id) {
+    return (await bot.positionManager.positions(id)).liquidity;
+  }
+
+  async function fundWallet(amount0, amount1) {
+    await bot.chain.wait(bot.weth.mint(bot.wallet, amount0));
+    await bot.chain.wait(bot.usdc.mint(bot.wallet, amount1));
+  }
+
+  it('uses only the pool\'s share of tokens other pools hold too', async () => {
+    await fundWallet(WETH(2), USDC(6000));
+    const position = await checkPosition();
+    const liquidityBefore = await liquidityOf(tokenId);
+
+    const result = await bot.rebalancer.topUpPosition(position, {}, { token0: 2, token1: 2 });
+
+    assert.ok(result, 'topped up');
+    assert.ok(await liquidityOf(tokenId) > liquidityBefore);
+    // Roughly half of each token is left for the other pool
+    const left0 = await bot.weth.balanceOf(bot.wallet);
+    const left1 = await bot.usdc.balanceOf(bot.wallet);
+    assert.ok(left0 >= WETH(0.9) && left0 <= WETH(1.1), `WETH left ${ethers.formatEther(left0)}`);
+    assert.ok(left1 >= USDC(2700) && left1 <= USDC(3300), `USDC left ${ethers.formatUnits(left1, 6)}`);
+  });
+
+  it('adds amounts off the range\'s ratio without tripping the slippage minimums', async () => {
+    // Far more WETH than the USDC can pair with; a huge swap threshold keeps it unswapped
+    await fundWallet(WETH(3), USDC(1000));
+    const position = await checkPosition();
+    const liquidityBefore = await liquidityOf(tokenId);
+
+    const result = await bot.rebalancer.topUpPosition(position, { minSwapValueUsdc: 1e9 });
+
+    assert.ok(result, 'topped up');
+    assert.equal((await bot.chain.swaps()).length, 0);
+    assert.ok(await liquidityOf(tokenId) > liquidityBefore);
+    assert.ok(result.amount0 < WETH(3), 'the excess WETH stays in the wallet');
+  });
+
+  it('leaves funds withdrawn by an unfinished rebalance alone', async () => {
+    await fundWallet(WETH(1), USDC(3000));
+    const balance0 = await bot.weth.balanceOf(bot.wallet);
+    const balance1 = await bot.usdc.balanceOf(bot.wallet);
+    const position = await checkPosition();
+    bot.rebalancer.pendingRebalance = {
+      tokenId: '99',
+      token0: bot.weth.address,
+      token1: bot.usdc.address,
+      walletBaseline0: '0',
+      walletBaseline1: '0',
+      stage: 'swapping'
+    };
+
+    try {
+      assert.equal(await bot.rebalancer.topUpPosition(position), null);
+    } finally {
+      bot.rebalancer.pendingRebalance = null;
+    }
+    assert.equal(await bot.weth.balanceOf(bot.wallet), balance0);
+    assert.equal(await bot.usdc.balanceOf(bot.wallet), balance1);
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot } = require('./support/harness');
+const config = require('../src/config');
+const { TxSupervisor, SupervisedNonceManager } = require('../src/txSupervisor');
+
+const GWEI = (n) => ethers.parseUnits(String(n), 'gwei');
+
+const SUPERVISOR_SETTINGS = ['txStuckAfterMs', 'txMaxSpeedUps', 'txAutoCancel', 'txFeeBumpPercent', 'maxGasPrice'];
+
+describe('TxSupervisor.getReplacementFees', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(SUPERVISOR_SETTINGS.map(key => [key, config[key]]));
+    Object.assign(config, { txFeeBumpPercent: 25, maxGasPrice: 100 });
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+  });
+
+  function supervisorWithFees(feeData) {
+    return new TxSupervisor({ getFeeData: async () => feeData });
+  }
+
+  const entry = { nonce: 7, request: { maxFeePerGas: GWEI(1), maxPriorityFeePerGas: GWEI(0.1) } };
+
+  it('bumps both fees by TX_FEE_BUMP_PERCENT', async () => {
+    const fees = await supervisorWithFees({}).getReplacementFees(entry);
+    assert.deepEqual(fees, { maxFeePerGas: GWEI(1.25), maxPriorityFeePerGas: GWEI(0.125) });
+  });
+
+  it('bumps by at least the 10% nodes require', async () => {
+    config.txFeeBumpPercent = 5;
+    const fees = await supervisorWithFees({}).getReplacementFees(entry);
+    assert.equal(fees.maxFeePerGas, GWEI(1.1));
+  });
+
+  it('never goes below current network fees', async () => {
+    const fees = await supervisorWithFees({ maxFeePerGas: GWEI(3), maxPriorityFeePerGas: GWEI(0.5) }).getReplacementFees(entry);
+    assert.deepEqual(fees, { maxFeePerGas: GWEI(3), maxPriorityFeePerGas: GWEI(0.5) });
+  });
+
+  it('caps fees at MAX_GAS_PRICE and refuses a replacement the cap leaves no room for', async () => {
+    config.maxGasPrice = 1.2;
+    assert.equal((await supervisorWithFees({}).getReplacementFees(entry)).maxFeePerGas, GWEI(1.2));
+
+    config.maxGasPrice = 1.05;
+    await assert.rejects(supervisorWithFees({}).getReplacementFees(entry), /leaves no room to replace nonce 7/);
+  });
+});
+
+describe('transaction supervision on the dev chain', () => {
+  let bot;
+  let saved;
+  let supervisor;
+  let weth;
+
+  beforeEach(async () => {
+    bot = await startBot();
+    saved = Object.fromEntries(SUPERVISOR_SETTINGS.map(key => [key, config[key]]));
+    // Every pending transaction counts as stuck at once
+    Object.assign(config, { txStuckAfterMs: 0, txMaxSpeedUps: 1, txAutoCancel: false, txFeeBumpPercent: 25, maxGasPrice: 100 });
+    supervisor = bot.web3.txSupervisor;
+    // The supervisor is driven by hand here
+    supervisor.stop();
+    weth = bot.weth.connect(bot.web3.wallet);
+  });
+
+  afterEach(async () => {
+    Object.assign(config, saved);
+    await bot.stop();
+  });
+
+  /**
+   * Send a transaction through the bot's wallet that stays in the mempool
+   */
+  async function sendPending() {
+    await bot.chain.send('evm_setAutomine', [false]);
+    return weth.approve(bot.router.address, 1n);
+  }
+
+  /**
+   * Mine the mempool, then wait out the provider's 250 ms request cache: no
+   * further block follows on the dev chain, so a wait that saw the old block
+   * number would never look again
+   */
+  async function mine() {
+    await bot.chain.send('evm_mine');
+    await bot.chain.send('evm_setAutomine', [true]);
+    await new Promise(resolve => setTimeout(resolve, 300));
+  }
+
+  it('tracks every transaction the wallet sends and drops it once confirmed', async () => {
+    assert.ok(bot.web3.wallet instanceof SupervisedNonceManager);
+
+    const response = await weth.approve(bot.router.address, 1n);
+    const [status] = supervisor.getStatus();
+    assert.equal(status.nonce, response.nonce);
+    assert.equal(status.hash, response.hash);
+    assert.equal(status.status, 'pending');
+
+    await supervisor.wait(response);
+    await supervisor.checkInFlight();
+    assert.deepEqual(supervisor.getStatus(), []);
+  });
+
+  it('speeds up a stuck nonce and follows the replacement to its receipt', async () => {
+    const response = await sendPending();
+
+    await supervisor.checkInFlight();
+
+    const [status] = supervisor.getStatus();
+    assert.equal(status.status, 'sped-up');
+    assert.equal(status.speedUps, 1);
+    assert.notEqual(status.hash, response.hash);
+    const replacement = await bot.chain.provider.getTransaction(status.hash);
+    assert.equal(replacement.nonce, response.nonce);
+    assert.equal(replacement.data, response.data);
+    assert.ok(replacement.maxFeePerGas >= (response.maxFeePerGas * 125n) / 100n);
+
+    await mine();
+    // The original never confirms; the wait returns the repriced replacement's receipt
+    const receipt = await supervisor.wait(response);
+    assert.equal(receipt.hash, status.hash);
+    assert.equal(await bot.weth.allowance(bot.wallet, bot.router.address), 1n);
+
+    await supervisor.checkInFlight();
+    assert.deepEqual(supervisor.getStatus(), []);
+  });
+
+  it('cancels a nonce still stuck after TX_MAX_SPEED_UPS with TX_AUTO_CANCEL=true', async () => {
+    Object.assign(config, { txMaxSpeedUps: 0, txAutoCancel: true });
+    const response = await sendPending();
+
+    await supervisor.checkInFlight();
+
+    const [status] = supervisor.getStatus();
+    assert.equal(status.status, 'cancelling');
+    assert.equal(status.cancelled, true);
+    const cancel = await bot.chain.provider.getTransaction(status.hash);
+    assert.equal(cancel.to, bot.wallet);
+    assert.equal(cancel.value, 0n);
+
+    await mine();
+    await assert.rejects(supervisor.wait(response), (error) => error.code === 'TRANSACTION_REPLACED' && error.reason === 'cancelled');
+    assert.equal(await bot.weth.allowance(bot.wallet, bot.router.address), 0n);
+  });
+
+  it('marks a nonce stuck once speed-ups are used up without auto-cancel', async () => {
+    config.txMaxSpeedUps = 0;
+    await sendPending();
+
+    await supervisor.checkInFlight();
+
+    const [status] = supervisor.getStatus();
+    assert.equal(status.status, 'stuck');
+    assert.equal(status.replacements, 0);
+    await mine();
+  });
+
+  describe('after the waiter timed out', () => {
+    it('stops speeding up the nonce', async () => {
+      const response = await sendPending();
+
+      await assert.rejects(supervisor.wait(response, 50));
+      await supervisor.checkInFlight();
+
+      const [status] = supervisor.getStatus();
+      assert.equal(status.status, 'abandoned');
+      assert.equal(status.abandoned, true);
+      assert.equal(status.replacements, 0, 'no speed-up after the step failed');
+
+      // It may still confirm at its own fees
+      await mine();
+      await supervisor.checkInFlight();
+      assert.deepEqual(supervisor.getStatus(), []);
+    });
+
+    it('cancels the nonce right away with TX_AUTO_CANCEL=true', async () => {
+      Object.assign(config, { txAutoCancel: true, txStuckAfterMs: 60000 });
+      const response = await sendPending();
+
+      await assert.rejects(supervisor.wait(response, 50));
+      await supervisor.checkInFlight();
+
+      const [status] = supervisor.getStatus();
+      assert.equal(status.status, 'cancelling');
+      assert.equal(status.speedUps, 0);
+
+      await mine();
+      assert.equal(await bot.weth.allowance(bot.wallet, bot.router.address), 0n, 'the failed step\'s transaction never lands');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { startBot, skipSettleDelays } = require('./support/harness');
+const config = require('../src/config');
+const { notifier } = require('../src/notifier');
+const { AerodromeAutoBalancer } = require('../src/index');
+
+const WETH = (n) => ethers.parseEther(String(n));
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+
+// ~60000 USDC per cbBTC (8 decimals)
+const CBBTC_TICK = 63900;
+
+describe('wallet deposits with two pools sharing USDC', () => {
+  let restoreTimers;
+  let bot;
+  let balancer;
+  let wethPool;
+  let cbbtcPool;
+
+  before(() => {
+    restoreTimers = skipSettleDelays();
+  });
+
+  after(() => {
+    restoreTimers();
+  });
+
+  beforeEach(async () => {
+    bot = await startBot();
+    mock.method(notifier, 'notify', () => {});
+
+    const cbbtc = await bot.chain.deployUsdcPool('cbBTC', 8, { tick: CBBTC_TICK });
+    config.pools = [config.pools[0], { ...config.pools[0], gaugeAddress: cbbtc.gauge.address }];
+
+    balancer = new AerodromeAutoBalancer();
+    Object.assign(balancer, { web3: bot.web3, monitor: bot.monitor, rebalancer: bot.rebalancer });
+    await balancer.initializePools();
+    [wethPool, cbbtcPool] = balancer.pools;
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await bot.stop();
+  });
+
+  async function fundWallet(amount0, amount1) {
+    await bot.chain.wait(bot.weth.mint(bot.wallet, amount0));
+    await bot.chain.wait(bot.usdc.mint(bot.wallet, amount1));
+  }
+
+  it('splits a token evenly between the pools holding it', () => {
+    assert.deepEqual(balancer.getTokenSharing(wethPool), { token0: 1, token1: 2 });
+    const usdcIs0 = cbbtcPool.token0 === bot.usdc.address;
+    assert.deepEqual(balancer.getTokenSharing(cbbtcPool), usdcIs0 ? { token0: 2, token1: 1 } : { token0: 1, token1: 2 });
+  });
+
+  it('creates a position from only the pool\'s share of the USDC', async () => {
+    // 2 WETH + 3000 USDC is WETH-heavy for a centered range, so part of the WETH is swapped
+    await fundWallet(WETH(2), USDC(6000));
+
+    const tokenId = await balancer.checkAndCreatePositionFromWallet(wethPool);
+
+    assert.ok(tokenId, 'position created');
+    assert.equal(await bot.gauge.stakedContains(bot.wallet, tokenId), true);
+    assert.equal((await bot.chain.swaps())[0].tokenIn, bot.weth.address);
+    // The cbBTC pool's half of the USDC is still in the wallet
+    const left1 = await bot.usdc.balanceOf(bot.wallet);
+    assert.ok(left1 >= USDC(2900) && left1 <= USDC(3100), `USDC left ${ethers.formatUnits(left1, 6)}`);
+    assert.ok(await bot.weth.balanceOf(bot.wallet) < WETH(0.05), 'the WETH only this pool holds is deposited');
+  });
+
+  it('checks the minimum deposit against the pool\'s share', async () => {
+    // 0.0015 USDC in the wallet, 0.00075 of it this pool's: below the 0.001 minimum
+    await fundWallet(0n, USDC(0.0015));
+
+    assert.equal(await balancer.checkAndCreatePositionFromWallet(wethPool), undefined);
+    assert.equal(await bot.positionManager.balanceOf(bot.wallet), 0n);
+  });
+});